@@ -0,0 +1,161 @@
+import Database from 'better-sqlite3';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+// API keys, with a request rate limit and a daily character quota each.
+// Only a hash of each key is stored; the key itself is shown once, when it is
+// issued. Usage is counted per key and UTC day in the same database.
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS api_keys (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL,
+  key_hash TEXT NOT NULL UNIQUE,
+  prefix TEXT NOT NULL,
+  rate_per_minute INTEGER NOT NULL,
+  daily_characters INTEGER NOT NULL,
+  created_at TEXT NOT NULL,
+  revoked_at TEXT
+);
+
+CREATE TABLE IF NOT EXISTS api_key_usage (
+  key_id INTEGER NOT NULL REFERENCES api_keys(id),
+  day TEXT NOT NULL,
+  characters INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (key_id, day)
+);
+`;
+
+const KEY_PREFIX = 'ns_';
+
+const hashKey = key => crypto.createHash('sha256').update(key).digest('hex');
+
+// Today's date in UTC, as "2024-05-31"; quotas reset at UTC midnight
+export function usageDay(now = Date.now()) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+// Seconds until the daily quotas reset
+export function secondsUntilReset(now = Date.now()) {
+  const midnight = new Date(now);
+  midnight.setUTCHours(24, 0, 0, 0);
+  return Math.ceil((midnight.getTime() - now) / 1000);
+}
+
+function rowToKey(row, used = 0) {
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.prefix,
+    ratePerMinute: row.rate_per_minute,
+    dailyCharacters: row.daily_characters,
+    usedToday: used,
+    createdAt: row.created_at,
+    revokedAt: row.revoked_at
+  };
+}
+
+export function createKeyStore(filename, { ratePerMinute = 20, dailyCharacters = 500000 } = {}) {
+  if (filename !== ':memory:') {
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+  }
+
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+  db.exec(SCHEMA);
+
+  const statements = {
+    insert: db.prepare(`
+      INSERT INTO api_keys (name, key_hash, prefix, rate_per_minute, daily_characters, created_at)
+      VALUES (@name, @keyHash, @prefix, @ratePerMinute, @dailyCharacters, @createdAt)
+    `),
+    get: db.prepare('SELECT * FROM api_keys WHERE id = ?'),
+    findByHash: db.prepare('SELECT * FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL'),
+    list: db.prepare('SELECT * FROM api_keys ORDER BY id'),
+    revoke: db.prepare('UPDATE api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL'),
+    used: db.prepare('SELECT characters FROM api_key_usage WHERE key_id = ? AND day = ?'),
+    addUsage: db.prepare(`
+      INSERT INTO api_key_usage (key_id, day, characters) VALUES (?, ?, ?)
+      ON CONFLICT (key_id, day) DO UPDATE SET characters = characters + excluded.characters
+    `)
+  };
+
+  const usedToday = id => statements.used.get(id, usageDay())?.characters || 0;
+
+  return {
+    // Create a key; returns its details with the key itself, which cannot be
+    // recovered later
+    issue({ name, ratePerMinute: rate = ratePerMinute, dailyCharacters: quota = dailyCharacters }) {
+      const key = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+      const { lastInsertRowid } = statements.insert.run({
+        name,
+        keyHash: hashKey(key),
+        prefix: key.slice(0, KEY_PREFIX.length + 6),
+        ratePerMinute: rate,
+        dailyCharacters: quota,
+        createdAt: new Date().toISOString()
+      });
+      return { ...rowToKey(statements.get.get(lastInsertRowid)), key };
+    },
+
+    // The details of an active key, or null when it is unknown or revoked
+    authenticate(key) {
+      const row = typeof key === 'string' && key ? statements.findByHash.get(hashKey(key)) : null;
+      return row ? rowToKey(row, usedToday(row.id)) : null;
+    },
+
+    list() {
+      return statements.list.all().map(row => rowToKey(row, usedToday(row.id)));
+    },
+
+    // Returns false when there is no active key with this id
+    revoke(id) {
+      return statements.revoke.run(new Date().toISOString(), id).changes > 0;
+    },
+
+    // Characters counted against a key's quota today
+    usedToday,
+
+    // Count characters against a key's quota for today
+    addUsage(id, characters) {
+      if (characters > 0) {
+        statements.addUsage.run(id, usageDay(), characters);
+      }
+    },
+
+    close() {
+      db.close();
+    }
+  };
+}
+
+// Sliding-window limit of `limit` requests per `windowMs` for each client.
+// hit() records a request and returns 0 when it is allowed, or the number of
+// seconds until the client may try again.
+export function createRateLimiter({ windowMs = 60 * 1000 } = {}) {
+  const clients = new Map(); // client -> timestamps of recent requests
+
+  // Forget clients whose requests have all left the window
+  const sweep = setInterval(() => {
+    const cutoff = Date.now() - windowMs;
+    for (const [client, times] of clients) {
+      if (times[times.length - 1] <= cutoff) clients.delete(client);
+    }
+  }, windowMs);
+  sweep.unref?.();
+
+  return {
+    hit(client, limit) {
+      const now = Date.now();
+      const times = (clients.get(client) || []).filter(time => time > now - windowMs);
+      if (times.length >= limit) {
+        clients.set(client, times);
+        return Math.max(1, Math.ceil((times[0] + windowMs - now) / 1000));
+      }
+      times.push(now);
+      clients.set(client, times);
+      return 0;
+    }
+  };
+}
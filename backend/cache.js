@@ -0,0 +1,121 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { log } from './logger.js';
+
+// Disk cache of processing results, so the same document processed with the
+// same model and options does not cost another model call. Entries are JSON
+// files named by the hash of their key. The least recently used entries are
+// evicted once the cache grows past maxBytes, and entries older than ttlMs
+// are ignored and removed.
+
+// Hash of any JSON-serializable key parts
+export function cacheKey(parts) {
+  return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+export function createResultCache({ directory, maxBytes = 100 * 1024 * 1024, ttlMs = 7 * 24 * 60 * 60 * 1000 }) {
+  const enabled = maxBytes > 0;
+  const entries = new Map(); // key -> { size, createdAt, usedAt }
+  let totalBytes = 0;
+  let loading = null;
+
+  const fileFor = key => path.join(directory, `${key}.json`);
+
+  // Index the entries already on disk, once
+  function load() {
+    loading ??= (async () => {
+      await fs.mkdir(directory, { recursive: true });
+      for (const name of await fs.readdir(directory)) {
+        if (name.endsWith('.tmp')) {
+          await fs.rm(path.join(directory, name), { force: true }); // Left by a crash mid-write
+        }
+        if (!name.endsWith('.json')) continue;
+        const stat = await fs.stat(path.join(directory, name));
+        entries.set(name.slice(0, -5), { size: stat.size, createdAt: stat.birthtimeMs || stat.mtimeMs, usedAt: stat.mtimeMs });
+        totalBytes += stat.size;
+      }
+    })();
+    return loading;
+  }
+
+  if (enabled) {
+    load().catch(error => log.warn('Could not read the result cache', { error }));
+  }
+
+  async function remove(key) {
+    const entry = entries.get(key);
+    if (!entry) return;
+    entries.delete(key);
+    totalBytes -= entry.size;
+    await fs.rm(fileFor(key), { force: true });
+  }
+
+  async function evict() {
+    const byLastUse = [...entries.entries()].sort((a, b) => a[1].usedAt - b[1].usedAt);
+    for (const [key] of byLastUse) {
+      if (totalBytes <= maxBytes) break;
+      await remove(key);
+    }
+  }
+
+  return {
+    enabled,
+
+    // The cached value, or null on a miss
+    async get(key) {
+      if (!enabled) return null;
+      await load();
+      const entry = entries.get(key);
+      if (!entry) return null;
+
+      if (Date.now() - entry.createdAt > ttlMs) {
+        await remove(key);
+        return null;
+      }
+
+      try {
+        const value = JSON.parse(await fs.readFile(fileFor(key), 'utf-8'));
+        entry.usedAt = Date.now();
+        return value;
+      } catch (error) {
+        log.warn('Dropping unreadable cache entry', { error });
+        await remove(key);
+        return null;
+      }
+    },
+
+    async set(key, value) {
+      if (!enabled) return;
+      await load();
+      const data = JSON.stringify(value);
+      const size = Buffer.byteLength(data);
+      if (size > maxBytes) return;
+
+      // Write then rename, so a crash never leaves a half-written entry
+      const temporary = `${fileFor(key)}.${process.pid}.tmp`;
+      await fs.writeFile(temporary, data);
+      await fs.rename(temporary, fileFor(key));
+
+      const previous = entries.get(key);
+      if (previous) totalBytes -= previous.size;
+      entries.set(key, { size, createdAt: Date.now(), usedAt: Date.now() });
+      totalBytes += size;
+      await evict();
+    },
+
+    // Remove every entry; returns how many there were
+    async clear() {
+      await load();
+      const count = entries.size;
+      for (const key of [...entries.keys()]) {
+        await remove(key);
+      }
+      return count;
+    },
+
+    stats() {
+      return { enabled, entries: entries.size, bytes: totalBytes, maxBytes };
+    }
+  };
+}
@@ -0,0 +1,78 @@
+import { stripMarkdown } from './summarySchema.js';
+
+// Follow-up questions about a processed document, answered from the passages
+// of its text that retrieval finds relevant (see retrieval.js) and citing
+// them by their passage numbers, like summary items do (see citations.js).
+
+export const MAX_CHAT_MESSAGE_LENGTH = 2000;
+
+export const CHAT_JSON_FORMAT = `{
+  "answer": "the answer, in plain text",
+  "refs": [3, 4]
+}`;
+
+// Validate a chat message from a request body. Returns { message, error }.
+export function parseChatMessage(value) {
+  const message = typeof value === 'string' ? value.trim() : '';
+  if (!message) {
+    return { error: 'Message is required' };
+  }
+  if (message.length > MAX_CHAT_MESSAGE_LENGTH) {
+    return { error: `Message is too long. Please limit it to ${MAX_CHAT_MESSAGE_LENGTH} characters.` };
+  }
+  return { message };
+}
+
+// Build the prompt for one question. `passages` are [{ id, text }], `history`
+// the earlier messages of the conversation ([{ role, content }]) and
+// `summaryText` the summary the student is reading, so questions such as
+// "explain point 3" can be understood.
+export function buildChatPrompt(question, { passages, history = [], summaryText = '' }) {
+  const conversation = history
+    .map(message => `${message.role === 'user' ? 'Student' : 'Tutor'}: ${message.content}`)
+    .join('\n');
+  const sources = passages.length
+    ? passages.map(passage => `[#${passage.id}] ${passage.text}`).join('\n\n')
+    : '(no passages of the notes matched the question)';
+
+  return `
+You are a patient tutor answering a student's question about their study notes. Answer using ONLY the passages from the notes below. If they do not contain the answer, say that the notes do not cover it instead of answering from general knowledge.
+
+Return a JSON object with exactly this structure:
+
+${CHAT_JSON_FORMAT}
+
+Rules:
+- Respond with ONLY the JSON object, no code fences or commentary
+- Use plain text, NO formatting symbols like ** __ ### etc.
+- Keep the answer short and simple: a few sentences, or a short list of steps when explaining a process
+- In "refs", list the numbers of the passages the answer is based on; never cite a passage that does not support it
+- Do not copy the [#N] markers into the answer
+${summaryText ? `\nSummary the student is reading:\n${summaryText}\n` : ''}${conversation ? `\nConversation so far:\n${conversation}\n` : ''}
+Passages from the notes:
+${sources}
+
+Question: ${question}
+  `;
+}
+
+// Validate parsed model output. Refs are limited to the passages the model
+// was shown (`passageIds`); [#N] markers left in the answer count as refs.
+// Returns { value: { answer, refs }, errors }.
+export function validateChatAnswer(data, { passageIds }) {
+  if (!data || typeof data !== 'object' || typeof data.answer !== 'string') {
+    return { value: null, errors: ['Output must be an object with an "answer" string'] };
+  }
+
+  const markers = [...data.answer.matchAll(/\[#?(\d+)\]/g)].map(match => Number(match[1]));
+  const answer = stripMarkdown(data.answer.replace(/\s*\[#?\d+\]/g, '')).trim();
+  if (!answer) {
+    return { value: null, errors: ['Field "answer" must not be empty'] };
+  }
+
+  const refs = [...new Set([...(Array.isArray(data.refs) ? data.refs : []), ...markers]
+    .map(ref => Number(String(ref).replace(/[[\]#\s]/g, '')))
+    .filter(ref => passageIds.includes(ref)))]
+    .sort((a, b) => a - b);
+  return { value: { answer, refs }, errors: [] };
+}
@@ -0,0 +1,129 @@
+import { SUMMARY_SECTIONS } from './summarySchema.js';
+
+// Source citations. The source text is split into numbered passages (the
+// paragraphs of each page, long ones cut into pieces) and the model sees a
+// [#N] marker at the start of each. Summary items cite the passages they
+// came from in `refs`; the cited passages are returned as `citations` so
+// each point can be checked against the original.
+
+const PASSAGE_LENGTH = 800; // Paragraphs longer than this are cited in pieces
+const CONTEXT_LENGTH = 300; // Characters of surrounding text shown with a cited passage
+
+export const CITATION_RULES = `- The notes are divided into passages, each starting with a marker like [#12]
+- In "refs", list the numbers of the passages each item is based on, e.g. [12, 13]; never cite a passage that does not support the item
+- Do not copy the [#N] markers into the text of any item`;
+
+// Ranges of the non-blank paragraphs of text[start, end)
+function paragraphRanges(text, start, end) {
+  const ranges = [];
+  const add = (from, to) => {
+    while (from < to && /\s/.test(text[from])) from++;
+    while (to > from && /\s/.test(text[to - 1])) to--;
+    if (to > from) ranges.push({ start: from, end: to });
+  };
+
+  let from = start;
+  for (const match of text.slice(start, end).matchAll(/\n\s*\n/g)) {
+    add(from, start + match.index);
+    from = start + match.index + match[0].length;
+  }
+  add(from, end);
+  return ranges;
+}
+
+// Cut a long paragraph into pieces of about PASSAGE_LENGTH characters at
+// sentence or line ends where possible
+function splitParagraph({ start, end }, text) {
+  const pieces = [];
+  while (end - start > PASSAGE_LENGTH) {
+    const window = text.slice(start, start + PASSAGE_LENGTH);
+    let cut = -1;
+    for (const match of window.matchAll(/[.!?]\s+|\n/g)) {
+      if (match.index > PASSAGE_LENGTH / 4) cut = match.index + match[0].length;
+    }
+    const to = start + (cut > 0 ? cut : PASSAGE_LENGTH);
+    pieces.push({ start, end: to });
+    start = to;
+    while (start < end && /\s/.test(text[start])) start++;
+  }
+  if (end > start) pieces.push({ start, end });
+  return pieces;
+}
+
+// Split source text into passages: [{ id, page, paragraph, start, end }].
+// `pages` ([{ page, start, end }], from PDFs) gives page numbers, and then
+// paragraphs are counted within each page; otherwise across the whole text.
+export function splitPassages(text, pages = null) {
+  const passages = [];
+  for (const range of pages?.length ? pages : [{ start: 0, end: text.length }]) {
+    paragraphRanges(text, range.start, range.end).forEach((paragraph, index) => {
+      for (const piece of splitParagraph(paragraph, text)) {
+        passages.push({
+          id: passages.length + 1,
+          ...(range.page && { page: range.page }),
+          paragraph: index + 1,
+          start: piece.start,
+          end: piece.end
+        });
+      }
+    });
+  }
+  return passages;
+}
+
+// The source text with a [#N] marker in front of every passage, for prompts
+export function markPassages(text, passages) {
+  let marked = '';
+  let position = 0;
+  for (const passage of passages) {
+    marked += `${text.slice(position, passage.start)}[#${passage.id}] `;
+    position = passage.start;
+  }
+  return marked + text.slice(position);
+}
+
+// Items of the list and concept sections of a summary
+function summaryItems(summary) {
+  return SUMMARY_SECTIONS
+    .filter(section => section.kind !== 'paragraph' && Array.isArray(summary[section.key]))
+    .flatMap(section => summary[section.key]);
+}
+
+// The passages with the given numbers, keyed by passage number:
+// { [id]: { page, paragraph, text, before, after } }, where before and after
+// are the text around the passage
+export function citePassages(ids, passages, text) {
+  const citations = {};
+  for (const id of [...new Set(ids)].sort((a, b) => a - b)) {
+    const passage = passages[id - 1];
+    if (!passage) continue;
+    citations[id] = {
+      ...(passage.page && { page: passage.page }),
+      paragraph: passage.paragraph,
+      text: text.slice(passage.start, passage.end),
+      before: text.slice(Math.max(0, passage.start - CONTEXT_LENGTH), passage.start),
+      after: text.slice(passage.end, passage.end + CONTEXT_LENGTH)
+    };
+  }
+  return citations;
+}
+
+// The passages a summary cites, as citePassages returns them
+export function buildCitations(summary, passages, text) {
+  return citePassages(summaryItems(summary).flatMap(item => item.refs || []), passages, text);
+}
+
+// A copy of a summary without passage references, for prompts where the
+// passage numbers would mean nothing (such as combining several documents)
+export function withoutRefs(summary) {
+  const stripped = { ...summary };
+  for (const section of SUMMARY_SECTIONS) {
+    if (section.kind === 'paragraph' || !Array.isArray(summary[section.key])) continue;
+    stripped[section.key] = summary[section.key].map(item => {
+      if (typeof item === 'string' || !item.refs) return item;
+      const { refs, ...rest } = item;
+      return section.kind === 'list' && !rest.sources ? rest.text : rest;
+    });
+  }
+  return stripped;
+}
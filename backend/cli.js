@@ -0,0 +1,354 @@
+#!/usr/bin/env node
+import fs from 'fs/promises';
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { createProvider } from './providers.js';
+import { createResultCache } from './cache.js';
+import { extractTextFromFile, findFileFormat } from './extraction.js';
+import { createPipeline } from './pipeline.js';
+import { exportNotes, EXPORT_FORMATS } from './exporters.js';
+import { parseSummaryOptions } from './summaryOptions.js';
+import { LANGUAGES } from './languages.js';
+import { configureLogger } from './logger.js';
+import { appError } from './errors.js';
+
+// notes-simplify: summarize files from the command line with the same
+// extraction and summarization pipeline as the server, e.g. a whole
+// semester's folder at once, or every file dropped into a folder with --watch
+
+const USAGE = `Usage: notes-simplify [options] <files, folders or globs...>
+
+Summarizes each file into the output folder, keeping the layout of the
+folders it came from. Files whose summary is newer than the file are
+skipped. Folders are searched recursively; quote globs such as
+"notes/**/*.pdf" so the shell does not expand them.
+
+Options:
+  -f, --format <format>   ${[...Object.keys(EXPORT_FORMATS), 'json'].join(', ')} (default: md)
+  -o, --out-dir <dir>     where to write the summaries (default: ./simplified)
+      --length <length>   brief, standard or detailed
+      --audience <level>  middle-school, high-school, undergraduate or expert
+      --tone <tone>       friendly, neutral or formal
+      --language <code>   language to write summaries in: ${Object.keys(LANGUAGES).join(', ')}
+                          or auto, the language of each file (default: auto)
+      --sections <keys>   sections to include, comma-separated, e.g.
+                          mainTopics,keyConcepts,formulas,summary
+      --extractive        summarize extractively, without the model
+      --force             summarize files again even if their summary is newer
+      --no-cache          ignore cached results
+  -w, --watch             keep running and summarize files added to the inputs
+      --interval <secs>   how often to look for new files when watching (default: 2)
+  -v, --verbose           write the pipeline's log to stderr
+  -h, --help              show this help`;
+
+const OPTIONS = {
+  format: { type: 'string', short: 'f', default: 'md' },
+  'out-dir': { type: 'string', short: 'o', default: 'simplified' },
+  length: { type: 'string' },
+  audience: { type: 'string' },
+  tone: { type: 'string' },
+  language: { type: 'string' },
+  sections: { type: 'string' },
+  extractive: { type: 'boolean', default: false },
+  force: { type: 'boolean', default: false },
+  'no-cache': { type: 'boolean', default: false },
+  watch: { type: 'boolean', short: 'w', default: false },
+  interval: { type: 'string', default: '2' },
+  verbose: { type: 'boolean', short: 'v', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+const GLOB_CHARS = /[*?]/;
+
+// A glob as a RegExp over '/'-separated paths: ** matches any number of
+// folders, * and ? match within one
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    if (pattern.startsWith('**/', i)) {
+      source += '(?:.*/)?';
+      i += 2;
+    } else if (pattern.startsWith('**', i)) {
+      source += '.*';
+      i++;
+    } else if (pattern[i] === '*') {
+      source += '[^/]*';
+    } else if (pattern[i] === '?') {
+      source += '[^/]';
+    } else {
+      source += pattern[i].replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+const toSlashes = file => file.split(path.sep).join('/');
+
+// Every file under a folder, skipping hidden files and folders
+async function walk(directory) {
+  const files = [];
+  for (const entry of await fs.readdir(directory, { withFileTypes: true })) {
+    if (entry.name.startsWith('.')) continue;
+    const file = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await walk(file));
+    } else if (entry.isFile()) {
+      files.push(file);
+    }
+  }
+  return files;
+}
+
+// The files the inputs (files, folders or globs) stand for, as [{ file, root }]
+// where root is the folder their output paths are relative to. Only files
+// in a supported format are included, and nothing from the output folder.
+async function resolveInputs(inputs, outDir) {
+  const found = new Map();
+  const add = (file, root) => {
+    const resolved = path.resolve(file);
+    const inOutput = !path.relative(outDir, resolved).startsWith('..');
+    if (!inOutput && findFileFormat('', resolved) && !found.has(resolved)) {
+      found.set(resolved, { file: resolved, root: path.resolve(root) });
+    }
+  };
+
+  for (const input of inputs) {
+    if (GLOB_CHARS.test(input)) {
+      const segments = toSlashes(path.normalize(input)).split('/');
+      const base = segments.slice(0, segments.findIndex(segment => GLOB_CHARS.test(segment))).join('/') || '.';
+      const pattern = globToRegExp(toSlashes(path.normalize(input)));
+      const files = await walk(base).catch(() => []);
+      files.filter(file => pattern.test(toSlashes(path.normalize(file)))).forEach(file => add(file, base));
+      continue;
+    }
+
+    const stats = await fs.stat(input).catch(() => null);
+    if (!stats) {
+      throw new Error(`No such file or folder: ${input}`);
+    }
+    if (stats.isDirectory()) {
+      (await walk(input)).forEach(file => add(file, input));
+    } else {
+      add(input, path.dirname(input));
+    }
+  }
+  return [...found.values()];
+}
+
+// Where the summary of a file goes: its path below root, under outDir, with
+// the extension of the output format
+function outputPath({ file, root }, outDir, format) {
+  const relative = path.relative(root, file);
+  return path.join(outDir, path.dirname(relative), `${path.parse(relative).name}.${format}`);
+}
+
+// Whether the input and output exist and the output is newer
+async function isUpToDate(file, output) {
+  const [input, existing] = await Promise.all([fs.stat(file).catch(() => null), fs.stat(output).catch(() => null)]);
+  return Boolean(input && existing) && existing.mtimeMs >= input.mtimeMs;
+}
+
+function readSettings(values) {
+  const format = values.format.toLowerCase();
+  if (format !== 'json' && !EXPORT_FORMATS[format]) {
+    return { error: `Unsupported format: ${values.format}. Supported formats: ${[...Object.keys(EXPORT_FORMATS), 'json'].join(', ')}` };
+  }
+  const interval = Number(values.interval);
+  if (!(interval > 0)) {
+    return { error: '--interval must be a positive number of seconds' };
+  }
+  const { options: summaryOptions, error } = parseSummaryOptions({
+    length: values.length,
+    audience: values.audience,
+    tone: values.tone,
+    language: values.language,
+    sections: values.sections
+  });
+  if (error) {
+    return { error };
+  }
+  return {
+    settings: {
+      format,
+      outDir: path.resolve(values['out-dir']),
+      summaryOptions,
+      extractive: values.extractive,
+      noCache: values['no-cache'],
+      force: values.force,
+      intervalMs: interval * 1000
+    }
+  };
+}
+
+// Extract, summarize and export one file
+async function summarizeFile(file, output, { format, summaryOptions, extractive, noCache }, summarizeText) {
+  const { text, pages } = await extractTextFromFile(await fs.readFile(file), '', path.basename(file));
+  if (!text || text.trim().length === 0) {
+    throw appError('NO_TEXT_FOUND', 'No readable text found in the file');
+  }
+
+  const result = await summarizeText(text, { pages, summaryOptions, extractive, noCache });
+  const content = format === 'json'
+    ? Buffer.from(JSON.stringify({
+      source: file,
+      method: result.method || 'ai',
+      ...(result.fallbackCode && { fallbackCode: result.fallbackCode }),
+      options: result.options,
+      detectedLanguage: result.detectedLanguage,
+      summary: result.summary,
+      citations: result.citations
+    }, null, 2))
+    : (await exportNotes({ summary: result.summary, language: result.options.language }, format)).buffer;
+
+  await fs.mkdir(path.dirname(output), { recursive: true });
+  await fs.writeFile(output, content);
+  return result;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function main() {
+  let parsed;
+  try {
+    parsed = parseArgs({ options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+  const { values, positionals: inputs } = parsed;
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (!inputs.length) {
+    console.error(USAGE);
+    return 2;
+  }
+
+  const { settings, error } = readSettings(values);
+  if (error) {
+    console.error(error);
+    return 2;
+  }
+
+  const backendDir = path.dirname(fileURLToPath(import.meta.url));
+  dotenv.config({ path: path.join(backendDir, '.env') });
+  // The pipeline's log would mix with the report on stdout
+  configureLogger({ level: values.verbose ? 'debug' : 'silent', stream: process.stderr });
+
+  let provider;
+  try {
+    provider = createProvider();
+  } catch (providerError) {
+    if (!settings.extractive) {
+      console.error(providerError.message);
+      return 1;
+    }
+  }
+
+  const dataDir = path.join(backendDir, 'data');
+  const cache = createResultCache({
+    directory: process.env.CACHE_DIR || path.join(dataDir, 'cache'),
+    maxBytes: (process.env.CACHE_MAX_MB ? Number(process.env.CACHE_MAX_MB) : 100) * 1024 * 1024,
+    ttlMs: (Number(process.env.CACHE_TTL_HOURS) || 7 * 24) * 60 * 60 * 1000
+  });
+  const { summarizeText } = createPipeline({
+    provider,
+    cache,
+    extractiveFallback: process.env.EXTRACTIVE_FALLBACK !== 'false',
+    maxRetries: process.env.MODEL_MAX_RETRIES ? Number(process.env.MODEL_MAX_RETRIES) : undefined,
+    timeoutMs: process.env.MODEL_TIMEOUT_SECONDS ? Number(process.env.MODEL_TIMEOUT_SECONDS) * 1000 : undefined
+  });
+
+  // Summarize the files that are not up to date. Files that failed are not
+  // tried again until they change. Returns { failures, skipped } counts.
+  const failed = new Map(); // file -> mtimeMs when it failed
+  const run = async (candidates, { force }) => {
+    let failures = 0;
+    let skipped = 0;
+    const outputs = new Map();
+    for (const candidate of candidates) {
+      const output = outputPath(candidate, settings.outDir, settings.format);
+      const label = path.relative(process.cwd(), candidate.file);
+      if (outputs.has(output)) {
+        console.log(`✗ ${label}: has the same output as ${outputs.get(output)}; skipped`);
+        failures++;
+        continue;
+      }
+      outputs.set(output, label);
+
+      // The file may have been moved or deleted since the inputs were read
+      const stats = await fs.stat(candidate.file).catch(() => null);
+      if (!stats) {
+        continue;
+      }
+      const { mtimeMs } = stats;
+      if (failed.get(candidate.file) === mtimeMs || (!force && await isUpToDate(candidate.file, output))) {
+        skipped++;
+        continue;
+      }
+
+      try {
+        const result = await summarizeFile(candidate.file, output, settings, summarizeText);
+        const notes = [
+          result.cached && 'from cache',
+          result.method === 'extractive' && (result.fallbackCode ? `extractive: ${result.fallbackCode}` : 'extractive')
+        ].filter(Boolean);
+        console.log(`✓ ${label} → ${path.relative(process.cwd(), output)}${notes.length ? ` (${notes.join(', ')})` : ''}`);
+        failed.delete(candidate.file);
+      } catch (fileError) {
+        console.log(`✗ ${label}: ${fileError.message}`);
+        failed.set(candidate.file, mtimeMs);
+        failures++;
+      }
+    }
+    return { failures, skipped };
+  };
+
+  let candidates;
+  try {
+    candidates = await resolveInputs(inputs, settings.outDir);
+  } catch (inputError) {
+    console.error(inputError.message);
+    return 2;
+  }
+  if (!candidates.length && !values.watch) {
+    console.error('No supported files found');
+    return 1;
+  }
+  const { failures, skipped } = await run(candidates, { force: settings.force });
+  if (skipped) {
+    console.log(`${skipped} file${skipped === 1 ? '' : 's'} already up to date (use --force to summarize again)`);
+  }
+
+  if (!values.watch) {
+    return failures ? 1 : 0;
+  }
+
+  // Watch by polling, so files still being copied in are only picked up once
+  // their size and modification time stop changing between two looks
+  console.log(`Watching ${inputs.join(', ')} for new files (Ctrl+C to stop)`);
+  let previous = new Map();
+  for (;;) {
+    await sleep(settings.intervalMs);
+    const current = new Map();
+    for (const candidate of await resolveInputs(inputs, settings.outDir).catch(() => [])) {
+      const stats = await fs.stat(candidate.file).catch(() => null);
+      if (stats) current.set(candidate.file, { candidate, signature: `${stats.size}:${stats.mtimeMs}` });
+    }
+    const settled = [...current.values()]
+      .filter(({ candidate, signature }) => previous.get(candidate.file)?.signature === signature)
+      .map(({ candidate }) => candidate);
+    await run(settled, { force: false });
+    previous = current;
+  }
+}
+
+main().then(code => {
+  process.exitCode = code;
+}, error => {
+  console.error(error);
+  process.exitCode = 1;
+});
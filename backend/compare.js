@@ -0,0 +1,72 @@
+import { JSON_RULES, stripMarkdown } from './summarySchema.js';
+
+// "What changed" summaries of two versions of a document, written from their
+// paragraph diff (see diff.js)
+
+export const CHANGE_SUMMARY_JSON_FORMAT = `{
+  "summary": "two or three sentences on what changed overall",
+  "addedTopics": ["a topic or point that is new in the revised version"],
+  "removedTopics": ["a topic or point the revised version dropped"],
+  "changedTopics": ["a topic whose content changed, and how it changed"]
+}`;
+
+const CHANGE_LISTS = ['addedTopics', 'removedTopics', 'changedTopics'];
+
+// The differences of a diff as text for the prompt, at most maxLength
+// characters; unchanged paragraphs are left out
+export function describeChanges(hunks, maxLength) {
+  const sections = hunks.filter(hunk => hunk.type !== 'equal').map(hunk => (hunk.type === 'changed'
+    ? `CHANGED\nBefore: ${hunk.before}\nAfter: ${hunk.after}`
+    : `${hunk.type.toUpperCase()}\n${hunk.text}`));
+
+  let description = '';
+  for (const section of sections) {
+    if (description.length + section.length + 2 > maxLength) {
+      return `${description}\n\n(further changes left out)`;
+    }
+    description += `${description ? '\n\n' : ''}${section}`;
+  }
+  return description;
+}
+
+export function buildComparePrompt(changes, { originalName, revisedName }) {
+  return `
+A lecturer has re-issued their study notes. Below are the differences between the original version ("${originalName}") and the revised version ("${revisedName}"), paragraph by paragraph: ADDED paragraphs are new, REMOVED ones were dropped and CHANGED ones show both versions. Tell a student what is new, what was removed and what changed, by topic rather than paragraph by paragraph, so they know what to review again.
+
+Return a JSON object with exactly this structure:
+
+${CHANGE_SUMMARY_JSON_FORMAT}
+
+${JSON_RULES}
+- Use empty lists where nothing was added, removed or changed
+- Ignore changes that do not affect the content, such as spacing, typos and reordering
+
+Differences:
+${changes}
+  `;
+}
+
+// Validate parsed model output. Returns { value, errors }.
+export function validateChangeSummary(data) {
+  if (!data || typeof data !== 'object' || typeof data.summary !== 'string') {
+    return { value: null, errors: ['Output must be an object with a "summary" string'] };
+  }
+
+  const value = { summary: stripMarkdown(data.summary).trim() };
+  const errors = [];
+  for (const key of CHANGE_LISTS) {
+    const list = data[key] === undefined ? [] : data[key];
+    if (!Array.isArray(list)) {
+      errors.push(`Field "${key}" must be a list`);
+      continue;
+    }
+    value[key] = list
+      .filter(item => typeof item === 'string')
+      .map(item => stripMarkdown(item).trim())
+      .filter(Boolean);
+  }
+  if (!value.summary) {
+    errors.push('Field "summary" must not be empty');
+  }
+  return { value: errors.length ? null : value, errors };
+}
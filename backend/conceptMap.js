@@ -0,0 +1,200 @@
+import { stripMarkdown } from './summarySchema.js';
+
+// Concept map schema, options, validation, merging and Mermaid/Graphviz export.
+// A map is { concepts: [{ id, label, description }], relations: [{ from, to, type }] }
+// where relations point from one concept id to another.
+
+export const RELATION_TYPES = ['is a', 'part of', 'causes', 'leads to', 'requires', 'example of', 'contrasts with', 'related to'];
+export const MAX_CONCEPTS = 40;
+const DEFAULT_CONCEPTS = 15;
+
+export const CONCEPT_MAP_JSON_FORMAT = `{
+  "concepts": [
+    { "id": "c1", "label": "short concept name", "description": "what it is, in one sentence" },
+    { "id": "c2", "label": "another concept", "description": "what it is, in one sentence" }
+  ],
+  "relations": [
+    { "from": "c2", "to": "c1", "type": "part of" }
+  ]
+}`;
+
+// Validate concept map options from a request body, applying defaults.
+// Returns { options, error }.
+export function parseConceptMapOptions(body = {}) {
+  const count = body.count === undefined || body.count === '' ? DEFAULT_CONCEPTS : Number(body.count);
+  if (!Number.isInteger(count) || count < 2 || count > MAX_CONCEPTS) {
+    return { error: `Concept count must be a whole number between 2 and ${MAX_CONCEPTS}` };
+  }
+  return { options: { count } };
+}
+
+// Build the prompt for one part of the document
+export function buildConceptMapPrompt(text, { count }, partNote = '') {
+  return `
+Create a concept map of the following study notes: the ${count} most important concepts, and how they relate to each other. Connect every concept to at least one other, and prefer the specific relation types over "related to".
+${partNote}
+Return a JSON object with exactly this structure:
+
+${CONCEPT_MAP_JSON_FORMAT}
+
+Rules:
+- Respond with ONLY the JSON object, no code fences or commentary
+- Use plain text in all strings, NO formatting symbols like ** __ ### etc.
+- Keep labels to a few words
+- The relation "type" must be one of: ${RELATION_TYPES.map(type => `"${type}"`).join(', ')}
+- A relation reads as a sentence from "from" to "to", e.g. "mitochondrion" part of "cell"
+
+Notes:
+${text}
+  `;
+}
+
+function cleanString(value) {
+  return typeof value === 'string' ? stripMarkdown(value).replace(/\s+/g, ' ').trim() : '';
+}
+
+// Concepts with the same label (ignoring case and punctuation) are the same
+const labelKey = label => label.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+const relationType = type => {
+  const cleaned = cleanString(type).toLowerCase().replace(/_/g, ' ');
+  return RELATION_TYPES.includes(cleaned) ? cleaned : 'related to';
+};
+
+// Validate parsed model output. Concepts repeating an earlier label are
+// merged, relations between unknown concepts dropped, and the concepts
+// renumbered c1, c2, ... so their ids are safe to export. Returns
+// { value, errors } where value is the map.
+export function validateConceptMap(data) {
+  if (!Array.isArray(data?.concepts) || !data.concepts.length) {
+    return { value: null, errors: ['Output must contain a non-empty "concepts" array'] };
+  }
+
+  const concepts = [];
+  const ids = new Map(); // id in the output -> id kept
+  const byLabel = new Map();
+  data.concepts.forEach((raw, index) => {
+    const label = cleanString(raw?.label ?? raw?.name ?? raw?.term);
+    if (!label) return;
+    const id = cleanString(String(raw.id ?? `c${index + 1}`));
+    let concept = byLabel.get(labelKey(label));
+    if (!concept) {
+      concept = { id: `c${concepts.length + 1}`, label, description: cleanString(raw.description ?? raw.definition) };
+      concepts.push(concept);
+      byLabel.set(labelKey(label), concept);
+    }
+    ids.set(id, concept.id);
+  });
+  if (!concepts.length) {
+    return { value: null, errors: ['Every concept needs a non-empty "label"'] };
+  }
+
+  return { value: { concepts, relations: cleanRelations(data.relations, ids) }, errors: [] };
+}
+
+// Relations between known concepts, with their ids mapped through `ids`,
+// without self-references and duplicates
+function cleanRelations(relations, ids) {
+  const seen = new Set();
+  return (Array.isArray(relations) ? relations : [])
+    .map(raw => ({
+      from: ids.get(cleanString(String(raw?.from ?? raw?.source ?? ''))),
+      to: ids.get(cleanString(String(raw?.to ?? raw?.target ?? ''))),
+      type: relationType(raw?.type ?? raw?.label)
+    }))
+    .filter(relation => {
+      const key = `${relation.from}|${relation.to}|${relation.type}`;
+      if (!relation.from || !relation.to || relation.from === relation.to || seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+}
+
+// Merge the maps of several parts of a document into one with at most
+// `count` concepts, keeping the best connected ones. Concepts are matched by
+// label and renumbered c1, c2, ...
+export function mergeConceptMaps(maps, { count }) {
+  const concepts = [];
+  const byLabel = new Map();
+  const relations = [];
+  maps.forEach(map => {
+    const ids = new Map();
+    for (const concept of map.concepts) {
+      let merged = byLabel.get(labelKey(concept.label));
+      if (!merged) {
+        merged = { ...concept, id: `c${concepts.length + 1}` };
+        concepts.push(merged);
+        byLabel.set(labelKey(concept.label), merged);
+      } else if (!merged.description) {
+        merged.description = concept.description;
+      }
+      ids.set(concept.id, merged.id);
+    }
+    relations.push(...map.relations.map(relation => ({ ...relation, from: ids.get(relation.from), to: ids.get(relation.to) })));
+  });
+
+  const degree = new Map(concepts.map(concept => [concept.id, 0]));
+  for (const relation of relations) {
+    degree.set(relation.from, degree.get(relation.from) + 1);
+    degree.set(relation.to, degree.get(relation.to) + 1);
+  }
+  const kept = new Set([...concepts]
+    .sort((a, b) => degree.get(b.id) - degree.get(a.id))
+    .slice(0, count)
+    .map(concept => concept.id));
+
+  return {
+    concepts: concepts.filter(concept => kept.has(concept.id)),
+    relations: cleanRelations(
+      relations.filter(relation => kept.has(relation.from) && kept.has(relation.to)),
+      new Map([...kept].map(id => [id, id]))
+    )
+  };
+}
+
+// Mermaid flowchart
+function toMermaid({ concepts, relations }) {
+  const text = value => value.replace(/"/g, '#quot;');
+  const lines = [
+    'graph LR',
+    ...concepts.map(concept => `  ${concept.id}["${text(concept.label)}"]`),
+    ...relations.map(relation => `  ${relation.from} -->|"${relation.type}"| ${relation.to}`)
+  ];
+  return lines.join('\n') + '\n';
+}
+
+// Graphviz DOT, e.g. for `dot -Tsvg concept-map.dot`
+function toDot({ concepts, relations }) {
+  const text = value => `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  const lines = [
+    'digraph ConceptMap {',
+    '  rankdir=LR;',
+    '  node [shape=box, style="rounded,filled", fillcolor="#eef2ff", color="#667eea", fontname="Helvetica"];',
+    '  edge [color="#64748b", fontname="Helvetica", fontsize=10];',
+    ...concepts.map(concept => `  ${concept.id} [label=${text(concept.label)}${concept.description ? `, tooltip=${text(concept.description)}` : ''}];`),
+    ...relations.map(relation => `  ${relation.from} -> ${relation.to} [label=${text(relation.type)}];`),
+    '}'
+  ];
+  return lines.join('\n') + '\n';
+}
+
+export const CONCEPT_MAP_EXPORT_FORMATS = {
+  mermaid: { render: toMermaid, contentType: 'text/plain; charset=utf-8', extension: 'mmd' },
+  dot: { render: toDot, contentType: 'text/vnd.graphviz; charset=utf-8', extension: 'dot' }
+};
+
+// Export a map in the requested format
+export function exportConceptMap(map, format) {
+  const exporter = CONCEPT_MAP_EXPORT_FORMATS[format];
+  if (!exporter) {
+    throw new Error(`Unsupported concept map export format: ${format}. Supported formats: ${Object.keys(CONCEPT_MAP_EXPORT_FORMATS).join(', ')}`);
+  }
+
+  return {
+    buffer: Buffer.from(exporter.render(map), 'utf-8'),
+    contentType: exporter.contentType,
+    filename: `concept-map.${exporter.extension}`
+  };
+}
@@ -0,0 +1,147 @@
+// Structural diff of two versions of a document. Both texts are split into
+// paragraphs, which are matched up by longest common subsequence. A removed
+// paragraph replaced by a similar one counts as changed, and gets a word
+// level diff of its two versions.
+
+// Largest comparison table computed (paragraphs x paragraphs, or words x
+// words); beyond it the unmatched middle is reported as replaced wholesale
+const MAX_TABLE_CELLS = 4000000;
+
+// Share of matching words at which a replaced paragraph counts as changed
+// rather than as one removed and another added
+const CHANGE_SIMILARITY = 0.5;
+
+function paragraphs(text) {
+  return text.split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean);
+}
+
+// Compare paragraphs regardless of line wrapping and spacing
+const normalize = paragraph => paragraph.replace(/\s+/g, ' ');
+
+// Operations turning `a` into `b` (arrays of strings): { type: 'equal',
+// a, b }, { type: 'removed', a } and { type: 'added', b }, with indexes into
+// the arrays, in order
+function diffSequences(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const operations = [];
+  for (let index = 0; index < start; index++) {
+    operations.push({ type: 'equal', a: index, b: index });
+  }
+
+  const n = endA - start;
+  const m = endB - start;
+  let i = 0;
+  let j = 0;
+  if (n * m <= MAX_TABLE_CELLS) {
+    // lengths[i][j]: LCS length of a[start + i..endA) and b[start + j..endB)
+    const width = m + 1;
+    const lengths = new Uint32Array((n + 1) * width);
+    for (let x = n - 1; x >= 0; x--) {
+      for (let y = m - 1; y >= 0; y--) {
+        lengths[x * width + y] = a[start + x] === b[start + y]
+          ? lengths[(x + 1) * width + y + 1] + 1
+          : Math.max(lengths[(x + 1) * width + y], lengths[x * width + y + 1]);
+      }
+    }
+    while (i < n && j < m) {
+      if (a[start + i] === b[start + j]) {
+        operations.push({ type: 'equal', a: start + i++, b: start + j++ });
+      } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+        operations.push({ type: 'removed', a: start + i++ });
+      } else {
+        operations.push({ type: 'added', b: start + j++ });
+      }
+    }
+  }
+  for (; i < n; i++) operations.push({ type: 'removed', a: start + i });
+  for (; j < m; j++) operations.push({ type: 'added', b: start + j });
+
+  for (let offset = 0; offset < a.length - endA; offset++) {
+    operations.push({ type: 'equal', a: endA + offset, b: endB + offset });
+  }
+  return operations;
+}
+
+// Word diff of two versions of a paragraph: [{ type, text }] with type
+// 'equal', 'removed' or 'added', and the share of words that match
+export function diffWords(before, after) {
+  const a = before.split(/(\s+)/).filter(Boolean);
+  const b = after.split(/(\s+)/).filter(Boolean);
+
+  const parts = [];
+  let matched = 0;
+  for (const operation of diffSequences(a, b)) {
+    const text = operation.type === 'added' ? b[operation.b] : a[operation.a];
+    if (operation.type === 'equal' && text.trim()) matched++;
+    const last = parts[parts.length - 1];
+    if (last?.type === operation.type) {
+      last.text += text;
+    } else {
+      parts.push({ type: operation.type, text });
+    }
+  }
+
+  const words = a.filter(token => token.trim()).length + b.filter(token => token.trim()).length;
+  return { parts, similarity: words ? (2 * matched) / words : 1 };
+}
+
+// Diff two texts paragraph by paragraph. Returns { hunks, stats }, where
+// hunks are { type: 'equal' | 'added' | 'removed', text } or
+// { type: 'changed', before, after, words } in document order, and stats
+// counts the paragraphs of each type.
+export function diffTexts(oldText, newText) {
+  const before = paragraphs(oldText);
+  const after = paragraphs(newText);
+  const operations = diffSequences(before.map(normalize), after.map(normalize));
+
+  const hunks = [];
+  for (let index = 0; index < operations.length;) {
+    if (operations[index].type === 'equal') {
+      hunks.push({ type: 'equal', text: after[operations[index].b] });
+      index++;
+      continue;
+    }
+
+    // A run of removed and added paragraphs: pair them up in order, as
+    // changed paragraphs where they are similar enough
+    const removed = [];
+    const added = [];
+    for (; index < operations.length && operations[index].type !== 'equal'; index++) {
+      const operation = operations[index];
+      if (operation.type === 'removed') removed.push(before[operation.a]);
+      else added.push(after[operation.b]);
+    }
+
+    const unpairedRemoved = [];
+    const unpairedAdded = [];
+    removed.forEach((text, position) => {
+      const replacement = added[position];
+      const words = replacement !== undefined && diffWords(text, replacement);
+      if (words && words.similarity >= CHANGE_SIMILARITY) {
+        hunks.push({ type: 'changed', before: text, after: replacement, words: words.parts });
+      } else {
+        unpairedRemoved.push(text);
+        if (replacement !== undefined) unpairedAdded.push(replacement);
+      }
+    });
+    unpairedAdded.push(...added.slice(removed.length));
+    hunks.push(
+      ...unpairedRemoved.map(text => ({ type: 'removed', text })),
+      ...unpairedAdded.map(text => ({ type: 'added', text }))
+    );
+  }
+
+  const stats = { unchanged: 0, added: 0, removed: 0, changed: 0 };
+  for (const hunk of hunks) {
+    stats[hunk.type === 'equal' ? 'unchanged' : hunk.type]++;
+  }
+  return { hunks, stats };
+}
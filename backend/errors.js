@@ -0,0 +1,69 @@
+// Error codes: stable, machine-readable names for what went wrong, with the
+// HTTP status each is answered with. Error responses are { error, code },
+// plus retryAfter in seconds when waiting helps; clients should go by the
+// code, as the messages are for people and may change. The codes also label
+// the notes_errors_total metric, where CACHE_FAILED and STORAGE_FAILED count
+// failures that are logged but do not fail the request.
+export const ERROR_CODES = {
+  INVALID_REQUEST: 400,
+  TOO_MANY_FILES: 400,
+  UNAUTHORIZED: 401,
+  FORBIDDEN: 403,
+  NOT_FOUND: 404,
+  CONFLICT: 409,
+  FILE_TOO_LARGE: 413,
+  TEXT_TOO_LONG: 413,
+  UNSUPPORTED_TYPE: 415,
+  NO_TEXT_FOUND: 422,
+  EXTRACTION_FAILED: 422,
+  PROVIDER_BLOCKED_SAFETY: 422,
+  RATE_LIMITED: 429,
+  QUOTA_EXCEEDED: 429,
+  CANCELLED: 499,
+  INTERNAL: 500,
+  CACHE_FAILED: 500,
+  STORAGE_FAILED: 500,
+  PROVIDER_AUTH: 502,
+  PROVIDER_ERROR: 502,
+  INVALID_MODEL_OUTPUT: 502,
+  PROVIDER_QUOTA: 503,
+  PROVIDER_UNAVAILABLE: 503,
+  QUEUE_FULL: 503,
+  TIMEOUT: 504
+};
+
+// Provider failures that may well go away when the request is tried again:
+// an overloaded or unreachable provider, its rate limit, a slow answer
+export const TRANSIENT_CODES = new Set(['PROVIDER_UNAVAILABLE', 'PROVIDER_QUOTA', 'TIMEOUT']);
+
+// An Error with a code from ERROR_CODES and its status. retryAfter gives
+// the seconds to wait before trying again, when known.
+export function appError(code, message, { cause, retryAfter } = {}) {
+  const error = new Error(message, cause ? { cause } : undefined);
+  error.code = code;
+  error.status = ERROR_CODES[code];
+  if (retryAfter !== undefined) {
+    error.retryAfter = retryAfter;
+  }
+  return error;
+}
+
+// The code of an error: its own when it is one of ERROR_CODES (Node's
+// system errors have codes such as ENOENT too), otherwise INTERNAL
+export function errorCode(error) {
+  return ERROR_CODES[error?.code] ? error.code : 'INTERNAL';
+}
+
+// Seconds to wait from a Retry-After header, which holds seconds or an HTTP
+// date. Returns undefined when absent or unreadable.
+export function parseRetryAfter(value) {
+  if (!value) {
+    return undefined;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, Math.ceil(seconds));
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
@@ -0,0 +1,222 @@
+import { createRequire } from 'module';
+import PDFDocument from 'pdfkit';
+import { Document, Packer, Paragraph, TextRun, HeadingLevel } from 'docx';
+import { SUMMARY_SECTIONS, summaryToText, itemText, sourcesSuffix } from './summarySchema.js';
+import { sectionHeading, documentTitle } from './languages.js';
+
+const SECTION_HEADER = /^[🎯💡🧮⭐📅📝🔍]/u;
+
+const require = createRequire(import.meta.url);
+
+// Regular and bold PDF fonts by language. The standard Helvetica fonts only
+// cover Latin scripts, so languages written in other scripts embed a Noto
+// font (which also has Latin letters and digits for English terms).
+const PDF_FONTS = {
+  hi: {
+    regular: require.resolve('@expo-google-fonts/noto-sans-devanagari/400Regular/NotoSansDevanagari_400Regular.ttf'),
+    bold: require.resolve('@expo-google-fonts/noto-sans-devanagari/700Bold/NotoSansDevanagari_700Bold.ttf')
+  },
+  kn: {
+    regular: require.resolve('@expo-google-fonts/noto-sans-kannada/400Regular/NotoSansKannada_400Regular.ttf'),
+    bold: require.resolve('@expo-google-fonts/noto-sans-kannada/700Bold/NotoSansKannada_700Bold.ttf')
+  }
+};
+const DEFAULT_PDF_FONTS = { regular: 'Helvetica', bold: 'Helvetica-Bold' };
+
+// Parse the emoji-headed notes format into sections of bullets and paragraphs
+export function parseNotes(text) {
+  const sections = [];
+  let current = null;
+
+  for (const rawLine of text.split('\n')) {
+    const line = rawLine.trim();
+    if (!line) continue;
+
+    if (SECTION_HEADER.test(line)) {
+      current = {
+        title: titleCase(line.replace(SECTION_HEADER, '').replace(/\uFE0F/g, '').trim()),
+        emoji: line.match(SECTION_HEADER)[0],
+        items: []
+      };
+      sections.push(current);
+      continue;
+    }
+
+    if (!current) {
+      current = { title: '', emoji: '', items: [] };
+      sections.push(current);
+    }
+
+    if (line.startsWith('•')) {
+      current.items.push({ type: 'bullet', text: line.substring(1).trim() });
+    } else {
+      current.items.push({ type: 'paragraph', text: line });
+    }
+  }
+
+  return sections;
+}
+
+// Build export sections from a structured summary, with the headings in
+// `language`
+function sectionsFromSummary(summary, language) {
+  return SUMMARY_SECTIONS.filter(section => summary[section.key] !== undefined).map(section => {
+    const value = summary[section.key];
+    let items;
+    if (section.kind === 'paragraph') {
+      items = [{ type: 'paragraph', text: value }];
+    } else if (section.kind === 'concepts') {
+      items = value.map(concept => ({ type: 'bullet', term: concept.term, text: concept.definition + sourcesSuffix(concept) }));
+    } else {
+      items = value.map(item => ({ type: 'bullet', text: itemText(item) + sourcesSuffix(item) }));
+    }
+    return { title: sectionHeading(section.key, language), emoji: section.emoji, items };
+  });
+}
+
+// Convert a section title like "KEY CONCEPTS" to "Key Concepts"
+function titleCase(title) {
+  return title.toLowerCase().replace(/(^|\s)(\p{L})/gu, (match, space, letter) => space + letter.toUpperCase());
+}
+
+// Write a bullet with a hanging indent and an optional bold term
+function writePdfBullet(doc, item, fonts) {
+  const left = doc.page.margins.left;
+  const top = doc.y;
+
+  doc.circle(left + 6, top + 6, 2).fill('#ff6b35');
+  doc.fillColor('#1a1a1a');
+  if (item.term) {
+    doc.font(fonts.bold).text(`${item.term}: `, left + 16, top, { continued: true });
+    doc.font(fonts.regular).text(item.text);
+  } else {
+    doc.text(item.text, left + 16, top);
+  }
+  doc.x = left;
+}
+
+// Render notes as a styled PDF with section headers and bullet lists, in the
+// fonts for `language`
+function renderPdf(sections, text, title, language) {
+  const fonts = PDF_FONTS[language] || DEFAULT_PDF_FONTS;
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 56, info: { Title: title } });
+    const buffers = [];
+    doc.on('data', buffer => buffers.push(buffer));
+    doc.on('end', () => resolve(Buffer.concat(buffers)));
+    doc.on('error', reject);
+
+    doc.font(fonts.bold).fontSize(22).fillColor('#ff6b35').text(title);
+    doc.moveDown(0.3);
+    doc.font(fonts.regular).fontSize(9).fillColor('#888888').text(`Generated ${new Date().toLocaleDateString('en-US', { dateStyle: 'long' })}`);
+    doc.moveDown(1);
+
+    for (const section of sections) {
+      if (section.title) {
+        doc.moveDown(0.5);
+        doc.font(fonts.bold).fontSize(14).fillColor('#ff6b35').text(section.title);
+        const y = doc.y + 2;
+        doc.moveTo(doc.page.margins.left, y)
+          .lineTo(doc.page.width - doc.page.margins.right, y)
+          .lineWidth(1)
+          .strokeColor('#f7931e')
+          .stroke();
+        doc.moveDown(0.5);
+      }
+
+      for (const item of section.items) {
+        doc.font(fonts.regular).fontSize(11).fillColor('#1a1a1a');
+        if (item.type === 'bullet') {
+          writePdfBullet(doc, item, fonts);
+        } else {
+          doc.text(item.text, { align: 'justify' });
+        }
+        doc.moveDown(0.3);
+      }
+    }
+
+    doc.end();
+  });
+}
+
+// Render notes as a Word document using real heading and bullet styles
+function renderDocx(sections, text, title) {
+  const children = [
+    new Paragraph({ text: title, heading: HeadingLevel.TITLE })
+  ];
+
+  for (const section of sections) {
+    if (section.title) {
+      children.push(new Paragraph({ text: section.title, heading: HeadingLevel.HEADING_1 }));
+    }
+    for (const item of section.items) {
+      const runs = item.term
+        ? [new TextRun({ text: `${item.term}: `, bold: true }), new TextRun(item.text)]
+        : [new TextRun(item.text)];
+      children.push(item.type === 'bullet'
+        ? new Paragraph({ children: runs, bullet: { level: 0 } })
+        : new Paragraph({ children: runs, spacing: { after: 120 } }));
+    }
+  }
+
+  const doc = new Document({
+    title,
+    sections: [{ children }]
+  });
+
+  return Packer.toBuffer(doc);
+}
+
+// Render notes as Markdown
+function renderMarkdown(sections, text, title) {
+  const lines = [`# ${title}`, ''];
+
+  for (const section of sections) {
+    if (section.title) {
+      lines.push(`## ${[section.emoji, section.title].filter(Boolean).join(' ')}`, '');
+    }
+    for (const item of section.items) {
+      const text = item.term ? `**${item.term}:** ${item.text}` : item.text;
+      lines.push(item.type === 'bullet' ? `- ${text}` : text);
+    }
+    lines.push('');
+  }
+
+  return Buffer.from(lines.join('\n'), 'utf-8');
+}
+
+// Render notes as plain text
+function renderText(sections, text, title) {
+  return Buffer.from(`${title.toUpperCase()}\n\n${text}`, 'utf-8');
+}
+
+export const EXPORT_FORMATS = {
+  pdf: { render: renderPdf, contentType: 'application/pdf', extension: 'pdf' },
+  docx: {
+    render: renderDocx,
+    contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    extension: 'docx'
+  },
+  md: { render: renderMarkdown, contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  txt: { render: renderText, contentType: 'text/plain; charset=utf-8', extension: 'txt' }
+};
+
+// Export simplified notes in the requested format. Takes either a structured
+// summary or notes text in the emoji-headed format, and the language of the
+// title and summary headings (see languages.js; English by default), which
+// also picks the PDF's fonts.
+export async function exportNotes({ summary, text, language }, format) {
+  const exporter = EXPORT_FORMATS[format];
+  if (!exporter) {
+    throw new Error(`Unsupported export format: ${format}. Supported formats: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+
+  const sections = summary ? sectionsFromSummary(summary, language) : parseNotes(text);
+  const plainText = summary ? summaryToText(summary, language) : text;
+
+  return {
+    buffer: await exporter.render(sections, plainText, documentTitle(language), language),
+    contentType: exporter.contentType,
+    filename: `simplified-notes.${exporter.extension}`
+  };
+}
@@ -0,0 +1,295 @@
+import mammoth from 'mammoth';
+import path from 'path';
+import { recognizeImage, openPdf, ocrStatus } from './ocr.js';
+import {
+  extractTextFromPowerPoint,
+  extractTextFromOdt,
+  extractTextFromEpub,
+  extractTextFromRtf,
+  extractTextFromHtml,
+  decodeText,
+  isProbablyText
+} from './extractors.js';
+import { log } from './logger.js';
+import { extractionDuration, errors } from './metrics.js';
+import { ERROR_CODES, appError } from './errors.js';
+
+// Text extraction from uploaded files, shared by the server and the CLI:
+// PDFs (with OCR for scanned pages), Word documents and images here, the
+// other formats in extractors.js
+
+// Create a custom pdf-parse function to avoid the test file issue
+async function safePdfParse(buffer, options) {
+  try {
+    // Dynamically import pdf-parse to avoid initialization issues
+    const pdfParse = (await import('pdf-parse')).default;
+    return await pdfParse(buffer, options);
+  } catch (error) {
+    // If pdf-parse fails, try alternative approach
+    throw new Error('PDF parsing failed: ' + error.message);
+  }
+}
+
+// Render one page's text the way pdf-parse does by default, starting a new
+// line whenever the vertical position changes
+async function renderPageText(pageData) {
+  const textContent = await pageData.getTextContent({
+    normalizeWhitespace: false,
+    disableCombineTextItems: false
+  });
+
+  let lastY;
+  let text = '';
+  for (const item of textContent.items) {
+    text += lastY === item.transform[5] || !lastY ? item.str : '\n' + item.str;
+    lastY = item.transform[5];
+  }
+  return text;
+}
+
+// Pages with fewer non-space characters than this are taken to be scanned
+// images and run through OCR
+const MIN_PAGE_TEXT = 20;
+
+// Summary of the pages read with OCR, or null when none were
+function ocrReport(pages) {
+  if (!pages.length) {
+    return null;
+  }
+  const confidence = pages.reduce((sum, page) => sum + page.confidence, 0) / pages.length;
+  return { pages, confidence: Math.round(confidence) };
+}
+
+// Extract text from PDF, reporting progress page by page. Pages without a
+// text layer are rendered and OCR'd one at a time; PDFs pdf-parse cannot
+// open are read with pdf.js instead. Returns { text, ocr, pages }, where
+// pages gives the { page, start, end } range of each page in text.
+async function extractTextFromPDF(buffer, { onProgress, signal } = {}) {
+  let pageTexts = null;
+  try {
+    const pages = [];
+    await safePdfParse(buffer, {
+      pagerender: async pageData => {
+        // pdf-parse does not pass the page count to pagerender, so read it
+        // from the pdf.js transport the page belongs to
+        const totalPages = pageData.transport?.numPages;
+        onProgress?.({
+          phase: 'extracting',
+          page: pageData.pageNumber,
+          totalPages,
+          message: `Extracting page ${pageData.pageNumber}${totalPages ? ` of ${totalPages}` : ''}`
+        });
+        const text = await renderPageText(pageData);
+        pages[pageData.pageNumber - 1] = text;
+        return text;
+      }
+    });
+    pageTexts = Array.from(pages, text => text || '');
+  } catch (error) {
+    log.warn('pdf-parse could not read the PDF, trying pdf.js', { error });
+  }
+
+  const needsFallback = text => text.replace(/\s/g, '').length < MIN_PAGE_TEXT;
+  const ocrPages = [];
+
+  if (!pageTexts || pageTexts.some(needsFallback)) {
+    let pdf;
+    try {
+      pdf = await openPdf(buffer);
+    } catch (error) {
+      if (!pageTexts) {
+        throw new Error('The PDF could not be read. It may be corrupted or password protected.');
+      }
+      log.warn('pdf.js could not open the PDF for OCR', { error });
+    }
+
+    if (pdf) {
+      try {
+        const texts = pageTexts || new Array(pdf.numPages).fill(null);
+        for (let index = 0; index < texts.length; index++) {
+          // Pages pdf-parse could not read may still have a text layer
+          if (texts[index] === null) {
+            texts[index] = await pdf.getPageText(index + 1);
+          }
+          if (!needsFallback(texts[index])) continue;
+
+          signal?.throwIfAborted();
+          onProgress?.({
+            phase: 'ocr',
+            page: index + 1,
+            totalPages: texts.length,
+            message: `Running OCR on page ${index + 1} of ${texts.length}`
+          });
+          const { text, confidence } = await recognizeImage(await pdf.renderPage(index + 1));
+          if (text) {
+            texts[index] = text;
+            ocrPages.push({ page: index + 1, confidence });
+          }
+        }
+        pageTexts = texts;
+      } finally {
+        await pdf.close();
+      }
+    }
+  }
+
+  let text = '';
+  const pages = [];
+  pageTexts.forEach((pageText, index) => {
+    const trimmed = pageText.trim();
+    if (!trimmed) return;
+    if (text) text += '\n\n';
+    pages.push({ page: index + 1, start: text.length, end: text.length + trimmed.length });
+    text += trimmed;
+  });
+  log.info('PDF processed', { pages: pageTexts.length, characters: text.length, ocrPages: ocrPages.length });
+  if (!text) {
+    throw appError('NO_TEXT_FOUND', 'No readable text found in the PDF, even with OCR');
+  }
+  return { text, ocr: ocrReport(ocrPages), pages };
+}
+
+// Extract text from a photo or scan of notes with OCR
+async function extractTextFromImage(buffer, { onProgress } = {}) {
+  onProgress?.({ phase: 'ocr', message: 'Running OCR on image' });
+  const { text, confidence } = await recognizeImage(buffer);
+  log.info('Image processed', { characters: text.length, confidence });
+  if (!text) {
+    throw appError('NO_TEXT_FOUND', 'No readable text found in the image');
+  }
+  return { text, ocr: ocrReport([{ page: 1, confidence }]) };
+}
+
+// Extract text from Word documents
+async function extractTextFromWord(buffer) {
+  let result;
+  try {
+    result = await mammoth.extractRawText({ buffer });
+    log.info('Word document processed', { characters: result.value.length });
+  } catch (error) {
+    throw new Error('Failed to extract text from Word document: ' + error.message);
+  }
+
+  if (!result.value.trim()) {
+    throw appError('NO_TEXT_FOUND', 'No text found in Word document');
+  }
+  return { text: result.value.trim() };
+}
+
+// Supported input formats. A file is matched by its extension first, since
+// browsers report many of these types inconsistently, then by MIME type.
+export const FILE_FORMATS = [
+  {
+    name: 'PDF',
+    extensions: ['.pdf'],
+    mimetypes: ['application/pdf'],
+    extract: extractTextFromPDF
+  },
+  {
+    name: 'Word',
+    extensions: ['.docx', '.doc'],
+    mimetypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document', 'application/msword'],
+    extract: extractTextFromWord
+  },
+  {
+    name: 'PowerPoint',
+    extensions: ['.pptx'],
+    mimetypes: ['application/vnd.openxmlformats-officedocument.presentationml.presentation'],
+    extract: extractTextFromPowerPoint
+  },
+  {
+    name: 'OpenDocument',
+    extensions: ['.odt'],
+    mimetypes: ['application/vnd.oasis.opendocument.text'],
+    extract: extractTextFromOdt
+  },
+  {
+    name: 'EPUB',
+    extensions: ['.epub'],
+    mimetypes: ['application/epub+zip'],
+    extract: extractTextFromEpub
+  },
+  {
+    name: 'RTF',
+    extensions: ['.rtf'],
+    mimetypes: ['application/rtf', 'text/rtf'],
+    extract: extractTextFromRtf
+  },
+  {
+    name: 'HTML',
+    extensions: ['.html', '.htm', '.xhtml'],
+    mimetypes: ['text/html', 'application/xhtml+xml'],
+    extract: extractTextFromHtml
+  },
+  {
+    name: 'Images',
+    extensions: ['.png', '.jpg', '.jpeg', '.webp', '.bmp'],
+    mimetypes: ['image/png', 'image/jpeg', 'image/webp', 'image/bmp'],
+    extract: extractTextFromImage
+  },
+  {
+    name: 'Text',
+    extensions: ['.txt', '.md', '.csv'],
+    mimetypes: ['text/plain', 'text/markdown', 'text/csv'],
+    extract: async buffer => ({ text: decodeText(buffer) })
+  }
+];
+
+export const SUPPORTED_FORMATS = FILE_FORMATS.map(format => `${format.name} (${format.extensions.join(', ')})`).join(', ');
+
+// The supported format of a file, by extension or MIME type, or undefined
+export function findFileFormat(mimetype, filename) {
+  const ext = path.extname(filename || '').toLowerCase();
+  return FILE_FORMATS.find(format => format.extensions.includes(ext))
+    || FILE_FORMATS.find(format => format.mimetypes.includes(mimetype));
+}
+
+// Extract text from different file types. Returns { text, ocr, pages }, where
+// ocr lists the pages read with OCR and their confidence (null when none
+// were) and pages, for PDFs, where each page is in the text.
+// onProgress, if given, receives { phase, message, ... } events as
+// extraction proceeds; signal cancels OCR between pages. Filenames are not
+// logged, only the extension, as they can name students or courses.
+export async function extractTextFromFile(buffer, mimetype, filename, { onProgress, signal } = {}) {
+  const format = findFileFormat(mimetype, filename);
+  const ext = path.extname(filename || '').toLowerCase();
+  const endTimer = extractionDuration.startTimer({ format: format?.name || 'Other' });
+  log.info('Extracting text from file', { mimetype, extension: ext || null, bytes: buffer.length });
+  try {
+    let result;
+    if (format) {
+      result = await format.extract(buffer, { onProgress, signal });
+    } else if (isProbablyText(buffer)) {
+      // Unknown formats are accepted only if they are plain text; decoding a
+      // binary file as text would only feed garbage to the model
+      result = { text: decodeText(buffer) };
+    } else {
+      throw appError('UNSUPPORTED_TYPE', `Unsupported file type: ${mimetype || 'unknown'} (${ext || 'no extension'}) is a binary format that cannot be read. Supported formats: ${SUPPORTED_FORMATS}`);
+    }
+    endTimer({ outcome: 'success' });
+    return result;
+  } catch (error) {
+    if (signal?.aborted) {
+      endTimer({ outcome: 'cancelled' });
+      throw error;
+    }
+    endTimer({ outcome: 'error' });
+    // Files without text and of unsupported types keep their codes; any
+    // other failure means the file could not be read
+    const code = ERROR_CODES[error.code] ? error.code : 'EXTRACTION_FAILED';
+    errors.inc({ type: code });
+    log.warn('Text extraction failed', { extension: ext || null, code, error });
+    throw appError(code, 'Failed to extract text from file: ' + error.message, { cause: error });
+  }
+}
+
+// Whether the extractors with dependencies that load or start lazily can
+// run: pdf-parse for PDFs, and OCR for scans and photos. The others are
+// plain JavaScript loaded with this module. Returns { ready, pdf, ocr },
+// each part with { ready } and the `error` that keeps it from being ready.
+export async function checkExtractors() {
+  const pdf = await import('pdf-parse').then(() => ({ ready: true }), error => ({ ready: false, error: error.message }));
+  const ocr = await ocrStatus();
+  return { ready: pdf.ready && ocr.ready, pdf, ocr };
+}
+
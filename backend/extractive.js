@@ -0,0 +1,335 @@
+import { tokenize } from './retrieval.js';
+import { SUMMARY_SECTIONS } from './summarySchema.js';
+
+// Extractive summarizer: builds the same structured summary as the model,
+// but only from sentences and phrases found in the text, with no network
+// access. Sentences are ranked with TextRank over their TF-IDF vectors; the
+// best ones make up the summary and important points, repeated keyphrases
+// the main topics, and definition-like sentences ("X is a ...") the key
+// concepts. Items cite the passages they were taken from.
+
+// Items per section at each summary length
+const SIZES = {
+  brief: { topics: 3, concepts: 3, points: 3, sentences: 3, formulas: 3, events: 5, tips: 2 },
+  standard: { topics: 5, concepts: 6, points: 6, sentences: 5, formulas: 6, events: 10, tips: 3 },
+  detailed: { topics: 8, concepts: 10, points: 10, sentences: 10, formulas: 10, events: 20, tips: 4 }
+};
+
+// TextRank compares every pair of sentences, so only this many of the best
+// sentences by TF-IDF weight are ranked
+const MAX_RANKED_SENTENCES = 600;
+const DAMPING = 0.85;
+const RANK_ITERATIONS = 30;
+
+const MIN_SENTENCE_LENGTH = 15;
+const MAX_SENTENCE_LENGTH = 500;
+const MAX_PHRASE_WORDS = 3;
+const MAX_TERM_WORDS = 5;
+
+// Words too vague to be a main topic on their own
+const GENERIC_WORDS = new Set(tokenize('process type kind part way example use result thing case form level number amount time step'));
+
+// Words a defined term cannot start with ("This is a ..." defines nothing)
+const NOT_A_TERM = /^(?:this|that|these|those|it|its|there|here|they|he|she|we|you|i|which|what|who|each|some|many|most|one|such|another|other|both|all)\b/i;
+
+// Nor can a definition ("History: In 1779 ..." defines nothing either)
+const NOT_A_DEFINITION = /^(?:in|on|at|for|to|from|during|when|after|before|because|if|as|by|with|and|but|or)\b/i;
+
+const DEFINITION_PATTERNS = [
+  /^(?<term>[^,;:]{2,60}?)\s+(?:is|are)\s+(?:defined as|known as|called|described as)\s+(?<definition>.+)$/i,
+  /^(?<term>[^,;:]{2,60}?)\s+(?:refers? to|means)\s+(?<definition>.+)$/i,
+  /^(?<term>[^,;:]{2,60}?)\s+(?:is|are)\s+(?<definition>(?:an?|the|one|any)\s.+)$/i,
+  /^(?<term>[^,;:.]{2,60}?)\s*(?::|\s[-–—]\s)\s*(?<definition>.{10,})$/
+];
+
+const EQUATION = /[^,;:]*[\p{L}\p{N})\]²³]\s*=\s*[\p{L}\p{N}(\-√][^,;]*/u;
+const DATE = /\b(?<month>(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+(?:\d{1,2},?\s+)?)?(?<year>\d{3,4})s?(?:\s*(?<era>BCE?|CE|AD))?\b/i;
+
+const capitalize = text => text.charAt(0).toUpperCase() + text.slice(1);
+
+// Sentences of the text with the passage each comes from, bullets and
+// surrounding whitespace removed: [{ text, passage, index }]. Devanagari
+// sentences end with a danda (।).
+function splitSentences(text, passages) {
+  const sentences = [];
+  for (const passage of passages) {
+    const passageText = text.slice(passage.start, passage.end);
+    for (const match of passageText.matchAll(/[^.!?।॥\n]+(?:[.!?।॥]+["')\]]*|\n|$)/g)) {
+      const sentence = match[0].replace(/^\s*(?:[•\-*]|\d+[.)])\s+/, '').replace(/\s+/g, ' ').trim();
+      if (sentence.length >= MIN_SENTENCE_LENGTH && sentence.length <= MAX_SENTENCE_LENGTH && tokenize(sentence).length >= 3) {
+        sentences.push({ text: sentence, passage: passage.id, index: sentences.length });
+      }
+    }
+  }
+  return sentences;
+}
+
+// TF-IDF vector of every sentence, as a Map of term to weight
+function weighTerms(sentences) {
+  const counts = sentences.map(sentence => {
+    const terms = new Map();
+    for (const term of tokenize(sentence.text)) {
+      terms.set(term, (terms.get(term) || 0) + 1);
+    }
+    return terms;
+  });
+
+  const documentFrequency = new Map();
+  for (const terms of counts) {
+    for (const term of terms.keys()) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+  }
+
+  return counts.map(terms => {
+    const vector = new Map();
+    for (const [term, count] of terms) {
+      vector.set(term, count * Math.log(1 + sentences.length / documentFrequency.get(term)));
+    }
+    return vector;
+  });
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  for (const [term, weight] of a) {
+    dot += weight * (b.get(term) || 0);
+  }
+  return dot && dot / (norm(a) * norm(b));
+}
+
+const norm = vector => Math.sqrt([...vector.values()].reduce((sum, weight) => sum + weight * weight, 0));
+
+// Score sentences with TextRank: PageRank over the graph of sentences,
+// linked by the similarity of their TF-IDF vectors. Sets `score` on each
+// sentence (0 for those not ranked) and returns them best first.
+function rankSentences(sentences) {
+  const vectors = weighTerms(sentences);
+  const weight = index => [...vectors[index].values()].reduce((sum, value) => sum + value, 0) / Math.sqrt(vectors[index].size || 1);
+  const ranked = sentences
+    .map((sentence, index) => ({ sentence, vector: vectors[index], weight: weight(index) }))
+    .sort((a, b) => b.weight - a.weight)
+    .slice(0, MAX_RANKED_SENTENCES);
+
+  const count = ranked.length;
+  const similarities = ranked.map(() => new Float64Array(count));
+  for (let i = 0; i < count; i++) {
+    for (let j = i + 1; j < count; j++) {
+      similarities[i][j] = similarities[j][i] = cosine(ranked[i].vector, ranked[j].vector);
+    }
+  }
+  const totals = similarities.map(row => row.reduce((sum, value) => sum + value, 0));
+
+  let scores = new Float64Array(count).fill(1);
+  for (let iteration = 0; iteration < RANK_ITERATIONS; iteration++) {
+    const next = new Float64Array(count);
+    for (let i = 0; i < count; i++) {
+      let sum = 0;
+      for (let j = 0; j < count; j++) {
+        if (totals[j]) sum += (similarities[j][i] / totals[j]) * scores[j];
+      }
+      next[i] = 1 - DAMPING + DAMPING * sum;
+    }
+    scores = next;
+  }
+
+  sentences.forEach(sentence => { sentence.score = 0; });
+  ranked.forEach((item, index) => { item.sentence.score = scores[index]; });
+  return ranked.map(item => item.sentence).sort((a, b) => b.score - a.score);
+}
+
+// Keyphrases: runs of up to MAX_PHRASE_WORDS words that are not stopwords
+// and not broken by punctuation, scored by how often they occur (longer
+// phrases count for more) and by the rank of the sentences they occur in.
+// Returns [{ text, stems, sentences }] best first.
+function extractKeyphrases(sentences) {
+  const phrases = new Map();
+  const add = (words, sentence) => {
+    if (!words.length || words.every(word => /^\d+$/.test(word.text))) return;
+    const key = words.map(word => word.stem).join(' ');
+    const phrase = phrases.get(key) || { stems: words.map(word => word.stem), forms: new Map(), sentences: [], score: 0 };
+    const form = words.map(word => word.text).join(' ');
+    phrase.forms.set(form, (phrase.forms.get(form) || 0) + 1);
+    if (!phrase.sentences.includes(sentence)) phrase.sentences.push(sentence);
+    phrase.score += Math.sqrt(words.length) * (1 + sentence.score);
+    phrases.set(key, phrase);
+  };
+
+  for (const sentence of sentences) {
+    let run = [];
+    let end = 0;
+    for (const match of sentence.text.matchAll(/[\p{L}\p{N}][\p{L}\p{M}\p{N}'’-]*/gu)) {
+      const [stem] = tokenize(match[0]);
+      const joined = /^[\s-]*$/.test(sentence.text.slice(end, match.index));
+      if (!stem || !joined || run.length === MAX_PHRASE_WORDS) {
+        add(run, sentence);
+        run = [];
+      }
+      if (stem) run.push({ text: match[0], stem });
+      end = match.index + match[0].length;
+    }
+    add(run, sentence);
+  }
+
+  const candidates = [...phrases.values()];
+  const repeated = candidates.filter(phrase => phrase.sentences.length > 1);
+  return (repeated.length ? repeated : candidates)
+    .sort((a, b) => b.score - a.score)
+    .map(phrase => ({
+      // The most common spelling, e.g. "DNA" rather than "dna"
+      text: [...phrase.forms].sort((a, b) => b[1] - a[1])[0][0],
+      stems: phrase.stems,
+      sentences: phrase.sentences
+    }));
+}
+
+// The best keyphrases that do not repeat each other's words
+function mainTopics(phrases, count) {
+  const topics = [];
+  for (const phrase of phrases) {
+    if (topics.length >= count) break;
+    if (phrase.stems.length === 1 && GENERIC_WORDS.has(phrase.stems[0])) continue;
+    const overlaps = topics.some(topic => phrase.stems.every(stem => topic.stems.includes(stem))
+      || topic.stems.every(stem => phrase.stems.includes(stem)));
+    if (!overlaps) topics.push(phrase);
+  }
+  return topics;
+}
+
+// The term and definition of a definition-like sentence, or null
+function matchDefinition(sentence) {
+  for (const pattern of DEFINITION_PATTERNS) {
+    const match = sentence.text.match(pattern);
+    if (!match) continue;
+    const term = match.groups.term.replace(/^(?:an?|the)\s+/i, '').trim();
+    const definition = match.groups.definition.trim();
+    if (term.split(/\s+/).length > MAX_TERM_WORDS || NOT_A_TERM.test(term) || NOT_A_DEFINITION.test(definition)
+      || !tokenize(term).length || EQUATION.test(term)) {
+      continue;
+    }
+    return { term: capitalize(term), definition: capitalize(definition) };
+  }
+  return null;
+}
+
+// Definition-like sentences, preferring terms that are keyphrases and
+// sentences that rank well, one per term, in document order
+function keyConcepts(sentences, phrases, count) {
+  const keyphrases = new Set(phrases.slice(0, 20).map(phrase => phrase.stems.join(' ')));
+  const seen = new Set();
+  return sentences
+    .map(sentence => ({ sentence, definition: matchDefinition(sentence) }))
+    .filter(({ definition }) => definition && !EQUATION.test(definition.definition))
+    .map(item => ({ ...item, score: item.sentence.score + (keyphrases.has(tokenize(item.definition.term).join(' ')) ? 1 : 0) }))
+    .sort((a, b) => b.score - a.score)
+    .filter(({ definition }) => {
+      const key = definition.term.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, count)
+    .sort((a, b) => a.sentence.index - b.sentence.index)
+    .map(({ sentence, definition }) => ({ ...definition, refs: [sentence.passage] }));
+}
+
+// Sentences containing an equation. "Name: a = b" gives the name as the
+// term; otherwise the equation is the term, explained by its sentence or,
+// when it stands alone, the sentence before it.
+function formulas(sentences, count) {
+  return sentences
+    .filter(sentence => EQUATION.test(sentence.text) && !/https?:|==/.test(sentence.text))
+    .slice(0, count)
+    .map(sentence => {
+      const labelled = sentence.text.match(/^(?<term>[^=:]{2,60}):\s*(?<definition>[^:]*=.*)$/);
+      if (labelled) {
+        return { term: labelled.groups.term.trim(), definition: labelled.groups.definition.trim(), refs: [sentence.passage] };
+      }
+      const equation = sentence.text.match(EQUATION)[0].trim();
+      const context = equation === sentence.text.replace(/[.!?]$/, '') ? sentences[sentence.index - 1]?.text : sentence.text;
+      return context && { term: equation, definition: context, refs: [sentence.passage] };
+    })
+    .filter(Boolean);
+}
+
+// Year of a date match for sorting; BC years count backwards
+const yearOf = match => Number(match.groups.year) * (/^BC/i.test(match.groups.era || '') ? -1 : 1);
+
+// Numbers that are dates: with a month or era, or plausible years at the
+// start of the sentence or after words like "in" ("1500 stomata" is not)
+function isDate(match, text) {
+  const { month, era, year } = match.groups;
+  if (month || era) return true;
+  return year.length === 4 && year >= 1000 && year <= 2100
+    && (match.index === 0 || /\b(?:in|since|by|until|from|around|circa|c\.|during|before|after|early|late|mid)[\s-]*$/i.test(text.slice(0, match.index)));
+}
+
+// Sentences with a date (a year, optionally with month and day), in
+// chronological order
+function timeline(sentences, count) {
+  return sentences
+    .map(sentence => ({ sentence, match: sentence.text.match(DATE) }))
+    .filter(({ sentence, match }) => match && isDate(match, sentence.text))
+    .sort((a, b) => b.sentence.score - a.sentence.score)
+    .slice(0, count)
+    .sort((a, b) => yearOf(a.match) - yearOf(b.match))
+    .map(({ sentence, match }) => ({ term: match[0], definition: sentence.text, refs: [sentence.passage] }));
+}
+
+// Generic study tips built around the topics and concepts found, since an
+// extractive summary cannot write advice of its own
+function studyTips({ topics, concepts, formulas: formulaItems, events }, count) {
+  const tips = [];
+  concepts.slice(0, 2).forEach(concept => tips.push({ text: `Explain "${concept.term}" in your own words without looking at the notes`, refs: concept.refs }));
+  if (topics.length > 1) {
+    tips.push({ text: `Describe how ${topics[0].text} relates to ${topics[1].text}`, refs: [] });
+  }
+  if (formulaItems.length) {
+    tips.push({ text: 'Write out each formula from memory and say what every symbol means', refs: [] });
+  }
+  if (events.length > 1) {
+    tips.push({ text: 'Put the events of the timeline in order from memory', refs: [] });
+  }
+  tips.push({ text: 'Reread the passages the important points come from, then test yourself on them', refs: [] });
+  return tips.slice(0, count);
+}
+
+// Build a structured summary of the text with the sections chosen in
+// summaryOptions, citing `passages` (see citations.js)
+export function extractiveSummary(text, passages, { length, sections }) {
+  const size = SIZES[length] || SIZES.standard;
+  const sentences = splitSentences(text, passages);
+  const ranked = rankSentences(sentences);
+  const phrases = extractKeyphrases(sentences);
+
+  const inDocumentOrder = list => [...list].sort((a, b) => a.index - b.index);
+  const summarySentences = inDocumentOrder(ranked.slice(0, size.sentences));
+  const pointSentences = inDocumentOrder(ranked.slice(size.sentences, size.sentences + size.points));
+
+  const topics = mainTopics(phrases, size.topics);
+  const found = {
+    topics,
+    concepts: keyConcepts(sentences, phrases, size.concepts),
+    formulas: formulas(sentences, size.formulas),
+    events: timeline(sentences, size.events)
+  };
+
+  const values = {
+    mainTopics: () => topics.map(topic => ({
+      text: capitalize(topic.text),
+      refs: [...new Set(inDocumentOrder(topic.sentences).slice(0, 2).map(sentence => sentence.passage))]
+    })),
+    keyConcepts: () => found.concepts,
+    formulas: () => found.formulas,
+    importantPoints: () => pointSentences.map(sentence => ({ text: sentence.text, refs: [sentence.passage] })),
+    timeline: () => found.events,
+    summary: () => (summarySentences.length
+      ? summarySentences.map(sentence => sentence.text).join(' ')
+      : text.replace(/\s+/g, ' ').trim().slice(0, MAX_SENTENCE_LENGTH)),
+    studyTips: () => studyTips(found, size.tips)
+  };
+
+  return Object.fromEntries(SUMMARY_SECTIONS
+    .filter(section => section.required || sections.includes(section.key))
+    .map(section => [section.key, values[section.key]()]));
+}
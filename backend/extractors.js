@@ -0,0 +1,386 @@
+import JSZip from 'jszip';
+import path from 'path';
+import { parseDocument, DomUtils } from 'htmlparser2';
+import { appError } from './errors.js';
+
+// Text extractors for slide decks (.pptx), e-books (.epub), web pages
+// (.html), OpenDocument text (.odt) and RTF. Each resolves to { text } and
+// throws when the document holds no text.
+
+// Decode a text file, honouring a UTF-8 or UTF-16 byte order mark
+export function decodeText(buffer) {
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+    return new TextDecoder('utf-16le').decode(buffer.subarray(2));
+  }
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+    return new TextDecoder('utf-16be').decode(buffer.subarray(2));
+  }
+  return new TextDecoder('utf-8').decode(buffer); // Drops a UTF-8 BOM
+}
+
+// Whether a file looks like text rather than binary data: a UTF-16 BOM, or
+// valid UTF-8 without NUL bytes and with almost no other control characters
+export function isProbablyText(buffer) {
+  if ((buffer[0] === 0xff && buffer[1] === 0xfe) || (buffer[0] === 0xfe && buffer[1] === 0xff)) {
+    return true;
+  }
+
+  const sample = buffer.subarray(0, 64 * 1024);
+  if (sample.includes(0)) {
+    return false;
+  }
+
+  let text;
+  try {
+    // stream: true so a character cut off at the end of the sample is not an error
+    text = new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+  } catch (error) {
+    return false;
+  }
+  const controlCharacters = (text.match(/[\x01-\x08\x0B\x0E-\x1F\x7F]/g) || []).length;
+  return controlCharacters <= text.length * 0.01;
+}
+
+function requireText(text, description) {
+  const trimmed = text.replace(/\n{3,}/g, '\n\n').trim();
+  if (!trimmed) {
+    throw appError('NO_TEXT_FOUND', `No text found in ${description}`);
+  }
+  return { text: trimmed };
+}
+
+// ---- Zip-based formats ----
+
+const localName = name => name.split(':').pop();
+
+function findElements(root, name) {
+  return DomUtils.findAll(element => localName(element.name) === name, root.children);
+}
+
+// Most a zip-based document may inflate to, over all the entries read from
+// it, so a small upload cannot expand to fill memory (a zip bomb)
+const MAX_INFLATED_SIZE = 50 * 1024 * 1024;
+
+// Bytes each open zip may still inflate
+const inflateBudgets = new WeakMap();
+
+async function loadZip(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  inflateBudgets.set(zip, MAX_INFLATED_SIZE);
+  return zip;
+}
+
+// Inflate an entry as text, or null when the zip has no such entry. The
+// sizes in a zip's headers can lie, so inflated bytes are counted as they
+// come and inflating stops once the zip's budget is spent.
+function readZipEntry(zip, name) {
+  const file = zip.file(name);
+  if (!file) {
+    return Promise.resolve(null);
+  }
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    const stream = file.internalStream('uint8array');
+    stream
+      .on('data', chunk => {
+        const left = inflateBudgets.get(zip) - chunk.length;
+        inflateBudgets.set(zip, left);
+        if (left < 0) {
+          stream.pause();
+          reject(appError('EXTRACTION_FAILED', `Document is larger than ${MAX_INFLATED_SIZE / 1024 / 1024} MB once uncompressed`));
+          return;
+        }
+        chunks.push(chunk);
+      })
+      .on('error', reject)
+      .on('end', () => resolve(decodeText(Buffer.concat(chunks))))
+      .resume();
+  });
+}
+
+async function readXml(zip, name) {
+  const xml = await readZipEntry(zip, name);
+  return xml === null ? null : parseDocument(xml, { xmlMode: true });
+}
+
+// Resolve a path inside the zip relative to the part that refers to it
+function resolvePart(fromPart, target) {
+  const decoded = decodeURIComponent(target.split('#')[0]);
+  return decoded.startsWith('/')
+    ? decoded.substring(1)
+    : path.posix.normalize(path.posix.join(path.posix.dirname(fromPart), decoded));
+}
+
+// Office Open XML relationships of a part: Map of id -> { target, type }
+async function readRelationships(zip, part) {
+  const relsPath = path.posix.join(path.posix.dirname(part), '_rels', `${path.posix.basename(part)}.rels`);
+  const rels = await readXml(zip, relsPath);
+  const map = new Map();
+  if (rels) {
+    for (const rel of findElements(rels, 'Relationship')) {
+      map.set(rel.attribs.Id, { target: resolvePart(part, rel.attribs.Target), type: rel.attribs.Type || '' });
+    }
+  }
+  return map;
+}
+
+// Text of DrawingML paragraphs (<a:p>), one line each
+function drawingParagraphs(root) {
+  return findElements(root, 'p')
+    .filter(paragraph => paragraph.name === 'a:p')
+    .map(paragraph => DomUtils.findAll(node => node.name === 'a:t' || node.name === 'a:br', paragraph.children)
+      .map(node => (node.name === 'a:br' ? '\n' : DomUtils.textContent(node)))
+      .join('')
+      .trim())
+    .filter(Boolean);
+}
+
+// Slides in presentation order, each followed by its speaker notes
+export async function extractTextFromPowerPoint(buffer) {
+  const zip = await loadZip(buffer);
+  const presentation = await readXml(zip, 'ppt/presentation.xml');
+  if (!presentation) {
+    throw new Error('Not a PowerPoint presentation (ppt/presentation.xml is missing)');
+  }
+
+  const relationships = await readRelationships(zip, 'ppt/presentation.xml');
+  const slideParts = findElements(presentation, 'sldId')
+    .map(slide => relationships.get(slide.attribs['r:id'])?.target)
+    .filter(Boolean);
+
+  const slides = [];
+  for (const [index, part] of slideParts.entries()) {
+    const slide = await readXml(zip, part);
+    if (!slide) continue;
+
+    const lines = [`Slide ${index + 1}`, ...drawingParagraphs(slide)];
+
+    // Speaker notes are the body placeholder of the slide's notes page; the
+    // rest of that page is a slide thumbnail and the slide number
+    const notesRel = [...(await readRelationships(zip, part)).values()].find(rel => rel.type.endsWith('/notesSlide'));
+    const notes = notesRel && await readXml(zip, notesRel.target);
+    if (notes) {
+      const bodies = findElements(notes, 'sp').filter(shape => findElements(shape, 'ph').some(ph => ph.attribs.type === 'body'));
+      const noteLines = bodies.flatMap(drawingParagraphs);
+      if (noteLines.length) {
+        lines.push('Speaker notes:', ...noteLines);
+      }
+    }
+
+    slides.push(lines.join('\n'));
+  }
+
+  return requireText(slides.join('\n\n'), 'presentation');
+}
+
+// Inline text of an OpenDocument paragraph or heading
+function odfInlineText(node) {
+  if (node.type === 'text') {
+    return node.data;
+  }
+  switch (node.name) {
+    case 'text:s':
+      return ' '.repeat(Number(node.attribs['text:c']) || 1);
+    case 'text:tab':
+      return '\t';
+    case 'text:line-break':
+      return '\n';
+    case 'text:note': // Footnotes and endnotes would interrupt the sentence
+    case 'office:annotation':
+      return '';
+    default:
+      return (node.children || []).map(odfInlineText).join('');
+  }
+}
+
+// OpenDocument text: paragraphs and headings in document order, including
+// those inside lists, tables and sections
+export async function extractTextFromOdt(buffer) {
+  const zip = await loadZip(buffer);
+  const content = await readXml(zip, 'content.xml');
+  if (!content) {
+    throw new Error('Not an OpenDocument file (content.xml is missing)');
+  }
+
+  const body = findElements(content, 'text').find(element => element.name === 'office:text');
+  const paragraphs = DomUtils.findAll(element => element.name === 'text:p' || element.name === 'text:h', body ? body.children : [])
+    // Paragraphs of footnotes are found inside the paragraphs they annotate
+    .filter(paragraph => !hasAncestor(paragraph, 'text:note'))
+    .map(paragraph => odfInlineText(paragraph).trim())
+    .filter(Boolean);
+
+  return requireText(paragraphs.join('\n\n'), 'OpenDocument file');
+}
+
+function hasAncestor(node, name) {
+  for (let parent = node.parent; parent; parent = parent.parent) {
+    if (parent.name === name) return true;
+  }
+  return false;
+}
+
+// E-book chapters in reading (spine) order
+export async function extractTextFromEpub(buffer) {
+  const zip = await loadZip(buffer);
+  const container = await readXml(zip, 'META-INF/container.xml');
+  const rootfile = container && findElements(container, 'rootfile')[0]?.attribs['full-path'];
+  const packagePath = rootfile && decodeURIComponent(rootfile);
+  const pkg = packagePath && await readXml(zip, packagePath);
+  if (!pkg) {
+    throw new Error('Not an EPUB book (package document is missing)');
+  }
+
+  const manifest = new Map(findElements(pkg, 'item').map(item => [item.attribs.id, item.attribs.href]));
+  const chapters = [];
+  for (const itemref of findElements(pkg, 'itemref')) {
+    // Non-linear items are auxiliary content such as pop-up notes
+    if (itemref.attribs.linear === 'no') continue;
+    const href = manifest.get(itemref.attribs.idref);
+    const html = href && await readZipEntry(zip, resolvePart(packagePath, href));
+    if (html) {
+      const text = htmlToText(html);
+      if (text) chapters.push(text);
+    }
+  }
+
+  return requireText(chapters.join('\n\n'), 'e-book');
+}
+
+// ---- HTML ----
+
+// Elements whose content is not part of the readable text
+const SKIPPED_ELEMENTS = new Set([
+  'head', 'script', 'style', 'noscript', 'template', 'svg', 'canvas', 'iframe', 'object', 'nav', 'button', 'select'
+]);
+
+// Elements that start and end a line of text
+const BLOCK_ELEMENTS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'dd', 'details', 'div', 'dl', 'dt', 'figcaption', 'figure',
+  'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'ol', 'p', 'pre',
+  'section', 'summary', 'table', 'tr', 'ul'
+]);
+
+// Readable text of an HTML document, one block element per paragraph
+export function htmlToText(html) {
+  const blocks = [];
+  let line = '';
+
+  const flush = () => {
+    const text = line.replace(/\s+/g, ' ').trim();
+    if (text) blocks.push(text);
+    line = '';
+  };
+
+  const walk = node => {
+    if (node.type === 'text') {
+      line += node.data;
+      return;
+    }
+    if (!node.children) {
+      return; // Comments and directives
+    }
+
+    const name = node.name?.toLowerCase();
+    if (SKIPPED_ELEMENTS.has(name)) {
+      return;
+    }
+    if (name === 'br') {
+      flush();
+      return;
+    }
+
+    const block = BLOCK_ELEMENTS.has(name);
+    if (block) flush();
+    if (name === 'li') line += '• ';
+    node.children.forEach(walk);
+    if (block) flush();
+    else if (name === 'td' || name === 'th') line += ' ';
+  };
+
+  walk(parseDocument(html));
+  flush();
+  return blocks.join('\n\n');
+}
+
+export async function extractTextFromHtml(buffer) {
+  return requireText(htmlToText(decodeText(buffer)), 'web page');
+}
+
+// ---- RTF ----
+
+// Groups holding metadata, fonts, styles or embedded objects rather than text
+const RTF_SKIPPED_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'header', 'headerl', 'headerr', 'headerf',
+  'footer', 'footerl', 'footerr', 'footerf', 'listtable', 'listoverridetable', 'rsidtbl', 'filetbl', 'revtbl',
+  'themedata', 'colorschememapping', 'latentstyles', 'datastore', 'xmlnstbl', 'generator', 'fldinst'
+]);
+
+const RTF_CHARACTERS = {
+  par: '\n', line: '\n', sect: '\n\n', page: '\n\n', row: '\n', cell: ' ', tab: '\t',
+  emdash: '—', endash: '–', bullet: '•', lquote: '‘', rquote: '’', ldblquote: '“', rdblquote: '”'
+};
+
+// Plain text of an RTF document. Characters outside ASCII are read from
+// \uN escapes, or as Windows-1252 bytes from \'hh escapes.
+export function rtfToText(rtf) {
+  const windows1252 = new TextDecoder('windows-1252');
+  const stack = [];
+  let skip = false;
+  let unicodeSkip = 1; // Fallback characters that follow each \uN
+  let pendingSkip = 0;
+  let text = '';
+
+  const tokens = /\\([a-z]+)(-?\d+)? ?|\\'([0-9a-f]{2})|\\([^a-z])|([{}])|[\r\n]+|([^\\{}\r\n]+)/gi;
+  for (const [, word, param, hex, symbol, brace, plain] of rtf.matchAll(tokens)) {
+    if (brace === '{') {
+      stack.push({ skip, unicodeSkip });
+    } else if (brace === '}') {
+      ({ skip, unicodeSkip } = stack.pop() || { skip: false, unicodeSkip: 1 });
+      pendingSkip = 0;
+    } else if (skip) {
+      continue;
+    } else if (word) {
+      if (RTF_SKIPPED_DESTINATIONS.has(word)) {
+        skip = true;
+      } else if (word === 'u') {
+        const code = Number(param);
+        text += String.fromCharCode(code < 0 ? code + 65536 : code);
+        pendingSkip = unicodeSkip;
+      } else if (word === 'uc') {
+        unicodeSkip = Number(param) || 0;
+      } else if (RTF_CHARACTERS[word]) {
+        text += RTF_CHARACTERS[word];
+      }
+    } else if (hex) {
+      if (pendingSkip > 0) {
+        pendingSkip--;
+      } else {
+        text += windows1252.decode(Uint8Array.of(parseInt(hex, 16)));
+      }
+    } else if (symbol) {
+      if (symbol === '*') {
+        skip = true; // Optional destination this reader does not understand
+      } else if (symbol === '~') {
+        text += ' ';
+      } else if (symbol === '_') {
+        text += '-';
+      } else if ('\\{}'.includes(symbol)) {
+        text += symbol;
+      }
+    } else if (plain) {
+      const skipped = Math.min(pendingSkip, plain.length);
+      pendingSkip -= skipped;
+      text += plain.substring(skipped);
+    }
+  }
+
+  return text.replace(/[ \t]+\n/g, '\n');
+}
+
+export async function extractTextFromRtf(buffer) {
+  const rtf = buffer.toString('latin1');
+  if (!rtf.startsWith('{\\rtf')) {
+    throw new Error('Not an RTF document');
+  }
+  return requireText(rtfToText(rtf), 'RTF document');
+}
@@ -0,0 +1,151 @@
+import { stripMarkdown } from './summarySchema.js';
+
+// Flashcard schema, options, validation and Anki/CSV export
+
+export const CARD_TYPES = ['term', 'qa'];
+export const MAX_CARDS = 100;
+const DEFAULT_CARDS = 20;
+
+export const FLASHCARDS_JSON_FORMAT = `{
+  "cards": [
+    { "type": "term", "front": "a term or concept", "back": "its definition in one or two sentences" },
+    { "type": "qa", "front": "a question about the material", "back": "the answer in one or two sentences" }
+  ]
+}`;
+
+// Validate flashcard options from a request body, applying defaults. Returns
+// { options, error }. Multipart forms send keyConcepts as a JSON string.
+export function parseFlashcardOptions(body = {}) {
+  const count = body.count === undefined || body.count === '' ? DEFAULT_CARDS : Number(body.count);
+  if (!Number.isInteger(count) || count < 1 || count > MAX_CARDS) {
+    return { error: `Card count must be a whole number between 1 and ${MAX_CARDS}` };
+  }
+
+  let keyConcepts = body.keyConcepts || [];
+  if (typeof keyConcepts === 'string') {
+    try {
+      keyConcepts = JSON.parse(keyConcepts);
+    } catch (error) {
+      return { error: 'keyConcepts must be a JSON array' };
+    }
+  }
+  if (!Array.isArray(keyConcepts)) {
+    return { error: 'keyConcepts must be an array of { term, definition }' };
+  }
+
+  return { options: { count, keyConcepts } };
+}
+
+// Build the prompt for one part of the document. Terms already covered by
+// seed cards are listed so the model does not repeat them.
+export function buildFlashcardsPrompt(text, { count }, existingFronts = [], partNote = '') {
+  const existing = existingFronts.length
+    ? `\nThese cards already exist, do not repeat them:\n${existingFronts.map(front => `- ${front}`).join('\n')}\n`
+    : '';
+
+  return `
+Create study flashcards from the following notes. Write exactly ${count} card${count === 1 ? '' : 's'}, mixing "term" cards (a term on the front, its definition on the back) and "qa" cards (a question on the front, its answer on the back). Cover the important material throughout the notes, not just the beginning. Keep each side short enough to review in a few seconds.
+${partNote}${existing}
+Return a JSON object with exactly this structure:
+
+${FLASHCARDS_JSON_FORMAT}
+
+Rules:
+- Respond with ONLY the JSON object, no code fences or commentary
+- Use plain text in all strings, NO formatting symbols like ** __ ### etc.
+
+Notes:
+${text}
+  `;
+}
+
+function cleanString(value) {
+  return typeof value === 'string' ? stripMarkdown(value).replace(/\s+/g, ' ').trim() : '';
+}
+
+// Validate parsed model output. Returns { value, errors } where value is the
+// list of cards, trimmed to the requested count.
+export function validateFlashcards(data, { count }) {
+  const list = Array.isArray(data) ? data : data?.cards;
+  if (!Array.isArray(list) || !list.length) {
+    return { value: null, errors: ['Output must contain a non-empty "cards" array'] };
+  }
+
+  const cards = [];
+  const errors = [];
+  list.forEach((raw, index) => {
+    const front = cleanString(raw?.front ?? raw?.question ?? raw?.term);
+    const back = cleanString(raw?.back ?? raw?.answer ?? raw?.definition);
+    if (!front || !back) {
+      errors.push(`Card ${index + 1} needs a non-empty "front" and "back"`);
+      return;
+    }
+    const type = CARD_TYPES.includes(raw.type) ? raw.type : (front.endsWith('?') ? 'qa' : 'term');
+    cards.push({ type, front, back });
+  });
+
+  return { value: errors.length ? null : cards.slice(0, count), errors };
+}
+
+// Turn summary key concepts into term cards
+export function cardsFromKeyConcepts(keyConcepts) {
+  return keyConcepts
+    .filter(concept => concept && typeof concept.term === 'string' && typeof concept.definition === 'string')
+    .map(concept => ({ type: 'term', front: cleanString(concept.term), back: cleanString(concept.definition) }))
+    .filter(card => card.front && card.back);
+}
+
+// Drop cards whose front repeats an earlier card, ignoring case and punctuation
+export function dedupeCards(cards) {
+  const seen = new Set();
+  return cards.filter(card => {
+    const key = card.front.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
+// Anki's plain text import: tab-separated front, back and tags, with header
+// lines telling Anki how to read the file
+function toAnkiTsv(cards) {
+  const field = value => value.replace(/[\t\r\n]+/g, ' ');
+  const lines = [
+    '#separator:tab',
+    '#html:false',
+    '#tags column:3',
+    ...cards.map(card => [field(card.front), field(card.back), `notes-simplifier ${card.type}`].join('\t'))
+  ];
+  return lines.join('\n') + '\n';
+}
+
+// RFC 4180 CSV with a header row
+function toCsv(cards) {
+  const field = value => (/[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+  const lines = [
+    'front,back,type',
+    ...cards.map(card => [card.front, card.back, card.type].map(field).join(','))
+  ];
+  return lines.join('\r\n') + '\r\n';
+}
+
+export const FLASHCARD_EXPORT_FORMATS = {
+  anki: { render: toAnkiTsv, contentType: 'text/tab-separated-values; charset=utf-8', extension: 'txt' },
+  csv: { render: toCsv, contentType: 'text/csv; charset=utf-8', extension: 'csv' }
+};
+
+// Export cards in the requested format
+export function exportFlashcards(cards, format) {
+  const exporter = FLASHCARD_EXPORT_FORMATS[format];
+  if (!exporter) {
+    throw new Error(`Unsupported flashcard export format: ${format}. Supported formats: ${Object.keys(FLASHCARD_EXPORT_FORMATS).join(', ')}`);
+  }
+
+  return {
+    buffer: Buffer.from(exporter.render(cards), 'utf-8'),
+    contentType: exporter.contentType,
+    filename: `flashcards.${exporter.extension}`
+  };
+}
@@ -0,0 +1,135 @@
+import { randomUUID } from 'crypto';
+import { AsyncResource } from 'async_hooks';
+import { log } from './logger.js';
+import { errorCode } from './errors.js';
+
+// In-memory background job queue. Work is run by task({ signal, onProgress })
+// with at most `concurrency` tasks in flight; the rest wait in FIFO order.
+// Finished jobs are kept for `ttlMs` so clients can collect the result, then
+// forgotten. Jobs do not survive a server restart. Tasks run in the async
+// context they were queued from, so their logs carry that request's ID.
+// Each job belongs to the `owner` it was created for (an API key id) and is
+// only found by that owner.
+
+export const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+
+const FINISHED = new Set(['completed', 'failed', 'cancelled']);
+
+export function createJobQueue({ concurrency = 2, maxQueued = 20, ttlMs = 60 * 60 * 1000 } = {}) {
+  const jobs = new Map();
+  const pending = [];
+  let running = 0;
+
+  const expire = job => {
+    const timer = setTimeout(() => jobs.delete(job.id), ttlMs);
+    timer.unref?.();
+  };
+
+  const finish = (job, status, fields = {}) => {
+    if (FINISHED.has(job.status)) {
+      return;
+    }
+    Object.assign(job, fields, { status, finishedAt: new Date().toISOString() });
+    // Drop the task so the uploaded file it holds can be garbage collected
+    job.task = null;
+    expire(job);
+  };
+
+  const startNext = () => {
+    while (running < concurrency && pending.length) {
+      run(pending.shift());
+    }
+  };
+
+  const run = async job => {
+    running++;
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+
+    try {
+      const result = await job.task({
+        signal: job.controller.signal,
+        onProgress: progress => {
+          if (job.status === 'running') job.progress = progress;
+        }
+      });
+      finish(job, 'completed', { result, progress: { phase: 'completed', message: 'Done' } });
+    } catch (error) {
+      // A cancelled job is already marked; its abort error is not a failure
+      if (job.status === 'running') {
+        log.error('Job failed', { jobId: job.id, error });
+      }
+      finish(job, 'failed', { error: error.message, errorCode: errorCode(error) });
+    } finally {
+      running--;
+      startNext();
+    }
+  };
+
+  return {
+    // Queue a task. Returns the job, or null when the queue is full.
+    create(task, meta = {}, owner = null) {
+      if (pending.length >= maxQueued) {
+        return null;
+      }
+
+      const job = {
+        id: randomUUID(),
+        status: 'queued',
+        progress: { phase: 'queued', message: 'Waiting to start' },
+        result: null,
+        error: null,
+        errorCode: null,
+        meta,
+        owner,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        task: AsyncResource.bind(task),
+        controller: new AbortController()
+      };
+      jobs.set(job.id, job);
+      pending.push(job);
+      startNext();
+      return job;
+    },
+
+    // The job, or null when there is none of that owner's
+    get(id, owner = null) {
+      const job = jobs.get(id);
+      return job && job.owner === owner ? job : null;
+    },
+
+    // Cancel a queued or running job. Returns false if it already finished.
+    cancel(id) {
+      const job = jobs.get(id);
+      if (!job || FINISHED.has(job.status)) {
+        return false;
+      }
+      const index = pending.indexOf(job);
+      if (index !== -1) pending.splice(index, 1);
+      finish(job, 'cancelled', { progress: { phase: 'cancelled', message: 'Cancelled' } });
+      job.controller.abort();
+      return true;
+    },
+
+    stats() {
+      return { running, queued: pending.length, total: jobs.size };
+    }
+  };
+}
+
+// The client-facing view of a job
+export function jobToJson(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    progress: job.progress,
+    ...job.meta,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    ...(job.status === 'completed' && { result: job.result }),
+    ...(job.status === 'failed' && { error: job.error, code: job.errorCode })
+  };
+}
@@ -0,0 +1,153 @@
+import { franc } from 'franc-min';
+
+// Languages summaries can be written in, by ISO 639-1 code: the English name
+// used in prompts, the native name shown to students, franc's ISO 639-3 code,
+// and the localized section headings and export title. Source text in any
+// language franc knows is detected; summaries of text in other languages
+// can be written in any of these.
+export const LANGUAGES = {
+  en: {
+    name: 'English',
+    nativeName: 'English',
+    iso3: 'eng',
+    title: 'Simplified Notes',
+    headings: {
+      mainTopics: 'Main Topics',
+      keyConcepts: 'Key Concepts',
+      formulas: 'Formulas',
+      importantPoints: 'Important Points',
+      timeline: 'Timeline',
+      summary: 'Summary',
+      studyTips: 'Study Tips'
+    }
+  },
+  hi: {
+    name: 'Hindi',
+    nativeName: 'हिन्दी',
+    iso3: 'hin',
+    title: 'सरल नोट्स',
+    headings: {
+      mainTopics: 'मुख्य विषय',
+      keyConcepts: 'प्रमुख अवधारणाएँ',
+      formulas: 'सूत्र',
+      importantPoints: 'महत्वपूर्ण बिंदु',
+      timeline: 'समयरेखा',
+      summary: 'सारांश',
+      studyTips: 'अध्ययन सुझाव'
+    }
+  },
+  kn: {
+    name: 'Kannada',
+    nativeName: 'ಕನ್ನಡ',
+    iso3: 'kan',
+    title: 'ಸರಳೀಕೃತ ಟಿಪ್ಪಣಿಗಳು',
+    headings: {
+      mainTopics: 'ಮುಖ್ಯ ವಿಷಯಗಳು',
+      keyConcepts: 'ಪ್ರಮುಖ ಪರಿಕಲ್ಪನೆಗಳು',
+      formulas: 'ಸೂತ್ರಗಳು',
+      importantPoints: 'ಮುಖ್ಯ ಅಂಶಗಳು',
+      timeline: 'ಕಾಲಾನುಕ್ರಮ',
+      summary: 'ಸಾರಾಂಶ',
+      studyTips: 'ಅಧ್ಯಯನ ಸಲಹೆಗಳು'
+    }
+  },
+  es: {
+    name: 'Spanish',
+    nativeName: 'Español',
+    iso3: 'spa',
+    title: 'Apuntes simplificados',
+    headings: {
+      mainTopics: 'Temas principales',
+      keyConcepts: 'Conceptos clave',
+      formulas: 'Fórmulas',
+      importantPoints: 'Puntos importantes',
+      timeline: 'Cronología',
+      summary: 'Resumen',
+      studyTips: 'Consejos de estudio'
+    }
+  },
+  de: {
+    name: 'German',
+    nativeName: 'Deutsch',
+    iso3: 'deu',
+    title: 'Vereinfachte Notizen',
+    headings: {
+      mainTopics: 'Hauptthemen',
+      keyConcepts: 'Schlüsselbegriffe',
+      formulas: 'Formeln',
+      importantPoints: 'Wichtige Punkte',
+      timeline: 'Zeitleiste',
+      summary: 'Zusammenfassung',
+      studyTips: 'Lerntipps'
+    }
+  },
+  fr: {
+    name: 'French',
+    nativeName: 'Français',
+    iso3: 'fra',
+    title: 'Notes simplifiées',
+    headings: {
+      mainTopics: 'Thèmes principaux',
+      keyConcepts: 'Concepts clés',
+      formulas: 'Formules',
+      importantPoints: 'Points importants',
+      timeline: 'Chronologie',
+      summary: 'Résumé',
+      studyTips: "Conseils d'étude"
+    }
+  }
+};
+
+export const DEFAULT_LANGUAGE = 'en';
+
+// Detection looks at the start of long documents only; trigram statistics
+// settle well before this
+const DETECTION_SAMPLE = 5000;
+
+// Shorter texts are not detected: on a sentence or two franc's guesses are
+// often wrong (short English notes come back as French or Swedish), and a
+// wrong guess would have the summary written in that language
+const DETECTION_MIN_LENGTH = 100;
+
+const ISO1_BY_ISO3 = new Map(Object.entries(LANGUAGES).map(([code, language]) => [language.iso3, code]));
+const displayNames = new Intl.DisplayNames(['en'], { type: 'language' });
+
+// Detect the language of a text. Returns { code, name } with the ISO 639-1
+// code for supported languages and franc's ISO 639-3 code otherwise, or
+// null when the text is too short (under DETECTION_MIN_LENGTH characters)
+// or mixed to tell.
+export function detectLanguage(text) {
+  const iso3 = franc(String(text || '').slice(0, DETECTION_SAMPLE), { minLength: DETECTION_MIN_LENGTH });
+  if (iso3 === 'und') {
+    return null;
+  }
+  const code = ISO1_BY_ISO3.get(iso3) || iso3;
+  let name = LANGUAGES[code]?.name;
+  try {
+    name ||= displayNames.of(iso3);
+  } catch (error) {
+    name ||= iso3;
+  }
+  return { code, name };
+}
+
+// The language to write a summary of text in `detected` in: the requested
+// one, or for 'auto' the source language when it is supported. Summaries of
+// text in other languages stay 'auto', in the language of the text with
+// English headings.
+export function resolveLanguage(requested, detected) {
+  if (requested && requested !== 'auto') {
+    return requested;
+  }
+  return LANGUAGES[detected?.code] ? detected.code : 'auto';
+}
+
+// Heading of a summary section in a language, falling back to English
+export function sectionHeading(key, language = DEFAULT_LANGUAGE) {
+  return (LANGUAGES[language] || LANGUAGES[DEFAULT_LANGUAGE]).headings[key];
+}
+
+// Title of exported notes in a language, falling back to English
+export function documentTitle(language = DEFAULT_LANGUAGE) {
+  return (LANGUAGES[language] || LANGUAGES[DEFAULT_LANGUAGE]).title;
+}
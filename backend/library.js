@@ -0,0 +1,331 @@
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import path from 'path';
+import { summaryToText, itemText } from './summarySchema.js';
+
+// Persistent library of processed notes in a local SQLite database. Each run
+// keeps the source text (with its page layout for PDFs) and detected
+// language, the summary, its citations, the options used and how the summary
+// was made; an FTS5 index over the title, summary and
+// source text backs full-text search. Named summary profiles (saved summary
+// options) and the follow-up chat about each note are kept in the same
+// database.
+//
+// Notes and profiles belong to the API key (`keyId`) they were saved with,
+// and every method only sees those of the key it is given; chats belong to
+// their note. Without a key (keyId null), requests share the entries saved
+// without one, stored under key id 0.
+
+const PROFILES_TABLE = `
+CREATE TABLE IF NOT EXISTS profiles (
+  key_id INTEGER NOT NULL DEFAULT 0,
+  name TEXT NOT NULL COLLATE NOCASE,
+  options TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  PRIMARY KEY (key_id, name)
+);`;
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS notes (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  title TEXT NOT NULL,
+  filename TEXT,
+  original_text TEXT NOT NULL,
+  summary TEXT NOT NULL,
+  citations TEXT NOT NULL DEFAULT '{}',
+  pages TEXT,
+  options TEXT NOT NULL DEFAULT '{}',
+  chunks_processed INTEGER NOT NULL DEFAULT 1,
+  detected_language TEXT,
+  cached INTEGER NOT NULL DEFAULT 0,
+  key_id INTEGER NOT NULL DEFAULT 0,
+  created_at TEXT NOT NULL
+);
+
+CREATE VIRTUAL TABLE IF NOT EXISTS notes_fts USING fts5(title, summary, original_text);
+
+CREATE TABLE IF NOT EXISTS chat_messages (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  note_id INTEGER NOT NULL REFERENCES notes(id),
+  role TEXT NOT NULL,
+  content TEXT NOT NULL,
+  refs TEXT NOT NULL DEFAULT '[]',
+  created_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS chat_messages_note ON chat_messages (note_id, id);
+
+${PROFILES_TABLE}
+`;
+
+export const MAX_PAGE_SIZE = 100;
+
+// Turn free text into an FTS5 query: every word must match, the last one as
+// a prefix so results update while typing. Quoting each word keeps FTS5
+// syntax characters in the input from being interpreted.
+function toFtsQuery(query) {
+  const words = query.match(/[\p{L}\p{N}]+/gu) || [];
+  return words
+    .map((word, index) => `"${word}"${index === words.length - 1 ? '*' : ''}`)
+    .join(' ');
+}
+
+// A library entry without its (possibly large) source text
+function rowToListItem(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    filename: row.filename,
+    createdAt: row.created_at,
+    originalLength: row.original_length,
+    ...(row.snippet !== undefined && { snippet: row.snippet })
+  };
+}
+
+// Bring databases created by earlier versions up to the current schema
+function migrate(db) {
+  const columns = db.prepare('PRAGMA table_info(notes)').all().map(column => column.name);
+  if (!columns.includes('citations')) {
+    db.exec("ALTER TABLE notes ADD COLUMN citations TEXT NOT NULL DEFAULT '{}'");
+  }
+  if (!columns.includes('pages')) {
+    db.exec('ALTER TABLE notes ADD COLUMN pages TEXT');
+  }
+  if (!columns.includes('detected_language')) {
+    db.exec('ALTER TABLE notes ADD COLUMN detected_language TEXT');
+    db.exec('ALTER TABLE notes ADD COLUMN cached INTEGER NOT NULL DEFAULT 0');
+  }
+  if (!columns.includes('key_id')) {
+    db.exec('ALTER TABLE notes ADD COLUMN key_id INTEGER NOT NULL DEFAULT 0');
+  }
+  // Profile names used to be unique across all keys
+  const profileColumns = db.prepare('PRAGMA table_info(profiles)').all().map(column => column.name);
+  if (!profileColumns.includes('key_id')) {
+    db.transaction(() => {
+      db.exec('ALTER TABLE profiles RENAME TO profiles_old');
+      db.exec(PROFILES_TABLE);
+      db.exec('INSERT INTO profiles (name, options, updated_at) SELECT name, options, updated_at FROM profiles_old');
+      db.exec('DROP TABLE profiles_old');
+    })();
+  }
+  db.exec('CREATE INDEX IF NOT EXISTS notes_key ON notes (key_id, id)');
+}
+
+// Entries saved without an API key are stored under key id 0
+const owner = keyId => keyId ?? 0;
+
+function rowToChatMessage(row) {
+  return { id: row.id, role: row.role, content: row.content, refs: JSON.parse(row.refs), createdAt: row.created_at };
+}
+
+function rowToProfile(row) {
+  return { name: row.name, options: JSON.parse(row.options), updatedAt: row.updated_at };
+}
+
+export function createLibrary(filename) {
+  if (filename !== ':memory:') {
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+  }
+
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+  db.exec(SCHEMA);
+  migrate(db);
+
+  const statements = {
+    insert: db.prepare(`
+      INSERT INTO notes (title, filename, original_text, summary, citations, pages, options, chunks_processed, detected_language, cached, key_id, created_at)
+      VALUES (@title, @filename, @originalText, @summary, @citations, @pages, @options, @chunksProcessed, @detectedLanguage, @cached, @keyId, @createdAt)
+    `),
+    insertFts: db.prepare('INSERT INTO notes_fts (rowid, title, summary, original_text) VALUES (?, ?, ?, ?)'),
+    get: db.prepare('SELECT * FROM notes WHERE id = ? AND key_id = ?'),
+    update: db.prepare('UPDATE notes SET summary = @summary, citations = @citations WHERE id = @id'),
+    updateFts: db.prepare('UPDATE notes_fts SET summary = ? WHERE rowid = ?'),
+    delete: db.prepare('DELETE FROM notes WHERE id = ? AND key_id = ?'),
+    deleteFts: db.prepare('DELETE FROM notes_fts WHERE rowid = ?'),
+    list: db.prepare(`
+      SELECT id, title, filename, created_at, length(original_text) AS original_length
+      FROM notes WHERE key_id = ? ORDER BY id DESC LIMIT ? OFFSET ?
+    `),
+    count: db.prepare('SELECT count(*) AS total FROM notes WHERE key_id = ?'),
+    search: db.prepare(`
+      SELECT notes.id, notes.title, notes.filename, notes.created_at,
+        length(notes.original_text) AS original_length,
+        snippet(notes_fts, -1, '<mark>', '</mark>', '…', 12) AS snippet
+      FROM notes_fts JOIN notes ON notes.id = notes_fts.rowid
+      WHERE notes_fts MATCH ? AND notes.key_id = ? ORDER BY bm25(notes_fts, 10.0, 4.0, 1.0) LIMIT ? OFFSET ?
+    `),
+    searchCount: db.prepare(`
+      SELECT count(*) AS total FROM notes_fts JOIN notes ON notes.id = notes_fts.rowid
+      WHERE notes_fts MATCH ? AND notes.key_id = ?
+    `),
+    saveProfile: db.prepare(`
+      INSERT INTO profiles (key_id, name, options, updated_at) VALUES (@keyId, @name, @options, @updatedAt)
+      ON CONFLICT (key_id, name) DO UPDATE SET name = excluded.name, options = excluded.options, updated_at = excluded.updated_at
+    `),
+    getProfile: db.prepare('SELECT * FROM profiles WHERE key_id = ? AND name = ?'),
+    listProfiles: db.prepare('SELECT * FROM profiles WHERE key_id = ? ORDER BY name COLLATE NOCASE'),
+    deleteProfile: db.prepare('DELETE FROM profiles WHERE key_id = ? AND name = ?'),
+    insertChatMessage: db.prepare(`
+      INSERT INTO chat_messages (note_id, role, content, refs, created_at) VALUES (@noteId, @role, @content, @refs, @createdAt)
+    `),
+    getChatMessage: db.prepare('SELECT * FROM chat_messages WHERE id = ?'),
+    listChatMessages: db.prepare(`
+      SELECT chat_messages.* FROM chat_messages JOIN notes ON notes.id = chat_messages.note_id
+      WHERE note_id = ? AND notes.key_id = ? ORDER BY chat_messages.id
+    `),
+    deleteChatMessages: db.prepare('DELETE FROM chat_messages WHERE note_id = ?'),
+    deleteOwnChatMessages: db.prepare(`
+      DELETE FROM chat_messages WHERE note_id = ? AND note_id IN (SELECT id FROM notes WHERE key_id = ?)
+    `)
+  };
+
+  const save = db.transaction(({ title, filename, originalText, summary, citations = {}, pages = null, options = {}, chunksProcessed = 1, detectedLanguage = null, cached = false, keyId }) => {
+    title = title || filename || (summary.mainTopics[0] && itemText(summary.mainTopics[0])) || 'Untitled notes';
+    const { lastInsertRowid } = statements.insert.run({
+      title,
+      filename: filename || null,
+      originalText,
+      summary: JSON.stringify(summary),
+      citations: JSON.stringify(citations),
+      pages: pages ? JSON.stringify(pages) : null,
+      options: JSON.stringify(options),
+      chunksProcessed,
+      detectedLanguage: detectedLanguage ? JSON.stringify(detectedLanguage) : null,
+      cached: cached ? 1 : 0,
+      keyId: owner(keyId),
+      createdAt: new Date().toISOString()
+    });
+    statements.insertFts.run(lastInsertRowid, title, summaryToText(summary, options.language), originalText);
+    return Number(lastInsertRowid);
+  });
+
+  // The search text is rendered in the note's language, as in save, so its
+  // section headings stay the same after an edit
+  const update = db.transaction((id, { summary, citations }, keyId) => {
+    const row = statements.get.get(id, owner(keyId));
+    if (!row) {
+      return false;
+    }
+    statements.update.run({ id, summary: JSON.stringify(summary), citations: JSON.stringify(citations) });
+    statements.updateFts.run(summaryToText(summary, JSON.parse(row.options).language), id);
+    return true;
+  });
+
+  const remove = db.transaction((id, keyId) => {
+    if (!statements.get.get(id, owner(keyId))) {
+      return false;
+    }
+    statements.deleteFts.run(id);
+    statements.deleteChatMessages.run(id);
+    return statements.delete.run(id, owner(keyId)).changes > 0;
+  });
+
+  return {
+    // Store a processed document; returns its id. The title defaults to the
+    // file name, or the first main topic for pasted text.
+    save,
+
+    // Newest first, or best match first when `query` is given.
+    // Returns { notes, total }.
+    list({ query = '', limit = 20, offset = 0, keyId } = {}) {
+      const ftsQuery = toFtsQuery(query);
+      if (!ftsQuery) {
+        return {
+          notes: statements.list.all(owner(keyId), limit, offset).map(rowToListItem),
+          total: statements.count.get(owner(keyId)).total
+        };
+      }
+      return {
+        notes: statements.search.all(ftsQuery, owner(keyId), limit, offset).map(rowToListItem),
+        total: statements.searchCount.get(ftsQuery, owner(keyId)).total
+      };
+    },
+
+    // A full entry, or null when there is no note with this id. `method`,
+    // `fallbackCode`, `detectedLanguage` and `cached` say how the summary was
+    // made, as in the processing result it was saved from.
+    get(id, keyId) {
+      const row = statements.get.get(id, owner(keyId));
+      if (!row) {
+        return null;
+      }
+      const summary = JSON.parse(row.summary);
+      const options = JSON.parse(row.options);
+      return {
+        id: row.id,
+        title: row.title,
+        filename: row.filename,
+        createdAt: row.created_at,
+        options,
+        summary,
+        citations: JSON.parse(row.citations),
+        pages: row.pages ? JSON.parse(row.pages) : null,
+        simplifiedNotes: summaryToText(summary, options.language),
+        originalText: row.original_text,
+        originalLength: row.original_text.length,
+        chunksProcessed: row.chunks_processed,
+        method: options.method || 'ai',
+        ...(options.fallbackCode && { fallbackCode: options.fallbackCode }),
+        detectedLanguage: row.detected_language ? JSON.parse(row.detected_language) : null,
+        cached: Boolean(row.cached)
+      };
+    },
+
+    // Replace a note's summary and citations, e.g. after editing. Returns
+    // false when there is no note with this id.
+    update,
+
+    // Returns false when there was no note with this id
+    delete: remove,
+
+    // Create or replace a named profile; names are case-insensitive.
+    // Returns the stored profile.
+    saveProfile(name, options, keyId) {
+      statements.saveProfile.run({ keyId: owner(keyId), name, options: JSON.stringify(options), updatedAt: new Date().toISOString() });
+      return rowToProfile(statements.getProfile.get(owner(keyId), name));
+    },
+
+    // A profile's options, or null when there is no profile with this name
+    getProfile(name, keyId) {
+      const row = statements.getProfile.get(owner(keyId), name);
+      return row ? JSON.parse(row.options) : null;
+    },
+
+    listProfiles(keyId) {
+      return statements.listProfiles.all(owner(keyId)).map(rowToProfile);
+    },
+
+    // Returns false when there was no profile with this name
+    deleteProfile(name, keyId) {
+      return statements.deleteProfile.run(owner(keyId), name).changes > 0;
+    },
+
+    // The follow-up chat about a note, oldest message first
+    listChatMessages(noteId, keyId) {
+      return statements.listChatMessages.all(noteId, owner(keyId)).map(rowToChatMessage);
+    },
+
+    // Append messages ([{ role, content, refs }]) to the chat of a note got
+    // with get(), in one transaction; returns the stored messages
+    addChatMessages: db.transaction((noteId, messages) => messages.map(({ role, content, refs = [] }) => {
+      const { lastInsertRowid } = statements.insertChatMessage.run({
+        noteId,
+        role,
+        content,
+        refs: JSON.stringify(refs),
+        createdAt: new Date().toISOString()
+      });
+      return rowToChatMessage(statements.getChatMessage.get(lastInsertRowid));
+    })),
+
+    // Returns the number of messages deleted
+    clearChat(noteId, keyId) {
+      return statements.deleteOwnChatMessages.run(noteId, owner(keyId)).changes;
+    },
+
+    close() {
+      db.close();
+    }
+  };
+}
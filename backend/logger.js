@@ -0,0 +1,63 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Structured logging: one JSON object per line with the time, level and
+// message, the fields passed along, and the fields of the context the code
+// runs in (e.g. the request ID, see withLogContext). Errors among the fields
+// are written as their name and message, with the stack at level error.
+
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+const context = new AsyncLocalStorage();
+let threshold = LOG_LEVELS.info;
+let output = process.stdout;
+
+// Set the lowest level written (default info) and the stream written to
+// (default stdout). Unknown levels are ignored.
+export function configureLogger({ level, stream } = {}) {
+  if (level && LOG_LEVELS[level] !== undefined) {
+    threshold = LOG_LEVELS[level];
+  }
+  if (stream) {
+    output = stream;
+  }
+}
+
+// Run fn with fields added to every entry logged while it runs, including
+// from callbacks and promises it starts
+export function withLogContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+// The fields of the current log context
+export function logContext() {
+  return context.getStore() || {};
+}
+
+function serialize(value, level) {
+  if (!(value instanceof Error)) {
+    return value;
+  }
+  return {
+    name: value.name,
+    message: value.message,
+    ...(level === 'error' && { stack: value.stack })
+  };
+}
+
+function write(level, message, fields = {}) {
+  if (LOG_LEVELS[level] < threshold) {
+    return;
+  }
+  const entry = { time: new Date().toISOString(), level, msg: message, ...context.getStore() };
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined) entry[key] = serialize(value, level);
+  }
+  output.write(JSON.stringify(entry) + '\n');
+}
+
+export const log = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields)
+};
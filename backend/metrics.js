@@ -0,0 +1,156 @@
+// Metrics in the Prometheus text format: a minimal registry of counters,
+// histograms and gauges, and the metrics the app records. Label values
+// must come from small fixed sets (routes, not URLs) to keep the number of
+// series bounded.
+
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  return entries.length ? `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}` : '';
+}
+
+// Series are keyed by their label values in labelNames order, so labels
+// given in any order land in the same series
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+}
+
+function pickLabels(labelNames, labels) {
+  return Object.fromEntries(labelNames.map(name => [name, labels[name] ?? '']));
+}
+
+export function createRegistry() {
+  const metrics = [];
+
+  return {
+    // A value that only goes up, e.g. requests served
+    counter(name, help, labelNames = []) {
+      const series = new Map();
+      metrics.push({
+        name,
+        help,
+        type: 'counter',
+        render: () => [...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`)
+      });
+      return {
+        inc(labels = {}, amount = 1) {
+          const key = seriesKey(labelNames, labels);
+          const entry = series.get(key) || { labels: pickLabels(labelNames, labels), value: 0 };
+          entry.value += amount;
+          series.set(key, entry);
+        }
+      };
+    },
+
+    // Observations counted into buckets of upper bounds, e.g. latencies in
+    // seconds. startTimer(labels) returns a function that observes the time
+    // since, with any labels only known at the end.
+    histogram(name, help, labelNames = [], buckets = [0.1, 0.5, 1, 5, 10]) {
+      const series = new Map();
+      metrics.push({
+        name,
+        help,
+        type: 'histogram',
+        render: () => [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+          ...buckets.map((bound, index) => `${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`),
+          `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+          `${name}_sum${formatLabels(labels)} ${sum}`,
+          `${name}_count${formatLabels(labels)} ${count}`
+        ])
+      });
+
+      const observe = (labels, value) => {
+        const key = seriesKey(labelNames, labels);
+        const entry = series.get(key) || { labels: pickLabels(labelNames, labels), counts: buckets.map(() => 0), sum: 0, count: 0 };
+        buckets.forEach((bound, index) => {
+          if (value <= bound) entry.counts[index]++;
+        });
+        entry.sum += value;
+        entry.count++;
+        series.set(key, entry);
+      };
+
+      return {
+        observe,
+        startTimer(labels = {}) {
+          const start = process.hrtime.bigint();
+          return (endLabels = {}) => observe({ ...labels, ...endLabels }, Number(process.hrtime.bigint() - start) / 1e9);
+        }
+      };
+    },
+
+    // A value read when the metrics are collected: collect() returns a
+    // number, or [{ labels, value }] for several series
+    gauge(name, help, collect) {
+      metrics.push({
+        name,
+        help,
+        type: 'gauge',
+        render: () => {
+          const values = collect();
+          return Array.isArray(values)
+            ? values.map(({ labels = {}, value }) => `${name}${formatLabels(labels)} ${value}`)
+            : [`${name} ${values}`];
+        }
+      });
+    },
+
+    contentType: 'text/plain; version=0.0.4; charset=utf-8',
+
+    render() {
+      return metrics
+        .map(({ name, help, type, render }) => [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...render()].join('\n'))
+        .join('\n') + '\n';
+    }
+  };
+}
+
+export const registry = createRegistry();
+
+export const httpRequests = registry.counter(
+  'notes_http_requests_total',
+  'HTTP requests served, by method, route and status code',
+  ['method', 'route', 'status']
+);
+
+export const extractionDuration = registry.histogram(
+  'notes_extraction_duration_seconds',
+  'Time taken to extract the text of an uploaded file, by format and outcome',
+  ['format', 'outcome'],
+  [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120]
+);
+
+export const modelDuration = registry.histogram(
+  'notes_model_request_duration_seconds',
+  'Time taken by requests to the model, by provider, task and outcome',
+  ['provider', 'task', 'outcome'],
+  [0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60, 120]
+);
+
+export const modelTokens = registry.counter(
+  'notes_model_tokens_total',
+  'Tokens used by the model as reported by the provider, by provider and type (prompt or completion)',
+  ['provider', 'type']
+);
+
+export const modelRetries = registry.counter(
+  'notes_model_retries_total',
+  'Model requests tried again after a transient failure, by provider and error code',
+  ['provider', 'code']
+);
+
+export const charactersProcessed = registry.counter(
+  'notes_characters_processed_total',
+  'Characters of source text summarized, by method (ai, extractive or cache)',
+  ['method']
+);
+
+export const errors = registry.counter(
+  'notes_errors_total',
+  'Errors, by type (the error code, see errors.js)',
+  ['type']
+);
+
+registry.gauge('process_resident_memory_bytes', 'Resident memory size in bytes', () => process.memoryUsage.rss());
+registry.gauge('process_start_time_seconds', 'Start time of the process since the Unix epoch in seconds', () => Math.round(Date.now() / 1000 - process.uptime()));
@@ -0,0 +1,103 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createWorker } from 'tesseract.js';
+import eng from '@tesseract.js-data/eng';
+import { getDocument } from 'pdfjs-dist/legacy/build/pdf.mjs';
+import { log } from './logger.js';
+
+// OCR for scanned PDF pages and photos of notes. tesseract.js runs locally
+// with the English language data installed from npm, so nothing is
+// downloaded at runtime. pdf.js renders PDF pages to images for it, and also
+// reads the text layer of PDFs that pdf-parse cannot open.
+
+const RENDER_SCALE = 2; // Render at 144 DPI, enough for OCR of body text
+const WORKER_IDLE_MS = 60 * 1000; // Free the OCR worker's memory after a minute unused
+
+let workerPromise = null;
+let idleTimer = null;
+let queue = Promise.resolve();
+
+function getWorker() {
+  if (!workerPromise) {
+    log.info('Starting OCR worker');
+    workerPromise = createWorker(eng.code, 1, {
+      langPath: eng.langPath,
+      gzip: eng.gzip,
+      cacheMethod: 'none'
+    }).catch(error => {
+      workerPromise = null;
+      throw new Error('Could not start OCR: ' + error.message);
+    });
+  }
+  return workerPromise;
+}
+
+function scheduleIdleShutdown() {
+  clearTimeout(idleTimer);
+  idleTimer = setTimeout(() => {
+    const worker = workerPromise;
+    workerPromise = null;
+    worker?.then(w => w.terminate()).catch(() => {});
+  }, WORKER_IDLE_MS);
+  idleTimer.unref?.();
+}
+
+// Whether OCR can run: the language data is installed. Returns { ready,
+// running, error }, running saying whether the worker is started.
+export async function ocrStatus() {
+  const dataFile = path.join(eng.langPath, `${eng.code}.traineddata${eng.gzip ? '.gz' : ''}`);
+  try {
+    await fs.access(dataFile);
+    return { ready: true, running: Boolean(workerPromise) };
+  } catch (error) {
+    return { ready: false, running: false, error: `OCR language data not found at ${dataFile}` };
+  }
+}
+
+// Recognize the text in an image (PNG, JPEG, WebP or BMP buffer). Returns
+// { text, confidence } with confidence from 0 to 100. Images are processed
+// one at a time on a single worker to bound memory use.
+export function recognizeImage(image) {
+  const run = queue.then(async () => {
+    clearTimeout(idleTimer);
+    try {
+      const worker = await getWorker();
+      const { data } = await worker.recognize(image);
+      return { text: data.text.trim(), confidence: Math.round(data.confidence) };
+    } finally {
+      scheduleIdleShutdown();
+    }
+  });
+  queue = run.catch(() => {});
+  return run;
+}
+
+// Open a PDF with pdf.js. Returns { numPages, getPageText(n), renderPage(n),
+// close() }; renderPage resolves to a PNG buffer of the page.
+export async function openPdf(buffer) {
+  const pdf = await getDocument({ data: new Uint8Array(buffer), verbosity: 0 }).promise;
+
+  return {
+    numPages: pdf.numPages,
+
+    async getPageText(pageNumber) {
+      const page = await pdf.getPage(pageNumber);
+      const content = await page.getTextContent();
+      page.cleanup();
+      return content.items.map(item => item.str + (item.hasEOL ? '\n' : '')).join('').trim();
+    },
+
+    async renderPage(pageNumber) {
+      const page = await pdf.getPage(pageNumber);
+      const viewport = page.getViewport({ scale: RENDER_SCALE });
+      const { canvas, context } = pdf.canvasFactory.create(viewport.width, viewport.height);
+      await page.render({ canvasContext: context, viewport }).promise;
+      page.cleanup();
+      return canvas.toBuffer('image/png');
+    },
+
+    close() {
+      return pdf.destroy();
+    }
+  };
+}
@@ -0,0 +1,571 @@
+import { extractiveSummary } from './extractive.js';
+import { cacheKey } from './cache.js';
+import { CITATION_RULES, splitPassages, markPassages, buildCitations, withoutRefs } from './citations.js';
+import { JSON_RULES, summaryJsonFormat, sectionRules, parseJsonResponse, validateSummary, summaryToText } from './summarySchema.js';
+import { DEFAULT_SUMMARY_OPTIONS, summaryInstructions } from './summaryOptions.js';
+import { detectLanguage, resolveLanguage } from './languages.js';
+import { log } from './logger.js';
+import { modelDuration, modelTokens, modelRetries, charactersProcessed, errors as errorCount } from './metrics.js';
+import { ERROR_CODES, TRANSIENT_CODES, appError } from './errors.js';
+
+// The summarization pipeline shared by the server and the CLI: chunking,
+// model calls with JSON validation and repair, map-reduce summaries, the
+// result cache and the extractive fallback. Text extraction from files is
+// in extraction.js.
+
+// Inputs longer than this are split into chunks and summarized map-reduce style
+export const MAX_CHUNK_LENGTH = 100000; // 100k characters per model call
+export const MAP_CONCURRENCY = 3;
+
+// How many times a malformed JSON response is sent back to the model for repair
+const MAX_REPAIR_ATTEMPTS = 2;
+
+// Model calls that take longer than this fail with TIMEOUT
+const DEFAULT_MODEL_TIMEOUT_MS = 120 * 1000;
+
+// Retries of model calls that failed transiently (see TRANSIENT_CODES). The
+// wait before retry n is random between 0 and RETRY_BASE_MS * 2^n, at most
+// RETRY_MAX_MS ("full jitter"), so clients that failed together do not all
+// come back at once. A provider asking for a longer wait than RETRY_MAX_MS
+// is not retried.
+const DEFAULT_MAX_RETRIES = 3;
+const RETRY_BASE_MS = 1000;
+const RETRY_MAX_MS = 30 * 1000;
+
+// Milliseconds to wait before retrying after the attempt-th failure, or null
+// when the provider asks for a longer wait than is worth holding a request for
+function retryDelay(attempt, retryAfter) {
+  if (retryAfter !== undefined) {
+    return retryAfter * 1000 <= RETRY_MAX_MS ? retryAfter * 1000 : null;
+  }
+  return Math.round(Math.random() * Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** attempt));
+}
+
+// Wait ms, or until signal aborts, which rejects with CANCELLED
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(appError('CANCELLED', 'Processing was cancelled'));
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(appError('CANCELLED', 'Processing was cancelled'));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Part of every cache key. Bump it when the prompts or the summary schema
+// change, so results made with the old ones are not served from the cache.
+const PROMPT_VERSION = 2;
+
+// Split text into chunks of at most maxLength characters, preferring page and
+// paragraph boundaries, then line and sentence boundaries, and only cutting
+// mid-sentence when a single sentence is longer than a chunk
+export function splitIntoChunks(text, maxLength = MAX_CHUNK_LENGTH) {
+  if (text.length <= maxLength) {
+    return [text];
+  }
+
+  const separators = [/\f/, /\n\s*\n/, /\n/, /(?<=[.!?])\s+/];
+
+  const splitPiece = (piece, level) => {
+    if (piece.length <= maxLength) {
+      return [piece];
+    }
+    if (level >= separators.length) {
+      const parts = [];
+      for (let i = 0; i < piece.length; i += maxLength) {
+        parts.push(piece.substring(i, i + maxLength));
+      }
+      return parts;
+    }
+    return piece.split(separators[level]).flatMap(part => splitPiece(part, level + 1));
+  };
+
+  const chunks = [];
+  let current = '';
+  for (const piece of splitPiece(text, 0)) {
+    if (!piece.trim()) continue;
+    if (current && current.length + piece.length + 2 > maxLength) {
+      chunks.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n\n${piece}` : piece;
+  }
+  if (current) chunks.push(current);
+
+  return chunks;
+}
+
+// Spread a number of generated items (questions, cards) over the document's
+// chunks in proportion to their length, giving every chunk at least one item
+// while there are items left to give
+export function allocateAcrossChunks(chunks, count) {
+  const total = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+  const counts = chunks.map(chunk => Math.floor((chunk.length / total) * count));
+
+  let remaining = count - counts.reduce((sum, value) => sum + value, 0);
+  for (let i = 0; remaining > 0; i = (i + 1) % chunks.length) {
+    if (counts[i] === 0 || counts.every(value => value > 0)) {
+      counts[i]++;
+      remaining--;
+    }
+  }
+  return counts;
+}
+
+// Run an async function over items with at most `limit` calls in flight
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// Shorten a summary until its JSON is at most maxLength characters, so a
+// partial summary never takes more than its share of a merge prompt. The
+// last item of the longest list goes first (items come most important
+// first); once every list is down to one item, the paragraph is cut.
+function trimSummary(summary, maxLength) {
+  const trimmed = { ...summary };
+  for (;;) {
+    const length = JSON.stringify(trimmed).length;
+    if (length <= maxLength) {
+      return trimmed;
+    }
+    const longest = Object.keys(trimmed)
+      .filter(key => Array.isArray(trimmed[key]) && trimmed[key].length > 1)
+      .sort((a, b) => JSON.stringify(trimmed[b]).length - JSON.stringify(trimmed[a]).length)[0];
+    if (longest) {
+      trimmed[longest] = trimmed[longest].slice(0, -1);
+    } else if (typeof trimmed.summary === 'string' && trimmed.summary.length > 0) {
+      trimmed.summary = trimmed.summary.slice(0, Math.max(0, trimmed.summary.length - (length - maxLength)));
+    } else {
+      return trimmed;
+    }
+  }
+}
+
+// Rules for summary prompts: citing passages, and those of the chosen sections
+export function summaryRules({ sections }, extraRules = CITATION_RULES) {
+  return [JSON_RULES, extraRules, sectionRules(sections)].filter(Boolean).join('\n');
+}
+
+// Summarize without the model (see extractive.js), in the shape simplifyNotes
+// returns, with `method: 'extractive'`. Extracted sentences cannot be
+// translated, so the summary is in the language of the text whatever
+// summaryOptions.language asks for.
+export function summarizeExtractively(text, { pages = null, summaryOptions = DEFAULT_SUMMARY_OPTIONS } = {}) {
+  const passages = splitPassages(text, pages);
+  const summary = extractiveSummary(text, passages, summaryOptions);
+  const detectedLanguage = detectLanguage(text);
+  const language = resolveLanguage('auto', detectedLanguage);
+  return {
+    summary,
+    simplifiedNotes: summaryToText(summary, language),
+    chunksProcessed: 1,
+    options: { ...summaryOptions, language },
+    detectedLanguage,
+    citations: buildCitations(summary, passages, text),
+    cached: false,
+    method: 'extractive'
+  };
+}
+
+// Create the model-facing half of the pipeline for an LLM `provider` (see
+// providers.js) and a result `cache` (see cache.js). With extractiveFallback,
+// summaries fall back to the extractive summarizer when the model fails.
+// Model calls give up after timeoutMs, and transient failures are tried
+// again up to maxRetries times.
+export function createPipeline({
+  provider,
+  cache,
+  extractiveFallback = true,
+  maxRetries = DEFAULT_MAX_RETRIES,
+  timeoutMs = DEFAULT_MODEL_TIMEOUT_MS
+}) {
+  // One call to the provider, timed and with its token usage counted in the
+  // metrics. Failures are thrown as coded errors (see errors.js).
+  async function callProvider(prompt, { onToken, signal, ...options }) {
+    const endTimer = modelDuration.startTimer({ provider: provider.name, task: options.task });
+    const timeout = AbortSignal.timeout(timeoutMs);
+    const onUsage = ({ promptTokens, completionTokens }) => {
+      modelTokens.inc({ provider: provider.name, type: 'prompt' }, promptTokens);
+      modelTokens.inc({ provider: provider.name, type: 'completion' }, completionTokens);
+    };
+    options = { ...options, signal: signal ? AbortSignal.any([signal, timeout]) : timeout, onUsage };
+    try {
+      signal?.throwIfAborted();
+      let response = '';
+      if (onToken) {
+        for await (const delta of provider.stream(prompt, options)) {
+          response += delta;
+          onToken(delta);
+        }
+      } else {
+        response = await provider.generate(prompt, options);
+      }
+
+      if (!response || response.trim().length === 0) {
+        throw appError('INVALID_MODEL_OUTPUT', 'AI returned empty response');
+      }
+
+      endTimer({ outcome: 'success' });
+      return response;
+    } catch (error) {
+      if (signal?.aborted) {
+        endTimer({ outcome: 'cancelled' });
+        throw appError('CANCELLED', 'Processing was cancelled');
+      }
+      endTimer({ outcome: 'error' });
+      if (timeout.aborted) {
+        throw appError('TIMEOUT', `The AI model did not answer within ${Math.round(timeoutMs / 1000)} seconds`);
+      }
+      if (ERROR_CODES[error.code]) {
+        throw error;
+      }
+      throw appError('PROVIDER_ERROR', 'AI processing failed: ' + error.message, { cause: error });
+    }
+  }
+
+  // Send a prompt to the LLM provider and return the raw text response. With
+  // options.onToken the response is streamed and each text delta passed on as
+  // it arrives. options.signal cancels the call. Transient failures are tried
+  // again after a backoff (see retryDelay), unless part of the response was
+  // already streamed.
+  async function generateText(prompt, { onToken, ...options } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      let streamed = false;
+      try {
+        return await callProvider(prompt, {
+          ...options,
+          onToken: onToken && (delta => {
+            streamed = true;
+            onToken(delta);
+          })
+        });
+      } catch (error) {
+        if (error.code === 'CANCELLED') {
+          throw error;
+        }
+        const delay = TRANSIENT_CODES.has(error.code) && !streamed && attempt < maxRetries
+          ? retryDelay(attempt, error.retryAfter)
+          : null;
+        if (delay === null) {
+          errorCount.inc({ type: error.code });
+          log.error('Model request failed', { provider: provider.name, task: options.task, code: error.code, attempts: attempt + 1, error });
+          throw error;
+        }
+
+        modelRetries.inc({ provider: provider.name, code: error.code });
+        log.warn('Model request failed, retrying', { provider: provider.name, task: options.task, code: error.code, attempt: attempt + 1, delayMs: delay, error });
+        await sleep(delay, options.signal);
+      }
+    }
+  }
+
+  // Ask the model for JSON and validate it. Output that cannot be parsed or
+  // repaired locally by `validate` is sent back to the model with the list of
+  // problems, up to MAX_REPAIR_ATTEMPTS times. onToken streams the first
+  // attempt only; repairs are not streamed.
+  async function generateValidatedJson(prompt, { task, validate, format, onToken, signal }) {
+    let response = await generateText(prompt, { task, json: true, onToken, signal });
+
+    for (let attempt = 0; ; attempt++) {
+      let errors;
+      try {
+        const result = validate(parseJsonResponse(response));
+        if (!result.errors.length) {
+          return result.value;
+        }
+        errors = result.errors;
+      } catch (error) {
+        errors = [error.message];
+      }
+
+      if (attempt >= MAX_REPAIR_ATTEMPTS) {
+        errorCount.inc({ type: 'INVALID_MODEL_OUTPUT' });
+        throw appError('INVALID_MODEL_OUTPUT', `AI returned output in an unexpected format: ${errors.join('; ')}`);
+      }
+
+      log.warn('Invalid JSON from model, asking for a repair', { task, attempt: attempt + 1, problems: errors });
+      response = await generateText(`
+The following output was supposed to be a JSON object with exactly this structure:
+
+${format}
+
+It has these problems:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Return the corrected JSON object only, keeping all of its content.
+
+Output to fix:
+${response.substring(0, MAX_CHUNK_LENGTH)}
+    `, { task: `${task}-repair`, json: true, signal });
+    }
+  }
+
+  // Generate and validate a structured summary with the sections chosen in
+  // summaryOptions, whose items cite passages numbered up to passageCount
+  function generateSummary(prompt, task, summaryOptions, { onToken, signal, passageCount }) {
+    return generateValidatedJson(prompt, {
+      task,
+      onToken,
+      signal,
+      format: summaryJsonFormat(summaryOptions.sections, { cited: true }),
+      validate: data => {
+        const { summary, errors } = validateSummary(data, { sections: summaryOptions.sections, passageCount });
+        return { value: summary, errors };
+      }
+    });
+  }
+
+  // Summarize one chunk of the document (the "map" step). The chunk's passages
+  // are marked with [#N] for the summary to cite.
+  function summarizeChunk(chunk, index, total, summaryOptions, options) {
+    const partNote = total > 1
+      ? `\nThese notes are part ${index + 1} of ${total} of a longer document. Summarize only this part.\n`
+      : '';
+
+    return generateSummary(`
+Please analyze the following study notes and create a simplified, well-organized summary. ${summaryInstructions(summaryOptions)} Return a JSON object with exactly this structure:
+${partNote}
+${summaryJsonFormat(summaryOptions.sections, { cited: true })}
+
+${summaryRules(summaryOptions)}
+
+Notes to analyze:
+${chunk}
+  `, 'summary', summaryOptions, options);
+  }
+
+  // Merge partial summaries into one (the "reduce" step). If the partials are
+  // too long for a single call they are merged in groups first; only the final
+  // merge is streamed to onToken. Partials longer than half a chunk are
+  // trimmed first, so every group holds at least two of them and no merge
+  // prompt goes over MAX_CHUNK_LENGTH.
+  async function mergeSummaries(partials, summaryOptions, { onToken, signal, passageCount }) {
+    if (partials.length === 1) {
+      return partials[0];
+    }
+
+    partials = partials.map(partial => trimSummary(partial, MAX_CHUNK_LENGTH / 2));
+    const serialized = partials.map(partial => JSON.stringify(partial));
+
+    const groups = [];
+    let group = [];
+    let groupLength = 0;
+    serialized.forEach((json, index) => {
+      if (group.length > 0 && groupLength + json.length > MAX_CHUNK_LENGTH) {
+        groups.push(group);
+        group = [];
+        groupLength = 0;
+      }
+      group.push(partials[index]);
+      groupLength += json.length;
+    });
+    groups.push(group);
+
+    if (groups.length > 1) {
+      const merged = await mapWithConcurrency(groups, MAP_CONCURRENCY, group => mergeSummaries(group, summaryOptions, { signal, passageCount }));
+      return mergeSummaries(merged, summaryOptions, { onToken, signal, passageCount });
+    }
+
+    const combined = serialized
+      .map((json, index) => `--- PART ${index + 1} OF ${partials.length} ---\n${json}`)
+      .join('\n\n');
+
+    return generateSummary(`
+The following are JSON summaries of consecutive parts of one long document. Merge them into a single summary of the whole document. Combine overlapping topics, remove duplicates, keep every distinct important point, and write one summary covering the entire document. ${summaryInstructions(summaryOptions)} Return a JSON object with exactly this structure:
+
+${summaryJsonFormat(summaryOptions.sections, { cited: true })}
+
+${summaryRules(summaryOptions, '- Keep the passage numbers in "refs": an item merged from several items cites all of their refs')}
+
+Partial summaries:
+${combined}
+  `, 'merge', summaryOptions, { onToken, signal, passageCount });
+  }
+
+  // Simplify notes using the LLM provider. Long inputs are summarized chunk by chunk and
+  // the partial summaries merged, so no part of the document is dropped.
+  // onProgress receives { phase, message, ... } events; onToken receives the
+  // text of the final model call as it streams; signal cancels the work.
+  // summaryOptions sets the length, audience, tone, language and sections
+  // (see summaryOptions.js) and is returned with the result as `options`,
+  // with language 'auto' resolved to the language of the text when it is
+  // supported; the detected language is returned as `detectedLanguage`.
+  // Summary items cite the source passages they came from; `pages` (from
+  // PDFs) lets the citations give page numbers.
+  async function simplifyNotes(text, { onProgress, onToken, signal, pages, summaryOptions = DEFAULT_SUMMARY_OPTIONS } = {}) {
+    // Validate input
+    if (!text || text.trim().length === 0) {
+      throw appError('INVALID_REQUEST', 'No text provided for processing');
+    }
+
+    // Naming the language in the prompt keeps the model from drifting into English
+    const detectedLanguage = detectLanguage(text);
+    summaryOptions = { ...summaryOptions, language: resolveLanguage(summaryOptions.language, detectedLanguage) };
+
+    const passages = splitPassages(text, pages);
+    const passageCount = passages.length;
+    const chunks = splitIntoChunks(markPassages(text, passages));
+    if (chunks.length > 1) {
+      log.info('Text split into chunks for summarization', { chunks: chunks.length, characters: text.length });
+    }
+
+    const finish = (summary, chunksProcessed) => ({
+      summary,
+      simplifiedNotes: summaryToText(summary, summaryOptions.language),
+      chunksProcessed,
+      options: summaryOptions,
+      detectedLanguage,
+      citations: buildCitations(summary, passages, text)
+    });
+
+    if (chunks.length === 1) {
+      onProgress?.({ phase: 'summarizing', message: 'Summarizing notes' });
+      return finish(await summarizeChunk(chunks[0], 0, 1, summaryOptions, { onToken, signal, passageCount }), 1);
+    }
+
+    let completed = 0;
+    onProgress?.({ phase: 'summarizing', chunk: 0, totalChunks: chunks.length, message: `Summarizing part 1 of ${chunks.length}` });
+    const partials = await mapWithConcurrency(chunks, MAP_CONCURRENCY, async (chunk, index) => {
+      const partial = await summarizeChunk(chunk, index, chunks.length, summaryOptions, { signal, passageCount });
+      completed++;
+      onProgress?.({
+        phase: 'summarizing',
+        chunk: completed,
+        totalChunks: chunks.length,
+        message: `Summarized part ${completed} of ${chunks.length}`
+      });
+      return partial;
+    });
+
+    onProgress?.({ phase: 'merging', message: `Merging ${chunks.length} partial summaries` });
+    return finish(await mergeSummaries(partials, summaryOptions, { onToken, signal, passageCount }), chunks.length);
+  }
+
+  // Return the cached result for keyParts, or run compute() and cache what it
+  // returns. With noCache the cached result is ignored and replaced. Results
+  // say whether they came from the cache in `cached`. Cache failures are
+  // logged and otherwise ignored.
+  async function withCache(keyParts, compute, { noCache = false } = {}) {
+    const key = cacheKey({ promptVersion: PROMPT_VERSION, provider: provider.name, model: provider.model, ...keyParts });
+
+    if (!noCache) {
+      try {
+        const cached = await cache.get(key);
+        if (cached) {
+          return { ...cached, cached: true };
+        }
+      } catch (error) {
+        errorCount.inc({ type: 'CACHE_FAILED' });
+        log.warn('Could not read from the result cache', { error });
+      }
+    }
+
+    const result = await compute();
+    try {
+      await cache.set(key, result);
+    } catch (error) {
+      errorCount.inc({ type: 'CACHE_FAILED' });
+      log.warn('Could not write to the result cache', { error });
+    }
+    return { ...result, cached: false };
+  }
+
+  // Run summarize(), or summarize the text extractively instead: when asked
+  // to with `extractive`, or when the model is unavailable (a transient
+  // error, see TRANSIENT_CODES) and extractiveFallback is on. A fallback
+  // result carries the error's code as `fallbackCode`; its message stays in
+  // the logs. Other errors, such as a rejected API key or an invalid
+  // request, are thrown as they are, and cancellation is never covered up.
+  async function withExtractiveFallback(text, { extractive, pages, summaryOptions, signal, onProgress }, summarize) {
+    if (extractive) {
+      onProgress?.({ phase: 'summarizing', message: 'Extracting key sentences' });
+      return summarizeExtractively(text, { pages, summaryOptions });
+    }
+
+    try {
+      return await summarize();
+    } catch (error) {
+      if (!extractiveFallback || signal?.aborted || !TRANSIENT_CODES.has(error.code)) {
+        throw error;
+      }
+      log.warn('Summarizing with the model failed, falling back to the extractive summarizer', { error });
+      onProgress?.({ phase: 'fallback', message: 'The AI model is unavailable, extracting key sentences instead' });
+      return { ...summarizeExtractively(text, { pages, summaryOptions }), fallbackCode: error.code };
+    }
+  }
+
+  // simplifyNotes through the result cache, keyed by the text, its page
+  // layout and the summary options, or the extractive summarizer (see
+  // withExtractiveFallback). The result carries the page layout on to the
+  // library.
+  async function summarizeText(text, { noCache, extractive = false, ...options } = {}) {
+    const { pages = null, summaryOptions = DEFAULT_SUMMARY_OPTIONS, onProgress, signal } = options;
+    const result = await withExtractiveFallback(text, { extractive, pages, summaryOptions, signal, onProgress }, async () => {
+      const summarized = await withCache({ task: 'simplify', text, pages, summaryOptions }, () => simplifyNotes(text, options), { noCache });
+      if (summarized.cached) {
+        onProgress?.({ phase: 'cached', message: 'Using cached summary' });
+      }
+      return summarized;
+    });
+    charactersProcessed.inc({ method: result.cached ? 'cache' : result.method || 'ai' }, text.length);
+    return { ...result, pages };
+  }
+
+  // Combine the summaries of several documents into one, merging overlapping
+  // topics and attributing every item to the documents it came from. Passage
+  // refs are per document, so the combined summary cites documents only.
+  function combineDocumentSummaries(documents, summaryOptions, { signal } = {}) {
+    const filenames = documents.map(document => document.filename);
+    const combined = documents
+      .map((document, index) => `--- DOCUMENT ${index + 1}: "${document.filename}" ---\n${JSON.stringify(withoutRefs(document.summary))}`)
+      .join('\n\n');
+
+    return generateValidatedJson(`
+The following are JSON summaries of ${documents.length} separate documents that a student is studying together. Write one consolidated summary covering all of them. Merge topics and concepts that appear in several documents into a single item, keep every distinct important point, and write one summary that connects the documents. For every item, list in "sources" the names of all the documents it comes from, exactly as given in the document headers. ${summaryInstructions(summaryOptions)} Return a JSON object with exactly this structure:
+
+${summaryJsonFormat(summaryOptions.sections, { sourced: true })}
+
+${summaryRules(summaryOptions, null)}
+
+Document summaries:
+${combined}
+  `, {
+      task: 'combine',
+      signal,
+      format: summaryJsonFormat(summaryOptions.sections, { sourced: true }),
+      validate: data => {
+        const { summary, errors } = validateSummary(data, { documents: filenames, sections: summaryOptions.sections });
+        return { value: summary, errors };
+      }
+    });
+  }
+
+  return {
+    generateText,
+    generateValidatedJson,
+    simplifyNotes,
+    withCache,
+    withExtractiveFallback,
+    summarizeText,
+    combineDocumentSummaries
+  };
+}
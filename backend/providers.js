@@ -0,0 +1,415 @@
+import {
+  GoogleGenerativeAI,
+  GoogleGenerativeAIError,
+  GoogleGenerativeAIFetchError,
+  GoogleGenerativeAIResponseError
+} from '@google/generative-ai';
+import { ERROR_CODES, appError, parseRetryAfter } from './errors.js';
+
+// LLM providers. Every provider exposes the same interface:
+//   name, model            - for logging and health checks
+//   generate(prompt, opts) - resolves to the model's text response
+//   stream(prompt, opts)   - async iterable of text deltas as they are produced
+//   check({ signal })      - resolves when the provider can be reached with
+//                            the configured credentials, without generating
+// opts.task names the kind of request ('summary', 'merge', ...) so the mock
+// provider can return a matching canned response. opts.json asks the model
+// to respond with a JSON object where the provider supports it. opts.signal
+// (an AbortSignal) cancels the request. opts.onUsage, if given, receives
+// { promptTokens, completionTokens } once the response is complete, when the
+// provider reports token usage. Failures are thrown as coded errors (see
+// errors.js), so callers can tell a bad key from a busy provider.
+
+// Read a number from the environment, falling back when unset or invalid
+function numberFromEnv(value, fallback) {
+  const number = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(number) ? number : fallback;
+}
+
+// A provider's HTTP error status as a coded error
+function httpError(status, message, retryAfter) {
+  if (status === 401 || status === 403) {
+    return appError('PROVIDER_AUTH', message);
+  }
+  if (status === 429) {
+    return appError('PROVIDER_QUOTA', message, { retryAfter });
+  }
+  if (status === 408 || status === 504) {
+    return appError('TIMEOUT', message);
+  }
+  if (status >= 500) {
+    return appError('PROVIDER_UNAVAILABLE', message, { retryAfter });
+  }
+  return appError('PROVIDER_ERROR', message);
+}
+
+// Gemini SDK errors as coded errors. Gemini answers an invalid key with 400
+// and says how long to back off in a RetryInfo detail; responses blocked by
+// its safety filters only fail once their text is read.
+function geminiError(error) {
+  if (ERROR_CODES[error.code]) {
+    return error;
+  }
+  const message = error.message.replace(/^\[GoogleGenerativeAI Error\]: /, '');
+  if (error instanceof GoogleGenerativeAIFetchError) {
+    if (/API_KEY_INVALID|API key not valid/.test(message)) {
+      return appError('PROVIDER_AUTH', `Gemini rejected the API key: ${message}`);
+    }
+    const retryDelay = error.errorDetails?.find(detail => detail['@type']?.endsWith('RetryInfo'))?.retryDelay;
+    return httpError(error.status, `Gemini returned ${message}`, retryDelay ? Math.ceil(parseFloat(retryDelay)) : undefined);
+  }
+  if (error instanceof GoogleGenerativeAIResponseError && /blocked/i.test(message)) {
+    return appError('PROVIDER_BLOCKED_SAFETY', `Gemini declined to answer: ${message}`);
+  }
+  if (error instanceof GoogleGenerativeAIError) {
+    // Anything else the SDK reports is a failure to reach Gemini
+    return appError('PROVIDER_UNAVAILABLE', `Could not reach Gemini: ${message}`);
+  }
+  return error;
+}
+
+// Google Gemini through the official SDK
+function createGeminiProvider(env) {
+  if (!env.GEMINI_API_KEY) {
+    throw new Error('GEMINI_API_KEY environment variable is required for the gemini provider');
+  }
+
+  const modelName = env.GEMINI_MODEL || 'gemini-1.5-flash';
+  const genAI = new GoogleGenerativeAI(env.GEMINI_API_KEY);
+  const model = genAI.getGenerativeModel({ model: modelName });
+  const generationConfig = {
+    temperature: numberFromEnv(env.GEMINI_TEMPERATURE, 0.4),
+    maxOutputTokens: numberFromEnv(env.GEMINI_MAX_TOKENS, 8192)
+  };
+
+  const reportUsage = (usage, onUsage) => {
+    if (usage && onUsage) {
+      onUsage({ promptTokens: usage.promptTokenCount || 0, completionTokens: usage.candidatesTokenCount || 0 });
+    }
+  };
+
+  const buildRequest = (prompt, json) => ({
+    contents: [{ role: 'user', parts: [{ text: prompt }] }],
+    generationConfig: json ? { ...generationConfig, responseMimeType: 'application/json' } : generationConfig
+  });
+
+  return {
+    name: 'gemini',
+    model: modelName,
+    async generate(prompt, { json = false, signal, onUsage } = {}) {
+      try {
+        const result = await model.generateContent(buildRequest(prompt, json), { signal });
+        reportUsage(result.response.usageMetadata, onUsage);
+        return result.response.text();
+      } catch (error) {
+        throw geminiError(error);
+      }
+    },
+    async *stream(prompt, { json = false, signal, onUsage } = {}) {
+      try {
+        const result = await model.generateContentStream(buildRequest(prompt, json), { signal });
+        for await (const chunk of result.stream) {
+          const text = chunk.text();
+          if (text) yield text;
+        }
+        reportUsage((await result.response).usageMetadata, onUsage);
+      } catch (error) {
+        throw geminiError(error);
+      }
+    },
+    async check({ signal } = {}) {
+      // Model metadata is free to read and needs a valid key
+      const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(modelName)}`, {
+        headers: { 'x-goog-api-key': env.GEMINI_API_KEY },
+        signal
+      });
+      if (!response.ok) {
+        throw httpError(response.status, `Gemini returned ${response.status} for model ${modelName}`);
+      }
+    }
+  };
+}
+
+// Any server speaking the OpenAI chat completions API, e.g. a local
+// llama.cpp server, Ollama, vLLM or LM Studio
+function createOpenAICompatibleProvider(env) {
+  const baseUrl = (env.OPENAI_BASE_URL || 'http://localhost:8080/v1').replace(/\/+$/, '');
+  const modelName = env.OPENAI_MODEL || 'local-model';
+  const temperature = numberFromEnv(env.OPENAI_TEMPERATURE, 0.4);
+  const maxTokens = numberFromEnv(env.OPENAI_MAX_TOKENS, 4096);
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (env.OPENAI_API_KEY) {
+    headers.Authorization = `Bearer ${env.OPENAI_API_KEY}`;
+  }
+
+  const reportUsage = (usage, onUsage) => {
+    if (usage && onUsage) {
+      onUsage({ promptTokens: usage.prompt_tokens || 0, completionTokens: usage.completion_tokens || 0 });
+    }
+  };
+
+  // fetch() from the endpoint; failures to connect and error statuses are
+  // thrown as coded errors
+  const call = async (url, options) => {
+    let response;
+    try {
+      response = await fetch(url, { headers, ...options });
+    } catch (error) {
+      if (options.signal?.aborted) throw error;
+      throw appError('PROVIDER_UNAVAILABLE', `Could not reach the OpenAI-compatible endpoint at ${baseUrl}: ${error.cause?.message || error.message}`);
+    }
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      throw httpError(
+        response.status,
+        `OpenAI-compatible endpoint returned ${response.status}: ${body.substring(0, 500)}`,
+        parseRetryAfter(response.headers.get('retry-after'))
+      );
+    }
+    return response;
+  };
+
+  const request = (prompt, json, stream, signal) => call(`${baseUrl}/chat/completions`, {
+    method: 'POST',
+    body: JSON.stringify({
+      model: modelName,
+      messages: [{ role: 'user', content: prompt }],
+      temperature,
+      max_tokens: maxTokens,
+      stream,
+      ...(stream && { stream_options: { include_usage: true } }),
+      ...(json && { response_format: { type: 'json_object' } })
+    }),
+    signal
+  });
+
+  const blocked = () => appError('PROVIDER_BLOCKED_SAFETY', 'The model declined to answer: its response was stopped by a content filter');
+
+  return {
+    name: 'openai',
+    model: modelName,
+    async generate(prompt, { json = false, signal, onUsage } = {}) {
+      const response = await request(prompt, json, false, signal);
+      const data = await response.json();
+      reportUsage(data.usage, onUsage);
+      if (data.choices?.[0]?.finish_reason === 'content_filter') {
+        throw blocked();
+      }
+      return data.choices?.[0]?.message?.content || '';
+    },
+    async *stream(prompt, { json = false, signal, onUsage } = {}) {
+      const response = await request(prompt, json, true, signal);
+      const decoder = new TextDecoder();
+      let buffered = '';
+
+      // The body is a stream of "data: {...}" lines ending with "data: [DONE]".
+      // With include_usage, the last chunk before it carries the usage.
+      for await (const bytes of response.body) {
+        buffered += decoder.decode(bytes, { stream: true });
+        const lines = buffered.split('\n');
+        buffered = lines.pop();
+
+        for (const line of lines) {
+          const data = line.replace(/^data:\s*/, '').trim();
+          if (!line.startsWith('data:') || !data) continue;
+          if (data === '[DONE]') return;
+
+          const chunk = JSON.parse(data);
+          reportUsage(chunk.usage, onUsage);
+          if (chunk.choices?.[0]?.finish_reason === 'content_filter') {
+            throw blocked();
+          }
+          const text = chunk.choices?.[0]?.delta?.content;
+          if (text) yield text;
+        }
+      }
+    },
+    async check({ signal } = {}) {
+      await call(`${baseUrl}/models`, { signal });
+    }
+  };
+}
+
+// Canned responses for the mock provider, keyed by task. Summary items cite
+// the first passages of the input; validation drops refs past the end of a
+// short input.
+const MOCK_SUMMARY = {
+  mainTopics: [
+    { text: 'Overview of the provided notes', refs: [1] },
+    { text: 'Core ideas and how they connect', refs: [1, 2] }
+  ],
+  keyConcepts: [
+    { term: 'Concept', definition: 'A short, plain-language definition', refs: [1] },
+    { term: 'Example', definition: 'An illustration that makes the concept concrete', refs: [2] }
+  ],
+  formulas: [
+    { term: 'Mock output', definition: 'output = canned response, whatever the input' }
+  ],
+  importantPoints: [
+    { text: 'This summary was produced by the offline mock provider', refs: [1] },
+    'The content is canned and does not reflect the input'
+  ],
+  timeline: [
+    { term: 'Step 1', definition: 'The notes are sent to the mock provider' },
+    { term: 'Step 2', definition: 'The same summary comes back every time' }
+  ],
+  summary: 'These notes were processed by the mock LLM provider, which returns fixed output so the backend can run without network access or an API key.',
+  studyTips: [
+    'Review the main topics first',
+    'Explain each key concept in your own words'
+  ]
+};
+
+const MOCK_QUIZ = {
+  questions: [
+    {
+      type: 'multiple-choice',
+      question: 'Which provider produced this quiz?',
+      options: ['Gemini', 'The mock provider', 'A local llama.cpp server', 'None of these'],
+      answer: 'The mock provider',
+      explanation: 'The backend is running with LLM_PROVIDER=mock, which returns canned output.'
+    },
+    {
+      type: 'true-false',
+      question: 'The mock provider needs network access.',
+      answer: false,
+      explanation: 'The mock provider runs entirely offline.'
+    },
+    {
+      type: 'short-answer',
+      question: 'Why is a mock provider useful?',
+      answer: 'It lets the backend run in CI or offline without an API key.',
+      explanation: 'A good answer mentions running without network access or credentials.'
+    }
+  ]
+};
+
+const MOCK_FLASHCARDS = {
+  cards: [
+    { type: 'term', front: 'Mock provider', back: 'An offline LLM provider that returns canned output.' },
+    { type: 'qa', front: 'When is the mock provider useful?', back: 'In CI and on machines without network access or an API key.' },
+    { type: 'term', front: 'Canned output', back: 'Fixed responses that do not depend on the input.' }
+  ]
+};
+
+// Combined summary of several documents, citing them as "Document N"
+const MOCK_COMBINED = {
+  mainTopics: [
+    { text: 'Topics shared by the uploaded documents', sources: ['Document 1', 'Document 2'] },
+    { text: 'Material covered by one document only', sources: ['Document 1'] }
+  ],
+  keyConcepts: [
+    { term: 'Concept', definition: 'A short, plain-language definition', sources: ['Document 1', 'Document 2'] }
+  ],
+  importantPoints: [
+    { text: 'This combined summary was produced by the offline mock provider', sources: ['Document 2'] }
+  ],
+  formulas: [],
+  timeline: [],
+  summary: 'These documents were combined by the mock LLM provider, which returns fixed output regardless of the input.',
+  studyTips: [
+    { text: 'Compare how each document treats the shared topics', sources: ['Document 1', 'Document 2'] }
+  ]
+};
+
+const MOCK_CHAT = {
+  answer: 'This answer comes from the mock LLM provider, which returns fixed output regardless of the question.',
+  refs: [1]
+};
+
+const MOCK_CHANGES = {
+  summary: 'These changes were described by the mock LLM provider, which returns fixed output regardless of the input.',
+  addedTopics: ['A topic that is new in the revised version'],
+  removedTopics: [],
+  changedTopics: ['A topic whose explanation was reworded']
+};
+
+const MOCK_CONCEPT_MAP = {
+  concepts: [
+    { id: 'c1', label: 'Mock provider', description: 'An offline stand-in for a real language model' },
+    { id: 'c2', label: 'Language model', description: 'A model that generates text from a prompt' },
+    { id: 'c3', label: 'Fixed output', description: 'The same response regardless of the input' },
+    { id: 'c4', label: 'Offline testing', description: 'Trying out the app without network access' }
+  ],
+  relations: [
+    { from: 'c1', to: 'c2', type: 'contrasts with' },
+    { from: 'c1', to: 'c3', type: 'causes' },
+    { from: 'c4', to: 'c1', type: 'requires' }
+  ]
+};
+
+const MOCK_RESPONSES = {
+  summary: JSON.stringify(MOCK_SUMMARY, null, 2),
+  merge: JSON.stringify(MOCK_SUMMARY, null, 2),
+  combine: JSON.stringify(MOCK_COMBINED, null, 2),
+  quiz: JSON.stringify(MOCK_QUIZ, null, 2),
+  flashcards: JSON.stringify(MOCK_FLASHCARDS, null, 2),
+  chat: JSON.stringify(MOCK_CHAT, null, 2),
+  compare: JSON.stringify(MOCK_CHANGES, null, 2),
+  conceptMap: JSON.stringify(MOCK_CONCEPT_MAP, null, 2)
+};
+
+// Deterministic offline provider for CI and air-gapped development.
+// MOCK_DELAY_MS simulates model latency, e.g. to try out cancellation.
+// MOCK_ERROR makes requests fail with that error code (e.g.
+// PROVIDER_UNAVAILABLE), the first MOCK_ERROR_COUNT of them or all, to try
+// out retries, the extractive fallback and error messages.
+function createMockProvider(env) {
+  const delay = numberFromEnv(env.MOCK_DELAY_MS, 0);
+  const failure = env.MOCK_ERROR && ERROR_CODES[env.MOCK_ERROR] ? env.MOCK_ERROR : null;
+  let failuresLeft = numberFromEnv(env.MOCK_ERROR_COUNT, Infinity);
+
+  return {
+    name: 'mock',
+    model: env.MOCK_MODEL || 'mock',
+    async generate(prompt, { task = 'summary', signal, onUsage } = {}) {
+      if (delay > 0) {
+        await new Promise((resolve, reject) => {
+          const timer = setTimeout(resolve, delay);
+          signal?.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+          }, { once: true });
+        });
+      }
+
+      if (failure && failuresLeft > 0) {
+        failuresLeft--;
+        throw appError(failure, `Mock provider failure (${failure})`);
+      }
+
+      // Repair requests get the canned response of the task being repaired
+      const baseTask = task.replace(/-repair$/, '');
+      const response = MOCK_RESPONSES[baseTask] || MOCK_RESPONSES.summary;
+      // Rough token counts, at about four characters per token
+      onUsage?.({ promptTokens: Math.ceil(prompt.length / 4), completionTokens: Math.ceil(response.length / 4) });
+      return response;
+    },
+    async *stream(prompt, options) {
+      const response = await this.generate(prompt, options);
+      for (let i = 0; i < response.length; i += 24) {
+        yield response.substring(i, i + 24);
+      }
+    },
+    async check() {}
+  };
+}
+
+const PROVIDERS = {
+  gemini: createGeminiProvider,
+  openai: createOpenAICompatibleProvider,
+  mock: createMockProvider
+};
+
+// Create the provider selected by LLM_PROVIDER (defaults to gemini)
+export function createProvider(env = process.env) {
+  const name = (env.LLM_PROVIDER || 'gemini').toLowerCase();
+  const factory = PROVIDERS[name];
+
+  if (!factory) {
+    throw new Error(`Unknown LLM_PROVIDER "${name}". Supported providers: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  return factory(env);
+}
@@ -0,0 +1,168 @@
+import { stripMarkdown } from './summarySchema.js';
+
+// Practice quiz schema, options and validation
+
+export const QUESTION_TYPES = ['multiple-choice', 'true-false', 'short-answer'];
+export const DIFFICULTIES = ['easy', 'medium', 'hard'];
+export const MAX_QUESTIONS = 30;
+const DEFAULT_QUESTIONS = 10;
+
+export const QUIZ_JSON_FORMAT = `{
+  "questions": [
+    {
+      "type": "multiple-choice",
+      "question": "the question",
+      "options": ["option A", "option B", "option C", "option D"],
+      "answer": "the correct option, copied exactly from options",
+      "explanation": "why this answer is correct"
+    },
+    {
+      "type": "true-false",
+      "question": "a statement to judge",
+      "answer": true,
+      "explanation": "why the statement is true or false"
+    },
+    {
+      "type": "short-answer",
+      "question": "the question",
+      "answer": "a model answer in one or two sentences",
+      "explanation": "what a good answer must mention"
+    }
+  ]
+}`;
+
+// Validate quiz options from a request body, applying defaults. Returns
+// { options, error }.
+export function parseQuizOptions(body = {}) {
+  const count = body.count === undefined || body.count === '' ? DEFAULT_QUESTIONS : Number(body.count);
+  if (!Number.isInteger(count) || count < 1 || count > MAX_QUESTIONS) {
+    return { error: `Question count must be a whole number between 1 and ${MAX_QUESTIONS}` };
+  }
+
+  const difficulty = (body.difficulty || 'medium').toLowerCase();
+  if (!DIFFICULTIES.includes(difficulty)) {
+    return { error: `Difficulty must be one of: ${DIFFICULTIES.join(', ')}` };
+  }
+
+  // Multipart forms send types as a comma-separated string
+  let types = body.types || QUESTION_TYPES;
+  if (typeof types === 'string') {
+    types = types.split(',').map(type => type.trim()).filter(Boolean);
+  }
+  if (!Array.isArray(types) || !types.length || types.some(type => !QUESTION_TYPES.includes(type))) {
+    return { error: `Question types must be chosen from: ${QUESTION_TYPES.join(', ')}` };
+  }
+
+  return { options: { count, difficulty, types } };
+}
+
+// Build the prompt for one part of the document
+export function buildQuizPrompt(text, { count, difficulty, types }, partNote = '') {
+  return `
+Create a practice quiz that helps a student test their understanding of the following study notes. Write exactly ${count} question${count === 1 ? '' : 's'} at ${difficulty} difficulty, using only these question types: ${types.join(', ')}. Mix the types when more than one is allowed. Every question must be answerable from the notes and must include the correct answer and a short explanation.
+${partNote}
+Return a JSON object with exactly this structure:
+
+${QUIZ_JSON_FORMAT}
+
+Rules:
+- Respond with ONLY the JSON object, no code fences or commentary
+- Use plain text in all strings, NO formatting symbols like ** __ ### etc.
+- Multiple-choice questions have 4 options and exactly one correct answer
+- True/false answers are the JSON booleans true or false
+
+Notes:
+${text}
+  `;
+}
+
+function cleanString(value) {
+  return typeof value === 'string' ? stripMarkdown(value).trim() : '';
+}
+
+// Resolve a multiple-choice answer given as the option text, a letter ("B")
+// or a zero-based index to the option text
+function resolveChoice(answer, options) {
+  if (typeof answer === 'number') {
+    return options[answer];
+  }
+  const text = cleanString(String(answer ?? ''));
+  const exact = options.find(option => option.toLowerCase() === text.toLowerCase());
+  if (exact) {
+    return exact;
+  }
+  const letter = text.match(/^([A-Fa-f])(?:[.)]|$)/);
+  return letter ? options[letter[1].toUpperCase().charCodeAt(0) - 65] : undefined;
+}
+
+// Validate and normalize one question. Returns { question }, { error }, or
+// nothing for questions of a type that was not requested.
+function normalizeQuestion(raw, index, types) {
+  const label = `Question ${index + 1}`;
+  if (!raw || typeof raw !== 'object') {
+    return { error: `${label} must be an object` };
+  }
+
+  const type = String(raw.type || '').toLowerCase().replace(/[\s_/]+/g, '-');
+  if (!QUESTION_TYPES.includes(type)) {
+    return { error: `${label} has type "${raw.type}", expected one of: ${QUESTION_TYPES.join(', ')}` };
+  }
+  if (!types.includes(type)) {
+    return {};
+  }
+
+  const question = cleanString(raw.question);
+  const explanation = cleanString(raw.explanation);
+  if (!question) return { error: `${label} is missing "question"` };
+  if (!explanation) return { error: `${label} is missing "explanation"` };
+
+  if (type === 'multiple-choice') {
+    const options = Array.isArray(raw.options) ? raw.options.map(cleanString).filter(Boolean) : [];
+    if (options.length < 2) {
+      return { error: `${label} needs at least 2 options` };
+    }
+    const answer = resolveChoice(raw.answer, options);
+    if (!answer) {
+      return { error: `${label} answer must be one of its options` };
+    }
+    return { question: { type, question, options, answer, explanation } };
+  }
+
+  if (type === 'true-false') {
+    const answer = typeof raw.answer === 'boolean' ? raw.answer : String(raw.answer).trim().toLowerCase();
+    if (answer !== true && answer !== false && answer !== 'true' && answer !== 'false') {
+      return { error: `${label} answer must be true or false` };
+    }
+    return { question: { type, question, answer: answer === true || answer === 'true', explanation } };
+  }
+
+  const answer = cleanString(raw.answer);
+  if (!answer) return { error: `${label} is missing "answer"` };
+  return { question: { type, question, answer, explanation } };
+}
+
+// Validate parsed model output. Returns { value, errors } where value is the
+// list of questions, trimmed to the requested count.
+export function validateQuiz(data, { count, types }) {
+  const list = Array.isArray(data) ? data : data?.questions;
+  if (!Array.isArray(list) || !list.length) {
+    return { value: null, errors: ['Output must contain a non-empty "questions" array'] };
+  }
+
+  const questions = [];
+  const errors = [];
+  list.forEach((raw, index) => {
+    const result = normalizeQuestion(raw, index, types);
+    if (result.error) {
+      errors.push(result.error);
+    } else if (result.question) {
+      questions.push(result.question);
+    }
+  });
+
+  if (!errors.length && !questions.length) {
+    errors.push(`No questions of the requested types: ${types.join(', ')}`);
+  }
+
+  return { value: errors.length ? null : questions.slice(0, count), errors };
+}
@@ -0,0 +1,70 @@
+// Keyword retrieval over the passages of a document with Okapi BM25, so
+// questions about a document can be answered from its relevant passages
+// without sending the whole text to the model.
+
+const K1 = 1.2; // Term frequency saturation
+const B = 0.75; // Length normalization
+
+// Words too common to say anything about relevance
+const STOPWORDS = new Set(`
+a about above after again against all am an and any are as at be because been before being below between both but by
+can could did do does doing down during each few for from further had has have having he her here hers herself him
+himself his how i if in into is it its itself just me more most my myself no nor not now of off on once only or other
+our ours ourselves out over own same she should so some such than that the their theirs them themselves then there
+these they this those through to too under until up very was we were what when where which while who whom why will
+with would you your yours yourself yourselves explain mean means meaning tell describe please
+`.trim().split(/\s+/));
+
+// Lowercase word tokens without stopwords. Plural and -ing forms are folded
+// into their stem crudely, which is enough for matching questions to notes.
+// Words keep their combining marks, the vowel signs of Indic scripts.
+export function tokenize(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}][\p{L}\p{M}\p{N}]*/gu) || [])
+    .filter(word => !STOPWORDS.has(word) && (word.length > 1 || /\d/.test(word)))
+    .map(word => word.replace(/(?<=\p{L}{3})(?:ing|es|s)$/u, ''));
+}
+
+// Index `documents` (an array of strings) for search(query, limit), which
+// returns [{ index, score }] best match first, leaving out documents that
+// share no terms with the query
+export function createBm25Index(documents) {
+  const termCounts = documents.map(document => {
+    const counts = new Map();
+    for (const term of tokenize(document)) {
+      counts.set(term, (counts.get(term) || 0) + 1);
+    }
+    return counts;
+  });
+  const lengths = termCounts.map(counts => [...counts.values()].reduce((sum, count) => sum + count, 0));
+  const averageLength = lengths.reduce((sum, length) => sum + length, 0) / (documents.length || 1) || 1;
+
+  const documentFrequency = new Map();
+  for (const counts of termCounts) {
+    for (const term of counts.keys()) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+  }
+
+  const idf = term => {
+    const frequency = documentFrequency.get(term) || 0;
+    return Math.log(1 + (documents.length - frequency + 0.5) / (frequency + 0.5));
+  };
+
+  return {
+    search(query, limit = 5) {
+      const terms = [...new Set(tokenize(query))].filter(term => documentFrequency.has(term));
+      const results = [];
+      termCounts.forEach((counts, index) => {
+        let score = 0;
+        for (const term of terms) {
+          const count = counts.get(term);
+          if (count) {
+            score += idf(term) * (count * (K1 + 1)) / (count + K1 * (1 - B + B * lengths[index] / averageLength));
+          }
+        }
+        if (score > 0) results.push({ index, score });
+      });
+      return results.sort((a, b) => b.score - a.score).slice(0, limit);
+    }
+  };
+}
@@ -2,39 +2,161 @@ import express from 'express';
 import multer from 'multer';
 import cors from 'cors';
 import dotenv from 'dotenv';
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import mammoth from 'mammoth';
 import path from 'path';
+import crypto from 'crypto';
+import { AsyncResource } from 'async_hooks';
+import { fileURLToPath } from 'url';
+import { createProvider } from './providers.js';
+import { extractTextFromFile, checkExtractors } from './extraction.js';
+import {
+  MAX_CHUNK_LENGTH,
+  MAP_CONCURRENCY,
+  splitIntoChunks,
+  allocateAcrossChunks,
+  mapWithConcurrency,
+  summaryRules,
+  createPipeline
+} from './pipeline.js';
+import { createJobQueue, jobToJson } from './jobs.js';
+import { createLibrary, MAX_PAGE_SIZE } from './library.js';
+import { createResultCache } from './cache.js';
+import { createKeyStore, createRateLimiter, secondsUntilReset } from './auth.js';
+import { exportNotes, EXPORT_FORMATS } from './exporters.js';
+import { splitPassages, markPassages, citePassages, buildCitations, withoutRefs } from './citations.js';
+import { createBm25Index } from './retrieval.js';
+import { CHAT_JSON_FORMAT, parseChatMessage, buildChatPrompt, validateChatAnswer } from './chat.js';
+import { diffTexts } from './diff.js';
+import { CHANGE_SUMMARY_JSON_FORMAT, describeChanges, buildComparePrompt, validateChangeSummary } from './compare.js';
+import {
+  SUMMARY_SECTIONS,
+  sectionJsonFormat,
+  validateSection,
+  sectionsOf,
+  validateSummary,
+  summaryToText
+} from './summarySchema.js';
+import {
+  DEFAULT_SUMMARY_OPTIONS,
+  parseSummaryOptions,
+  summaryInstructions,
+  validateProfileName
+} from './summaryOptions.js';
+import { detectLanguage, resolveLanguage } from './languages.js';
+import { QUIZ_JSON_FORMAT, parseQuizOptions, buildQuizPrompt, validateQuiz } from './quiz.js';
+import {
+  FLASHCARDS_JSON_FORMAT,
+  FLASHCARD_EXPORT_FORMATS,
+  parseFlashcardOptions,
+  buildFlashcardsPrompt,
+  validateFlashcards,
+  cardsFromKeyConcepts,
+  dedupeCards,
+  exportFlashcards
+} from './flashcards.js';
+import {
+  CONCEPT_MAP_JSON_FORMAT,
+  CONCEPT_MAP_EXPORT_FORMATS,
+  parseConceptMapOptions,
+  buildConceptMapPrompt,
+  validateConceptMap,
+  mergeConceptMaps,
+  exportConceptMap
+} from './conceptMap.js';
+import { log, configureLogger, withLogContext } from './logger.js';
+import { registry, httpRequests, errors as errorCount } from './metrics.js';
+import { ERROR_CODES, appError, errorCode } from './errors.js';
 
-// Create a custom pdf-parse function to avoid the test file issue
-async function safePdfParse(buffer) {
-  try {
-    // Dynamically import pdf-parse to avoid initialization issues
-    const pdfParse = (await import('pdf-parse')).default;
-    return await pdfParse(buffer);
-  } catch (error) {
-    // If pdf-parse fails, try alternative approach
-    throw new Error('PDF parsing failed: ' + error.message);
-  }
-}
 dotenv.config();
+configureLogger({ level: process.env.LOG_LEVEL });
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
-// Validate environment variables
-if (!process.env.GEMINI_API_KEY) {
-  console.error('Error: GEMINI_API_KEY environment variable is required');
+// Initialize the LLM provider selected by LLM_PROVIDER
+let provider;
+try {
+  provider = createProvider();
+  log.info('Using LLM provider', { provider: provider.name, model: provider.model });
+} catch (error) {
+  log.error('Could not create the LLM provider', { error: error.message });
+  process.exit(1);
+}
+
+// Runtime data (library, cache) lives here unless configured otherwise
+const DATA_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'data');
+
+// Library of processed notes, stored in SQLite
+let library;
+try {
+  const libraryPath = process.env.LIBRARY_PATH || path.join(DATA_DIR, 'notes.db');
+  library = createLibrary(libraryPath);
+  log.info('Opened notes library', { path: libraryPath });
+} catch (error) {
+  log.error('Error opening notes library', { error: error.message });
   process.exit(1);
 }
 
-// Initialize Gemini AI
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
+// Processing results cached on disk, so processing the same content again
+// with the same model and options makes no model calls. CACHE_MAX_MB=0
+// turns the cache off.
+const cache = createResultCache({
+  directory: process.env.CACHE_DIR || path.join(DATA_DIR, 'cache'),
+  maxBytes: (process.env.CACHE_MAX_MB ? Number(process.env.CACHE_MAX_MB) : 100) * 1024 * 1024,
+  ttlMs: (Number(process.env.CACHE_TTL_HOURS) || 7 * 24) * 60 * 60 * 1000
+});
+
+// When the model is unavailable (down, over quota, timing out), summaries
+// come from the extractive summarizer instead, unless EXTRACTIVE_FALLBACK=false
+const EXTRACTIVE_FALLBACK = process.env.EXTRACTIVE_FALLBACK !== 'false';
+
+// Model calls time out after MODEL_TIMEOUT_SECONDS, and transient failures
+// are tried again up to MODEL_MAX_RETRIES times with backoff
+const MODEL_SETTINGS = {
+  maxRetries: process.env.MODEL_MAX_RETRIES ? Number(process.env.MODEL_MAX_RETRIES) : undefined,
+  timeoutMs: process.env.MODEL_TIMEOUT_SECONDS ? Number(process.env.MODEL_TIMEOUT_SECONDS) * 1000 : undefined
+};
+
+const {
+  generateValidatedJson,
+  withCache,
+  withExtractiveFallback,
+  summarizeText,
+  combineDocumentSummaries
+} = createPipeline({ provider, cache, extractiveFallback: EXTRACTIVE_FALLBACK, ...MODEL_SETTINGS });
+
+// API keys with per-key rate limits and daily character quotas. Keys are
+// only mandatory with REQUIRE_API_KEY=true; without a key, requests are rate
+// limited by IP address and have no quota.
+const REQUIRE_API_KEY = process.env.REQUIRE_API_KEY === 'true';
+const RATE_LIMIT_PER_MINUTE = Number(process.env.RATE_LIMIT_PER_MINUTE) || 20;
+let keys;
+try {
+  keys = createKeyStore(process.env.KEYS_PATH || path.join(DATA_DIR, 'keys.db'), {
+    ratePerMinute: RATE_LIMIT_PER_MINUTE,
+    dailyCharacters: Number(process.env.DAILY_CHARACTER_QUOTA) || 500000
+  });
+} catch (error) {
+  log.error('Error opening API key database', { error: error.message });
+  process.exit(1);
+}
+const rateLimiter = createRateLimiter();
+if (!REQUIRE_API_KEY) {
+  log.warn('API keys are not required (REQUIRE_API_KEY is not "true"): anyone who can reach this server can use the model');
+}
 
 // Middleware
-app.use(cors());
-app.use(express.json());
+app.use(trackRequest);
+// CORS_ORIGINS restricts browser access to the listed origins
+const corsOrigins = process.env.CORS_ORIGINS?.split(',').map(origin => origin.trim()).filter(Boolean);
+app.use(cors({ exposedHeaders: ['X-Request-Id'], ...(corsOrigins?.length && { origin: corsOrigins }) }));
+app.use(express.json({ limit: '10mb' }));
+app.use('/api', authenticate);
+
+// Pasted text limit; long texts are chunked, so this only guards against abuse
+const MAX_TEXT_LENGTH = 2000000; // 2M characters
+
+// Most files accepted in one upload; batches get a combined summary
+const MAX_BATCH_FILES = 10;
 
 // Configure multer for file uploads
 const upload = multer({
@@ -42,273 +164,1489 @@ const upload = multer({
   limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
 });
 
-// Extract text from PDF
-async function extractTextFromPDF(buffer) {
+// Run a middleware with `next` bound to the async context of the request,
+// so what follows is logged with its request ID. multer moves on from its
+// stream callbacks, outside that context.
+function keepContext(middleware) {
+  return (req, res, next) => middleware(req, res, AsyncResource.bind(next));
+}
+
+// Background jobs for uploads. Each running job holds its file and extracted
+// text in memory, so only a few run at once and the rest wait in line.
+const jobs = createJobQueue({
+  concurrency: Number(process.env.JOB_CONCURRENCY) || 2,
+  maxQueued: Number(process.env.JOB_MAX_QUEUED) || 20,
+  ttlMs: (Number(process.env.JOB_TTL_MINUTES) || 60) * 60 * 1000
+});
+registry.gauge('notes_jobs', 'Upload jobs by status', () => {
+  const { running, queued } = jobs.stats();
+  return [{ labels: { status: 'running' }, value: running }, { labels: { status: 'queued' }, value: queued }];
+});
+
+// Longest instruction accepted when regenerating a section
+const MAX_INSTRUCTION_LENGTH = 500;
+
+// The source text marked with [#N] passage markers for a prompt. Text too
+// long for one model call is narrowed down to the passages that best match
+// `query`, in document order.
+function notesForPrompt(text, passages, query) {
+  const marked = markPassages(text, passages);
+  if (marked.length <= MAX_CHUNK_LENGTH) {
+    return marked;
+  }
+
+  const texts = passages.map(passage => text.slice(passage.start, passage.end));
+  const chosen = [];
+  let length = 0;
+  for (const { index } of createBm25Index(texts).search(query, passages.length)) {
+    const size = texts[index].length + 10;
+    if (length + size > MAX_CHUNK_LENGTH) break;
+    chosen.push(index);
+    length += size;
+  }
+  return chosen
+    .sort((a, b) => a - b)
+    .map(index => `[#${passages[index].id}] ${texts[index]}`)
+    .join('\n\n');
+}
+
+// Regenerate one section of a summary from the source text, optionally
+// following an instruction from the student such as "make it simpler". The
+// rest of the summary is given for context. Returns { value, citations,
+// characters }: the new section, the passages it cites and the length of the
+// notes sent to the model.
+async function regenerateSection(text, { summary, key, instruction, summaryOptions, pages }) {
+  const section = SUMMARY_SECTIONS.find(candidate => candidate.key === key);
+  const passages = splitPassages(text, pages);
+  const notes = notesForPrompt(text, passages, summaryToText(summary));
+  const current = summary[key] === undefined ? '(not written yet)' : JSON.stringify(withoutRefs(summary)[key]);
+  const others = summaryToText(Object.fromEntries(Object.entries(summary).filter(([name]) => name !== key)));
+
+  const value = await generateValidatedJson(`
+Please rewrite the "${section.title}" section of a summary of the following study notes. ${summaryInstructions(summaryOptions)} Keep it consistent with the rest of the summary without repeating it.${instruction ? ` The student asked: "${instruction}"` : ''}
+
+Current "${section.title}" section:
+${current}
+
+Rest of the summary:
+${others}
+
+Return a JSON object with exactly this structure:
+
+${sectionJsonFormat(key, { cited: true })}
+
+${summaryRules({ sections: [key] })}
+
+Notes to analyze:
+${notes}
+  `, {
+    task: 'section',
+    format: sectionJsonFormat(key, { cited: true }),
+    validate: data => validateSection(data, key, { passageCount: passages.length })
+  });
+
+  const refs = Array.isArray(value) ? value.flatMap(item => item.refs || []) : [];
+  return { value, citations: citePassages(refs, passages, text), characters: notes.length };
+}
+
+// Generate a practice quiz. Questions are spread over the document's chunks
+// so long documents are covered end to end.
+async function generateQuiz(text, options) {
+  const chunks = splitIntoChunks(text);
+  const counts = allocateAcrossChunks(chunks, options.count);
+
+  const parts = await mapWithConcurrency(chunks, MAP_CONCURRENCY, async (chunk, index) => {
+    if (!counts[index]) {
+      return [];
+    }
+
+    const partOptions = { ...options, count: counts[index] };
+    const partNote = chunks.length > 1
+      ? `\nThese notes are part ${index + 1} of ${chunks.length} of a longer document. Ask only about this part.\n`
+      : '';
+
+    return generateValidatedJson(buildQuizPrompt(chunk, partOptions, partNote), {
+      task: 'quiz',
+      format: QUIZ_JSON_FORMAT,
+      validate: data => validateQuiz(data, partOptions)
+    });
+  });
+
+  return parts.flat().map((question, index) => ({ id: index + 1, ...question }));
+}
+
+// Generate flashcards. Summary key concepts seed up to half of the deck;
+// the rest is generated chunk by chunk so the whole document is covered.
+async function generateFlashcards(text, { count, keyConcepts }) {
+  const seeds = dedupeCards(cardsFromKeyConcepts(keyConcepts)).slice(0, Math.floor(count / 2));
+  const chunks = splitIntoChunks(text);
+  const counts = allocateAcrossChunks(chunks, count - seeds.length);
+  const existingFronts = seeds.map(card => card.front);
+
+  const parts = await mapWithConcurrency(chunks, MAP_CONCURRENCY, async (chunk, index) => {
+    if (!counts[index]) {
+      return [];
+    }
+
+    const partOptions = { count: counts[index] };
+    const partNote = chunks.length > 1
+      ? `\nThese notes are part ${index + 1} of ${chunks.length} of a longer document. Make cards only about this part.\n`
+      : '';
+
+    return generateValidatedJson(buildFlashcardsPrompt(chunk, partOptions, existingFronts, partNote), {
+      task: 'flashcards',
+      format: FLASHCARDS_JSON_FORMAT,
+      validate: data => validateFlashcards(data, partOptions)
+    });
+  });
+
+  return dedupeCards([...seeds, ...parts.flat()]).map((card, index) => ({ id: index + 1, ...card }));
+}
+
+// Generate a concept map. Long documents are mapped chunk by chunk, and the
+// maps merged on concept labels so concepts shared between parts connect.
+async function generateConceptMap(text, { count }) {
+  const chunks = splitIntoChunks(text);
+
+  const maps = await mapWithConcurrency(chunks, MAP_CONCURRENCY, async (chunk, index) => {
+    const partNote = chunks.length > 1
+      ? `\nThese notes are part ${index + 1} of ${chunks.length} of a longer document. Map only this part.\n`
+      : '';
+
+    return generateValidatedJson(buildConceptMapPrompt(chunk, { count }, partNote), {
+      task: 'conceptMap',
+      format: CONCEPT_MAP_JSON_FORMAT,
+      validate: validateConceptMap
+    });
+  });
+
+  return mergeConceptMaps(maps, { count });
+}
+
+// Passages of the notes given to the model with each chat question, and
+// how many earlier messages of the conversation
+const CHAT_PASSAGE_LIMIT = 6;
+const CHAT_HISTORY_LIMIT = 6;
+
+// The passages of a saved note to answer a question from: the best keyword
+// matches for the question, topped up with those for the previous question
+// so follow-ups like "and why?" still find something. When nothing matches,
+// the passages the summary cites stand in.
+function chatPassages(note, passages, question, history) {
+  const texts = passages.map(passage => note.originalText.slice(passage.start, passage.end));
+  const index = createBm25Index(texts);
+  const previousQuestion = history.filter(message => message.role === 'user').at(-1)?.content || '';
+
+  const ids = new Set();
+  for (const query of [question, previousQuestion]) {
+    for (const { index: position } of index.search(query, CHAT_PASSAGE_LIMIT)) {
+      if (ids.size < CHAT_PASSAGE_LIMIT) ids.add(position + 1);
+    }
+  }
+  if (!ids.size) {
+    Object.keys(note.citations).map(Number).slice(0, CHAT_PASSAGE_LIMIT).forEach(id => ids.add(id));
+  }
+
+  return [...ids]
+    .filter(id => passages[id - 1])
+    .sort((a, b) => a - b)
+    .map(id => ({ id, text: texts[id - 1] }));
+}
+
+// Answer a question about a saved note from its relevant passages, given
+// the conversation so far. Returns { answer, refs, characters }, where
+// characters counts the question and passages sent to the model.
+async function answerQuestion(note, question, history, { signal } = {}) {
+  const passages = splitPassages(note.originalText, note.pages);
+  const recent = history.slice(-CHAT_HISTORY_LIMIT);
+  const found = chatPassages(note, passages, question, recent);
+  log.info('Answering chat question', { noteId: note.id, passages: found.map(passage => passage.id) });
+
+  const prompt = buildChatPrompt(question, { passages: found, history: recent, summaryText: summaryToText(note.summary) });
+  const { answer, refs } = await generateValidatedJson(prompt, {
+    task: 'chat',
+    format: CHAT_JSON_FORMAT,
+    validate: data => validateChatAnswer(data, { passageIds: found.map(passage => passage.id) }),
+    signal
+  });
+  return { answer, refs, characters: question.length + found.reduce((sum, passage) => sum + passage.text.length, 0) };
+}
+
+// The passages a note's chat messages cite, as citePassages returns them
+function chatCitations(note, messages) {
+  return citePassages(messages.flatMap(message => message.refs), splitPassages(note.originalText, note.pages), note.originalText);
+}
+
+// Join the texts of several documents into one, each under its file name
+function joinDocuments(documents) {
+  return documents.map(document => `=== ${document.filename} ===\n\n${document.text}`).join('\n\n');
+}
+
+// Read the source document of a request: uploaded files in the `pdf` field
+// (several are joined into one text), or `text` in the body. Returns
+// { text } or { error } with a coded error; extraction failures are thrown.
+async function readSourceText(req) {
+  if (req.files?.length) {
+    const documents = [];
+    for (const file of req.files) {
+      const uploadError = validateUpload(file);
+      if (uploadError) {
+        return { error: uploadError };
+      }
+      const { text } = await extractTextFromFile(file.buffer, file.mimetype, file.originalname);
+      if (!text || text.trim().length === 0) {
+        return { error: appError('NO_TEXT_FOUND', `No readable text found in ${file.originalname}`) };
+      }
+      documents.push({ filename: file.originalname, text });
+    }
+    return { text: documents.length === 1 ? documents[0].text : joinDocuments(documents) };
+  }
+
+  const { text } = req.body;
+  if (!text) {
+    return { error: appError('INVALID_REQUEST', 'No file or text provided') };
+  }
+  const textError = validateText(text);
+  return textError ? { error: textError } : { text };
+}
+
+// Read one version of a document to compare: a file in the `name` field,
+// or text in `${name}Text`. Returns { text, label } or { error } with a
+// coded error; extraction failures are thrown.
+async function readVersion(req, name) {
+  const file = req.files?.[name]?.[0];
+  if (file) {
+    const uploadError = validateUpload(file);
+    if (uploadError) {
+      return { error: uploadError };
+    }
+    const { text } = await extractTextFromFile(file.buffer, file.mimetype, file.originalname);
+    if (!text || text.trim().length === 0) {
+      return { error: appError('NO_TEXT_FOUND', `No readable text found in ${file.originalname}`) };
+    }
+    return { text, label: file.originalname };
+  }
+
+  const text = req.body[`${name}Text`];
+  const textError = validateText(text);
+  if (textError) {
+    return { error: appError(textError.code, `${name === 'original' ? 'Original' : 'Revised'} version: ${textError.message}`) };
+  }
+  return { text, label: `${name} version` };
+}
+
+// Summarize what changed between two versions of a document, from the
+// description of their differences that describeChanges gives
+async function summarizeChanges(changes, labels) {
+  if (!changes) {
+    return { summary: 'The two versions have the same text.', addedTopics: [], removedTopics: [], changedTopics: [] };
+  }
+  return generateValidatedJson(buildComparePrompt(changes, labels), {
+    task: 'compare',
+    format: CHANGE_SUMMARY_JSON_FORMAT,
+    validate: validateChangeSummary
+  });
+}
+
+// How long a provider check is reused for, and how long one may take.
+// Checks call the provider's API, so frequent health checks are not passed on.
+const PROVIDER_CHECK_TTL_MS = 30 * 1000;
+const PROVIDER_CHECK_TIMEOUT_MS = 5000;
+let providerCheck = null;
+
+// Whether the provider can be reached: { ready, error, checkedAt }
+function checkProvider() {
+  if (!providerCheck || Date.now() - providerCheck.startedAt > PROVIDER_CHECK_TTL_MS) {
+    const startedAt = Date.now();
+    providerCheck = {
+      startedAt,
+      result: provider.check({ signal: AbortSignal.timeout(PROVIDER_CHECK_TIMEOUT_MS) }).then(
+        () => ({ ready: true }),
+        error => ({ ready: false, error: error.message })
+      ).then(result => ({ ...result, checkedAt: new Date(startedAt).toISOString() }))
+    };
+  }
+  return providerCheck.result;
+}
+
+// Health check endpoint. The status is 'degraded' when the provider cannot
+// be reached (summaries then fall back to the extractive summarizer, if on)
+// or an extractor cannot run.
+app.get('/api/health', async (req, res) => {
+  const [providerStatus, extractors] = await Promise.all([checkProvider(), checkExtractors()]);
+  res.json({
+    status: providerStatus.ready && extractors.ready ? 'OK' : 'degraded',
+    message: 'Notes Simplifier API is running',
+    provider: { name: provider.name, model: provider.model, ...providerStatus },
+    extractors,
+    jobs: jobs.stats(),
+    cache: cache.stats(),
+    extractiveFallback: EXTRACTIVE_FALLBACK,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Metrics in the Prometheus text format
+app.get('/api/metrics', (req, res) => {
+  res.type(registry.contentType).send(registry.render());
+});
+
+// Check pasted text; returns a coded error, or null when the text is usable
+function validateText(text) {
+  if (!text || typeof text !== 'string') {
+    return appError('INVALID_REQUEST', 'No text provided');
+  }
+  if (text.trim().length === 0) {
+    return appError('INVALID_REQUEST', 'Text cannot be empty');
+  }
+  if (text.length > MAX_TEXT_LENGTH) {
+    return appError('TEXT_TOO_LONG', `Text is too long. Please limit to ${MAX_TEXT_LENGTH.toLocaleString('en-US')} characters.`);
+  }
+  return null;
+}
+
+// Check an uploaded file; returns a coded error, or null when usable. With
+// a file, the message names it.
+function validateUpload(file) {
+  if (!file) {
+    return appError('INVALID_REQUEST', 'No file uploaded');
+  }
+  if (file.size === 0) {
+    return appError('NO_TEXT_FOUND', `${file.originalname}: Uploaded file is empty`);
+  }
+  return null;
+}
+
+// Summary options of a request: `length`, `audience`, `tone` and `sections`,
+// on top of the saved profile named in `profile` if given, looked up among
+// the profiles of the request's API key. Returns { options }, or { error }
+// with a coded error: NOT_FOUND for an unknown profile, INVALID_REQUEST for
+// invalid options.
+function readSummaryOptions(req) {
+  const body = req.body || {};
+  let defaults;
+  if (body.profile) {
+    defaults = library.getProfile(String(body.profile), req.apiKey?.id);
+    if (!defaults) {
+      return { error: appError('NOT_FOUND', `Profile not found: ${body.profile}`) };
+    }
+    defaults = { ...DEFAULT_SUMMARY_OPTIONS, ...defaults };
+  }
+  const { options, error } = parseSummaryOptions(body, defaults);
+  return error ? { error: appError('INVALID_REQUEST', error) } : { options };
+}
+
+// Whether a request asks to skip cached results with `noCache` (true, or
+// "true" / "1" in form fields)
+function readNoCache(body = {}) {
+  return [true, 'true', '1'].includes(body.noCache);
+}
+
+// Whether a request asks for the extractive summarizer instead of the model
+// with `extractive`, given like noCache
+function readExtractive(body = {}) {
+  return [true, 'true', '1'].includes(body.extractive);
+}
+
+// The format a request asks an export in with `format` (in the body or query
+// string), lower-cased, or `defaultFormat` when it names none. Returns null
+// when it is not one of `formats`.
+function readFormat(req, formats, defaultFormat) {
+  const format = req.body.format || req.query.format || defaultFormat;
+  if (typeof format !== 'string' || !Object.hasOwn(formats, format.toLowerCase())) {
+    return null;
+  }
+  return format.toLowerCase();
+}
+
+// IDs accepted from an X-Request-Id header, e.g. one set by a proxy
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Give every request an ID, returned in the X-Request-Id header and added to
+// everything logged while handling it, then log and count it once the
+// response is sent. Routes are counted by their pattern (/api/notes/:id), so
+// IDs in URLs do not add series. Health checks and metric scrapes are only
+// logged at debug level.
+function trackRequest(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  const start = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    const quiet = route === '/api/health' || route === '/api/metrics';
+    log[quiet ? 'debug' : 'info']('Request completed', {
+      requestId: req.id,
+      method: req.method,
+      route,
+      status: res.statusCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e6),
+      apiKeyId: req.apiKey?.id
+    });
+  });
+
+  withLogContext({ requestId: req.id }, next);
+}
+
+// Token sent as "Authorization: Bearer <token>", or in an X-API-Key header
+function bearerToken(req) {
+  const authorization = req.get('Authorization') || '';
+  return authorization.replace(/^Bearer\s+/i, '') || req.get('X-API-Key') || '';
+}
+
+// Admin endpoints require ADMIN_TOKEN as a bearer token, and are disabled
+// when it is not set
+function requireAdmin(req, res, next) {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) {
+    return sendError(res, 'FORBIDDEN', 'Admin endpoints are disabled. Set ADMIN_TOKEN to enable them.');
+  }
+  // Compare hashes so the check takes the same time whatever the input
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  if (!crypto.timingSafeEqual(digest(bearerToken(req)), digest(token))) {
+    return sendError(res, 'UNAUTHORIZED', 'Invalid admin token');
+  }
+  next();
+}
+
+// Identify the API key of a request as req.apiKey. Requests without a key
+// are let through unless REQUIRE_API_KEY is set; admin endpoints check their
+// own token and the health check and metrics are open.
+function authenticate(req, res, next) {
+  if (req.path === '/health' || req.path === '/metrics' || req.path.startsWith('/admin/')) {
+    return next();
+  }
+
+  const token = bearerToken(req);
+  if (!token) {
+    if (!REQUIRE_API_KEY) {
+      return next();
+    }
+    res.set('WWW-Authenticate', 'Bearer');
+    return sendError(res, 'UNAUTHORIZED', 'An API key is required. Send it as "Authorization: Bearer <key>".');
+  }
+
+  req.apiKey = keys.authenticate(token);
+  if (!req.apiKey) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return sendError(res, 'UNAUTHORIZED', 'Invalid or revoked API key');
+  }
+  next();
+}
+
+// Answer with an error code from errors.js, its status and a message.
+// retryAfter (seconds) is also sent in the Retry-After header.
+function sendError(res, code, message, { retryAfter } = {}) {
+  if (retryAfter !== undefined) {
+    res.set('Retry-After', String(retryAfter));
+  }
+  return res.status(ERROR_CODES[code]).json({ error: message, code, ...(retryAfter !== undefined && { retryAfter }) });
+}
+
+// The body of an error response for a caught error. Errors without a code
+// are unexpected: they are counted as INTERNAL (coded ones were counted
+// where they were thrown), and their messages may say more than clients
+// should see, so fallbackMessage is sent instead when given.
+function errorBody(error, fallbackMessage) {
+  const code = errorCode(error);
+  if (code === 'INTERNAL') {
+    errorCount.inc({ type: 'INTERNAL' });
+  }
+  const message = code === 'INTERNAL' && fallbackMessage ? fallbackMessage : error.message;
+  return { error: message, code, ...(error.retryAfter !== undefined && { retryAfter: error.retryAfter }) };
+}
+
+// Answer with a caught error, by its code
+function sendFailure(res, error, fallbackMessage) {
+  const body = errorBody(error, fallbackMessage);
+  return sendError(res, body.code, body.error, { retryAfter: body.retryAfter });
+}
+
+function sendQuotaExceeded(res, apiKey) {
+  return sendError(res, 'QUOTA_EXCEEDED',
+    `Daily quota of ${apiKey.dailyCharacters.toLocaleString('en-US')} characters reached ` +
+    `(${apiKey.usedToday.toLocaleString('en-US')} used today). It resets at midnight UTC.`,
+    { retryAfter: secondsUntilReset() });
+}
+
+// Whether processing `characters` more would take a key past its daily quota
+function overQuota(apiKey, characters) {
+  return Boolean(apiKey) && apiKey.usedToday + characters > apiKey.dailyCharacters;
+}
+
+// For uploads, which only know the text size once it is extracted:
+// returns reserve(characters), which throws QUOTA_EXCEEDED when the key's
+// usage today, read afresh as other requests may have used quota since this
+// one was authenticated, plus what the job already reserved would go over
+// the quota. Usage itself is still charged once processing is done.
+function quotaReservation(apiKey) {
+  let reserved = 0;
+  return characters => {
+    if (!apiKey) return;
+    const current = { ...apiKey, usedToday: keys.usedToday(apiKey.id) + reserved };
+    if (overQuota(current, characters)) {
+      const left = Math.max(0, current.dailyCharacters - current.usedToday);
+      throw appError('QUOTA_EXCEEDED',
+        `The text has ${characters.toLocaleString('en-US')} characters, more than the ${left.toLocaleString('en-US')} ` +
+        `left of the daily quota of ${apiKey.dailyCharacters.toLocaleString('en-US')}. It resets at midnight UTC.`,
+        { retryAfter: secondsUntilReset() });
+    }
+    reserved += characters;
+  };
+}
+
+// Rate limit for the endpoints that call the model, per API key (or per IP
+// address without one), and a check that the key has quota left. Routes that
+// know the text size up front check it against the quota themselves.
+function limitUsage(req, res, next) {
+  const { apiKey } = req;
+  const retryAfter = apiKey
+    ? rateLimiter.hit(`key:${apiKey.id}`, apiKey.ratePerMinute)
+    : rateLimiter.hit(`ip:${req.ip}`, RATE_LIMIT_PER_MINUTE);
+  if (retryAfter) {
+    return sendError(res, 'RATE_LIMITED', `Too many requests. Please wait ${retryAfter} seconds and try again.`, { retryAfter });
+  }
+  if (apiKey && apiKey.usedToday >= apiKey.dailyCharacters) {
+    return sendQuotaExceeded(res, apiKey);
+  }
+  next();
+}
+
+// Count processed characters against a key's daily quota
+function chargeUsage(apiKey, characters) {
+  if (!apiKey) return;
   try {
-    console.log('Attempting PDF text extraction...');
-    const data = await safePdfParse(buffer);
-    console.log(`PDF processed: ${data.numpages} pages, ${data.text.length} characters`);
-    return data.text.trim() || 'No readable text found in PDF';
+    keys.addUsage(apiKey.id, characters);
   } catch (error) {
-    console.error('PDF extraction failed:', error.message);
-    return 'PDF text extraction failed. The PDF might be image-based or corrupted. Please try copying the text manually.';
+    errorCount.inc({ type: 'STORAGE_FAILED' });
+    log.error('Error recording API key usage', { error });
   }
 }
 
-// Extract text from Word documents
-async function extractTextFromWord(buffer) {
+// Characters of source text a processing result sent to the model: nothing
+// for cached and extractive results, and for batches the documents that
+// were summarized by the model
+function chargedCharacters(result) {
+  const byModel = item => !item.cached && item.method !== 'extractive';
+  if (result.documents) {
+    return result.documents
+      .filter(document => document.success && byModel(document))
+      .reduce((sum, document) => sum + document.originalLength, 0);
+  }
+  return byModel(result) ? result.originalLength : 0;
+}
+
+// Save a processed document to the library, with how its summary was made,
+// as a note of the API key keyId. Returns the note id, or null if saving
+// failed; the result is still returned to the client then.
+function saveToLibrary(originalText, result, { filename, title, keyId } = {}) {
+  const { summary, chunksProcessed, options, citations, pages, method = 'ai', fallbackCode, detectedLanguage, cached } = result;
   try {
-    console.log('Extracting text from Word document...');
-    const result = await mammoth.extractRawText({ buffer });
-    console.log(`Word document processed: ${result.value.length} characters`);
-    return result.value.trim() || 'No text found in Word document';
+    return library.save({
+      title,
+      filename,
+      originalText,
+      summary,
+      citations,
+      pages,
+      chunksProcessed,
+      detectedLanguage,
+      cached,
+      keyId,
+      options: { provider: provider.name, model: provider.model, method, ...(fallbackCode && { fallbackCode }), ...options }
+    });
   } catch (error) {
-    console.error('Word extraction failed:', error.message);
-    throw new Error('Failed to extract text from Word document: ' + error.message);
+    errorCount.inc({ type: 'STORAGE_FAILED' });
+    log.error('Failed to save notes to the library', { error });
+    return null;
   }
 }
 
-// Extract text from different file types
-async function extractTextFromFile(buffer, mimetype, filename) {
+// Fields logged when a document has been summarized
+function summaryLogFields(result) {
+  return {
+    method: result.method || 'ai',
+    cached: result.cached,
+    chunks: result.chunksProcessed,
+    characters: result.simplifiedNotes.length
+  };
+}
+
+// Response body for a processed document, saved to the library on the way.
+// saveAs gives the library entry's { filename, title }. `method` says how
+// the summary was made: 'ai', or 'extractive' (with the error code of the
+// model's failure as `fallbackCode` when it was unavailable). `detectedLanguage`
+// is the language of the source, { code, name }, or null when it could not
+// be told.
+function buildResult(originalText, result, saveAs) {
+  const { summary, simplifiedNotes, chunksProcessed, options, citations = {}, cached = false, method = 'ai', fallbackCode, ocr } = result;
+  const { detectedLanguage = null } = result;
+  return {
+    success: true,
+    noteId: saveToLibrary(originalText, result, saveAs),
+    summary,
+    simplifiedNotes,
+    originalLength: originalText.length,
+    simplifiedLength: simplifiedNotes.length,
+    chunksProcessed,
+    options,
+    detectedLanguage,
+    citations,
+    cached,
+    method,
+    ...(fallbackCode && { fallbackCode }),
+    ...(ocr && { ocr })
+  };
+}
+
+// Start a Server-Sent Events response. Returns send(event, data), which does
+// nothing once the client has disconnected.
+function openEventStream(res) {
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+  });
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform', // no-transform keeps compression middleware from buffering
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Stop reverse proxies from buffering the stream
+  });
+  res.flushHeaders();
+
+  return (event, data) => {
+    if (!closed) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+}
+
+// Run extraction (for uploads) and summarization over an event stream:
+// `progress` events while working, `token` events as the final summary is
+// generated, then one `result` or `error` event
+async function streamProcessing(res, { file, text, summaryOptions, noCache, extractive, apiKey }) {
+  const send = openEventStream(res);
+  const onProgress = progress => send('progress', progress);
+
   try {
-    console.log(`Processing file type: ${mimetype}, filename: ${filename}`);
-
-    // Handle by MIME type
-    switch (mimetype) {
-      case 'text/plain':
-        return buffer.toString('utf-8');
-
-      case 'application/pdf':
-        return await extractTextFromPDF(buffer);
-
-      case 'application/vnd.openxmlformats-officedocument.wordprocessingml.document':
-      case 'application/msword':
-        return await extractTextFromWord(buffer);
-
-      default:
-        // Try to handle by file extension if MIME type is not recognized
-        const ext = path.extname(filename).toLowerCase();
-
-        switch (ext) {
-          case '.txt':
-          case '.md':
-          case '.csv':
-            return buffer.toString('utf-8');
-
-          case '.pdf':
-            return await extractTextFromPDF(buffer);
-
-          case '.docx':
-          case '.doc':
-            return await extractTextFromWord(buffer);
-
-          default:
-            // Try to read as text anyway
-            try {
-              const text = buffer.toString('utf-8');
-              if (text.length > 0 && text.length < 1000000) { // Reasonable text file size
-                return text;
-              }
-            } catch (e) {
-              // Not a text file
-            }
-
-            throw new Error(`Unsupported file type: ${mimetype || 'unknown'} (${ext || 'no extension'}). Supported formats: PDF, Word (.docx, .doc), Text (.txt, .md, .csv)`);
-        }
+    let sourceText = text;
+    let ocr = null;
+    let pages = null;
+    if (file) {
+      ({ text: sourceText, ocr, pages } = await extractTextFromFile(file.buffer, file.mimetype, file.originalname, { onProgress }));
+      if (!sourceText || sourceText.trim().length === 0) {
+        send('error', { error: 'No readable text found in the uploaded file', code: 'NO_TEXT_FOUND' });
+        return;
+      }
+      log.info('Text extracted', { characters: sourceText.length });
+      if (!extractive) {
+        quotaReservation(apiKey)(sourceText.length);
+      }
     }
+
+    const result = await summarizeText(sourceText, {
+      onProgress,
+      onToken: delta => send('token', { text: delta }),
+      pages,
+      summaryOptions,
+      noCache,
+      extractive
+    });
+    log.info('Processing complete', summaryLogFields(result));
+
+    const built = buildResult(sourceText, { ...result, ocr }, { filename: file?.originalname, keyId: apiKey?.id });
+    chargeUsage(apiKey, chargedCharacters(built));
+    send('result', built);
   } catch (error) {
-    throw new Error('Failed to extract text from file: ' + error.message);
+    log.error('Error processing stream', { error });
+    send('error', errorBody(error));
+  } finally {
+    res.end();
   }
 }
 
-// Simplify notes using Gemini
-async function simplifyNotes(text) {
-  // Validate input
+// Extract and summarize one uploaded file. reserveQuota (see
+// quotaReservation) is checked with the text's length before the model is
+// called.
+async function processUpload(file, { onProgress, signal, summaryOptions, noCache, extractive, reserveQuota }) {
+  const { text, ocr, pages } = await extractTextFromFile(file.buffer, file.mimetype, file.originalname, { onProgress, signal });
+  signal?.throwIfAborted();
+
   if (!text || text.trim().length === 0) {
-    throw new Error('No text provided for processing');
+    throw appError('NO_TEXT_FOUND', 'No readable text found in the uploaded file');
   }
 
-  // Limit text length to prevent API issues
-  const maxLength = 100000; // 100k characters
-  const processText = text.length > maxLength ? text.substring(0, maxLength) + '...' : text;
+  log.info('Text extracted', { characters: text.length });
+  if (!extractive) {
+    reserveQuota?.(text.length);
+  }
 
-  const prompt = `
-Please analyze the following study notes and create a simplified, well-organized summary. Use this exact format with NO markdown symbols (no **, __, ###, etc.):
+  const result = await summarizeText(text, { onProgress, signal, pages, summaryOptions, noCache, extractive });
+  log.info('Processing complete', summaryLogFields(result));
 
-🎯 MAIN TOPICS
-• [List each main topic clearly]
+  return { text, result: { ...result, ocr } };
+}
 
-💡 KEY CONCEPTS  
-• [Define important concepts simply]
+// Summarize several files one after another, then combine their summaries.
+// A file that fails is reported in `documents` without failing the batch.
+async function processBatch(files, { onProgress, signal, summaryOptions, noCache, extractive, reserveQuota, keyId }) {
+  const documents = [];
 
-⭐ IMPORTANT POINTS
-• [Highlight crucial information]
+  for (const [index, file] of files.entries()) {
+    const label = `${file.originalname} (${index + 1} of ${files.length})`;
+    const onFileProgress = progress => onProgress({
+      ...progress,
+      file: index + 1,
+      totalFiles: files.length,
+      message: `${label}: ${progress.message}`
+    });
 
-📝 SUMMARY
-[Write a clear paragraph explaining the main ideas]
+    try {
+      const { text, result } = await processUpload(file, { onProgress: onFileProgress, signal, summaryOptions, noCache, extractive, reserveQuota });
+      documents.push({ filename: file.originalname, text, result });
+    } catch (error) {
+      signal.throwIfAborted();
+      log.warn('Error processing a file of a batch', { file: index + 1, totalFiles: files.length, error });
+      documents.push({ filename: file.originalname, error: error.message, code: errorCode(error) });
+    }
+  }
 
-🔍 STUDY TIPS
-• [Provide practical study advice]
+  const processed = documents.filter(document => !document.error);
+  // When no file could be processed, the batch fails with the code of the
+  // first failure
+  if (!processed.length) {
+    throw appError(documents[0].code, `None of the files could be processed. ${documents.map(document => `${document.filename}: ${document.error}`).join('; ')}`);
+  }
 
-Rules:
-- Use ONLY plain text with emojis and bullet points (•)
-- NO formatting symbols like ** __ ### etc.
-- Keep explanations clear and concise
-- Make it easy to read and understand
+  // Per-file results are saved first so the combined notes come out on top
+  // of the library
+  const documentResults = documents.map(document => (document.error
+    ? { success: false, filename: document.filename, error: document.error, code: document.code }
+    : { filename: document.filename, ...buildResult(document.text, document.result, { filename: document.filename, keyId }) }));
 
-Notes to analyze:
-${processText}
-  `;
+  // With only one file left there is nothing to combine
+  if (processed.length === 1) {
+    return { ...documentResults.find(document => document.success), documents: documentResults };
+  }
 
-  try {
-    const result = await model.generateContent(prompt);
-    let response = result.response.text();
-
-    if (!response || response.trim().length === 0) {
-      throw new Error('AI returned empty response');
-    }
-
-    // Clean up any remaining markdown formatting
-    response = response
-      .replace(/\*\*\*(.*?)\*\*\*/g, '$1')  // Remove triple asterisks
-      .replace(/\*\*(.*?)\*\*/g, '$1')      // Remove double asterisks (bold)
-      .replace(/\*(.*?)\*/g, '$1')          // Remove single asterisks (italic)
-      .replace(/__(.*?)__/g, '$1')          // Remove underscores (bold)
-      .replace(/_(.*?)_/g, '$1')            // Remove single underscores (italic)
-      .replace(/###\s*/g, '')               // Remove ### headers
-      .replace(/##\s*/g, '')                // Remove ## headers
-      .replace(/#\s*/g, '')                 // Remove # headers
-      .replace(/`(.*?)`/g, '$1')            // Remove backticks
-      .replace(/\[(.*?)\]\(.*?\)/g, '$1');  // Remove markdown links
-
-    return response;
-  } catch (error) {
-    console.error('Gemini API error:', error);
-
-    // Provide more specific error messages
-    if (error.message.includes('API_KEY')) {
-      throw new Error('Invalid API key. Please check your Gemini API key configuration.');
-    } else if (error.message.includes('quota')) {
-      throw new Error('API quota exceeded. Please try again later or check your Gemini API limits.');
-    } else if (error.message.includes('timeout')) {
-      throw new Error('AI processing timed out. Please try with shorter content.');
+  // Extractive combined notes are summarized from the joined texts, and
+  // cite them rather than the documents
+  onProgress({ phase: 'combining', message: `Combining ${processed.length} summaries` });
+  const joined = joinDocuments(processed);
+  const summaries = processed.map(document => ({ filename: document.filename, summary: document.result.summary }));
+  const detectedLanguage = detectLanguage(joined);
+  const combinedOptions = { ...summaryOptions, language: resolveLanguage(summaryOptions.language, detectedLanguage) };
+  const combinedResult = await withExtractiveFallback(joined, { extractive, summaryOptions, signal, onProgress }, async () => {
+    const { summary, cached } = await withCache(
+      { task: 'combine', summaries, summaryOptions: combinedOptions },
+      async () => ({ summary: await combineDocumentSummaries(summaries, combinedOptions, { signal }) }),
+      { noCache }
+    );
+    return {
+      summary,
+      simplifiedNotes: summaryToText(summary, combinedOptions.language),
+      chunksProcessed: processed.reduce((sum, document) => sum + document.result.chunksProcessed, 0),
+      options: combinedOptions,
+      detectedLanguage,
+      cached
+    };
+  });
+
+  const filenames = processed.map(document => document.filename);
+  const combined = buildResult(joined, combinedResult, { title: `Combined notes: ${filenames.join(', ')}`, keyId });
+
+  return { ...combined, documents: documentResults };
+}
+
+// Routes
+
+// Uploads are processed as background jobs so large documents are not tied
+// to one HTTP request. Returns 202 with the job id to poll. Several files
+// (up to MAX_BATCH_FILES) are summarized one by one and also combined into
+// one summary.
+app.post('/api/upload', limitUsage, keepContext(upload.array('pdf', MAX_BATCH_FILES)), (req, res) => {
+  const files = req.files || [];
+  for (const file of files.length ? files : [undefined]) {
+    const uploadError = validateUpload(file);
+    if (uploadError) {
+      return sendFailure(res, uploadError);
+    }
+  }
+
+  const { options: summaryOptions, error: optionsError } = readSummaryOptions(req);
+  if (optionsError) {
+    return sendFailure(res, optionsError);
+  }
+
+  log.info('Files received', { files: files.length, bytes: files.map(file => file.size) });
+
+  const noCache = readNoCache(req.body);
+  const extractive = readExtractive(req.body);
+  const { apiKey } = req;
+  const job = jobs.create(async ({ signal, onProgress }) => {
+    const reserveQuota = quotaReservation(apiKey);
+    let result;
+    if (files.length > 1) {
+      result = await processBatch(files, { onProgress, signal, summaryOptions, noCache, extractive, reserveQuota, keyId: apiKey?.id });
     } else {
-      throw new Error('AI processing failed: ' + error.message);
+      const { text, result: processed } = await processUpload(files[0], { onProgress, signal, summaryOptions, noCache, extractive, reserveQuota });
+      result = buildResult(text, processed, { filename: files[0].originalname, keyId: apiKey?.id });
     }
+    chargeUsage(apiKey, chargedCharacters(result));
+    return result;
+  }, { filenames: files.map(file => file.originalname) }, apiKey?.id ?? null);
+
+  if (!job) {
+    return sendError(res, 'QUEUE_FULL', 'Too many uploads are waiting to be processed. Please try again in a few minutes.');
   }
-}
 
-// Generate simple text file instead of PDF for now
-function generateTextFile(simplifiedText) {
-  return Buffer.from(`SIMPLIFIED NOTES\n\n${simplifiedText} `, 'utf-8');
-}
+  log.info('Job queued', { jobId: job.id });
+  res.status(202).json({ success: true, jobId: job.id, status: job.status });
+});
 
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-  res.json({
-    status: 'OK',
-    message: 'Notes Simplifier API is running',
-    timestamp: new Date().toISOString()
+// Status, progress and (once completed) result of an upload job; jobs of
+// other API keys are not found
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobs.get(req.params.id, req.apiKey?.id ?? null);
+  if (!job) {
+    return sendError(res, 'NOT_FOUND', 'Job not found. It may have expired.');
+  }
+  res.json(jobToJson(job));
+});
+
+// Cancel a queued or running upload job of the request's API key
+app.delete('/api/jobs/:id', (req, res) => {
+  const job = jobs.get(req.params.id, req.apiKey?.id ?? null);
+  if (!job) {
+    return sendError(res, 'NOT_FOUND', 'Job not found. It may have expired.');
+  }
+  if (!jobs.cancel(job.id)) {
+    return sendError(res, 'CONFLICT', `Job already ${job.status}`);
+  }
+  log.info('Job cancelled', { jobId: job.id });
+  res.json(jobToJson(job));
+});
+
+// Streaming variant of /api/upload over Server-Sent Events
+app.post('/api/upload/stream', limitUsage, keepContext(upload.single('pdf')), async (req, res) => {
+  const uploadError = validateUpload(req.file);
+  if (uploadError) {
+    return sendFailure(res, uploadError);
+  }
+
+  const { options: summaryOptions, error: optionsError } = readSummaryOptions(req);
+  if (optionsError) {
+    return sendFailure(res, optionsError);
+  }
+
+  log.info('Streaming upload received', { bytes: req.file.size });
+  await streamProcessing(res, {
+    file: req.file,
+    summaryOptions,
+    noCache: readNoCache(req.body),
+    extractive: readExtractive(req.body),
+    apiKey: req.apiKey
   });
 });
 
-// Routes
-app.post('/api/upload', upload.single('pdf'), async (req, res) => {
+// Add a simple text processing endpoint
+app.post('/api/process-text', limitUsage, async (req, res) => {
+  try {
+    const { text } = req.body;
+
+    const textError = validateText(text);
+    if (textError) {
+      return sendFailure(res, textError);
+    }
+    if (overQuota(req.apiKey, text.length)) {
+      return sendQuotaExceeded(res, req.apiKey);
+    }
+
+    const { options: summaryOptions, error: optionsError } = readSummaryOptions(req);
+    if (optionsError) {
+      return sendFailure(res, optionsError);
+    }
+
+    // Simplify using the LLM provider
+    log.info('Processing text', { characters: text.length });
+    const result = await summarizeText(text, { summaryOptions, noCache: readNoCache(req.body), extractive: readExtractive(req.body) });
+    log.info('Processing complete', summaryLogFields(result));
+
+    const built = buildResult(text, result, { keyId: req.apiKey?.id });
+    chargeUsage(req.apiKey, chargedCharacters(built));
+    res.json(built);
+  } catch (error) {
+    log.error('Error processing text', { error });
+    sendFailure(res, error);
+  }
+});
+
+// Streaming variant of /api/process-text over Server-Sent Events
+app.post('/api/process-text/stream', limitUsage, async (req, res) => {
+  const { text } = req.body;
+
+  const textError = validateText(text);
+  if (textError) {
+    return sendFailure(res, textError);
+  }
+  if (overQuota(req.apiKey, text.length)) {
+    return sendQuotaExceeded(res, req.apiKey);
+  }
+
+  const { options: summaryOptions, error: optionsError } = readSummaryOptions(req);
+  if (optionsError) {
+    return sendFailure(res, optionsError);
+  }
+
+  log.info('Streaming text', { characters: text.length });
+  await streamProcessing(res, {
+    text,
+    summaryOptions,
+    noCache: readNoCache(req.body),
+    extractive: readExtractive(req.body),
+    apiKey: req.apiKey
+  });
+});
+
+// List saved notes, newest first; with `q`, full-text search them instead
+app.get('/api/notes', (req, res) => {
+  try {
+    const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+    const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return sendError(res, 'INVALID_REQUEST', `limit must be a whole number between 1 and ${MAX_PAGE_SIZE}`);
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+      return sendError(res, 'INVALID_REQUEST', 'offset must be a whole number of at least 0');
+    }
+
+    const { notes, total } = library.list({ query: String(req.query.q || ''), limit, offset, keyId: req.apiKey?.id });
+    res.json({ success: true, notes, total });
+  } catch (error) {
+    log.error('Error listing notes', { error });
+    sendFailure(res, error, 'Failed to load saved notes');
+  }
+});
+
+// A saved note with its summary and source text
+app.get('/api/notes/:id', (req, res) => {
+  try {
+    const note = library.get(Number(req.params.id), req.apiKey?.id);
+    if (!note) {
+      return sendError(res, 'NOT_FOUND', 'Note not found');
+    }
+    res.json({ success: true, note });
+  } catch (error) {
+    log.error('Error loading note', { error });
+    sendFailure(res, error, 'Failed to load note');
+  }
+});
+
+app.delete('/api/notes/:id', (req, res) => {
+  try {
+    if (!library.delete(Number(req.params.id), req.apiKey?.id)) {
+      return sendError(res, 'NOT_FOUND', 'Note not found');
+    }
+    res.json({ success: true });
+  } catch (error) {
+    log.error('Error deleting note', { error });
+    sendFailure(res, error, 'Failed to delete note');
+  }
+});
+
+// The follow-up chat about a saved note, with the passages it cites
+app.get('/api/chat/:noteId', (req, res) => {
+  try {
+    const note = library.get(Number(req.params.noteId), req.apiKey?.id);
+    if (!note) {
+      return sendError(res, 'NOT_FOUND', 'Note not found');
+    }
+    const messages = library.listChatMessages(note.id, req.apiKey?.id);
+    res.json({ success: true, messages, citations: chatCitations(note, messages) });
+  } catch (error) {
+    log.error('Error loading chat', { error });
+    sendFailure(res, error, 'Failed to load chat');
+  }
+});
+
+// Ask a question about a saved note (`noteId`, from a processing result) in
+// `message`. The answer is based only on passages of the note's text and
+// cites them; both are added to the note's chat.
+app.post('/api/chat', limitUsage, async (req, res) => {
+  try {
+    const note = library.get(Number(req.body.noteId), req.apiKey?.id);
+    if (!note) {
+      return sendError(res, 'NOT_FOUND', 'Note not found. Chat needs notes that were saved to the library.');
+    }
+
+    const { message: question, error } = parseChatMessage(req.body.message);
+    if (error) {
+      return sendError(res, 'INVALID_REQUEST', error);
+    }
+    if (overQuota(req.apiKey, question.length)) {
+      return sendQuotaExceeded(res, req.apiKey);
+    }
+
+    const { answer, refs, characters } = await answerQuestion(note, question, library.listChatMessages(note.id, req.apiKey?.id));
+    chargeUsage(req.apiKey, characters);
+
+    const messages = library.addChatMessages(note.id, [
+      { role: 'user', content: question },
+      { role: 'assistant', content: answer, refs }
+    ]);
+    res.json({ success: true, messages, citations: chatCitations(note, messages) });
+  } catch (error) {
+    log.error('Error answering chat question', { error });
+    sendFailure(res, error);
+  }
+});
+
+// Start the chat about a saved note over
+app.delete('/api/chat/:noteId', (req, res) => {
+  try {
+    const removed = library.clearChat(Number(req.params.noteId), req.apiKey?.id);
+    res.json({ success: true, removed });
+  } catch (error) {
+    log.error('Error clearing chat', { error });
+    sendFailure(res, error, 'Failed to clear chat');
+  }
+});
+
+// Save an edited summary over a saved note's. Body: `summary`. Returns the
+// summary with the citations of the passages it cites.
+app.put('/api/notes/:id', (req, res) => {
+  try {
+    const note = library.get(Number(req.params.id), req.apiKey?.id);
+    if (!note) {
+      return sendError(res, 'NOT_FOUND', 'Note not found');
+    }
+
+    const { summary, errors } = validateSummary(req.body.summary, { sections: sectionsOf(req.body.summary) });
+    if (errors.length) {
+      return sendError(res, 'INVALID_REQUEST', `Invalid summary: ${errors.join('; ')}`);
+    }
+
+    // Citations are rebuilt from the note's own passages, for the passages
+    // the edited summary cites
+    const citations = buildCitations(summary, splitPassages(note.originalText, note.pages), note.originalText);
+    library.update(note.id, { summary, citations }, req.apiKey?.id);
+    res.json({ success: true, summary, simplifiedNotes: summaryToText(summary, note.options.language), citations });
+  } catch (error) {
+    log.error('Error updating note', { error });
+    sendFailure(res, error, 'Failed to update note');
+  }
+});
+
+// Regenerate one section of a summary. Body: the source as `text` or the
+// `noteId` of a saved note, the current `summary`, the `section` key, an
+// optional `instruction` ("make it simpler") and the summary options.
+// Returns the new section as `value` with the passages it cites.
+app.post('/api/regenerate-section', limitUsage, async (req, res) => {
+  try {
+    const { section: key } = req.body;
+    const instruction = typeof req.body.instruction === 'string' ? req.body.instruction.trim() : '';
+
+    let text = req.body.text;
+    let pages = null;
+    if (req.body.noteId !== undefined && text === undefined) {
+      const note = library.get(Number(req.body.noteId), req.apiKey?.id);
+      if (!note) {
+        return sendError(res, 'NOT_FOUND', 'Note not found');
+      }
+      ({ originalText: text, pages } = note);
+    }
+
+    const textError = validateText(text);
+    if (textError) {
+      return sendFailure(res, textError);
+    }
+    const { summary, errors } = validateSummary(req.body.summary, { sections: sectionsOf(req.body.summary) });
+    if (errors.length) {
+      return sendError(res, 'INVALID_REQUEST', `Invalid summary: ${errors.join('; ')}`);
+    }
+    if (!SUMMARY_SECTIONS.some(section => section.key === key)) {
+      return sendError(res, 'INVALID_REQUEST', `Section must be one of: ${SUMMARY_SECTIONS.map(section => section.key).join(', ')}`);
+    }
+    if (instruction.length > MAX_INSTRUCTION_LENGTH) {
+      return sendError(res, 'INVALID_REQUEST', `Instruction is too long. Please limit it to ${MAX_INSTRUCTION_LENGTH} characters.`);
+    }
+
+    const { options: summaryOptions, error: optionsError } = readSummaryOptions(req);
+    if (optionsError) {
+      return sendFailure(res, optionsError);
+    }
+    if (overQuota(req.apiKey, Math.min(text.length, MAX_CHUNK_LENGTH))) {
+      return sendQuotaExceeded(res, req.apiKey);
+    }
+
+    log.info('Regenerating section', { section: key, withInstruction: Boolean(instruction), characters: text.length });
+    const { value, citations, characters } = await regenerateSection(text, { summary, key, instruction, summaryOptions, pages });
+    chargeUsage(req.apiKey, characters);
+
+    res.json({ success: true, section: key, value, citations });
+  } catch (error) {
+    log.error('Error regenerating section', { error });
+    sendFailure(res, error);
+  }
+});
+
+// Size of the result cache
+app.get('/api/admin/cache', requireAdmin, (req, res) => {
+  res.json({ success: true, cache: cache.stats() });
+});
+
+// Empty the result cache
+app.delete('/api/admin/cache', requireAdmin, async (req, res) => {
   try {
-    console.log('Upload request received');
+    const removed = await cache.clear();
+    log.info('Result cache cleared', { entries: removed });
+    res.json({ success: true, removed });
+  } catch (error) {
+    log.error('Error clearing cache', { error });
+    sendFailure(res, error, 'Failed to clear the cache');
+  }
+});
 
-    if (!req.file) {
-      console.log('No file uploaded');
-      return res.status(400).json({ error: 'No file uploaded' });
+// API keys, with today's usage
+app.get('/api/admin/keys', requireAdmin, (req, res) => {
+  res.json({ success: true, keys: keys.list() });
+});
+
+// Issue an API key. Body: `name`, and optionally `ratePerMinute` and
+// `dailyCharacters` (defaults from RATE_LIMIT_PER_MINUTE and
+// DAILY_CHARACTER_QUOTA). The key is only ever shown in this response.
+app.post('/api/admin/keys', requireAdmin, (req, res) => {
+  const { name, ratePerMinute, dailyCharacters } = req.body || {};
+  if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+    return sendError(res, 'INVALID_REQUEST', 'Key name is required (at most 100 characters)');
+  }
+  for (const [field, value] of Object.entries({ ratePerMinute, dailyCharacters })) {
+    if (value !== undefined && (!Number.isInteger(value) || value < 1)) {
+      return sendError(res, 'INVALID_REQUEST', `${field} must be a positive whole number`);
     }
+  }
 
-    // Validate file size
-    if (req.file.size === 0) {
-      return res.status(400).json({ error: 'Uploaded file is empty' });
+  try {
+    const key = keys.issue({ name: name.trim(), ratePerMinute, dailyCharacters });
+    log.info('API key issued', { apiKeyId: key.id, name: key.name });
+    res.status(201).json({ success: true, key });
+  } catch (error) {
+    log.error('Error issuing API key', { error });
+    sendFailure(res, error, 'Failed to issue API key');
+  }
+});
+
+// Revoke an API key; it stops working immediately
+app.delete('/api/admin/keys/:id', requireAdmin, (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id)) {
+    return sendError(res, 'INVALID_REQUEST', 'Invalid key id');
+  }
+  if (!keys.revoke(id)) {
+    return sendError(res, 'NOT_FOUND', 'API key not found or already revoked');
+  }
+  log.info('API key revoked', { apiKeyId: id });
+  res.json({ success: true });
+});
+
+// Saved summary profiles: named summary options that requests can refer to
+// with `profile`
+app.get('/api/profiles', (req, res) => {
+  try {
+    res.json({ success: true, profiles: library.listProfiles(req.apiKey?.id) });
+  } catch (error) {
+    log.error('Error listing profiles', { error });
+    sendFailure(res, error, 'Failed to load profiles');
+  }
+});
+
+// Create or replace a profile from `length`, `audience`, `tone` and `sections`
+app.put('/api/profiles/:name', (req, res) => {
+  try {
+    const name = req.params.name.trim();
+    const nameError = validateProfileName(name);
+    if (nameError) {
+      return sendError(res, 'INVALID_REQUEST', nameError);
     }
 
-    console.log('File received:', req.file.originalname, 'Size:', req.file.size);
+    const { options, error } = parseSummaryOptions(req.body);
+    if (error) {
+      return sendError(res, 'INVALID_REQUEST', error);
+    }
 
-    // Extract text from file
-    console.log('Extracting text from file...');
-    const extractedText = await extractTextFromFile(req.file.buffer, req.file.mimetype, req.file.originalname);
+    res.json({ success: true, profile: library.saveProfile(name, options, req.apiKey?.id) });
+  } catch (error) {
+    log.error('Error saving profile', { error });
+    sendFailure(res, error, 'Failed to save profile');
+  }
+});
+
+app.delete('/api/profiles/:name', (req, res) => {
+  try {
+    if (!library.deleteProfile(req.params.name.trim(), req.apiKey?.id)) {
+      return sendError(res, 'NOT_FOUND', 'Profile not found');
+    }
+    res.json({ success: true });
+  } catch (error) {
+    log.error('Error deleting profile', { error });
+    sendFailure(res, error, 'Failed to delete profile');
+  }
+});
 
-    if (!extractedText || extractedText.trim().length === 0) {
-      return res.status(400).json({ error: 'No readable text found in the uploaded file' });
+// Generate a practice quiz from an uploaded file or pasted text
+app.post('/api/quiz', limitUsage, keepContext(upload.array('pdf', MAX_BATCH_FILES)), async (req, res) => {
+  try {
+    const { options, error: optionsError } = parseQuizOptions(req.body);
+    if (optionsError) {
+      return sendError(res, 'INVALID_REQUEST', optionsError);
     }
 
-    console.log('Text extracted, length:', extractedText.length);
+    const { text, error } = await readSourceText(req);
+    if (error) {
+      return sendFailure(res, error);
+    }
+    if (overQuota(req.apiKey, text.length)) {
+      return sendQuotaExceeded(res, req.apiKey);
+    }
 
-    // Simplify using Gemini
-    console.log('Sending to Gemini AI...');
-    const simplifiedNotes = await simplifyNotes(extractedText);
-    console.log('AI processing complete, response length:', simplifiedNotes.length);
+    log.info('Generating quiz', { count: options.count, difficulty: options.difficulty, characters: text.length });
+    const questions = await generateQuiz(text, options);
+    chargeUsage(req.apiKey, text.length);
+    log.info('Quiz generated', { questions: questions.length });
 
     res.json({
       success: true,
-      simplifiedNotes,
-      originalLength: extractedText.length,
-      simplifiedLength: simplifiedNotes.length
+      questions,
+      difficulty: options.difficulty
     });
   } catch (error) {
-    console.error('Error processing file:', error);
-    res.status(500).json({ error: error.message });
+    log.error('Error generating quiz', { error });
+    sendFailure(res, error);
   }
 });
 
-// Add a simple text processing endpoint
-app.post('/api/process-text', async (req, res) => {
+// Generate flashcards from an uploaded file or pasted text, optionally
+// seeded with the key concepts of an existing summary
+app.post('/api/flashcards', limitUsage, keepContext(upload.array('pdf', MAX_BATCH_FILES)), async (req, res) => {
   try {
-    const { text } = req.body;
+    const { options, error: optionsError } = parseFlashcardOptions(req.body);
+    if (optionsError) {
+      return sendError(res, 'INVALID_REQUEST', optionsError);
+    }
+
+    const { text, error } = await readSourceText(req);
+    if (error) {
+      return sendFailure(res, error);
+    }
+    if (overQuota(req.apiKey, text.length)) {
+      return sendQuotaExceeded(res, req.apiKey);
+    }
+
+    log.info('Generating flashcards', { count: options.count, characters: text.length });
+    const cards = await generateFlashcards(text, options);
+    chargeUsage(req.apiKey, text.length);
+    log.info('Flashcards generated', { cards: cards.length });
+
+    res.json({
+      success: true,
+      cards
+    });
+  } catch (error) {
+    log.error('Error generating flashcards', { error });
+    sendFailure(res, error);
+  }
+});
 
-    if (!text || typeof text !== 'string') {
-      return res.status(400).json({ error: 'No text provided' });
+// Generate a concept map of an uploaded file or pasted text: its main
+// concepts and the typed relations between them
+app.post('/api/concept-map', limitUsage, keepContext(upload.array('pdf', MAX_BATCH_FILES)), async (req, res) => {
+  try {
+    const { options, error: optionsError } = parseConceptMapOptions(req.body);
+    if (optionsError) {
+      return sendError(res, 'INVALID_REQUEST', optionsError);
     }
 
-    if (text.trim().length === 0) {
-      return res.status(400).json({ error: 'Text cannot be empty' });
+    const { text, error } = await readSourceText(req);
+    if (error) {
+      return sendFailure(res, error);
+    }
+    if (overQuota(req.apiKey, text.length)) {
+      return sendQuotaExceeded(res, req.apiKey);
     }
 
-    if (text.length > 200000) { // 200k character limit
-      return res.status(400).json({ error: 'Text is too long. Please limit to 200,000 characters.' });
+    log.info('Generating concept map', { count: options.count, characters: text.length });
+    const map = await generateConceptMap(text, options);
+    chargeUsage(req.apiKey, text.length);
+    log.info('Concept map generated', { concepts: map.concepts.length, relations: map.relations.length });
+
+    res.json({
+      success: true,
+      map
+    });
+  } catch (error) {
+    log.error('Error generating concept map', { error });
+    sendFailure(res, error);
+  }
+});
+
+// Compare two versions of a document, given as files in the `original` and
+// `revised` fields or as `originalText` and `revisedText`: the paragraph
+// diff as `diff` and a summary of what changed as `changes`
+app.post('/api/compare', limitUsage, keepContext(upload.fields([{ name: 'original', maxCount: 1 }, { name: 'revised', maxCount: 1 }])), async (req, res) => {
+  try {
+    const original = await readVersion(req, 'original');
+    if (original.error) {
+      return sendFailure(res, original.error);
+    }
+    const revised = await readVersion(req, 'revised');
+    if (revised.error) {
+      return sendFailure(res, revised.error);
+    }
+
+    log.info('Comparing versions', { originalCharacters: original.text.length, revisedCharacters: revised.text.length });
+    const diff = diffTexts(original.text, revised.text);
+    const changes = describeChanges(diff.hunks, MAX_CHUNK_LENGTH);
+    if (overQuota(req.apiKey, changes.length)) {
+      return sendQuotaExceeded(res, req.apiKey);
     }
 
-    // Simplify using Gemini
-    console.log('Processing text with Gemini AI, length:', text.length);
-    const simplifiedNotes = await simplifyNotes(text);
-    console.log('AI processing complete, response length:', simplifiedNotes.length);
+    const changeSummary = await summarizeChanges(changes, { originalName: original.label, revisedName: revised.label });
+    chargeUsage(req.apiKey, changes.length);
+    log.info('Comparison complete', diff.stats);
 
     res.json({
       success: true,
-      simplifiedNotes,
-      originalLength: text.length,
-      simplifiedLength: simplifiedNotes.length
+      original: { name: original.label, length: original.text.length },
+      revised: { name: revised.label, length: revised.text.length },
+      changes: changeSummary,
+      diff
     });
   } catch (error) {
-    console.error('Error processing text:', error);
-    res.status(500).json({ error: error.message });
+    log.error('Error comparing documents', { error });
+    sendFailure(res, error);
   }
 });
 
-app.post('/api/generate-pdf', (req, res) => {
+// Export flashcards as an Anki-importable TSV (`anki`) or CSV (`csv`)
+app.post('/api/flashcards/export', (req, res) => {
   try {
-    const { text } = req.body;
+    const { cards } = req.body;
+    const format = readFormat(req, FLASHCARD_EXPORT_FORMATS, 'anki');
+
+    if (!format) {
+      return sendError(res, 'INVALID_REQUEST', `Unsupported flashcard export format. Supported formats: ${Object.keys(FLASHCARD_EXPORT_FORMATS).join(', ')}`);
+    }
 
-    if (!text) {
-      return res.status(400).json({ error: 'No text provided' });
+    const { value, errors } = validateFlashcards({ cards }, { count: Infinity });
+    if (errors.length) {
+      return sendError(res, 'INVALID_REQUEST', `Invalid cards: ${errors.join('; ')}`);
     }
 
-    const textBuffer = generateTextFile(text);
+    const { buffer, contentType, filename } = exportFlashcards(value, format);
 
-    res.setHeader('Content-Type', 'text/plain');
-    res.setHeader('Content-Disposition', 'attachment; filename=simplified-notes.txt');
-    res.send(textBuffer);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+    res.send(buffer);
   } catch (error) {
-    console.error('Error generating file:', error);
-    res.status(500).json({ error: 'Failed to generate file' });
+    log.error('Error exporting flashcards', { error });
+    sendFailure(res, error, 'Failed to export flashcards');
+  }
+});
+
+// Export a concept map as a Mermaid flowchart (`mermaid`) or Graphviz DOT
+// (`dot`); PNG export is rendered in the browser
+app.post('/api/concept-map/export', (req, res) => {
+  try {
+    const { map } = req.body;
+    const format = readFormat(req, CONCEPT_MAP_EXPORT_FORMATS, 'mermaid');
+
+    if (!format) {
+      return sendError(res, 'INVALID_REQUEST', `Unsupported concept map export format. Supported formats: ${Object.keys(CONCEPT_MAP_EXPORT_FORMATS).join(', ')}`);
+    }
+
+    const { value, errors } = validateConceptMap(map);
+    if (errors.length) {
+      return sendError(res, 'INVALID_REQUEST', `Invalid concept map: ${errors.join('; ')}`);
+    }
+
+    const { buffer, contentType, filename } = exportConceptMap(value, format);
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+    res.send(buffer);
+  } catch (error) {
+    log.error('Error exporting concept map', { error });
+    sendFailure(res, error, 'Failed to export concept map');
+  }
+});
+
+// Export notes as PDF (default), Word, Markdown or plain text. Accepts the
+// structured `summary` returned by the processing endpoints, or notes `text`,
+// and the `language` of its headings (the summary's options.language).
+app.post('/api/generate-pdf', async (req, res) => {
+  try {
+    const { text, language } = req.body;
+    const format = readFormat(req, EXPORT_FORMATS, 'pdf');
+
+    if (!text && !req.body.summary) {
+      return sendError(res, 'INVALID_REQUEST', 'No text provided');
+    }
+
+    let summary;
+    if (req.body.summary) {
+      const result = validateSummary(req.body.summary, { sections: sectionsOf(req.body.summary) });
+      if (result.errors.length) {
+        return sendError(res, 'INVALID_REQUEST', `Invalid summary: ${result.errors.join('; ')}`);
+      }
+      summary = result.summary;
+    }
+
+    if (!format) {
+      return sendError(res, 'INVALID_REQUEST', `Unsupported export format. Supported formats: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+
+    const { buffer, contentType, filename } = await exportNotes({ summary, text, language }, format);
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+    res.send(buffer);
+  } catch (error) {
+    log.error('Error generating file', { error });
+    sendFailure(res, error, 'Failed to generate file');
+  }
+});
+
+// Answer errors raised before the routes run with the same JSON errors as
+// the routes: uploads multer refuses (too large, too many files), request
+// bodies that are not valid JSON or are too large, and anything else as
+// INTERNAL. Express only gets to handle a failure once the response has
+// started.
+app.use((error, req, res, next) => {
+  if (res.headersSent) {
+    return next(error);
+  }
+  if (error instanceof multer.MulterError) {
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return sendError(res, 'FILE_TOO_LARGE', 'File is too large. The maximum size is 10MB.');
+    }
+    if (error.code === 'LIMIT_UNEXPECTED_FILE' || error.code === 'LIMIT_FILE_COUNT') {
+      return sendError(res, 'TOO_MANY_FILES', `Too many files or an unexpected file field. Upload at most ${MAX_BATCH_FILES} files in the "pdf" field.`);
+    }
+    return sendError(res, 'INVALID_REQUEST', error.message);
+  }
+  if (error.type === 'entity.parse.failed') {
+    return sendError(res, 'INVALID_REQUEST', 'The request body is not valid JSON');
+  }
+  if (error.type === 'entity.too.large') {
+    return sendError(res, 'TEXT_TOO_LONG', 'The request body is too large. The maximum size is 10MB.');
   }
+  log.error('Unhandled error', { error });
+  sendFailure(res, error, 'Internal server error');
 });
 
 app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT} `);
+  log.info('Server running', { port: Number(PORT) });
 });
\ No newline at end of file
@@ -0,0 +1,90 @@
+import { SUMMARY_SECTIONS, DEFAULT_SECTIONS } from './summarySchema.js';
+import { LANGUAGES } from './languages.js';
+
+// Summary profiles: target length, audience level, tone, output language and
+// the sections to include, validated from a request body and turned into
+// prompt instructions
+
+export const LENGTHS = {
+  brief: 'Keep it brief: only the most important topics, concepts and points, and a summary of 2-3 sentences.',
+  standard: 'Cover every main topic with its key concepts and points, and write a summary of one paragraph.',
+  detailed: 'Be thorough: cover every topic and subtopic with its concepts, details and examples, and write a summary of 8-12 sentences.'
+};
+
+export const AUDIENCES = {
+  'middle-school': 'a middle school student: use everyday words, short sentences and concrete examples, and explain every technical term',
+  'high-school': 'a high school student: use clear language and explain technical terms the first time they appear',
+  undergraduate: 'an undergraduate student: use the standard terminology of the subject and assume general background knowledge',
+  expert: 'an expert in the field: be concise and precise, use technical terminology freely and skip basic explanations'
+};
+
+export const TONES = {
+  friendly: 'Use a friendly, encouraging tone.',
+  neutral: 'Use a neutral, matter-of-fact tone.',
+  formal: 'Use a formal, academic tone.'
+};
+
+// 'auto' writes the summary in the language of the notes
+const OUTPUT_LANGUAGES = { auto: null, ...LANGUAGES };
+
+export const DEFAULT_SUMMARY_OPTIONS = {
+  length: 'standard',
+  audience: 'high-school',
+  tone: 'friendly',
+  language: 'auto',
+  sections: DEFAULT_SECTIONS
+};
+
+const PROFILE_NAME = /^[\p{L}\p{N}][\p{L}\p{N} _-]{0,49}$/u;
+
+// Check a profile name; returns an error message, or null when usable
+export function validateProfileName(name) {
+  return typeof name === 'string' && PROFILE_NAME.test(name.trim())
+    ? null
+    : 'Profile names must be 1-50 letters, numbers, spaces, dashes or underscores';
+}
+
+function parseChoice(value, choices, fallback, label) {
+  const choice = value === undefined || value === '' ? fallback : String(value).toLowerCase();
+  return Object.hasOwn(choices, choice)
+    ? { value: choice }
+    : { error: `${label} must be one of: ${Object.keys(choices).join(', ')}` };
+}
+
+// Validate summary options from a request body, filling in anything missing
+// from `base` (a saved profile, or the defaults). Returns { options, error }.
+export function parseSummaryOptions(body = {}, base = DEFAULT_SUMMARY_OPTIONS) {
+  const length = parseChoice(body.length, LENGTHS, base.length, 'Length');
+  const audience = parseChoice(body.audience, AUDIENCES, base.audience, 'Audience');
+  const tone = parseChoice(body.tone, TONES, base.tone, 'Tone');
+  const language = parseChoice(body.language, OUTPUT_LANGUAGES, base.language, 'Language');
+  const error = length.error || audience.error || tone.error || language.error;
+  if (error) {
+    return { error };
+  }
+
+  // Multipart forms send sections as a comma-separated string
+  let sections = body.sections === undefined || body.sections === '' ? base.sections : body.sections;
+  if (typeof sections === 'string') {
+    sections = sections.split(',').map(section => section.trim()).filter(Boolean);
+  }
+  const keys = SUMMARY_SECTIONS.map(section => section.key);
+  if (!Array.isArray(sections) || sections.some(section => !keys.includes(section))) {
+    return { error: `Sections must be chosen from: ${keys.join(', ')}` };
+  }
+
+  // Required sections are always included; keep schema order
+  sections = SUMMARY_SECTIONS
+    .filter(section => section.required || sections.includes(section.key))
+    .map(section => section.key);
+
+  return { options: { length: length.value, audience: audience.value, tone: tone.value, language: language.value, sections } };
+}
+
+// Style and language instructions for summary prompts
+export function summaryInstructions({ length, audience, tone, language = 'auto' }) {
+  const writeIn = LANGUAGES[language]
+    ? `Write all text in ${LANGUAGES[language].name}, whatever language the notes are in, but keep the JSON field names in English.`
+    : 'Write all text in the same language as the notes, but keep the JSON field names in English.';
+  return `Write for ${AUDIENCES[audience]}. ${LENGTHS[length]} ${TONES[tone]} ${writeIn}`;
+}
@@ -0,0 +1,331 @@
+import { sectionHeading } from './languages.js';
+
+// Structured summary schema shared by the prompt, the validator, the plain
+// text renderer and the exporters. Section kinds:
+//   list      - array of strings
+//   concepts  - array of { term, definition }
+//   paragraph - a single string
+// List items may instead be { text, refs, sources } and concepts carry the
+// same fields: `refs` numbers the source passages the item is based on (see
+// citations.js) and, in summaries that combine several documents, `sources`
+// names the documents it came from.
+// Summaries contain the sections the caller chose (see summaryOptions.js):
+// required sections are always there, optional ones only when asked for.
+export const SUMMARY_SECTIONS = [
+  { key: 'mainTopics', title: 'Main Topics', emoji: '🎯', kind: 'list', required: true, example: 'each main topic, stated clearly' },
+  { key: 'keyConcepts', title: 'Key Concepts', emoji: '💡', kind: 'concepts', example: { term: 'concept name', definition: 'simple definition' } },
+  {
+    key: 'formulas',
+    title: 'Formulas',
+    emoji: '🧮',
+    kind: 'concepts',
+    optional: true,
+    example: { term: 'formula name', definition: 'the formula in plain text, and what each symbol means' },
+    rule: 'List in "formulas" only formulas and equations that appear in the notes, or an empty list if there are none'
+  },
+  { key: 'importantPoints', title: 'Important Points', emoji: '⭐', kind: 'list', example: 'crucial information to remember' },
+  {
+    key: 'timeline',
+    title: 'Timeline',
+    emoji: '📅',
+    kind: 'concepts',
+    optional: true,
+    example: { term: 'date or period', definition: 'what happened and why it matters' },
+    rule: 'List in "timeline" the dated events from the notes in chronological order, or an empty list if there are none'
+  },
+  { key: 'summary', title: 'Summary', emoji: '📝', kind: 'paragraph', required: true, example: 'a clear paragraph explaining the main ideas' },
+  { key: 'studyTips', title: 'Study Tips', emoji: '🔍', kind: 'list', example: 'practical study advice' }
+];
+
+// Sections included when the caller does not choose
+export const DEFAULT_SECTIONS = SUMMARY_SECTIONS.filter(section => !section.optional).map(section => section.key);
+
+// Schema entries of the chosen sections plus the required ones, in order
+function chosenSections(sections) {
+  return SUMMARY_SECTIONS.filter(section => section.required || sections.includes(section.key));
+}
+
+// One `"key": example` line of the JSON shapes shown to the model
+function jsonField(section, { sourced, cited }) {
+  const extras = [
+    ...(cited ? ['"refs": [3, 4]'] : []),
+    ...(sourced ? ['"sources": ["document name"]'] : [])
+  ].map(extra => `, ${extra}`).join('');
+
+  const { example } = section;
+  let value;
+  if (section.kind === 'paragraph') {
+    value = `"${example}"`;
+  } else if (section.kind === 'concepts') {
+    value = `[{ "term": "${example.term}", "definition": "${example.definition}"${extras} }]`;
+  } else {
+    value = extras ? `[{ "text": "${example}"${extras} }]` : `["${example}"]`;
+  }
+  return `  "${section.key}": ${value}`;
+}
+
+// JSON shape shown to the model in prompts, with the given sections. With
+// `cited`, items carry the numbers of the passages they are based on; with
+// `sourced`, the documents they came from, for summaries that combine
+// several documents.
+export function summaryJsonFormat(sections = DEFAULT_SECTIONS, { sourced = false, cited = false } = {}) {
+  const fields = chosenSections(sections).map(section => jsonField(section, { sourced, cited }));
+  return `{\n${fields.join(',\n')}\n}`;
+}
+
+// JSON shape of a single section, for regenerating just that section
+export function sectionJsonFormat(key, { cited = false } = {}) {
+  return `{\n${jsonField(SUMMARY_SECTIONS.find(section => section.key === key), { cited })}\n}`;
+}
+
+// Rules heading every prompt that asks for JSON; prompts add their own
+// "- rule" lines after them
+export const JSON_RULES = `Rules:
+- Respond with ONLY the JSON object, no code fences or commentary
+- Use plain text in all strings, NO formatting symbols like ** __ ### etc.
+- Keep explanations clear and concise
+- Make it easy to read and understand`;
+
+// Extra prompt rules for the chosen sections, one "- rule" line each
+export function sectionRules(sections = DEFAULT_SECTIONS) {
+  return SUMMARY_SECTIONS
+    .filter(section => section.rule && sections.includes(section.key))
+    .map(section => `- ${section.rule}`)
+    .join('\n');
+}
+
+// Keys of the sections present in a summary, e.g. one sent back for export
+export function sectionsOf(summary) {
+  return SUMMARY_SECTIONS.filter(section => summary?.[section.key] !== undefined).map(section => section.key);
+}
+
+// Strip markdown formatting the model sometimes adds despite the prompt
+export function stripMarkdown(text) {
+  return text
+    .replace(/\*\*\*(.*?)\*\*\*/g, '$1')  // Remove triple asterisks
+    .replace(/\*\*(.*?)\*\*/g, '$1')      // Remove double asterisks (bold)
+    .replace(/\*(.*?)\*/g, '$1')          // Remove single asterisks (italic)
+    .replace(/__(.*?)__/g, '$1')          // Remove underscores (bold)
+    .replace(/(^|\s)_(.*?)_(?=\s|$)/g, '$1$2') // Remove single underscores (italic)
+    .replace(/^#+\s*/gm, '')              // Remove # headers
+    .replace(/`(.*?)`/g, '$1')            // Remove backticks
+    .replace(/\[(.*?)\]\(.*?\)/g, '$1');  // Remove markdown links
+}
+
+// Parse a JSON object out of a model response, tolerating code fences,
+// surrounding prose and trailing commas
+export function parseJsonResponse(response) {
+  let text = response.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    throw new Error('Response does not contain a JSON object');
+  }
+  text = text.substring(start, end + 1);
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return JSON.parse(text.replace(/,\s*([}\]])/g, '$1'));
+  }
+}
+
+// Clean a single string value: markdown, leading bullets and whitespace
+function cleanString(value) {
+  return stripMarkdown(String(value)).replace(/^\s*(?:[•\-*]|\d+[.)])\s+/, '').trim();
+}
+
+// Clean an item's list of source documents. With `documents` (the names of
+// the documents being combined), sources are matched against them by name or
+// as "Document N" and anything unrecognised is dropped.
+function normalizeSources(value, documents) {
+  if (!Array.isArray(value)) {
+    return [];
+  }
+
+  const sources = value
+    .filter(source => typeof source === 'string' || typeof source === 'number')
+    .map(source => cleanString(source))
+    .filter(Boolean)
+    .map(source => {
+      if (!documents) return source;
+      const label = source.match(/^(?:document|doc)?\s*#?(\d+)$/i);
+      if (label) return documents[Number(label[1]) - 1];
+      return documents.find(name => name.toLowerCase() === source.toLowerCase());
+    })
+    .filter(Boolean);
+  return [...new Set(sources)];
+}
+
+// Clean an item's passage references: whole numbers from 1 to passageCount
+// (when known), sorted and without duplicates. Tolerates "12", "#12", "[#12]".
+function normalizeRefs(value, passageCount) {
+  if (!Array.isArray(value)) {
+    value = value === undefined || value === null ? [] : [value];
+  }
+  const refs = value
+    .map(ref => Number(String(ref).replace(/[[\]#\s]/g, '')))
+    .filter(ref => Number.isInteger(ref) && ref >= 1 && (!passageCount || ref <= passageCount));
+  return [...new Set(refs)].sort((a, b) => a - b);
+}
+
+// The refs and sources of an item, leaving out empty ones
+function itemAttribution(item, { documents, passageCount }) {
+  const refs = normalizeRefs(item.refs, passageCount);
+  const sources = normalizeSources(item.sources, documents);
+  return { ...(refs.length && { refs }), ...(sources.length && { sources }) };
+}
+
+// Coerce a list value into an array of non-empty strings, or
+// { text, refs, sources } for items attributed to passages or documents
+function normalizeList(value, context) {
+  if (typeof value === 'string') {
+    value = value.split('\n');
+  }
+  if (!Array.isArray(value)) {
+    return null;
+  }
+  return value
+    .filter(item => item !== null && item !== undefined)
+    .map(item => {
+      if (typeof item !== 'object') {
+        return cleanString(item);
+      }
+      const { sources, refs, ...rest } = item;
+      const text = cleanString(item.text ?? Object.values(rest).join(': '));
+      const attribution = itemAttribution(item, context);
+      return text && Object.keys(attribution).length ? { text, ...attribution } : text;
+    })
+    .filter(Boolean);
+}
+
+// Coerce a concepts value into an array of { term, definition }, splitting
+// "Term: definition" strings the model sometimes returns instead
+function normalizeConcepts(value, context) {
+  const list = typeof value === 'string' ? value.split('\n') : value;
+  if (!Array.isArray(list)) {
+    return null;
+  }
+
+  const concepts = [];
+  for (const item of list) {
+    if (typeof item === 'string') {
+      const match = cleanString(item).match(/^(.+?)\s*[:–—-]\s+(.+)$/);
+      if (match) {
+        concepts.push({ term: match[1].trim(), definition: match[2].trim() });
+      } else if (item.trim()) {
+        return null;
+      }
+    } else if (item && typeof item === 'object') {
+      const term = item.term ?? item.name ?? item.concept;
+      const definition = item.definition ?? item.description ?? item.meaning;
+      if (typeof term !== 'string' || typeof definition !== 'string') {
+        return null;
+      }
+      if (term.trim() && definition.trim()) {
+        concepts.push({
+          term: cleanString(term),
+          definition: cleanString(definition),
+          ...itemAttribution(item, context)
+        });
+      }
+    }
+  }
+  return concepts;
+}
+
+// Coerce a paragraph value into a single string
+function normalizeParagraph(value) {
+  if (Array.isArray(value)) {
+    value = value.join(' ');
+  }
+  return typeof value === 'string' ? stripMarkdown(value).trim() : null;
+}
+
+const NORMALIZERS = {
+  list: normalizeList,
+  concepts: normalizeConcepts,
+  paragraph: normalizeParagraph
+};
+
+// Validate parsed model output against the schema, repairing what can be
+// repaired locally. Returns { summary, errors }; errors is empty when valid.
+// options.sections lists the section keys the summary must have besides the
+// required ones (other fields are dropped); options.documents lists the
+// document names item sources may refer to, and options.passageCount the
+// number of source passages item refs may cite.
+export function validateSummary(data, { documents, passageCount, sections = DEFAULT_SECTIONS } = {}) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { summary: null, errors: ['Output must be a JSON object'] };
+  }
+
+  const summary = {};
+  const errors = [];
+
+  for (const section of chosenSections(sections)) {
+    if (data[section.key] === undefined) {
+      errors.push(`Missing field "${section.key}"`);
+      continue;
+    }
+
+    const value = NORMALIZERS[section.kind](data[section.key], { documents, passageCount });
+    if (value === null) {
+      errors.push(`Field "${section.key}" has the wrong shape`);
+    } else {
+      summary[section.key] = value;
+    }
+  }
+
+  if (!errors.length) {
+    if (!summary.mainTopics.length) errors.push('Field "mainTopics" must not be empty');
+    if (!summary.summary) errors.push('Field "summary" must not be empty');
+  }
+
+  return { summary: errors.length ? null : summary, errors };
+}
+
+// Validate one regenerated section (`key`) in parsed model output, like
+// validateSummary does for a whole summary. Returns { value, errors }.
+export function validateSection(data, key, { passageCount } = {}) {
+  const section = SUMMARY_SECTIONS.find(candidate => candidate.key === key);
+  if (!data || typeof data !== 'object' || data[key] === undefined) {
+    return { value: null, errors: [`Missing field "${key}"`] };
+  }
+
+  const value = NORMALIZERS[section.kind](data[key], { passageCount });
+  if (value === null) {
+    return { value: null, errors: [`Field "${key}" has the wrong shape`] };
+  }
+  if (section.required && !value.length) {
+    return { value: null, errors: [`Field "${key}" must not be empty`] };
+  }
+  return { value, errors: [] };
+}
+
+// Text of a list item, which is a string or { text, sources }
+export function itemText(item) {
+  return typeof item === 'string' ? item : item.text;
+}
+
+// " (from a.pdf, b.pdf)" for an attributed item, or ''
+export function sourcesSuffix(item) {
+  return item.sources?.length ? ` (from ${item.sources.join(', ')})` : '';
+}
+
+// Render a structured summary in the emoji-headed plain text format, with
+// the section headings in `language` (see languages.js)
+export function summaryToText(summary, language) {
+  return SUMMARY_SECTIONS.filter(section => summary[section.key] !== undefined).map(section => {
+    const value = summary[section.key];
+    const header = `${section.emoji} ${sectionHeading(section.key, language).toUpperCase()}`;
+
+    if (section.kind === 'paragraph') {
+      return `${header}\n${value}`;
+    }
+    const lines = section.kind === 'concepts'
+      ? value.map(concept => `• ${concept.term}: ${concept.definition}${sourcesSuffix(concept)}`)
+      : value.map(item => `• ${itemText(item)}${sourcesSuffix(item)}`);
+    return [header, ...lines].join('\n');
+  }).join('\n\n');
+}
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createKeyStore, createRateLimiter, secondsUntilReset } from '../auth.js';
+import { createLibrary } from '../library.js';
+import { createJobQueue } from '../jobs.js';
+
+const summary = { summary: 'Cells are the unit of life.', mainTopics: ['Cells'] };
+
+test('issues keys that authenticate until they are revoked', () => {
+  const keys = createKeyStore(':memory:', { ratePerMinute: 5, dailyCharacters: 1000 });
+  const issued = keys.issue({ name: 'class 7B' });
+
+  assert.match(issued.key, /^ns_/);
+  assert.equal(issued.ratePerMinute, 5);
+  assert.equal(keys.authenticate(issued.key).id, issued.id);
+  assert.equal(keys.authenticate('ns_unknown'), null);
+  assert.equal(keys.authenticate(undefined), null);
+
+  assert.equal(keys.revoke(issued.id), true);
+  assert.equal(keys.authenticate(issued.key), null);
+  assert.equal(keys.revoke(issued.id), false);
+  keys.close();
+});
+
+test('counts the characters each key uses today', () => {
+  const keys = createKeyStore(':memory:');
+  const first = keys.issue({ name: 'first' });
+  const second = keys.issue({ name: 'second' });
+
+  keys.addUsage(first.id, 300);
+  keys.addUsage(first.id, 200);
+  keys.addUsage(second.id, 0);
+
+  assert.equal(keys.usedToday(first.id), 500);
+  assert.equal(keys.usedToday(second.id), 0);
+  assert.equal(keys.authenticate(first.key).usedToday, 500);
+  keys.close();
+});
+
+test('limits each client to its requests per window', () => {
+  const limiter = createRateLimiter({ windowMs: 60 * 1000 });
+  assert.equal(limiter.hit('key:1', 2), 0);
+  assert.equal(limiter.hit('key:1', 2), 0);
+  assert.ok(limiter.hit('key:1', 2) > 0);
+  assert.equal(limiter.hit('key:2', 2), 0);
+});
+
+test('quotas reset at the next UTC midnight', () => {
+  assert.equal(secondsUntilReset(Date.UTC(2024, 4, 31, 23, 59, 0)), 60);
+});
+
+test('keeps each key to its own notes and profiles', () => {
+  const library = createLibrary(':memory:');
+  const mine = library.save({ title: 'Mine', originalText: 'Cells.', summary, keyId: 1 });
+  const shared = library.save({ title: 'Shared', originalText: 'Cells.', summary });
+
+  assert.equal(library.get(mine, 1).title, 'Mine');
+  assert.equal(library.get(mine, 2), null);
+  assert.equal(library.get(mine, null), null);
+  assert.equal(library.get(shared, null).title, 'Shared');
+  assert.deepEqual(library.list({ keyId: 2 }), { notes: [], total: 0 });
+  assert.deepEqual(library.list({ keyId: 1 }).notes.map(note => note.title), ['Mine']);
+
+  assert.equal(library.update(mine, { summary, citations: {} }, 2), false);
+  assert.equal(library.delete(mine, 2), false);
+  assert.equal(library.delete(mine, 1), true);
+
+  library.saveProfile('Exam', { length: 'short' }, 1);
+  assert.deepEqual(library.getProfile('exam', 1), { length: 'short' });
+  assert.equal(library.getProfile('Exam', 2), null);
+  assert.deepEqual(library.listProfiles(null), []);
+});
+
+test('finds jobs only for the key that created them', async () => {
+  const jobs = createJobQueue();
+  const job = jobs.create(async () => 'done', {}, 1);
+  const keyless = jobs.create(async () => 'done');
+
+  assert.equal(jobs.get(job.id, 1), job);
+  assert.equal(jobs.get(job.id, 2), null);
+  assert.equal(jobs.get(job.id), null);
+  assert.equal(jobs.get(keyless.id), keyless);
+  assert.equal(jobs.get(keyless.id, 1), null);
+});
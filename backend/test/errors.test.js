@@ -0,0 +1,194 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import { once } from 'events';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ERROR_CODES, appError, errorCode, parseRetryAfter } from '../errors.js';
+import { createPipeline } from '../pipeline.js';
+import { configureLogger } from '../logger.js';
+
+configureLogger({ level: 'silent' });
+
+const ADMIN_TOKEN = 'test-admin-token';
+const NOTES = 'Photosynthesis is the process plants use to turn light, water and carbon dioxide into sugar and oxygen.';
+
+test('coded errors carry the status of their code', () => {
+  const error = appError('PROVIDER_QUOTA', 'Slow down', { retryAfter: 30 });
+  assert.equal(error.status, 503);
+  assert.equal(error.retryAfter, 30);
+  assert.equal(errorCode(error), 'PROVIDER_QUOTA');
+  assert.ok(Object.values(ERROR_CODES).every(status => status >= 400 && status < 600));
+});
+
+test('errors without a known code count as INTERNAL', () => {
+  assert.equal(errorCode(new Error('boom')), 'INTERNAL');
+  assert.equal(errorCode(Object.assign(new Error('missing'), { code: 'ENOENT' })), 'INTERNAL');
+  assert.equal(errorCode(undefined), 'INTERNAL');
+});
+
+test('reads Retry-After as seconds or an HTTP date', () => {
+  assert.equal(parseRetryAfter('12'), 12);
+  assert.equal(parseRetryAfter('0.2'), 1);
+  assert.equal(parseRetryAfter(new Date(Date.now() + 60 * 1000).toUTCString()) > 50, true);
+  assert.equal(parseRetryAfter('soon'), undefined);
+  assert.equal(parseRetryAfter(undefined), undefined);
+});
+
+// A provider failing with each of `failures` in turn, then answering
+const flakyProvider = failures => ({
+  name: 'flaky',
+  calls: 0,
+  async generate() {
+    const failure = failures[this.calls++];
+    if (failure) throw failure;
+    return 'Answer';
+  }
+});
+
+test('retries transient model failures', async () => {
+  const provider = flakyProvider([appError('PROVIDER_UNAVAILABLE', 'Overloaded', { retryAfter: 0 }), appError('TIMEOUT', 'Slow', { retryAfter: 0 })]);
+  const { generateText } = createPipeline({ provider, maxRetries: 3 });
+  assert.equal(await generateText('Prompt'), 'Answer');
+  assert.equal(provider.calls, 3);
+});
+
+test('gives up after the last retry', async () => {
+  const provider = flakyProvider(Array.from({ length: 3 }, () => appError('PROVIDER_UNAVAILABLE', 'Overloaded', { retryAfter: 0 })));
+  const { generateText } = createPipeline({ provider, maxRetries: 2 });
+  await assert.rejects(generateText('Prompt'), { code: 'PROVIDER_UNAVAILABLE' });
+  assert.equal(provider.calls, 3);
+});
+
+test('does not retry other failures, or waits longer than worth holding a request for', async () => {
+  const rejected = flakyProvider([appError('PROVIDER_AUTH', 'Bad key')]);
+  await assert.rejects(createPipeline({ provider: rejected }).generateText('Prompt'), { code: 'PROVIDER_AUTH' });
+  assert.equal(rejected.calls, 1);
+
+  const limited = flakyProvider([appError('PROVIDER_QUOTA', 'Quota', { retryAfter: 3600 })]);
+  await assert.rejects(createPipeline({ provider: limited }).generateText('Prompt'), { code: 'PROVIDER_QUOTA' });
+  assert.equal(limited.calls, 1);
+});
+
+test('codes failures without a code as PROVIDER_ERROR', async () => {
+  const provider = flakyProvider([new Error('socket hang up')]);
+  await assert.rejects(createPipeline({ provider }).generateText('Prompt'), { code: 'PROVIDER_ERROR' });
+});
+
+// ---- Over HTTP, against the server with the mock provider ----
+
+let server;
+let baseUrl;
+let dataDir;
+
+const freePort = async () => {
+  const probe = net.createServer().listen(0);
+  await once(probe, 'listening');
+  const { port } = probe.address();
+  probe.close();
+  return port;
+};
+
+before(async () => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'notes-test-'));
+  const port = await freePort();
+  baseUrl = `http://localhost:${port}`;
+  server = spawn(process.execPath, ['server.js'], {
+    cwd: path.dirname(path.dirname(fileURLToPath(import.meta.url))),
+    env: {
+      ...process.env,
+      PORT: String(port),
+      LLM_PROVIDER: 'mock',
+      ADMIN_TOKEN,
+      LIBRARY_PATH: path.join(dataDir, 'notes.db'),
+      KEYS_PATH: path.join(dataDir, 'keys.db'),
+      CACHE_DIR: path.join(dataDir, 'cache'),
+      LOG_LEVEL: 'silent'
+    },
+    stdio: 'ignore'
+  });
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      await fetch(`${baseUrl}/api/health`);
+      return;
+    } catch (error) {
+      if (attempt >= 100 || server.exitCode !== null) throw new Error('The server did not start');
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+});
+
+after(() => {
+  server?.kill();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const request = async (method, url, { body, key, token } = {}) => {
+  const headers = {};
+  if (key || token) headers.Authorization = `Bearer ${key || token}`;
+  if (body !== undefined && !(body instanceof FormData)) headers['Content-Type'] = 'application/json';
+  const response = await fetch(`${baseUrl}${url}`, {
+    method,
+    headers,
+    body: body === undefined || body instanceof FormData ? body : typeof body === 'string' ? body : JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const issueKey = async name => (await request('POST', '/api/admin/keys', { body: { name }, token: ADMIN_TOKEN })).body.key.key;
+
+const assertError = (response, status, code) => {
+  assert.equal(response.status, status);
+  assert.equal(response.body.code, code);
+  assert.equal(typeof response.body.error, 'string');
+};
+
+test('answers invalid requests with INVALID_REQUEST', async () => {
+  assertError(await request('POST', '/api/process-text', { body: { text: '' } }), 400, 'INVALID_REQUEST');
+  assertError(await request('POST', '/api/process-text', { body: '{"text": ' }), 400, 'INVALID_REQUEST');
+  assertError(await request('POST', '/api/process-text', { body: { text: NOTES, length: 'endless' } }), 400, 'INVALID_REQUEST');
+});
+
+test('answers export requests in unknown or non-string formats with INVALID_REQUEST', async () => {
+  const notes = { simplifiedNotes: NOTES };
+  assertError(await request('POST', '/api/generate-pdf', { body: { ...notes, format: 'odt' } }), 400, 'INVALID_REQUEST');
+  assertError(await request('POST', '/api/generate-pdf', { body: { ...notes, format: ['pdf'] } }), 400, 'INVALID_REQUEST');
+  assertError(await request('POST', '/api/flashcards/export', { body: { format: { anki: true } } }), 400, 'INVALID_REQUEST');
+  assertError(await request('POST', '/api/concept-map/export', { body: { format: 42 } }), 400, 'INVALID_REQUEST');
+});
+
+test('answers unknown notes, jobs and profiles with NOT_FOUND', async () => {
+  assertError(await request('GET', '/api/notes/999'), 404, 'NOT_FOUND');
+  assertError(await request('GET', '/api/jobs/00000000-0000-0000-0000-000000000000'), 404, 'NOT_FOUND');
+  assertError(await request('POST', '/api/process-text', { body: { text: NOTES, profile: 'No such profile' } }), 404, 'NOT_FOUND');
+});
+
+test('answers bad API and admin keys with UNAUTHORIZED', async () => {
+  assertError(await request('GET', '/api/notes', { key: 'ns_not-a-key' }), 401, 'UNAUTHORIZED');
+  assertError(await request('GET', '/api/admin/keys', { token: 'wrong' }), 401, 'UNAUTHORIZED');
+});
+
+test('keeps notes and jobs to the API key that created them', async () => {
+  const [mine, theirs] = [await issueKey('mine'), await issueKey('theirs')];
+
+  const processed = await request('POST', '/api/process-text', { body: { text: NOTES }, key: mine });
+  assert.equal(processed.status, 200);
+  const { noteId } = processed.body;
+  assert.equal((await request('GET', `/api/notes/${noteId}`, { key: mine })).status, 200);
+  assertError(await request('GET', `/api/notes/${noteId}`, { key: theirs }), 404, 'NOT_FOUND');
+  assertError(await request('GET', `/api/notes/${noteId}`), 404, 'NOT_FOUND');
+  assertError(await request('DELETE', `/api/notes/${noteId}`, { key: theirs }), 404, 'NOT_FOUND');
+
+  const form = new FormData();
+  form.append('pdf', new Blob([NOTES], { type: 'text/plain' }), 'notes.txt');
+  const queued = await request('POST', '/api/upload', { body: form, key: mine });
+  assert.equal(queued.status, 202);
+  const { jobId } = queued.body;
+  assert.equal((await request('GET', `/api/jobs/${jobId}`, { key: mine })).status, 200);
+  assertError(await request('GET', `/api/jobs/${jobId}`, { key: theirs }), 404, 'NOT_FOUND');
+  assertError(await request('DELETE', `/api/jobs/${jobId}`), 404, 'NOT_FOUND');
+});
@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import JSZip from 'jszip';
+import {
+  extractTextFromPowerPoint,
+  extractTextFromOdt,
+  extractTextFromEpub,
+  extractTextFromHtml,
+  extractTextFromRtf,
+  isProbablyText
+} from '../extractors.js';
+
+const zipOf = files => {
+  const zip = new JSZip();
+  Object.entries(files).forEach(([name, content]) => zip.file(name, content));
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
+
+const odtContent = body => `<?xml version="1.0" encoding="UTF-8"?>
+<office:document-content xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0" xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0">
+  <office:body><office:text>${body}</office:text></office:body>
+</office:document-content>`;
+
+test('reads PowerPoint slides in order with their speaker notes', async () => {
+  const ns = 'xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main" xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"';
+  const rels = targets => `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${targets
+    .map(([id, type, target]) => `<Relationship Id="${id}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/${type}" Target="${target}"/>`)
+    .join('')}</Relationships>`;
+  const slide = text => `<p:sld ${ns}><p:cSld><p:spTree><p:sp><p:txBody><a:p><a:r><a:t>${text}</a:t></a:r></a:p></p:txBody></p:sp></p:spTree></p:cSld></p:sld>`;
+
+  const buffer = await zipOf({
+    'ppt/presentation.xml': `<p:presentation ${ns}><p:sldIdLst><p:sldId id="257" r:id="rId3"/><p:sldId id="256" r:id="rId2"/></p:sldIdLst></p:presentation>`,
+    'ppt/_rels/presentation.xml.rels': rels([['rId2', 'slide', 'slides/slide1.xml'], ['rId3', 'slide', 'slides/slide2.xml']]),
+    'ppt/slides/slide1.xml': slide('Photosynthesis'),
+    'ppt/slides/slide2.xml': slide('Cell structure'),
+    'ppt/slides/_rels/slide2.xml.rels': rels([['rId1', 'notesSlide', '../notesSlides/notesSlide1.xml']]),
+    'ppt/notesSlides/notesSlide1.xml': `<p:notes ${ns}><p:cSld><p:spTree><p:sp><p:nvSpPr><p:nvPr><p:ph type="body"/></p:nvPr></p:nvSpPr><p:txBody><a:p><a:r><a:t>Mention the nucleus</a:t></a:r></a:p></p:txBody></p:sp></p:spTree></p:cSld></p:notes>`
+  });
+
+  const { text } = await extractTextFromPowerPoint(buffer);
+  assert.equal(text, 'Slide 1\nCell structure\nSpeaker notes:\nMention the nucleus\n\nSlide 2\nPhotosynthesis');
+});
+
+test('reads OpenDocument paragraphs and headings without their footnotes', async () => {
+  const buffer = await zipOf({
+    'content.xml': odtContent('<text:h>Cells</text:h><text:p>All living things<text:note><text:note-body><text:p>A footnote</text:p></text:note-body></text:note> are made of cells.</text:p>')
+  });
+
+  const { text } = await extractTextFromOdt(buffer);
+  assert.equal(text, 'Cells\n\nAll living things are made of cells.');
+});
+
+test('reads EPUB chapters in spine order', async () => {
+  const buffer = await zipOf({
+    'META-INF/container.xml': '<container><rootfiles><rootfile full-path="OEBPS/content.opf"/></rootfiles></container>',
+    'OEBPS/content.opf': '<package><manifest><item id="one" href="one.xhtml"/><item id="two" href="two.xhtml"/></manifest><spine><itemref idref="two"/><itemref idref="one"/></spine></package>',
+    'OEBPS/one.xhtml': '<html><body><p>Chapter one</p></body></html>',
+    'OEBPS/two.xhtml': '<html><body><p>Preface</p></body></html>'
+  });
+
+  const { text } = await extractTextFromEpub(buffer);
+  assert.equal(text, 'Preface\n\nChapter one');
+});
+
+test('rejects a zip whose entries inflate past 50 MB', async () => {
+  // Zeros compress about a thousandfold, so this upload is well under 1 MB
+  const buffer = await zipOf({ 'content.xml': odtContent(`<text:p>${'0'.repeat(60 * 1024 * 1024)}</text:p>`) });
+  assert.ok(buffer.length < 1024 * 1024);
+
+  await assert.rejects(extractTextFromOdt(buffer), { code: 'EXTRACTION_FAILED', message: /larger than 50 MB/ });
+});
+
+test('rejects a zip that is not the document type it claims to be', async () => {
+  const buffer = await zipOf({ 'readme.txt': 'Not a presentation' });
+  await assert.rejects(extractTextFromPowerPoint(buffer), /ppt\/presentation\.xml is missing/);
+});
+
+test('reads the visible text of HTML pages', async () => {
+  const html = '<html><head><title>Notes</title><script>alert(1)</script></head><body><nav>Menu</nav><h1>Mitosis</h1><p>Cells&nbsp;divide.</p></body></html>';
+  const { text } = await extractTextFromHtml(Buffer.from(html));
+  assert.equal(text, 'Mitosis\n\nCells divide.');
+});
+
+test('reads RTF text with its escapes decoded', async () => {
+  const rtf = '{\\rtf1\\ansi{\\fonttbl{\\f0 Arial;}}\\f0 Caf\\\'e9 notes\\par Second line}';
+  const { text } = await extractTextFromRtf(Buffer.from(rtf));
+  assert.equal(text, 'Café notes\nSecond line');
+});
+
+test('throws NO_TEXT_FOUND for documents without text', async () => {
+  await assert.rejects(extractTextFromHtml(Buffer.from('<html><body><script>x()</script></body></html>')), { code: 'NO_TEXT_FOUND' });
+});
+
+test('tells text from binary files', () => {
+  assert.equal(isProbablyText(Buffer.from('Plain notes, with ünïcode')), true);
+  assert.equal(isProbablyText(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0x01])), false);
+});
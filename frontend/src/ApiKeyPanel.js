@@ -0,0 +1,41 @@
+import React, { useState } from 'react';
+import { loadApiKey, saveApiKey } from './apiKey';
+import { useTranslation } from './i18n';
+
+// Entry for the API key of servers that require one. Opened by the app when
+// a request is rejected for a missing or invalid key.
+const ApiKeyPanel = ({ open, onSave }) => {
+  const { t } = useTranslation();
+  const [key, setKey] = useState(loadApiKey);
+  const [saved, setSaved] = useState(false);
+
+  const handleSave = () => {
+    saveApiKey(key.trim());
+    setSaved(true);
+    onSave?.();
+  };
+
+  return (
+    <details className={`summary-options api-key-panel ${open ? 'attention' : ''}`} open={open || undefined}>
+      <summary>{t('apiKey.title')}</summary>
+
+      <div className="quiz-setup">
+        <label>
+          {t('apiKey.key')}
+          <input
+            type="password"
+            value={key}
+            onChange={(e) => { setKey(e.target.value); setSaved(false); }}
+            placeholder="ns_..."
+            className="api-key-input"
+            autoComplete="off"
+          />
+        </label>
+        <button onClick={handleSave} className="download-btn">{t(key.trim() ? 'apiKey.save' : 'apiKey.remove')}</button>
+        {saved && <span className="api-key-saved">{t('apiKey.saved')}</span>}
+      </div>
+    </details>
+  );
+};
+
+export default ApiKeyPanel;
@@ -1,104 +1,257 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import axios from 'axios';
+import { postEventStream, parsePartialJson } from './stream';
+import { submitUploadJob, waitForJob, cancelJob, loadActiveJob, saveActiveJob, clearActiveJob } from './jobs';
+import QuizView from './QuizView';
+import FlashcardsView from './FlashcardsView';
+import ConceptMapView from './ConceptMapView';
+import LibraryView from './LibraryView';
+import CompareView from './CompareView';
+import SummaryOptionsPanel from './SummaryOptionsPanel';
+import SourcePanel, { citationLabel } from './SourcePanel';
+import ApiKeyPanel from './ApiKeyPanel';
+import ChatPanel from './ChatPanel';
+import SummaryEditor, { cleanEditedSummary } from './SummaryEditor';
+import { SUMMARY_SECTIONS, loadSummaryOptions, saveSummaryOptions } from './summaryOptions';
+import { useTranslation, translate, languageName, LanguageSwitcher } from './i18n';
+import { errorMessage, codeMessage } from './errors';
+
+// Must match MAX_TEXT_LENGTH in backend/server.js
+const MAX_TEXT_LENGTH = 2000000;
+
+// Must match MAX_BATCH_FILES in backend/server.js
+const MAX_FILES = 10;
+
+// Download formats offered next to the Download button
+const EXPORT_FORMATS = [
+  { value: 'pdf', label: 'PDF', mimeType: 'application/pdf' },
+  { value: 'docx', label: 'Word (.docx)', mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' },
+  { value: 'md', label: 'Markdown (.md)', mimeType: 'text/markdown' },
+  { value: 'txt', label: 'Text (.txt)', mimeType: 'text/plain' }
+];
+
+// A bullet point, with the passages it cites and, in combined summaries, the
+// documents it came from. A bullet with citations opens them when clicked.
+const NoteBullet = ({ children, item, citations, selected, onCite }) => {
+  const { t } = useTranslation();
+  const refs = citations && onCite ? (item.refs || []).filter(ref => citations[ref]) : [];
+  const cite = () => onCite(item);
 
-// Simple component to display clean, formatted notes
-const FormattedNotesDisplay = ({ content }) => {
-  // Clean up any markdown formatting
-  const cleanContent = content
-    .replace(/\*\*\*(.*?)\*\*\*/g, '$1')
-    .replace(/\*\*(.*?)\*\*/g, '$1')
-    .replace(/\*(.*?)\*/g, '$1')
-    .replace(/__(.*?)__/g, '$1')
-    .replace(/_(.*?)_/g, '$1')
-    .replace(/`(.*?)`/g, '$1')
-    .replace(/###\s*/g, '')
-    .replace(/##\s*/g, '')
-    .replace(/#\s*/g, '');
-
-  // Split into lines and format each line
-  const lines = cleanContent.split('\n');
-  
   return (
-    <div className="formatted-notes">
-      {lines.map((line, index) => {
-        const trimmedLine = line.trim();
-        
-        if (!trimmedLine) {
-          return <div key={index} className="line-break"></div>;
-        }
-        
-        // Check if it's a header with emoji
-        if (trimmedLine.match(/^[🎯💡⭐📝🔍]/)) {
-          return (
-            <div key={index} className="note-header">
-              {trimmedLine}
-            </div>
-          );
-        }
-        
-        // Check if it's a bullet point
-        if (trimmedLine.startsWith('•')) {
-          return (
-            <div key={index} className="note-bullet">
-              <span className="bullet-icon">•</span>
-              <span className="bullet-content">{trimmedLine.substring(1).trim()}</span>
-            </div>
-          );
-        }
-        
-        // Regular paragraph
-        return (
-          <div key={index} className="note-paragraph">
-            {trimmedLine}
-          </div>
-        );
+    <div
+      className={`note-bullet ${refs.length ? 'cited' : ''} ${selected ? 'selected' : ''}`}
+      {...(refs.length > 0 && {
+        role: 'button',
+        tabIndex: 0,
+        title: t('results.showPassage'),
+        onClick: cite,
+        onKeyDown: (e) => (e.key === 'Enter' || e.key === ' ') && cite()
       })}
+    >
+      <span className="bullet-icon">•</span>
+      <span className="bullet-content">
+        {children}
+        {refs.map(ref => <span key={ref} className="citation-badge">{citationLabel(citations[ref], t)}</span>)}
+        {item.sources?.map(source => <span key={source} className="source-badge">{source}</span>)}
+      </span>
     </div>
   );
 };
 
+// List items are strings, or { text, refs, sources }
+const itemText = (item) => (typeof item === 'string' ? item : item.text);
+
+// Value of a section, or null when there is nothing to show yet. While a
+// summary is streaming in, sections and items may be missing or incomplete.
+const sectionValue = (summary, section) => {
+  const value = summary[section.key];
+  if (section.kind === 'paragraph') {
+    return typeof value === 'string' && value ? value : null;
+  }
+
+  const items = (Array.isArray(value) ? value : []).filter(item => (section.kind === 'concepts'
+    ? item && typeof item.term === 'string'
+    : typeof item === 'string' || typeof item?.text === 'string'));
+  return items.length ? items : null;
+};
+
+// Render the structured summary section by section, with the headings in
+// the summary's `language`. With citations, clicking a bullet passes it to
+// onCite; citedItem is the bullet shown.
+const FormattedNotesDisplay = ({ summary, language, citations, citedItem, onCite }) => (
+  <div className="formatted-notes">
+    {SUMMARY_SECTIONS.map(section => {
+      const value = sectionValue(summary, section);
+      if (!value) {
+        return null;
+      }
+
+      return (
+        <div key={section.key} className="note-section">
+          <div className="note-header">
+            {section.emoji} {translate(language, `section.${section.key}`).toUpperCase()}
+          </div>
+          {section.kind === 'paragraph' && (
+            <div className="note-paragraph">{value}</div>
+          )}
+          {section.kind === 'list' && value.map((item, index) => (
+            <NoteBullet key={index} item={item} citations={citations} selected={item === citedItem} onCite={onCite}>
+              {itemText(item)}
+            </NoteBullet>
+          ))}
+          {section.kind === 'concepts' && value.map((concept, index) => (
+            <NoteBullet key={index} item={concept} citations={citations} selected={concept === citedItem} onCite={onCite}>
+              <strong>{concept.term}:</strong> {concept.definition}
+            </NoteBullet>
+          ))}
+        </div>
+      );
+    })}
+  </div>
+);
+
+// The language detected in the notes, and the summary's when it differs
+const LanguageStat = ({ detected, output }) => {
+  const { t, language } = useTranslation();
+  const source = languageName(detected.code, language);
+  return (
+    <span title={t('stats.languageHint')}>
+      {output && output !== 'auto' && output !== detected.code
+        ? t('stats.translated', { source, target: languageName(output, language) })
+        : t('stats.language', { source })}
+    </span>
+  );
+};
+
 function App() {
-  const [file, setFile] = useState(null);
+  const { t } = useTranslation();
+  const [files, setFiles] = useState([]);
   const [textInput, setTextInput] = useState('');
   const [loading, setLoading] = useState(false);
   const [results, setResults] = useState(null);
   const [error, setError] = useState('');
   const [dragOver, setDragOver] = useState(false);
   const [inputMode, setInputMode] = useState('file'); // 'file' or 'text'
+  const [exportFormat, setExportFormat] = useState('pdf');
+  const [source, setSource] = useState(null); // input the current results were made from
+  const [progress, setProgress] = useState('');
+  const [partialSummary, setPartialSummary] = useState(null); // summary so far while streaming
+  const [activeJob, setActiveJob] = useState(null); // upload job being processed: { jobId, filenames }
+  const [activeDocument, setActiveDocument] = useState(null); // index into results.documents, or null for the combined notes
+  const [view, setView] = useState('simplify'); // 'simplify', 'library' or 'compare'
+  const [summaryOptions, setSummaryOptions] = useState(loadSummaryOptions);
+  const [citedItem, setCitedItem] = useState(null); // summary item whose source passages are shown
+  const [needsApiKey, setNeedsApiKey] = useState(false); // last request was rejected for its API key
+  const [editing, setEditing] = useState(false); // the shown summary is open in the editor
+  const [extractive, setExtractive] = useState(false); // summarize offline, without the model
+
+  // followJob must not change with the interface language, or switching
+  // language would restart the job it follows
+  const tRef = useRef(t);
+  tRef.current = t;
+
+  // Follow an upload job until it finishes. `uploadedFiles` are only known
+  // for jobs started in this page; a job resumed after a reload has no
+  // source, so quiz and flashcards stay hidden for it.
+  const followJob = useCallback(async ({ jobId, filenames }, uploadedFiles, signal) => {
+    setActiveJob({ jobId, filenames });
+    setLoading(true);
+    setError('');
+    setResults(null);
+    setActiveDocument(null);
+
+    try {
+      const result = await waitForJob(jobId, progress => setProgress(progress.message), { signal });
+      if (signal?.aborted) {
+        return;
+      }
+      console.log('Processing successful');
+      setResults(result);
+      setSource(uploadedFiles ? { files: uploadedFiles } : null);
+      clearActiveJob();
+    } catch (err) {
+      if (signal?.aborted) {
+        return;
+      }
+      clearActiveJob();
+      if (!err.cancelled) {
+        console.error('Processing error:', err);
+        const translateNow = tRef.current;
+        setError(err.response?.status === 404 ? translateNow('error.jobLost') : errorMessage(err, translateNow));
+      }
+    } finally {
+      if (!signal?.aborted) {
+        setActiveJob(null);
+        setLoading(false);
+        setProgress('');
+      }
+    }
+  }, []);
+
+  // Pick up an upload that was still processing when the page was reloaded
+  useEffect(() => {
+    const savedJob = loadActiveJob();
+    if (!savedJob?.jobId) {
+      return undefined;
+    }
+    const controller = new AbortController();
+    followJob(savedJob, null, controller.signal);
+    return () => controller.abort();
+  }, [followJob]);
+
+  const handleFileSelect = (selectedFiles) => {
+    if (selectedFiles.length) {
+      if (selectedFiles.length > MAX_FILES) {
+        setError(t('error.tooManyFiles', { max: MAX_FILES }));
+        return;
+      }
 
-  const handleFileSelect = (selectedFile) => {
-    if (selectedFile) {
       // Accept most common document types
       const supportedTypes = [
         'text/plain',
         'application/pdf',
         'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
         'application/msword',
+        'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+        'application/vnd.oasis.opendocument.text',
+        'application/epub+zip',
+        'application/rtf',
+        'text/rtf',
+        'text/html',
+        'application/xhtml+xml',
         'text/markdown',
-        'text/csv'
+        'text/csv',
+        'image/png',
+        'image/jpeg',
+        'image/webp',
+        'image/bmp'
       ];
       
-      const supportedExtensions = ['.txt', '.pdf', '.docx', '.doc', '.md', '.csv'];
-      const fileExtension = selectedFile.name.toLowerCase().substring(selectedFile.name.lastIndexOf('.'));
+      const supportedExtensions = [
+        '.txt', '.pdf', '.docx', '.doc', '.pptx', '.odt', '.epub', '.rtf', '.html', '.htm', '.xhtml', '.md', '.csv',
+        '.png', '.jpg', '.jpeg', '.webp', '.bmp'
+      ];
+      const isSupported = (selectedFile) => {
+        const fileExtension = selectedFile.name.toLowerCase().substring(selectedFile.name.lastIndexOf('.'));
+        return supportedTypes.includes(selectedFile.type) || supportedExtensions.includes(fileExtension);
+      };
       
-      if (supportedTypes.includes(selectedFile.type) || supportedExtensions.includes(fileExtension)) {
-        setFile(selectedFile);
+      setFiles(selectedFiles);
+      if (selectedFiles.every(isSupported)) {
         setError('');
       } else {
-        // Still allow the file but warn user
-        setFile(selectedFile);
-        setError('File type not fully supported, but we\'ll try to extract text from it.');
+        // Still allow the files but warn user
+        setError(t('error.unknownTypes'));
       }
     } else {
-      setError('Please select a file');
+      setError(t('error.selectFile'));
     }
   };
 
   const handleDrop = (e) => {
     e.preventDefault();
     setDragOver(false);
-    const droppedFile = e.dataTransfer.files[0];
-    handleFileSelect(droppedFile);
+    handleFileSelect(Array.from(e.dataTransfer.files));
   };
 
   const handleDragOver = (e) => {
@@ -111,117 +264,298 @@ function App() {
     setDragOver(false);
   };
 
-  const handleProcess = async () => {
-    if (inputMode === 'file' && !file) {
-      setError('Please select a file first');
+  const handleSummaryOptionsChange = (options) => {
+    setSummaryOptions(options);
+    saveSummaryOptions(options);
+  };
+
+  // With noCache, the server processes the notes again instead of returning
+  // its cached result. In extractive mode it picks out key sentences instead
+  // of asking the model.
+  const handleProcess = async ({ noCache = false } = {}) => {
+    if (inputMode === 'file' && !files.length) {
+      setError(t('error.selectFileFirst'));
       return;
     }
     
     if (inputMode === 'text' && !textInput.trim()) {
-      setError('Please enter some text to process');
+      setError(t('error.enterText'));
       return;
     }
 
     // Additional validation for text length
-    if (inputMode === 'text' && textInput.length > 200000) {
-      setError('Text is too long. Please limit to 200,000 characters.');
+    if (inputMode === 'text' && textInput.length > MAX_TEXT_LENGTH) {
+      setError(t('error.textTooLong', { max: MAX_TEXT_LENGTH.toLocaleString() }));
+      return;
+    }
+
+    const options = { ...summaryOptions, ...(noCache && { noCache }), ...(extractive && { extractive }) };
+
+    // Uploads run as background jobs on the server and are polled
+    if (inputMode === 'file') {
+      console.log('Uploading files:', files.map(selectedFile => selectedFile.name).join(', '));
+      setLoading(true);
+      setError('');
+      setResults(null);
+      setActiveDocument(null);
+      setProgress(t('upload.uploading'));
+
+      let jobId;
+      try {
+        jobId = await submitUploadJob(files, options);
+      } catch (err) {
+        console.error('Upload error:', err);
+        setError(errorMessage(err, t));
+        setNeedsApiKey(err.response?.status === 401);
+        setLoading(false);
+        setProgress('');
+        return;
+      }
+
+      const job = { jobId, filenames: files.map(selectedFile => selectedFile.name) };
+      saveActiveJob(job);
+      await followJob(job, files);
       return;
     }
 
     setLoading(true);
     setError('');
     setResults(null);
+    setActiveDocument(null);
     
     try {
-      console.log('Starting processing...', inputMode);
-      let response;
-      
-      if (inputMode === 'text') {
-        console.log('Processing text, length:', textInput.length);
-        response = await axios.post('/api/process-text', {
-          text: textInput
-        }, {
-          timeout: 90000 // 90 second timeout
-        });
-      } else {
-        console.log('Processing file:', file.name, 'size:', file.size);
-        const formData = new FormData();
-        formData.append('pdf', file);
-        response = await axios.post('/api/upload', formData, {
-          headers: { 'Content-Type': 'multipart/form-data' },
-          timeout: 90000 // 90 second timeout
-        });
-      }
-      
-      console.log('Response received:', response.status);
-      
-      if (response.data && response.data.success) {
+      console.log('Processing text, length:', textInput.length);
+
+      // Render the summary as it streams in, then replace it with the
+      // validated result at the end
+      let streamed = '';
+      let result = null;
+      await postEventStream('/api/process-text/stream', { text: textInput, ...options }, (event, data) => {
+        if (event === 'progress') {
+          setProgress(data.message);
+        } else if (event === 'token') {
+          streamed += data.text;
+          const partial = parsePartialJson(streamed);
+          if (partial) setPartialSummary(partial);
+        } else if (event === 'result') {
+          result = data;
+        }
+      });
+
+      if (result && result.success) {
         console.log('Processing successful');
-        setResults(response.data);
+        setResults(result);
+        setSource({ text: textInput });
       } else {
-        console.error('Unexpected response:', response.data);
-        setError('Unexpected response from server. Please try again.');
+        console.error('Unexpected response:', result);
+        setError(t('error.unexpected'));
       }
     } catch (err) {
       console.error('Processing error:', err);
-      
-      if (err.code === 'ECONNABORTED') {
-        setError('Request timed out. The AI is taking too long to process. Please try with shorter content.');
-      } else if (err.response?.status === 500) {
-        setError('Server error: ' + (err.response?.data?.error || 'Internal server error. Please try again.'));
-      } else if (err.response?.status === 400) {
-        setError('Input error: ' + (err.response?.data?.error || 'Invalid input. Please check your content.'));
-      } else if (err.code === 'ERR_NETWORK') {
-        setError('Network error. Please check if the server is running and try again.');
-      } else {
-        setError(err.response?.data?.error || 'Failed to process content. Please try again.');
-      }
+      setError(errorMessage(err, t));
+      setNeedsApiKey(err.response?.status === 401);
     } finally {
       setLoading(false);
+      setProgress('');
+      setPartialSummary(null);
+    }
+  };
+
+  // Show a note reopened from the library as the current results. Its saved
+  // source text becomes the source for quizzes and flashcards.
+  const handleOpenNote = (note) => {
+    setResults({
+      success: true,
+      noteId: note.id,
+      summary: note.summary,
+      simplifiedNotes: note.simplifiedNotes,
+      originalLength: note.originalLength,
+      simplifiedLength: note.simplifiedNotes.length,
+      chunksProcessed: note.chunksProcessed,
+      options: note.options,
+      citations: note.citations,
+      method: note.method,
+      fallbackCode: note.fallbackCode,
+      detectedLanguage: note.detectedLanguage,
+      cached: note.cached
+    });
+    setSource({ text: note.originalText });
+    setActiveDocument(null);
+    setError('');
+    setView('simplify');
+  };
+
+  const handleCancel = async () => {
+    try {
+      await cancelJob(activeJob.jobId);
+    } catch (err) {
+      // The job may have just finished; the next poll picks up its final state
+      console.error('Cancel error:', err);
     }
   };
 
   const handleDownload = async () => {
+    const format = EXPORT_FORMATS.find(option => option.value === exportFormat);
+    // Export open edits the way they would be saved
+    const summary = editing ? checkedEdits() : shownResult.summary;
+    if (!summary) {
+      return;
+    }
+
     try {
       const response = await axios.post('/api/generate-pdf', 
-        { text: results.simplifiedNotes },
+        { summary, language: shownResult.options?.language, format: format.value },
         { responseType: 'blob' }
       );
       
-      const blob = new Blob([response.data], { type: 'text/plain' });
+      const blob = new Blob([response.data], { type: format.mimeType });
       const url = window.URL.createObjectURL(blob);
       const link = document.createElement('a');
       link.href = url;
-      link.download = 'simplified-notes.txt';
+      link.download = `simplified-notes.${format.value}`;
       link.click();
       window.URL.revokeObjectURL(url);
     } catch (err) {
-      setError('Failed to generate PDF');
+      setError(t('error.download', { format: format.label }));
+    }
+  };
+
+  // The combined notes of a batch, or one of its documents
+  const shownResult = results && activeDocument !== null ? results.documents[activeDocument] : results;
+
+  // Close the source panel when other notes are shown
+  useEffect(() => {
+    setCitedItem(null);
+  }, [shownResult]);
+
+  // Leave the editor when other notes are shown
+  useEffect(() => {
+    setEditing(false);
+  }, [results?.noteId, activeDocument]);
+
+  // Change the shown result (the combined notes or one document of a batch);
+  // update(result) returns the changed fields
+  const updateShownResult = (update) => {
+    const apply = (result) => ({ ...result, ...update(result) });
+    setResults(current => (activeDocument === null
+      ? apply(current)
+      : { ...current, documents: current.documents.map((doc, index) => (index === activeDocument ? apply(doc) : doc)) }));
+  };
+
+  // The edited summary without blank items, or null (with the error shown)
+  // when a required section was emptied
+  const checkedEdits = () => {
+    const summary = cleanEditedSummary(shownResult.summary);
+    if (!summary.mainTopics.length || !summary.summary) {
+      setError(t('error.emptyRequired'));
+      return null;
+    }
+    return summary;
+  };
+
+  // Sections can be regenerated from the saved note, or from pasted text
+  const canRegenerate = Boolean(shownResult?.noteId || source?.text);
+
+  const handleRegenerateSection = async (key, instruction) => {
+    const { length, audience, tone, language } = shownResult.options || {};
+    try {
+      const response = await axios.post('/api/regenerate-section', {
+        ...(shownResult.noteId ? { noteId: shownResult.noteId } : { text: source.text }),
+        summary: cleanEditedSummary(shownResult.summary),
+        section: key,
+        instruction,
+        length,
+        audience,
+        tone,
+        language
+      }, { timeout: 90000 });
+      const { value, citations } = response.data;
+      updateShownResult(result => ({
+        summary: { ...result.summary, [key]: value },
+        citations: { ...result.citations, ...citations }
+      }));
+      setError('');
+    } catch (err) {
+      console.error('Regenerate error:', err);
+      setError(errorMessage(err, t));
+      setNeedsApiKey(err.response?.status === 401);
+    }
+  };
+
+  // Leave the editor, saving the edits over the note in the library
+  const handleFinishEditing = async () => {
+    const summary = checkedEdits();
+    if (!summary) {
+      return;
+    }
+
+    if (!shownResult.noteId) {
+      updateShownResult(() => ({ summary }));
+      setEditing(false);
+      return;
+    }
+
+    try {
+      const response = await axios.put(`/api/notes/${shownResult.noteId}`, { summary });
+      const { simplifiedNotes, citations } = response.data;
+      updateShownResult(() => ({ summary: response.data.summary, simplifiedNotes, simplifiedLength: simplifiedNotes.length, citations }));
+      setEditing(false);
+      setError('');
+    } catch (err) {
+      console.error('Save edits error:', err);
+      setError(errorMessage(err, t, t('error.saveEdits')));
     }
   };
 
   return (
     <div className="app">
       <div className="header">
-        <h1>📚 Notes Simplifier</h1>
-        <p>Upload any document (PDF, Word, Text) or paste content directly for AI-powered summaries</p>
+        <LanguageSwitcher />
+        <h1>{t('app.title')}</h1>
+        <p>{t('app.tagline')}</p>
       </div>
       
       <div className="container">
 
+      <div className="input-mode-selector view-selector">
+        <button
+          className={`mode-btn ${view === 'simplify' ? 'active' : ''}`}
+          onClick={() => setView('simplify')}
+        >
+          {t('view.simplify')}
+        </button>
+        <button
+          className={`mode-btn ${view === 'library' ? 'active' : ''}`}
+          onClick={() => setView('library')}
+        >
+          {t('view.library')}
+        </button>
+        <button
+          className={`mode-btn ${view === 'compare' ? 'active' : ''}`}
+          onClick={() => setView('compare')}
+        >
+          {t('view.compare')}
+        </button>
+      </div>
+
+      {view === 'library' && <LibraryView onOpen={handleOpenNote} />}
+
+      {view === 'compare' && <CompareView />}
+
+      {view === 'simplify' && (<>
       <div className="upload-section">
         <div className="input-mode-selector">
           <button 
             className={`mode-btn ${inputMode === 'file' ? 'active' : ''}`}
             onClick={() => setInputMode('file')}
           >
-            📄 Upload File
+            {t('input.file')}
           </button>
           <button 
             className={`mode-btn ${inputMode === 'text' ? 'active' : ''}`}
             onClick={() => setInputMode('text')}
           >
-            ✏️ Paste Text
+            {t('input.text')}
           </button>
         </div>
 
@@ -234,16 +568,18 @@ function App() {
             onClick={() => document.getElementById('file-input').click()}
           >
             <div>
-              <h3>📄 Drop your file here or click to browse</h3>
-              <p>Supports: PDF, Word (.docx, .doc), Text (.txt, .md, .csv) • Max: 10MB</p>
-              <p><small>💡 Most document formats supported - we'll try to extract text from any file!</small></p>
-              {file && <p><strong>Selected:</strong> {file.name}</p>}
+              <h3>{t('upload.drop')}</h3>
+              <p>{t('upload.supports', { max: MAX_FILES })}</p>
+              <p><small>{t('upload.hint')}</small></p>
+              {files.length > 0 && <p><strong>{t('upload.selected')}</strong> {files.map(selectedFile => selectedFile.name).join(', ')}</p>}
+              {files.length > 1 && <p><small>{t('upload.batch')}</small></p>}
             </div>
             <input
               id="file-input"
               type="file"
-              accept=".pdf,.docx,.doc,.txt,.md,.csv,*"
-              onChange={(e) => handleFileSelect(e.target.files[0])}
+              accept=".pdf,.docx,.doc,.pptx,.odt,.epub,.rtf,.html,.htm,.xhtml,.txt,.md,.csv,.png,.jpg,.jpeg,.webp,.bmp,*"
+              multiple
+              onChange={(e) => handleFileSelect(Array.from(e.target.files))}
               className="file-input"
             />
           </div>
@@ -252,23 +588,37 @@ function App() {
             <textarea
               value={textInput}
               onChange={(e) => setTextInput(e.target.value)}
-              placeholder="Paste your notes here..."
+              placeholder={t('text.placeholder')}
               className="text-input"
               rows={10}
             />
             <div className="character-count">
-              {textInput.length.toLocaleString()} / 200,000 characters
-              {textInput.length > 200000 && <span className="over-limit"> (Over limit!)</span>}
+              {t('text.count', { count: textInput.length.toLocaleString(), max: MAX_TEXT_LENGTH.toLocaleString() })}
+              {textInput.length > MAX_TEXT_LENGTH && <span className="over-limit">{t('text.overLimit')}</span>}
             </div>
           </div>
         )}
+
+        <SummaryOptionsPanel options={summaryOptions} onChange={handleSummaryOptionsChange} />
+        <ApiKeyPanel
+          open={needsApiKey}
+          onSave={() => {
+            setNeedsApiKey(false);
+            setError('');
+          }}
+        />
         
+        <label className="extractive-toggle" title={t('extractive.hint')}>
+          <input type="checkbox" checked={extractive} onChange={(e) => setExtractive(e.target.checked)} />
+          {t('extractive.toggle')}
+        </label>
+
         <button 
-          onClick={handleProcess} 
-          disabled={(inputMode === 'file' && !file) || (inputMode === 'text' && !textInput.trim()) || loading}
+          onClick={() => handleProcess()} 
+          disabled={(inputMode === 'file' && !files.length) || (inputMode === 'text' && !textInput.trim()) || loading}
           className="upload-btn"
         >
-          {loading ? 'Processing...' : 'Simplify Notes'}
+          {loading ? t('process.busy') : t('process.button')}
         </button>
       </div>
 
@@ -277,29 +627,148 @@ function App() {
       {loading && (
         <div className="loading">
           <div className="spinner"></div>
-          <p>Processing your notes with AI...</p>
+          <p>{progress || t('loading.default')}</p>
+          {activeJob && (
+            <>
+              <p><small>{activeJob.filenames?.join(', ')} • {t('loading.reload')}</small></p>
+              <button onClick={handleCancel} className="download-btn">{t('loading.cancel')}</button>
+            </>
+          )}
+        </div>
+      )}
+
+      {loading && partialSummary && (
+        <div className="results-section">
+          <div className="simplified-content">
+            <FormattedNotesDisplay summary={partialSummary} language={summaryOptions.language} />
+          </div>
         </div>
       )}
 
       {results && (
         <div className="results-section">
           <div className="results-header">
-            <h2>✨ Simplified Notes</h2>
-            <button onClick={handleDownload} className="download-btn">
-              📥 Download Notes
-            </button>
-          </div>
-          
-          <div className="stats">
-            <span>Original: {results.originalLength} characters</span>
-            <span>Simplified: {results.simplifiedLength} characters</span>
-          </div>
-          
-          <div className="simplified-content">
-            <FormattedNotesDisplay content={results.simplifiedNotes} />
+            <h2>{results.documents && activeDocument === null ? t('results.combined') : t('results.simplified')}</h2>
+            {shownResult.success && <div className="download-controls">
+              <button onClick={editing ? handleFinishEditing : () => setEditing(true)} className="download-btn edit-btn">
+                {editing ? t('results.doneEditing') : t('results.edit')}
+              </button>
+              <select
+                value={exportFormat}
+                onChange={(e) => setExportFormat(e.target.value)}
+                className="format-select"
+                aria-label={t('results.format')}
+              >
+                {EXPORT_FORMATS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+              <button onClick={handleDownload} className="download-btn">
+                {t('results.download')}
+              </button>
+            </div>}
           </div>
+
+          {results.documents && (
+            <div className="document-tabs">
+              <button
+                className={`mode-btn ${activeDocument === null ? 'active' : ''}`}
+                onClick={() => setActiveDocument(null)}
+              >
+                {t('results.allDocuments')}
+              </button>
+              {results.documents.map((doc, index) => (
+                <button
+                  key={index}
+                  className={`mode-btn ${activeDocument === index ? 'active' : ''}`}
+                  onClick={() => setActiveDocument(index)}
+                >
+                  {doc.success ? '📄' : '⚠️'} {doc.filename}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {shownResult.success ? (
+            <>
+              <div className="stats">
+                <span>{t('stats.original', { count: shownResult.originalLength })}</span>
+                <span>{t('stats.simplified', { count: shownResult.simplifiedLength })}</span>
+                {shownResult.chunksProcessed > 1 && (
+                  <span>{t('stats.parts', { count: shownResult.chunksProcessed })}</span>
+                )}
+                {shownResult.ocr && (
+                  <span title={t('stats.ocrHint')}>
+                    {t(shownResult.ocr.pages.length === 1 ? 'stats.ocrPage' : 'stats.ocrPages', {
+                      pages: shownResult.ocr.pages.map(page => page.page).join(', '),
+                      confidence: shownResult.ocr.confidence
+                    })}
+                  </span>
+                )}
+                {shownResult.noteId && <span>{t('stats.saved')}</span>}
+                {shownResult.detectedLanguage && (
+                  <LanguageStat detected={shownResult.detectedLanguage} output={shownResult.options?.language} />
+                )}
+                {shownResult.method === 'extractive' && (
+                  <span title={shownResult.fallbackCode ? codeMessage({ code: shownResult.fallbackCode }, t) : t('stats.extractiveHint')}>
+                    {t('stats.extractive')}{shownResult.fallbackCode && t('stats.aiUnavailable')}
+                    {shownResult.fallbackCode && (
+                      <button onClick={() => handleProcess()} disabled={loading} className="stats-action">
+                        {t('stats.tryAgain')}
+                      </button>
+                    )}
+                  </span>
+                )}
+                {shownResult.cached && (
+                  <span title={t('stats.cachedHint')}>
+                    {t('stats.cached')}
+                    <button onClick={() => handleProcess({ noCache: true })} disabled={loading} className="stats-action">
+                      {t('stats.regenerate')}
+                    </button>
+                  </span>
+                )}
+              </div>
+
+              <div className={citedItem ? 'results-with-source' : ''}>
+                <div className="simplified-content">
+                  {editing ? (
+                    <SummaryEditor
+                      summary={shownResult.summary}
+                      language={shownResult.options?.language}
+                      onChange={summary => updateShownResult(() => ({ summary }))}
+                      onRegenerate={canRegenerate ? handleRegenerateSection : null}
+                    />
+                  ) : (
+                    <FormattedNotesDisplay
+                      summary={shownResult.summary}
+                      language={shownResult.options?.language}
+                      citations={shownResult.citations}
+                      citedItem={citedItem}
+                      onCite={setCitedItem}
+                    />
+                  )}
+                </div>
+                {citedItem && (
+                  <SourcePanel item={citedItem} citations={shownResult.citations} onClose={() => setCitedItem(null)} />
+                )}
+              </div>
+            </>
+          ) : (
+            <div className="error">{t('results.fileFailed', { error: codeMessage(shownResult, t) })}</div>
+          )}
         </div>
       )}
+
+      {shownResult?.noteId && <ChatPanel key={shownResult.noteId} noteId={shownResult.noteId} />}
+
+      {results && source && <QuizView source={source} />}
+
+      {results && source && (
+        <FlashcardsView source={source} keyConcepts={results.summary.keyConcepts} />
+      )}
+
+      {results && source && <ConceptMapView source={source} />}
+      </>)}
       </div>
     </div>
   );
@@ -0,0 +1,120 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import SourcePanel, { citationLabel } from './SourcePanel';
+import { useTranslation } from './i18n';
+import { errorMessage } from './errors';
+
+const MAX_MESSAGE_LENGTH = 2000; // Must match MAX_CHAT_MESSAGE_LENGTH in backend/chat.js
+
+// Follow-up questions about the notes on screen. Answers come only from the
+// passages of the saved note, whose citations open next to the chat.
+const ChatPanel = ({ noteId }) => {
+  const { t } = useTranslation();
+  const [messages, setMessages] = useState([]);
+  const [citations, setCitations] = useState({});
+  const [input, setInput] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [citedMessage, setCitedMessage] = useState(null);
+
+  useEffect(() => {
+    axios.get(`/api/chat/${noteId}`)
+      .then(response => {
+        setMessages(response.data.messages);
+        setCitations(response.data.citations);
+      })
+      .catch(err => console.error('Failed to load chat:', err));
+  }, [noteId]);
+
+  const handleSend = async () => {
+    const message = input.trim();
+    if (!message || loading) {
+      return;
+    }
+    setLoading(true);
+    setError('');
+    try {
+      const response = await axios.post('/api/chat', { noteId, message }, { timeout: 90000 });
+      setMessages(current => [...current, ...response.data.messages]);
+      setCitations(current => ({ ...current, ...response.data.citations }));
+      setInput('');
+    } catch (err) {
+      console.error('Chat error:', err);
+      setError(errorMessage(err, t, t('chat.failed')));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleClear = async () => {
+    try {
+      await axios.delete(`/api/chat/${noteId}`);
+      setMessages([]);
+      setCitations({});
+      setCitedMessage(null);
+    } catch (err) {
+      setError(errorMessage(err, t, t('chat.clearFailed')));
+    }
+  };
+
+  return (
+    <div className="results-section quiz-section chat-section">
+      <div className="results-header">
+        <h2>{t('chat.title')}</h2>
+        {messages.length > 0 && (
+          <button onClick={handleClear} className="download-btn delete-btn">{t('chat.clear')}</button>
+        )}
+      </div>
+
+      <div className={citedMessage ? 'results-with-source' : ''}>
+        <div className="chat-messages">
+          {messages.length === 0 && (
+            <p className="chat-empty">{t('chat.empty')}</p>
+          )}
+          {messages.map(message => (
+            <div key={message.id} className={`chat-message ${message.role} ${message === citedMessage ? 'selected' : ''}`}>
+              {message.content}
+              {message.refs.filter(ref => citations[ref]).map(ref => (
+                <button
+                  key={ref}
+                  className="citation-badge"
+                  title={t('results.showPassage')}
+                  onClick={() => setCitedMessage(message)}
+                >
+                  {citationLabel(citations[ref], t)}
+                </button>
+              ))}
+            </div>
+          ))}
+          {loading && <div className="chat-message assistant pending">{t('chat.thinking')}</div>}
+        </div>
+        {citedMessage && (
+          <SourcePanel
+            item={{ text: citedMessage.content, refs: citedMessage.refs }}
+            citations={citations}
+            onClose={() => setCitedMessage(null)}
+          />
+        )}
+      </div>
+
+      {error && <div className="error">{error}</div>}
+
+      <div className="chat-input">
+        <input
+          type="text"
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && handleSend()}
+          placeholder={t('chat.placeholder')}
+          maxLength={MAX_MESSAGE_LENGTH}
+          className="chat-field"
+        />
+        <button onClick={handleSend} disabled={loading || !input.trim()} className="upload-btn">
+          {loading ? t('chat.answering') : t('chat.ask')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ChatPanel;
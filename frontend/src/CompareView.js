@@ -0,0 +1,214 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { useTranslation } from './i18n';
+import { errorMessage } from './errors';
+
+const FILE_TYPES = '.pdf,.docx,.doc,.pptx,.odt,.epub,.rtf,.html,.htm,.xhtml,.txt,.md,.csv,.png,.jpg,.jpeg,.webp,.bmp,*';
+
+// Titled with t(`compare.${key}`)
+const CHANGE_LISTS = [
+  { key: 'addedTopics', emoji: '🆕' },
+  { key: 'changedTopics', emoji: '✏️' },
+  { key: 'removedTopics', emoji: '🗑️' }
+];
+
+// One version of the document: a file, or pasted text
+const VersionInput = ({ label, placeholder, version, onChange }) => {
+  const { t } = useTranslation();
+  return (
+    <div className="compare-version">
+      <div className="compare-version-header">
+        <strong>{label}</strong>
+        <div className="input-mode-selector compare-mode">
+          <button
+            className={`mode-btn ${version.mode === 'file' ? 'active' : ''}`}
+            onClick={() => onChange({ ...version, mode: 'file' })}
+          >
+            {t('compare.file')}
+          </button>
+          <button
+            className={`mode-btn ${version.mode === 'text' ? 'active' : ''}`}
+            onClick={() => onChange({ ...version, mode: 'text' })}
+          >
+            {t('compare.text')}
+          </button>
+        </div>
+      </div>
+      {version.mode === 'file' ? (
+        <input
+          type="file"
+          accept={FILE_TYPES}
+          onChange={(e) => onChange({ ...version, file: e.target.files[0] || null })}
+        />
+      ) : (
+        <textarea
+          value={version.text}
+          onChange={(e) => onChange({ ...version, text: e.target.value })}
+          placeholder={placeholder}
+          className="text-input"
+          rows={8}
+        />
+      )}
+    </div>
+  );
+};
+
+// Paragraphs of the raw diff: added ones highlighted, removed ones struck
+// through and changed ones with their word changes marked. Unchanged
+// paragraphs are collapsed unless `showAll`.
+const DiffView = ({ hunks, showAll }) => {
+  const { t } = useTranslation();
+  const shown = [];
+  let skipped = 0;
+  const flushSkipped = () => {
+    if (skipped) {
+      shown.push(
+        <p key={`skipped-${shown.length}`} className="diff-skipped">
+          {skipped === 1 ? t('compare.skippedOne') : t('compare.skipped', { count: skipped })}
+        </p>
+      );
+      skipped = 0;
+    }
+  };
+
+  hunks.forEach((hunk, index) => {
+    if (hunk.type === 'equal' && !showAll) {
+      skipped++;
+      return;
+    }
+    flushSkipped();
+    if (hunk.type === 'changed') {
+      shown.push(
+        <p key={index} className="diff-hunk diff-changed">
+          {hunk.words.map((part, position) => {
+            if (part.type === 'added') return <ins key={position}>{part.text}</ins>;
+            if (part.type === 'removed') return <del key={position}>{part.text}</del>;
+            return part.text;
+          })}
+        </p>
+      );
+    } else {
+      shown.push(<p key={index} className={`diff-hunk diff-${hunk.type}`}>{hunk.text}</p>);
+    }
+  });
+  flushSkipped();
+
+  return <div className="diff-view">{shown}</div>;
+};
+
+const emptyVersion = { mode: 'file', file: null, text: '' };
+
+// Compare mode: what changed between two versions of a document, as an AI
+// summary by topic next to the highlighted raw diff
+const CompareView = () => {
+  const { t } = useTranslation();
+  const [original, setOriginal] = useState(emptyVersion);
+  const [revised, setRevised] = useState(emptyVersion);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [comparison, setComparison] = useState(null);
+  const [showAll, setShowAll] = useState(false);
+
+  const isReady = (version) => (version.mode === 'file' ? Boolean(version.file) : Boolean(version.text.trim()));
+
+  const handleCompare = async () => {
+    const formData = new FormData();
+    [['original', original], ['revised', revised]].forEach(([name, version]) => {
+      if (version.mode === 'file') {
+        formData.append(name, version.file);
+      } else {
+        formData.append(`${name}Text`, version.text);
+      }
+    });
+
+    setLoading(true);
+    setError('');
+    setComparison(null);
+    try {
+      const response = await axios.post('/api/compare', formData, {
+        headers: { 'Content-Type': 'multipart/form-data' },
+        timeout: 90000 // 90 second timeout
+      });
+      setComparison(response.data);
+    } catch (err) {
+      console.error('Compare error:', err);
+      setError(errorMessage(err, t, t('compare.failed')));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const { stats } = comparison?.diff || {};
+
+  return (
+    <>
+      <div className="upload-section">
+        <div className="compare-inputs">
+          <VersionInput
+            label={t('compare.original')}
+            placeholder={t('compare.originalPlaceholder')}
+            version={original}
+            onChange={setOriginal}
+          />
+          <VersionInput
+            label={t('compare.revised')}
+            placeholder={t('compare.revisedPlaceholder')}
+            version={revised}
+            onChange={setRevised}
+          />
+        </div>
+        <button onClick={handleCompare} disabled={loading || !isReady(original) || !isReady(revised)} className="upload-btn">
+          {loading ? t('compare.comparing') : t('compare.button')}
+        </button>
+      </div>
+
+      {error && <div className="error">{error}</div>}
+
+      {comparison && (
+        <div className="results-section">
+          <div className="results-header">
+            <h2>{t('compare.title')}</h2>
+          </div>
+
+          <div className="stats">
+            <span>{comparison.original.name} → {comparison.revised.name}</span>
+            <span>{t('compare.added', { count: stats.added })}</span>
+            <span>{t('compare.removed', { count: stats.removed })}</span>
+            <span>{t('compare.changed', { count: stats.changed })}</span>
+            <span>{t('compare.unchanged', { count: stats.unchanged })}</span>
+          </div>
+
+          <div className="results-with-source">
+            <div className="simplified-content">
+              <p className="note-paragraph">{comparison.changes.summary}</p>
+              {CHANGE_LISTS.filter(list => comparison.changes[list.key].length).map(list => (
+                <div key={list.key} className="note-section">
+                  <div className="note-header">{list.emoji} {t(`compare.${list.key}`)}</div>
+                  {comparison.changes[list.key].map((item, index) => (
+                    <div key={index} className="note-bullet">
+                      <span className="bullet-icon">•</span>
+                      <span className="bullet-content">{item}</span>
+                    </div>
+                  ))}
+                </div>
+              ))}
+            </div>
+
+            <div className="source-panel">
+              <div className="source-panel-header">
+                <strong>{t('compare.differences')}</strong>
+                <label className="diff-toggle">
+                  <input type="checkbox" checked={showAll} onChange={(e) => setShowAll(e.target.checked)} />
+                  {t('compare.showUnchanged')}
+                </label>
+              </div>
+              <DiffView hunks={comparison.diff.hunks} showAll={showAll} />
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default CompareView;
@@ -0,0 +1,370 @@
+import React, { useRef, useState } from 'react';
+import axios from 'axios';
+import { postWithSource } from './api';
+import { useTranslation } from './i18n';
+import { errorMessage } from './errors';
+
+const EXPORT_FORMATS = [
+  { value: 'mermaid', label: '📥 Mermaid', filename: 'concept-map.mmd', mimeType: 'text/plain' },
+  { value: 'dot', label: '📥 Graphviz', filename: 'concept-map.dot', mimeType: 'text/vnd.graphviz' }
+];
+
+const WIDTH = 900;
+const HEIGHT = 560;
+const NODE_HEIGHT = 34;
+const MAX_LABEL_LENGTH = 28;
+
+const shortLabel = (label) => (label.length > MAX_LABEL_LENGTH ? `${label.slice(0, MAX_LABEL_LENGTH - 1)}…` : label);
+const nodeWidth = (label) => shortLabel(label).length * 7 + 24;
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// Place the concepts with a force-directed layout (Fruchterman-Reingold):
+// every concept pushes the others away, relations pull their ends together.
+// Starts from a circle, so the same map always gets the same layout.
+// Returns { [id]: { x, y } }.
+const layoutConcepts = (concepts, relations) => {
+  const count = concepts.length;
+  const nodes = concepts.map((concept, index) => ({
+    id: concept.id,
+    halfWidth: nodeWidth(concept.label) / 2,
+    x: WIDTH / 2 + Math.cos((2 * Math.PI * index) / count) * WIDTH * 0.3,
+    y: HEIGHT / 2 + Math.sin((2 * Math.PI * index) / count) * HEIGHT * 0.3
+  }));
+  const byId = Object.fromEntries(nodes.map(node => [node.id, node]));
+  const spacing = Math.sqrt((WIDTH * HEIGHT) / Math.max(count, 1)) * 0.4;
+
+  let temperature = WIDTH / 8;
+  for (let iteration = 0; iteration < 300; iteration++) {
+    const moves = nodes.map(() => ({ x: 0, y: 0 }));
+    nodes.forEach((a, i) => {
+      nodes.slice(i + 1).forEach((b, offset) => {
+        const dx = a.x - b.x;
+        const dy = a.y - b.y;
+        const distance = Math.max(Math.hypot(dx, dy), 1);
+        const force = (spacing * spacing) / distance;
+        moves[i].x += (dx / distance) * force;
+        moves[i].y += (dy / distance) * force;
+        moves[i + 1 + offset].x -= (dx / distance) * force;
+        moves[i + 1 + offset].y -= (dy / distance) * force;
+      });
+    });
+    relations.forEach(relation => {
+      const a = byId[relation.from];
+      const b = byId[relation.to];
+      if (!a || !b) return;
+      const dx = a.x - b.x;
+      const dy = a.y - b.y;
+      const distance = Math.max(Math.hypot(dx, dy), 1);
+      const force = (distance * distance) / spacing;
+      const moveA = moves[nodes.indexOf(a)];
+      const moveB = moves[nodes.indexOf(b)];
+      moveA.x -= (dx / distance) * force;
+      moveA.y -= (dy / distance) * force;
+      moveB.x += (dx / distance) * force;
+      moveB.y += (dy / distance) * force;
+    });
+
+    nodes.forEach((node, i) => {
+      // Gravity keeps unconnected concepts from drifting to the edges
+      moves[i].x += (WIDTH / 2 - node.x) * 0.2;
+      moves[i].y += (HEIGHT / 2 - node.y) * 0.2;
+      const length = Math.max(Math.hypot(moves[i].x, moves[i].y), 1);
+      const step = Math.min(length, temperature);
+      node.x = clamp(node.x + (moves[i].x / length) * step, node.halfWidth + 8, WIDTH - node.halfWidth - 8);
+      node.y = clamp(node.y + (moves[i].y / length) * step, NODE_HEIGHT, HEIGHT - NODE_HEIGHT);
+    });
+    temperature = Math.max(temperature * 0.97, 1);
+  }
+
+  return Object.fromEntries(nodes.map(node => [node.id, { x: node.x, y: node.y }]));
+};
+
+// Where the line from `from` to the center of a box leaves the box, so
+// arrowheads end on its border
+const boxBorder = (from, to, halfWidth) => {
+  const dx = from.x - to.x;
+  const dy = from.y - to.y;
+  const scale = Math.min(halfWidth / Math.abs(dx), NODE_HEIGHT / 2 / Math.abs(dy));
+  return Number.isFinite(scale) ? { x: to.x + dx * scale, y: to.y + dy * scale } : to;
+};
+
+// Styles are SVG attributes rather than CSS classes so the PNG export,
+// which renders the SVG on its own, looks the same
+const ConceptMapGraph = ({ map, positions, onMove, svgRef }) => {
+  const { t } = useTranslation();
+  const [dragging, setDragging] = useState(null);
+  const [active, setActive] = useState(null);
+
+  const widths = Object.fromEntries(map.concepts.map(concept => [concept.id, nodeWidth(concept.label)]));
+  const connected = new Set(active ? [active] : []);
+  map.relations.forEach(relation => {
+    if (relation.from === active) connected.add(relation.to);
+    if (relation.to === active) connected.add(relation.from);
+  });
+  const faded = (id) => active && !connected.has(id);
+
+  const pointerPosition = (event) => {
+    const point = svgRef.current.createSVGPoint();
+    point.x = event.clientX;
+    point.y = event.clientY;
+    return point.matrixTransform(svgRef.current.getScreenCTM().inverse());
+  };
+
+  const handlePointerMove = (event) => {
+    if (!dragging) return;
+    const { x, y } = pointerPosition(event);
+    onMove(dragging, {
+      x: clamp(x, widths[dragging] / 2, WIDTH - widths[dragging] / 2),
+      y: clamp(y, NODE_HEIGHT / 2, HEIGHT - NODE_HEIGHT / 2)
+    });
+  };
+
+  const activeConcept = map.concepts.find(concept => concept.id === active);
+
+  return (
+    <>
+      <svg
+        ref={svgRef}
+        xmlns="http://www.w3.org/2000/svg"
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        width={WIDTH}
+        height={HEIGHT}
+        className="concept-map"
+        onPointerMove={handlePointerMove}
+        onPointerUp={() => setDragging(null)}
+        onPointerLeave={() => setDragging(null)}
+        fontFamily="Helvetica, Arial, sans-serif"
+      >
+        <defs>
+          <marker id="concept-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">
+            <path d="M 0 0 L 10 5 L 0 10 z" fill="#64748b" />
+          </marker>
+        </defs>
+        <rect width={WIDTH} height={HEIGHT} fill="#ffffff" />
+
+        {map.relations.map((relation, index) => {
+          const from = positions[relation.from];
+          const to = positions[relation.to];
+          if (!from || !to) return null;
+          const start = boxBorder(to, from, widths[relation.from] / 2);
+          const end = boxBorder(from, to, widths[relation.to] / 2);
+          const highlighted = active && (relation.from === active || relation.to === active);
+          const opacity = active && !highlighted ? 0.15 : 1;
+          return (
+            <g key={index} opacity={opacity}>
+              <line
+                x1={start.x}
+                y1={start.y}
+                x2={end.x}
+                y2={end.y}
+                stroke={highlighted ? '#667eea' : '#94a3b8'}
+                strokeWidth={highlighted ? 2.5 : 1.5}
+                markerEnd="url(#concept-arrow)"
+              />
+              <text
+                x={(start.x + end.x) / 2}
+                y={(start.y + end.y) / 2 - 4}
+                textAnchor="middle"
+                fontSize="11"
+                fill="#475569"
+                stroke="#ffffff"
+                strokeWidth="3"
+                paintOrder="stroke"
+              >
+                {relation.type}
+              </text>
+            </g>
+          );
+        })}
+
+        {map.concepts.map(concept => {
+          const position = positions[concept.id];
+          const width = widths[concept.id];
+          return (
+            <g
+              key={concept.id}
+              transform={`translate(${position.x - width / 2}, ${position.y - NODE_HEIGHT / 2})`}
+              opacity={faded(concept.id) ? 0.3 : 1}
+              onPointerDown={(event) => {
+                event.preventDefault();
+                setDragging(concept.id);
+                setActive(concept.id);
+              }}
+              onMouseEnter={() => !dragging && setActive(concept.id)}
+              onMouseLeave={() => !dragging && setActive(null)}
+              style={{ cursor: dragging === concept.id ? 'grabbing' : 'grab' }}
+            >
+              <title>{concept.description || concept.label}</title>
+              <rect
+                width={width}
+                height={NODE_HEIGHT}
+                rx="8"
+                fill={concept.id === active ? '#667eea' : '#eef2ff'}
+                stroke="#667eea"
+                strokeWidth="1.5"
+              />
+              <text
+                x={width / 2}
+                y={NODE_HEIGHT / 2 + 4}
+                textAnchor="middle"
+                fontSize="13"
+                fontWeight="600"
+                fill={concept.id === active ? '#ffffff' : '#1e293b'}
+              >
+                {shortLabel(concept.label)}
+              </text>
+            </g>
+          );
+        })}
+      </svg>
+
+      <div className="concept-map-details">
+        {activeConcept ? (
+          <>
+            <strong>{activeConcept.label}</strong>
+            {activeConcept.description && ` — ${activeConcept.description}`}
+          </>
+        ) : (
+          t('conceptMap.hint')
+        )}
+      </div>
+    </>
+  );
+};
+
+// Draw the SVG on a canvas at twice its size and download it as a PNG
+const downloadPng = (svg) => new Promise((resolve, reject) => {
+  const markup = new XMLSerializer().serializeToString(svg);
+  const url = window.URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml;charset=utf-8' }));
+  const image = new Image();
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = WIDTH * 2;
+    canvas.height = HEIGHT * 2;
+    const context = canvas.getContext('2d');
+    context.scale(2, 2);
+    context.drawImage(image, 0, 0, WIDTH, HEIGHT);
+    window.URL.revokeObjectURL(url);
+    canvas.toBlob(blob => {
+      if (!blob) {
+        reject(new Error('Could not render the concept map'));
+        return;
+      }
+      const pngUrl = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = pngUrl;
+      link.download = 'concept-map.png';
+      link.click();
+      window.URL.revokeObjectURL(pngUrl);
+      resolve();
+    }, 'image/png');
+  };
+  image.onerror = () => {
+    window.URL.revokeObjectURL(url);
+    reject(new Error('Could not render the concept map'));
+  };
+  image.src = url;
+});
+
+// Concept map: the main concepts of the source document and how they relate,
+// as an interactive graph that can be exported for Mermaid, Graphviz or as
+// an image
+const ConceptMapView = ({ source }) => {
+  const { t } = useTranslation();
+  const [count, setCount] = useState(15);
+  const [map, setMap] = useState(null);
+  const [positions, setPositions] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const svgRef = useRef(null);
+
+  const handleGenerate = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const response = await postWithSource('/api/concept-map', source, { count });
+      const generated = response.data.map;
+      setMap(generated);
+      setPositions(layoutConcepts(generated.concepts, generated.relations));
+    } catch (err) {
+      console.error('Concept map error:', err);
+      setError(errorMessage(err, t, t('conceptMap.failed')));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleMove = (id, position) => setPositions(current => ({ ...current, [id]: position }));
+
+  const handleExport = async (format) => {
+    try {
+      const response = await axios.post('/api/concept-map/export',
+        { map, format: format.value },
+        { responseType: 'blob' }
+      );
+
+      const blob = new Blob([response.data], { type: format.mimeType });
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = format.filename;
+      link.click();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(t('conceptMap.exportFailed'));
+    }
+  };
+
+  const handleExportPng = async () => {
+    try {
+      await downloadPng(svgRef.current);
+    } catch (err) {
+      setError(t('conceptMap.exportFailed'));
+    }
+  };
+
+  return (
+    <div className="results-section quiz-section">
+      <div className="results-header">
+        <h2>{t('conceptMap.title')}</h2>
+        {map && (
+          <div className="download-controls">
+            {EXPORT_FORMATS.map(format => (
+              <button key={format.value} onClick={() => handleExport(format)} className="download-btn">
+                {format.label}
+              </button>
+            ))}
+            <button onClick={handleExportPng} className="download-btn">📥 PNG</button>
+          </div>
+        )}
+      </div>
+
+      <div className="quiz-setup">
+        <label>
+          {t('conceptMap.concepts')}
+          <select value={count} onChange={(e) => setCount(Number(e.target.value))} className="format-select">
+            {[10, 15, 25, 40].map(value => <option key={value} value={value}>{value}</option>)}
+          </select>
+        </label>
+        <button onClick={handleGenerate} disabled={loading} className="upload-btn">
+          {loading ? t('conceptMap.generating') : map ? t('conceptMap.new') : t('conceptMap.generate')}
+        </button>
+        {map && (
+          <button onClick={() => setPositions(layoutConcepts(map.concepts, map.relations))} className="upload-btn">
+            {t('conceptMap.resetLayout')}
+          </button>
+        )}
+      </div>
+
+      {error && <div className="error">{error}</div>}
+
+      {map && (
+        <div className="concept-map-container">
+          <ConceptMapGraph map={map} positions={positions} onMove={handleMove} svgRef={svgRef} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ConceptMapView;
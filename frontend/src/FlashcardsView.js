@@ -0,0 +1,175 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { postWithSource } from './api';
+import { GRADES, reviewCard, loadDeck, saveDeck, dueCards } from './srs';
+import { useTranslation } from './i18n';
+import { errorMessage } from './errors';
+
+const EXPORT_FORMATS = [
+  { value: 'anki', label: '📥 Anki (.txt)', filename: 'flashcards.txt', mimeType: 'text/tab-separated-values' },
+  { value: 'csv', label: '📥 CSV', filename: 'flashcards.csv', mimeType: 'text/csv' }
+];
+
+// Review session: show due cards one at a time, flip, and grade. Cards
+// graded "Again" come back later in the same session.
+const FlashcardReview = ({ deck, onReview, onDone }) => {
+  const { t } = useTranslation();
+  const [queue, setQueue] = useState(() => dueCards(deck).map(card => card.id));
+  const [flipped, setFlipped] = useState(false);
+
+  const card = deck.cards.find(item => item.id === queue[0]);
+
+  const handleGrade = (quality) => {
+    onReview(card.id, quality);
+    setFlipped(false);
+    setQueue(current => (quality < 3 ? [...current.slice(1), current[0]] : current.slice(1)));
+  };
+
+  if (!card) {
+    return (
+      <div className="flashcard-done">
+        <p>{t('flashcards.done')}</p>
+        <button onClick={onDone} className="download-btn">{t('flashcards.back')}</button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flashcard-review">
+      <div className="flashcard-progress">
+        {queue.length === 1 ? t('flashcards.cardLeft') : t('flashcards.cardsLeft', { count: queue.length })}
+      </div>
+      <div className={`flashcard ${flipped ? 'flipped' : ''}`} onClick={() => setFlipped(true)}>
+        <div className="flashcard-front">{card.front}</div>
+        {flipped && <div className="flashcard-back">{card.back}</div>}
+      </div>
+      {flipped ? (
+        <div className="flashcard-grades">
+          {GRADES.map(grade => (
+            <button key={grade.quality} onClick={() => handleGrade(grade.quality)} className={`grade-btn grade-${grade.quality}`}>
+              {t(`flashcards.grade.${grade.name}`)}
+            </button>
+          ))}
+        </div>
+      ) : (
+        <button onClick={() => setFlipped(true)} className="upload-btn">{t('flashcards.showAnswer')}</button>
+      )}
+    </div>
+  );
+};
+
+// Flashcards: generate a deck from the source document, review it with
+// spaced repetition, or export it for Anki or a spreadsheet
+const FlashcardsView = ({ source, keyConcepts }) => {
+  const { t } = useTranslation();
+  const [count, setCount] = useState(20);
+  const [deck, setDeck] = useState(null);
+  const [reviewing, setReviewing] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleGenerate = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const response = await postWithSource('/api/flashcards', source, {
+        count,
+        keyConcepts: JSON.stringify(keyConcepts || [])
+      });
+      setDeck(loadDeck(response.data.cards));
+      setReviewing(false);
+    } catch (err) {
+      console.error('Flashcards error:', err);
+      setError(errorMessage(err, t, t('flashcards.failed')));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleReview = (cardId, quality) => {
+    setDeck(current => {
+      const updated = {
+        ...current,
+        schedules: { ...current.schedules, [cardId]: reviewCard(current.schedules[cardId], quality) }
+      };
+      saveDeck(updated);
+      return updated;
+    });
+  };
+
+  const handleExport = async (format) => {
+    try {
+      const response = await axios.post('/api/flashcards/export',
+        { cards: deck.cards, format: format.value },
+        { responseType: 'blob' }
+      );
+
+      const blob = new Blob([response.data], { type: format.mimeType });
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = format.filename;
+      link.click();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(t('flashcards.exportFailed'));
+    }
+  };
+
+  const due = deck ? dueCards(deck).length : 0;
+
+  return (
+    <div className="results-section quiz-section">
+      <div className="results-header">
+        <h2>{t('flashcards.title')}</h2>
+        {deck && !reviewing && (
+          <div className="download-controls">
+            {EXPORT_FORMATS.map(format => (
+              <button key={format.value} onClick={() => handleExport(format)} className="download-btn">
+                {format.label}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {!reviewing && (
+        <div className="quiz-setup">
+          <label>
+            {t('flashcards.cards')}
+            <select value={count} onChange={(e) => setCount(Number(e.target.value))} className="format-select">
+              {[10, 20, 30, 50].map(value => <option key={value} value={value}>{value}</option>)}
+            </select>
+          </label>
+          <button onClick={handleGenerate} disabled={loading} className="upload-btn">
+            {loading ? t('flashcards.generating') : t(deck ? 'flashcards.new' : 'flashcards.generate')}
+          </button>
+          {deck && (
+            <button onClick={() => setReviewing(true)} disabled={due === 0} className="upload-btn">
+              {t('flashcards.review', { count: due })}
+            </button>
+          )}
+        </div>
+      )}
+
+      {error && <div className="error">{error}</div>}
+
+      {deck && reviewing && (
+        <FlashcardReview deck={deck} onReview={handleReview} onDone={() => setReviewing(false)} />
+      )}
+
+      {deck && !reviewing && (
+        <div className="flashcard-list">
+          {deck.cards.map(card => (
+            <div key={card.id} className="note-bullet">
+              <span className="bullet-icon">{card.type === 'qa' ? '❓' : '📖'}</span>
+              <span className="bullet-content"><strong>{card.front}</strong> — {card.back}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FlashcardsView;
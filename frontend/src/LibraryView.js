@@ -0,0 +1,120 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { useTranslation } from './i18n';
+import { errorMessage } from './errors';
+
+const PAGE_SIZE = 20;
+const SEARCH_DELAY = 300; // ms to wait after typing before searching
+
+// Search snippets mark matches with <mark>...</mark>; render those as
+// highlights without treating the rest of the snippet as HTML
+const Snippet = ({ text }) => (
+  <p className="library-snippet">
+    {text.split(/<mark>(.*?)<\/mark>/g).map((part, index) => (index % 2 === 1
+      ? <mark key={index}>{part}</mark>
+      : part))}
+  </p>
+);
+
+// "My Notes": browse and search every saved summary, reopen or delete one
+const LibraryView = ({ onOpen }) => {
+  const { t, language } = useTranslation();
+  const [query, setQuery] = useState('');
+  const [notes, setNotes] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const loadNotes = useCallback(async (search, offset = 0) => {
+    setLoading(true);
+    setError('');
+    try {
+      const response = await axios.get('/api/notes', { params: { q: search, limit: PAGE_SIZE, offset } });
+      setNotes(current => (offset ? [...current, ...response.data.notes] : response.data.notes));
+      setTotal(response.data.total);
+    } catch (err) {
+      console.error('Library error:', err);
+      setError(errorMessage(err, t, t('library.loadFailed')));
+    } finally {
+      setLoading(false);
+    }
+  }, [t]);
+
+  useEffect(() => {
+    const timer = setTimeout(() => loadNotes(query), query ? SEARCH_DELAY : 0);
+    return () => clearTimeout(timer);
+  }, [query, loadNotes]);
+
+  const handleOpen = async (id) => {
+    try {
+      const response = await axios.get(`/api/notes/${id}`);
+      onOpen(response.data.note);
+    } catch (err) {
+      setError(errorMessage(err, t, t('library.openFailed')));
+    }
+  };
+
+  const handleDelete = async (note) => {
+    if (!window.confirm(t('library.deleteConfirm', { title: note.title }))) {
+      return;
+    }
+    try {
+      await axios.delete(`/api/notes/${note.id}`);
+      setNotes(current => current.filter(item => item.id !== note.id));
+      setTotal(current => current - 1);
+    } catch (err) {
+      setError(errorMessage(err, t, t('library.deleteFailed')));
+    }
+  };
+
+  return (
+    <div className="results-section library-section">
+      <div className="results-header">
+        <h2>{t('view.library')}</h2>
+        <span className="library-count">{t('library.count', { count: total })}</span>
+      </div>
+
+      <input
+        type="search"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        placeholder={t('library.search')}
+        className="library-search"
+      />
+
+      {error && <div className="error">{error}</div>}
+
+      {!loading && notes.length === 0 && (
+        <p className="library-empty">
+          {t(query ? 'library.noMatches' : 'library.empty')}
+        </p>
+      )}
+
+      <div className="library-list">
+        {notes.map(note => (
+          <div key={note.id} className="library-item">
+            <div className="library-item-main">
+              <div className="library-title">{note.filename ? '📄' : '✏️'} {note.title}</div>
+              <div className="library-meta">
+                {new Date(note.createdAt).toLocaleString(language)} • {t('library.characters', { count: note.originalLength.toLocaleString(language) })}
+              </div>
+              {note.snippet && <Snippet text={note.snippet} />}
+            </div>
+            <div className="library-actions">
+              <button onClick={() => handleOpen(note.id)} className="download-btn">{t('library.open')}</button>
+              <button onClick={() => handleDelete(note)} className="download-btn delete-btn">{t('library.delete')}</button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {notes.length < total && (
+        <button onClick={() => loadNotes(query, notes.length)} disabled={loading} className="upload-btn">
+          {loading ? t('library.loading') : t('library.loadMore')}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default LibraryView;
@@ -0,0 +1,222 @@
+import React, { useState } from 'react';
+import { postWithSource } from './api';
+import { useTranslation } from './i18n';
+import { errorMessage } from './errors';
+
+// Labelled in the interface language as `quiz.type.<type>`
+const QUESTION_TYPES = ['multiple-choice', 'true-false', 'short-answer'];
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// Multiple-choice and true/false answers are marked automatically; short
+// answers are marked by the student against the model answer
+const isCorrect = (question, answer, selfMarks) => {
+  if (question.type === 'short-answer') {
+    return selfMarks[question.id] === true;
+  }
+  return answer !== undefined && answer === question.answer;
+};
+
+const formatAnswer = (question, t) => {
+  if (question.type === 'true-false') {
+    return t(question.answer ? 'quiz.true' : 'quiz.false');
+  }
+  return question.answer;
+};
+
+// One question with its answer input and, once submitted, the feedback
+const QuizQuestion = ({ question, number, answer, onAnswer, submitted, selfMark, onSelfMark }) => {
+  const { t } = useTranslation();
+  const correct = submitted && isCorrect(question, answer, { [question.id]: selfMark });
+
+  return (
+    <div className={`quiz-question ${submitted ? (correct ? 'correct' : 'incorrect') : ''}`}>
+      <div className="quiz-question-text">
+        <span className="quiz-number">{number}.</span> {question.question}
+      </div>
+
+      {question.type === 'multiple-choice' && (
+        <div className="quiz-options">
+          {question.options.map(option => (
+            <label key={option} className={`quiz-option ${submitted && option === question.answer ? 'answer' : ''}`}>
+              <input
+                type="radio"
+                name={`question-${question.id}`}
+                checked={answer === option}
+                onChange={() => onAnswer(option)}
+                disabled={submitted}
+              />
+              {option}
+            </label>
+          ))}
+        </div>
+      )}
+
+      {question.type === 'true-false' && (
+        <div className="quiz-options inline">
+          {[true, false].map(value => (
+            <label key={String(value)} className={`quiz-option ${submitted && value === question.answer ? 'answer' : ''}`}>
+              <input
+                type="radio"
+                name={`question-${question.id}`}
+                checked={answer === value}
+                onChange={() => onAnswer(value)}
+                disabled={submitted}
+              />
+              {t(value ? 'quiz.true' : 'quiz.false')}
+            </label>
+          ))}
+        </div>
+      )}
+
+      {question.type === 'short-answer' && (
+        <textarea
+          className="quiz-short-answer"
+          value={answer || ''}
+          onChange={(e) => onAnswer(e.target.value)}
+          disabled={submitted}
+          rows={2}
+          placeholder={t('quiz.answerPlaceholder')}
+        />
+      )}
+
+      {submitted && (
+        <div className="quiz-feedback">
+          {question.type === 'short-answer' ? (
+            <>
+              <p><strong>{t('quiz.modelAnswer')}</strong> {formatAnswer(question, t)}</p>
+              <label className="quiz-self-mark">
+                <input
+                  type="checkbox"
+                  checked={selfMark === true}
+                  onChange={(e) => onSelfMark(e.target.checked)}
+                />
+                {t('quiz.selfMark')}
+              </label>
+            </>
+          ) : (
+            <p>
+              <strong>{t(correct ? 'quiz.correct' : 'quiz.incorrect')}</strong>
+              {!correct && <> {t('quiz.answerIs')} <strong>{formatAnswer(question, t)}</strong></>}
+            </p>
+          )}
+          <p className="quiz-explanation">💡 {question.explanation}</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Quiz mode: choose options, generate a quiz from the source document,
+// answer it, then see the score and explanations
+const QuizView = ({ source }) => {
+  const { t } = useTranslation();
+  const [count, setCount] = useState(10);
+  const [difficulty, setDifficulty] = useState('medium');
+  const [types, setTypes] = useState(QUESTION_TYPES);
+  const [questions, setQuestions] = useState(null);
+  const [answers, setAnswers] = useState({});
+  const [selfMarks, setSelfMarks] = useState({});
+  const [submitted, setSubmitted] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const toggleType = (value) => {
+    setTypes(current => current.includes(value)
+      ? current.filter(type => type !== value)
+      : [...current, value]);
+  };
+
+  const handleGenerate = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const response = await postWithSource('/api/quiz', source, { count, difficulty, types });
+      setQuestions(response.data.questions);
+      setAnswers({});
+      setSelfMarks({});
+      setSubmitted(false);
+    } catch (err) {
+      console.error('Quiz error:', err);
+      setError(errorMessage(err, t, t('quiz.failed')));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const score = questions
+    ? questions.filter(question => isCorrect(question, answers[question.id], selfMarks)).length
+    : 0;
+
+  return (
+    <div className="results-section quiz-section">
+      <div className="results-header">
+        <h2>{t('quiz.title')}</h2>
+      </div>
+
+      <div className="quiz-setup">
+        <label>
+          {t('quiz.questions')}
+          <select value={count} onChange={(e) => setCount(Number(e.target.value))} className="format-select">
+            {[5, 10, 15, 20].map(value => <option key={value} value={value}>{value}</option>)}
+          </select>
+        </label>
+        <label>
+          {t('quiz.difficulty')}
+          <select value={difficulty} onChange={(e) => setDifficulty(e.target.value)} className="format-select">
+            {DIFFICULTIES.map(value => <option key={value} value={value}>{t(`difficulty.${value}`)}</option>)}
+          </select>
+        </label>
+        <div className="quiz-types">
+          {QUESTION_TYPES.map(type => (
+            <label key={type}>
+              <input
+                type="checkbox"
+                checked={types.includes(type)}
+                onChange={() => toggleType(type)}
+              />
+              {t(`quiz.type.${type}`)}
+            </label>
+          ))}
+        </div>
+        <button onClick={handleGenerate} disabled={loading || types.length === 0} className="upload-btn">
+          {loading ? t('quiz.generating') : t(questions ? 'quiz.new' : 'quiz.generate')}
+        </button>
+      </div>
+
+      {error && <div className="error">{error}</div>}
+
+      {questions && (
+        <div className="quiz-questions">
+          {questions.map((question, index) => (
+            <QuizQuestion
+              key={question.id}
+              question={question}
+              number={index + 1}
+              answer={answers[question.id]}
+              onAnswer={(value) => setAnswers(current => ({ ...current, [question.id]: value }))}
+              submitted={submitted}
+              selfMark={selfMarks[question.id]}
+              onSelfMark={(value) => setSelfMarks(current => ({ ...current, [question.id]: value }))}
+            />
+          ))}
+
+          {submitted ? (
+            <div className="quiz-score">
+              {t('quiz.score', { score, total: questions.length, percent: Math.round((score / questions.length) * 100) })}
+              <button onClick={() => { setAnswers({}); setSelfMarks({}); setSubmitted(false); }} className="download-btn">
+                {t('quiz.retry')}
+              </button>
+            </div>
+          ) : (
+            <button onClick={() => setSubmitted(true)} className="upload-btn">
+              {t('quiz.submit')}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default QuizView;
@@ -0,0 +1,46 @@
+import React from 'react';
+import { useTranslation } from './i18n';
+
+// Short label for a cited passage, translated with t: "p. 3 ¶2" for PDFs,
+// "¶2" otherwise
+export const citationLabel = (citation, t) => (citation.page
+  ? t('source.pageLabel', { page: citation.page, paragraph: citation.paragraph })
+  : t('source.paragraphLabel', { paragraph: citation.paragraph }));
+
+const citationTitle = (citation, t) => (citation.page
+  ? t('source.page', { page: citation.page, paragraph: citation.paragraph })
+  : t('source.paragraph', { paragraph: citation.paragraph }));
+
+// The original passages a summary point was based on, highlighted within
+// the text around them
+const SourcePanel = ({ item, citations, onClose }) => {
+  const { t } = useTranslation();
+  return (
+    <div className="source-panel">
+      <div className="source-panel-header">
+        <strong>{t('source.title')}</strong>
+        <button onClick={onClose} className="source-close" aria-label={t('source.close')}>✕</button>
+      </div>
+      <p className="source-item">{item.term ? `${item.term}: ${item.definition}` : item.text}</p>
+
+      {item.refs.map(ref => {
+        const citation = citations[ref];
+        if (!citation) {
+          return null;
+        }
+        return (
+          <div key={ref} className="source-passage">
+            <div className="source-passage-title">{citationTitle(citation, t)}</div>
+            <p>
+              {citation.before && <span className="source-context">…{citation.before}</span>}
+              <mark>{citation.text}</mark>
+              {citation.after && <span className="source-context">{citation.after}…</span>}
+            </p>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default SourcePanel;
@@ -0,0 +1,139 @@
+import React, { useState } from 'react';
+import { SUMMARY_SECTIONS } from './summaryOptions';
+import { translate, useTranslation } from './i18n';
+
+// Change the text of a list item, which is a string or { text, refs, sources }
+const withText = (item, text) => (typeof item === 'string' ? text : { ...item, text });
+
+const itemText = (item) => (typeof item === 'string' ? item : item.text);
+
+// Header of a section in the editor, in the summary's `language`, with
+// regeneration of just that section, optionally following an instruction
+// like "make it simpler". Its controls are in the interface language.
+const SectionHeader = ({ section, language, onRegenerate }) => {
+  const { t } = useTranslation();
+  const [instruction, setInstruction] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const handleRegenerate = async () => {
+    setBusy(true);
+    try {
+      await onRegenerate(section.key, instruction.trim());
+      setInstruction('');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="note-header editor-header">
+      <span>{section.emoji} {translate(language, `section.${section.key}`).toUpperCase()}</span>
+      {onRegenerate && (
+        <span className="editor-regenerate">
+          <input
+            type="text"
+            value={instruction}
+            onChange={(e) => setInstruction(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && !busy && handleRegenerate()}
+            placeholder={t('editor.instruction')}
+            maxLength={500}
+            className="editor-field"
+          />
+          <button onClick={handleRegenerate} disabled={busy} className="stats-action">
+            {busy ? t('editor.regenerating') : t('editor.regenerate')}
+          </button>
+        </span>
+      )}
+    </div>
+  );
+};
+
+// Editable version of the summary: every item can be changed, removed or
+// added, and each section regenerated on its own. onChange receives the
+// whole edited summary. Headings are in the summary's `language`.
+const SummaryEditor = ({ summary, language, onChange, onRegenerate }) => {
+  const { t } = useTranslation();
+  const setSection = (key, value) => onChange({ ...summary, [key]: value });
+
+  const updateAt = (key, index, item) => setSection(key, summary[key].map((current, i) => (i === index ? item : current)));
+  const removeAt = (key, index) => setSection(key, summary[key].filter((_, i) => i !== index));
+
+  return (
+    <div className="formatted-notes summary-editor">
+      {SUMMARY_SECTIONS.filter(section => summary[section.key] !== undefined).map(section => {
+        const value = summary[section.key];
+        return (
+          <div key={section.key} className="note-section">
+            <SectionHeader section={section} language={language} onRegenerate={onRegenerate} />
+
+            {section.kind === 'paragraph' && (
+              <textarea
+                value={value}
+                onChange={(e) => setSection(section.key, e.target.value)}
+                className="editor-field"
+                rows={5}
+              />
+            )}
+
+            {section.kind === 'list' && value.map((item, index) => (
+              <div key={index} className="editor-item">
+                <textarea
+                  value={itemText(item)}
+                  onChange={(e) => updateAt(section.key, index, withText(item, e.target.value))}
+                  className="editor-field"
+                  rows={2}
+                />
+                <button onClick={() => removeAt(section.key, index)} className="source-close" aria-label={t('editor.removePoint')}>✕</button>
+              </div>
+            ))}
+
+            {section.kind === 'concepts' && value.map((concept, index) => (
+              <div key={index} className="editor-item">
+                <input
+                  type="text"
+                  value={concept.term}
+                  onChange={(e) => updateAt(section.key, index, { ...concept, term: e.target.value })}
+                  className="editor-field editor-term"
+                />
+                <textarea
+                  value={concept.definition}
+                  onChange={(e) => updateAt(section.key, index, { ...concept, definition: e.target.value })}
+                  className="editor-field"
+                  rows={2}
+                />
+                <button onClick={() => removeAt(section.key, index)} className="source-close" aria-label={t('editor.removeItem')}>✕</button>
+              </div>
+            ))}
+
+            {section.kind !== 'paragraph' && (
+              <button
+                onClick={() => setSection(section.key, [...value, section.kind === 'concepts' ? { term: '', definition: '' } : ''])}
+                className="stats-action"
+              >
+                {t('editor.add')}
+              </button>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+// The summary without the blank items and whitespace editing leaves behind
+export const cleanEditedSummary = (summary) => Object.fromEntries(Object.entries(summary).map(([key, value]) => {
+  if (typeof value === 'string') {
+    return [key, value.trim()];
+  }
+  if (!Array.isArray(value)) {
+    return [key, value];
+  }
+  const items = value
+    .map(item => (typeof item === 'string' || item.text !== undefined
+      ? withText(item, itemText(item).trim())
+      : { ...item, term: item.term.trim(), definition: item.definition.trim() }))
+    .filter(item => (item.term !== undefined ? item.term && item.definition : itemText(item)));
+  return [key, items];
+}));
+
+export default SummaryEditor;
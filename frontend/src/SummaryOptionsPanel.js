@@ -0,0 +1,134 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { SUMMARY_SECTIONS, LENGTHS, AUDIENCES, TONES, LANGUAGES, DEFAULT_SUMMARY_OPTIONS } from './summaryOptions';
+import { useTranslation } from './i18n';
+import { errorMessage } from './errors';
+
+const ChoiceSelect = ({ label, value, choices, onChange }) => (
+  <label>
+    {label}
+    <select value={value} onChange={(e) => onChange(e.target.value)} className="format-select">
+      {choices.map(choice => <option key={choice.value} value={choice.value}>{choice.label}</option>)}
+    </select>
+  </label>
+);
+
+// Choices labelled in the interface language, e.g. `length.brief`
+const translated = (choices, prefix, t) => choices.map(choice => ({ ...choice, label: t(`${prefix}.${choice.value}`) }));
+
+// Length, audience, tone, language and sections of the summary, with saved
+// profiles to switch between sets of options
+const SummaryOptionsPanel = ({ options, onChange }) => {
+  const { t } = useTranslation();
+  const [profiles, setProfiles] = useState([]);
+  const [profileName, setProfileName] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    axios.get('/api/profiles')
+      .then(response => setProfiles(response.data.profiles))
+      .catch(err => console.error('Failed to load profiles:', err));
+  }, []);
+
+  // Editing an option turns a chosen profile back into custom options
+  const update = (changes) => {
+    setProfileName('');
+    onChange({ ...options, ...changes });
+  };
+
+  const toggleSection = (key) => {
+    update({
+      sections: options.sections.includes(key)
+        ? options.sections.filter(section => section !== key)
+        : [...options.sections, key]
+    });
+  };
+
+  const handleSelectProfile = (name) => {
+    setProfileName(name);
+    const profile = profiles.find(item => item.name === name);
+    if (profile) {
+      // Profiles saved before an option existed lack it
+      onChange({ ...DEFAULT_SUMMARY_OPTIONS, ...profile.options });
+    }
+  };
+
+  const handleSaveProfile = async () => {
+    const name = window.prompt(t('options.profilePrompt'), profileName);
+    if (!name?.trim()) {
+      return;
+    }
+    setError('');
+    try {
+      const response = await axios.put(`/api/profiles/${encodeURIComponent(name.trim())}`, options);
+      const saved = response.data.profile;
+      setProfiles(current => [...current.filter(item => item.name.toLowerCase() !== saved.name.toLowerCase()), saved]
+        .sort((a, b) => a.name.localeCompare(b.name)));
+      setProfileName(saved.name);
+    } catch (err) {
+      setError(errorMessage(err, t, t('options.saveFailed')));
+    }
+  };
+
+  const handleDeleteProfile = async () => {
+    if (!window.confirm(t('options.deleteConfirm', { name: profileName }))) {
+      return;
+    }
+    setError('');
+    try {
+      await axios.delete(`/api/profiles/${encodeURIComponent(profileName)}`);
+      setProfiles(current => current.filter(item => item.name !== profileName));
+      setProfileName('');
+    } catch (err) {
+      setError(errorMessage(err, t, t('options.deleteFailed')));
+    }
+  };
+
+  return (
+    <details className="summary-options">
+      <summary>{t('options.title')}</summary>
+
+      <div className="quiz-setup">
+        <label>
+          {t('options.profile')}
+          <select value={profileName} onChange={(e) => handleSelectProfile(e.target.value)} className="format-select">
+            <option value="">{t('options.custom')}</option>
+            {profiles.map(profile => <option key={profile.name} value={profile.name}>{profile.name}</option>)}
+          </select>
+        </label>
+        <button onClick={handleSaveProfile} className="download-btn">{t('options.saveProfile')}</button>
+        {profileName && <button onClick={handleDeleteProfile} className="download-btn delete-btn">{t('options.deleteProfile')}</button>}
+      </div>
+
+      <div className="quiz-setup">
+        <ChoiceSelect label={t('options.length')} value={options.length} choices={translated(LENGTHS, 'length', t)} onChange={length => update({ length })} />
+        <ChoiceSelect label={t('options.audience')} value={options.audience} choices={translated(AUDIENCES, 'audience', t)} onChange={audience => update({ audience })} />
+        <ChoiceSelect label={t('options.tone')} value={options.tone} choices={translated(TONES, 'tone', t)} onChange={tone => update({ tone })} />
+        <ChoiceSelect
+          label={t('options.language')}
+          value={options.language}
+          choices={[{ value: 'auto', label: t('options.sameAsNotes') }, ...LANGUAGES]}
+          onChange={language => update({ language })}
+        />
+      </div>
+
+      <div className="quiz-types summary-sections">
+        {SUMMARY_SECTIONS.map(section => (
+          <label key={section.key}>
+            <input
+              type="checkbox"
+              checked={section.required || options.sections.includes(section.key)}
+              disabled={section.required}
+              onChange={() => toggleSection(section.key)}
+            />
+            {section.emoji} {t(`section.${section.key}`)}
+          </label>
+        ))}
+      </div>
+
+      {error && <div className="error">{error}</div>}
+    </details>
+  );
+};
+
+export default SummaryOptionsPanel;
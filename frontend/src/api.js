@@ -0,0 +1,23 @@
+import axios from 'axios';
+
+// Post the document the current results were made from, either the uploaded
+// files (in the `pdf` multipart field) or the pasted text, with extra fields
+export const postWithSource = (url, source, fields = {}, config = {}) => {
+  if (source.files) {
+    const formData = new FormData();
+    source.files.forEach(file => formData.append('pdf', file));
+    Object.entries(fields).forEach(([key, value]) => {
+      formData.append(key, Array.isArray(value) ? value.join(',') : value);
+    });
+    return axios.post(url, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+      timeout: 90000, // 90 second timeout
+      ...config
+    });
+  }
+
+  return axios.post(url, { text: source.text, ...fields }, {
+    timeout: 90000, // 90 second timeout
+    ...config
+  });
+};
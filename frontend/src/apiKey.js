@@ -0,0 +1,39 @@
+import axios from 'axios';
+
+// API key for servers that require one (REQUIRE_API_KEY). It is remembered
+// in this browser and sent with every API request.
+const API_KEY_KEY = 'notes-simplifier.apiKey';
+
+export const loadApiKey = () => {
+  try {
+    return localStorage.getItem(API_KEY_KEY) || '';
+  } catch (err) {
+    return '';
+  }
+};
+
+export const saveApiKey = (key) => {
+  try {
+    if (key) {
+      localStorage.setItem(API_KEY_KEY, key);
+    } else {
+      localStorage.removeItem(API_KEY_KEY);
+    }
+  } catch (err) {
+    console.error('Failed to remember API key:', err);
+  }
+};
+
+// Authorization header for requests made without axios
+export const authHeaders = () => {
+  const key = loadApiKey();
+  return key ? { Authorization: `Bearer ${key}` } : {};
+};
+
+axios.interceptors.request.use(config => {
+  const key = loadApiKey();
+  if (key && !config.headers.Authorization) {
+    config.headers.Authorization = `Bearer ${key}`;
+  }
+  return config;
+});
@@ -0,0 +1,47 @@
+// User-facing messages for failed requests. The server answers errors with
+// { error, code, retryAfter } (see backend/errors.js); codes the user can do
+// something about get their own translated message (errorCode.* in i18n.js),
+// the rest show the server's message.
+const CODE_MESSAGES = {
+  UNAUTHORIZED: 'error.apiKey',
+  FILE_TOO_LARGE: 'errorCode.FILE_TOO_LARGE',
+  UNSUPPORTED_TYPE: 'errorCode.UNSUPPORTED_TYPE',
+  NO_TEXT_FOUND: 'errorCode.NO_TEXT_FOUND',
+  EXTRACTION_FAILED: 'errorCode.EXTRACTION_FAILED',
+  PROVIDER_BLOCKED_SAFETY: 'errorCode.PROVIDER_BLOCKED_SAFETY',
+  RATE_LIMITED: 'errorCode.RATE_LIMITED',
+  QUOTA_EXCEEDED: 'errorCode.QUOTA_EXCEEDED',
+  PROVIDER_AUTH: 'errorCode.PROVIDER_AUTH',
+  PROVIDER_ERROR: 'errorCode.PROVIDER_ERROR',
+  INVALID_MODEL_OUTPUT: 'errorCode.INVALID_MODEL_OUTPUT',
+  PROVIDER_QUOTA: 'errorCode.PROVIDER_QUOTA',
+  PROVIDER_UNAVAILABLE: 'errorCode.PROVIDER_UNAVAILABLE',
+  QUEUE_FULL: 'errorCode.QUEUE_FULL',
+  TIMEOUT: 'errorCode.TIMEOUT'
+};
+
+// Message for an error body ({ error, code, retryAfter }), e.g. a failed
+// file of a batch, or `fallback` when it has neither a known code nor a
+// message
+export const codeMessage = ({ error, code, retryAfter } = {}, t, fallback) => {
+  if (CODE_MESSAGES[code]) {
+    return t(CODE_MESSAGES[code], { retryAfter: retryAfter ?? 60 });
+  }
+  return error || fallback || t('error.generic');
+};
+
+// Message for a failed axios request (or one shaped like it, see stream.js
+// and jobs.js), translated with t
+export const errorMessage = (err, t, fallback) => {
+  const data = err.response?.data;
+  if (!data?.code) {
+    if (err.code === 'ECONNABORTED') {
+      return t('error.timeout');
+    } else if (err.code === 'ERR_NETWORK') {
+      return t('error.network');
+    } else if (err.response?.status === 401) {
+      return t('error.apiKey');
+    }
+  }
+  return codeMessage(data || {}, t, fallback);
+};
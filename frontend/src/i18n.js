@@ -0,0 +1,1424 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import { LANGUAGES } from './summaryOptions';
+
+// Translations of the interface, by language and message key. Messages may
+// contain {placeholders}. Keys missing in a language fall back to English,
+// so new strings can be added in English first.
+const MESSAGES = {
+  en: {
+    'app.title': '📚 Notes Simplifier',
+    'app.tagline': 'Upload any document (PDF, Word, Text, photos of notes) or paste content directly for AI-powered summaries',
+    'app.language': 'Interface language',
+    'view.simplify': '✨ Simplify',
+    'view.library': '🗂️ My Notes',
+    'view.compare': '🔀 Compare',
+    'input.file': '📄 Upload File',
+    'input.text': '✏️ Paste Text',
+    'upload.drop': '📄 Drop your files here or click to browse',
+    'upload.supports': 'Supports: PDF (including scans), Word (.docx, .doc), PowerPoint (.pptx), OpenDocument (.odt), EPUB, RTF, HTML, Text (.txt, .md, .csv), Images (.png, .jpg) • Max: 10MB per file, {max} files',
+    'upload.hint': "💡 Most document formats supported - we'll try to extract text from any file!",
+    'upload.selected': 'Selected:',
+    'upload.batch': 'Each file gets its own summary, plus combined notes across all of them.',
+    'upload.uploading': 'Uploading...',
+    'text.placeholder': 'Paste your notes here...',
+    'text.count': '{count} / {max} characters',
+    'text.overLimit': ' (Over limit!)',
+    'extractive.toggle': '✂️ Extractive mode (offline, no AI)',
+    'extractive.hint': 'Picks out the key sentences and definitions of the notes without the AI model. Used automatically when the model is unavailable.',
+    'process.button': 'Simplify Notes',
+    'process.busy': 'Processing...',
+    'loading.default': 'Processing your notes with AI...',
+    'loading.reload': 'You can reload this page; processing continues on the server.',
+    'loading.cancel': 'Cancel',
+    'results.combined': '✨ Combined Notes',
+    'results.simplified': '✨ Simplified Notes',
+    'results.edit': '✏️ Edit',
+    'results.doneEditing': '✓ Done Editing',
+    'results.format': 'Download format',
+    'results.download': '📥 Download Notes',
+    'results.allDocuments': '📚 All documents',
+    'results.fileFailed': 'This file could not be processed: {error}',
+    'results.showPassage': 'Show the original passage',
+    'stats.original': 'Original: {count} characters',
+    'stats.simplified': 'Simplified: {count} characters',
+    'stats.parts': 'Processed in {count} parts',
+    'stats.ocrPage': 'OCR on page {pages} ({confidence}% confidence)',
+    'stats.ocrPages': 'OCR on pages {pages} ({confidence}% confidence)',
+    'stats.ocrHint': 'Text on these pages was recognized from images and may contain errors',
+    'stats.saved': 'Saved to My Notes',
+    'stats.language': '🌐 {source}',
+    'stats.translated': '🌐 {source} → {target}',
+    'stats.languageHint': 'Language detected in the notes, and the language of the summary',
+    'stats.extractive': '✂️ Extractive summary',
+    'stats.aiUnavailable': ' (AI unavailable)',
+    'stats.extractiveHint': 'Made of sentences taken from the notes, without the AI model',
+    'stats.tryAgain': 'Try AI Again',
+    'stats.cached': '⚡ From cache',
+    'stats.cachedHint': 'These notes were processed before with the same options',
+    'stats.regenerate': 'Regenerate',
+    'error.timeout': 'Request timed out. The AI is taking too long to process. Please try with shorter content.',
+    'error.apiKey': 'This server requires a valid API key. Enter yours under "API key" below and try again.',
+    'error.network': 'Network error. Please check if the server is running and try again.',
+    'error.generic': 'Failed to process content. Please try again.',
+    'errorCode.FILE_TOO_LARGE': 'The file is too large. Files can be at most 10MB, so split or compress it and try again.',
+    'errorCode.UNSUPPORTED_TYPE': 'This file type is not supported. Upload a PDF, Word, PowerPoint, OpenDocument, EPUB, RTF, HTML, image or text file.',
+    'errorCode.NO_TEXT_FOUND': 'No readable text was found. For scans and photos, make sure the pages are sharp and well lit, or paste the text instead.',
+    'errorCode.EXTRACTION_FAILED': 'The file could not be read. It may be damaged or password-protected: save it again without a password, or paste the text instead.',
+    'errorCode.PROVIDER_BLOCKED_SAFETY': 'The AI service declined this content because of its safety filters. Remove the passages it may have flagged and try again.',
+    'errorCode.RATE_LIMITED': 'Too many requests. Please wait {retryAfter} seconds and try again.',
+    'errorCode.QUOTA_EXCEEDED': 'The daily quota of your API key is used up. It resets at midnight UTC.',
+    'errorCode.PROVIDER_AUTH': 'The server could not sign in to the AI service. Ask its administrator to check the AI API key.',
+    'errorCode.PROVIDER_ERROR': 'The AI service could not process the request. Please try again.',
+    'errorCode.INVALID_MODEL_OUTPUT': 'The AI returned an answer that could not be used. Please try again.',
+    'errorCode.PROVIDER_QUOTA': 'The AI service has reached its usage limit for now. Please try again in a few minutes.',
+    'errorCode.PROVIDER_UNAVAILABLE': 'The AI service is unavailable right now. Please try again in a few minutes.',
+    'errorCode.QUEUE_FULL': 'The server is busy with other uploads. Please try again in a minute.',
+    'errorCode.TIMEOUT': 'The AI took too long to answer. Please try again, or with shorter content.',
+    'error.jobLost': 'Processing of your upload was lost, most likely because the server restarted. Please upload again.',
+    'error.tooManyFiles': 'Please select at most {max} files at a time',
+    'error.unknownTypes': 'Some file types are not recognized. Plain text files will still be read; other formats will be rejected.',
+    'error.selectFile': 'Please select a file',
+    'error.selectFileFirst': 'Please select a file first',
+    'error.enterText': 'Please enter some text to process',
+    'error.textTooLong': 'Text is too long. Please limit to {max} characters.',
+    'error.unexpected': 'Unexpected response from server. Please try again.',
+    'error.download': 'Failed to generate {format} download',
+    'error.emptyRequired': 'Main Topics and Summary cannot be empty.',
+    'error.saveEdits': 'Failed to save your changes.',
+    'options.title': '⚙️ Summary options',
+    'options.profile': 'Profile',
+    'options.custom': 'Custom',
+    'options.saveProfile': 'Save as Profile',
+    'options.deleteProfile': 'Delete Profile',
+    'options.profilePrompt': 'Save these options as a profile named:',
+    'options.deleteConfirm': 'Delete the profile "{name}"?',
+    'options.saveFailed': 'Failed to save profile.',
+    'options.deleteFailed': 'Failed to delete profile.',
+    'options.length': 'Length',
+    'options.audience': 'Audience',
+    'options.tone': 'Tone',
+    'options.language': 'Summary language',
+    'options.sameAsNotes': 'Same as the notes',
+    'length.brief': 'Brief',
+    'length.standard': 'Standard',
+    'length.detailed': 'Detailed',
+    'audience.middle-school': 'Middle school',
+    'audience.high-school': 'High school',
+    'audience.undergraduate': 'Undergraduate',
+    'audience.expert': 'Expert',
+    'tone.friendly': 'Friendly',
+    'tone.neutral': 'Neutral',
+    'tone.formal': 'Formal',
+    'section.mainTopics': 'Main Topics',
+    'section.keyConcepts': 'Key Concepts',
+    'section.formulas': 'Formulas',
+    'section.importantPoints': 'Important Points',
+    'section.timeline': 'Timeline',
+    'section.summary': 'Summary',
+    'section.studyTips': 'Study Tips',
+    'quiz.title': '📝 Practice Quiz',
+    'quiz.questions': 'Questions',
+    'quiz.difficulty': 'Difficulty',
+    'difficulty.easy': 'Easy',
+    'difficulty.medium': 'Medium',
+    'difficulty.hard': 'Hard',
+    'quiz.type.multiple-choice': 'Multiple choice',
+    'quiz.type.true-false': 'True / false',
+    'quiz.type.short-answer': 'Short answer',
+    'quiz.true': 'True',
+    'quiz.false': 'False',
+    'quiz.answerPlaceholder': 'Type your answer...',
+    'quiz.modelAnswer': 'Model answer:',
+    'quiz.selfMark': 'My answer covers this',
+    'quiz.correct': '✅ Correct',
+    'quiz.incorrect': '❌ Incorrect',
+    'quiz.answerIs': '— the answer is',
+    'quiz.new': 'New Quiz',
+    'quiz.generate': 'Generate Quiz',
+    'quiz.generating': 'Generating...',
+    'quiz.score': 'Score: {score} / {total} ({percent}%)',
+    'quiz.retry': '🔄 Retry Quiz',
+    'quiz.submit': 'Submit Answers',
+    'quiz.failed': 'Failed to generate quiz. Please try again.',
+    'flashcards.title': '🃏 Flashcards',
+    'flashcards.cards': 'Cards',
+    'flashcards.new': 'New Deck',
+    'flashcards.generate': 'Generate Flashcards',
+    'flashcards.generating': 'Generating...',
+    'flashcards.review': 'Review ({count} due)',
+    'flashcards.done': '🎉 All caught up! No more cards are due right now.',
+    'flashcards.back': 'Back to Deck',
+    'flashcards.cardLeft': '1 card left',
+    'flashcards.cardsLeft': '{count} cards left',
+    'flashcards.showAnswer': 'Show Answer',
+    'flashcards.grade.again': 'Again',
+    'flashcards.grade.hard': 'Hard',
+    'flashcards.grade.good': 'Good',
+    'flashcards.grade.easy': 'Easy',
+    'flashcards.failed': 'Failed to generate flashcards. Please try again.',
+    'flashcards.exportFailed': 'Failed to export flashcards',
+    'chat.title': '💬 Ask About These Notes',
+    'chat.clear': 'Clear Chat',
+    'chat.empty': 'Ask what a term means, or for more detail on any point. Answers only use your notes.',
+    'chat.thinking': 'Thinking...',
+    'chat.placeholder': 'e.g. "What does osmosis mean?"',
+    'chat.answering': 'Answering...',
+    'chat.ask': 'Ask',
+    'chat.failed': 'Failed to answer your question. Please try again.',
+    'chat.clearFailed': 'Failed to clear the chat.',
+    'library.count': '{count} saved',
+    'library.search': 'Search titles, summaries and source text...',
+    'library.noMatches': 'No notes match your search.',
+    'library.empty': 'Nothing saved yet. Simplified notes are saved here automatically.',
+    'library.characters': '{count} characters',
+    'library.open': 'Open',
+    'library.delete': 'Delete',
+    'library.loading': 'Loading...',
+    'library.loadMore': 'Load More',
+    'library.deleteConfirm': 'Delete "{title}"? This cannot be undone.',
+    'library.loadFailed': 'Failed to load your saved notes.',
+    'library.openFailed': 'Failed to open note.',
+    'library.deleteFailed': 'Failed to delete note.',
+    'compare.file': '📄 File',
+    'compare.text': '✏️ Text',
+    'compare.original': 'Original version',
+    'compare.revised': 'Revised version',
+    'compare.originalPlaceholder': 'Paste the original version here...',
+    'compare.revisedPlaceholder': 'Paste the revised version here...',
+    'compare.skippedOne': '… 1 unchanged paragraph',
+    'compare.skipped': '… {count} unchanged paragraphs',
+    'compare.comparing': 'Comparing...',
+    'compare.button': 'Compare Versions',
+    'compare.title': '🔀 What Changed',
+    'compare.added': '{count} added',
+    'compare.removed': '{count} removed',
+    'compare.changed': '{count} changed',
+    'compare.unchanged': '{count} unchanged',
+    'compare.addedTopics': 'New',
+    'compare.changedTopics': 'Changed',
+    'compare.removedTopics': 'Removed',
+    'compare.differences': '📄 Differences',
+    'compare.showUnchanged': 'Show unchanged',
+    'compare.failed': 'Failed to compare the documents. Please try again.',
+    'conceptMap.title': '🕸️ Concept Map',
+    'conceptMap.concepts': 'Concepts',
+    'conceptMap.new': 'New Map',
+    'conceptMap.generate': 'Generate Concept Map',
+    'conceptMap.generating': 'Generating...',
+    'conceptMap.resetLayout': 'Reset Layout',
+    'conceptMap.hint': 'Hover over a concept to highlight its relations. Drag concepts to rearrange the map.',
+    'conceptMap.failed': 'Failed to generate the concept map. Please try again.',
+    'conceptMap.exportFailed': 'Failed to export the concept map',
+    'editor.instruction': 'Instruction (optional), e.g. make it simpler',
+    'editor.regenerating': 'Regenerating...',
+    'editor.regenerate': '🔄 Regenerate',
+    'editor.add': '+ Add',
+    'editor.removePoint': 'Remove point',
+    'editor.removeItem': 'Remove item',
+    'source.title': '📖 Source',
+    'source.close': 'Close source',
+    'source.pageLabel': 'p. {page} ¶{paragraph}',
+    'source.paragraphLabel': '¶{paragraph}',
+    'source.page': 'Page {page}, paragraph {paragraph}',
+    'source.paragraph': 'Paragraph {paragraph}',
+    'apiKey.title': '🔑 API key',
+    'apiKey.key': 'Key',
+    'apiKey.save': 'Save Key',
+    'apiKey.remove': 'Remove Key',
+    'apiKey.saved': 'Saved in this browser'
+  },
+  hi: {
+    'app.title': '📚 नोट्स सरलीकरण',
+    'app.tagline': 'कोई भी दस्तावेज़ (PDF, Word, टेक्स्ट, नोट्स की फ़ोटो) अपलोड करें या सामग्री सीधे पेस्ट करें और AI से सारांश पाएँ',
+    'app.language': 'इंटरफ़ेस की भाषा',
+    'view.simplify': '✨ सरल करें',
+    'view.library': '🗂️ मेरे नोट्स',
+    'view.compare': '🔀 तुलना करें',
+    'input.file': '📄 फ़ाइल अपलोड करें',
+    'input.text': '✏️ टेक्स्ट पेस्ट करें',
+    'upload.drop': '📄 अपनी फ़ाइलें यहाँ छोड़ें या ब्राउज़ करने के लिए क्लिक करें',
+    'upload.supports': 'समर्थित: PDF (स्कैन सहित), Word (.docx, .doc), PowerPoint (.pptx), OpenDocument (.odt), EPUB, RTF, HTML, टेक्स्ट (.txt, .md, .csv), चित्र (.png, .jpg) • अधिकतम: प्रति फ़ाइल 10MB, {max} फ़ाइलें',
+    'upload.hint': '💡 ज़्यादातर दस्तावेज़ प्रारूप समर्थित हैं - हम किसी भी फ़ाइल से टेक्स्ट निकालने की कोशिश करेंगे!',
+    'upload.selected': 'चुनी गई:',
+    'upload.batch': 'हर फ़ाइल का अपना सारांश बनेगा, और सभी फ़ाइलों के संयुक्त नोट्स भी।',
+    'upload.uploading': 'अपलोड हो रहा है...',
+    'text.placeholder': 'अपने नोट्स यहाँ पेस्ट करें...',
+    'text.count': '{count} / {max} अक्षर',
+    'text.overLimit': ' (सीमा से अधिक!)',
+    'extractive.toggle': '✂️ एक्सट्रैक्टिव मोड (ऑफ़लाइन, AI के बिना)',
+    'extractive.hint': 'AI मॉडल के बिना नोट्स के मुख्य वाक्य और परिभाषाएँ चुनता है। मॉडल उपलब्ध न होने पर अपने-आप इस्तेमाल होता है।',
+    'process.button': 'नोट्स सरल करें',
+    'process.busy': 'प्रोसेस हो रहा है...',
+    'loading.default': 'AI आपके नोट्स प्रोसेस कर रहा है...',
+    'loading.reload': 'आप यह पेज दोबारा लोड कर सकते हैं; प्रोसेसिंग सर्वर पर जारी रहेगी।',
+    'loading.cancel': 'रद्द करें',
+    'results.combined': '✨ संयुक्त नोट्स',
+    'results.simplified': '✨ सरल नोट्स',
+    'results.edit': '✏️ संपादित करें',
+    'results.doneEditing': '✓ संपादन पूरा',
+    'results.format': 'डाउनलोड प्रारूप',
+    'results.download': '📥 नोट्स डाउनलोड करें',
+    'results.allDocuments': '📚 सभी दस्तावेज़',
+    'results.fileFailed': 'यह फ़ाइल प्रोसेस नहीं हो सकी: {error}',
+    'results.showPassage': 'मूल अंश दिखाएँ',
+    'stats.original': 'मूल: {count} अक्षर',
+    'stats.simplified': 'सरल: {count} अक्षर',
+    'stats.parts': '{count} भागों में प्रोसेस किया गया',
+    'stats.ocrPage': 'पेज {pages} पर OCR ({confidence}% विश्वसनीयता)',
+    'stats.ocrPages': 'पेज {pages} पर OCR ({confidence}% विश्वसनीयता)',
+    'stats.ocrHint': 'इन पेजों का टेक्स्ट चित्रों से पहचाना गया है और इसमें गलतियाँ हो सकती हैं',
+    'stats.saved': 'मेरे नोट्स में सहेजा गया',
+    'stats.language': '🌐 {source}',
+    'stats.translated': '🌐 {source} → {target}',
+    'stats.languageHint': 'नोट्स में पहचानी गई भाषा, और सारांश की भाषा',
+    'stats.extractive': '✂️ एक्सट्रैक्टिव सारांश',
+    'stats.aiUnavailable': ' (AI उपलब्ध नहीं)',
+    'stats.extractiveHint': 'AI मॉडल के बिना, नोट्स से लिए गए वाक्यों से बना',
+    'stats.tryAgain': 'AI फिर से आज़माएँ',
+    'stats.cached': '⚡ कैश से',
+    'stats.cachedHint': 'ये नोट्स पहले भी इन्हीं विकल्पों के साथ प्रोसेस किए गए थे',
+    'stats.regenerate': 'फिर से बनाएँ',
+    'error.timeout': 'अनुरोध का समय समाप्त हो गया। AI को बहुत समय लग रहा है। कृपया छोटी सामग्री के साथ प्रयास करें।',
+    'error.apiKey': 'इस सर्वर के लिए मान्य API कुंजी आवश्यक है। नीचे "API key" में अपनी कुंजी डालें और फिर प्रयास करें।',
+    'error.network': 'नेटवर्क त्रुटि। कृपया जाँचें कि सर्वर चल रहा है और फिर प्रयास करें।',
+    'error.generic': 'सामग्री प्रोसेस नहीं हो सकी। कृपया फिर से प्रयास करें।',
+    'errorCode.FILE_TOO_LARGE': 'फ़ाइल बहुत बड़ी है। फ़ाइलें अधिकतम 10MB की हो सकती हैं, इसलिए इसे बाँटें या छोटा करें और फिर प्रयास करें।',
+    'errorCode.UNSUPPORTED_TYPE': 'यह फ़ाइल प्रकार समर्थित नहीं है। PDF, Word, PowerPoint, OpenDocument, EPUB, RTF, HTML, इमेज या टेक्स्ट फ़ाइल अपलोड करें।',
+    'errorCode.NO_TEXT_FOUND': 'पढ़ने योग्य टेक्स्ट नहीं मिला। स्कैन और फ़ोटो के लिए पक्का करें कि पन्ने साफ़ और अच्छी रोशनी में हों, या टेक्स्ट पेस्ट करें।',
+    'errorCode.EXTRACTION_FAILED': 'फ़ाइल पढ़ी नहीं जा सकी। यह खराब या पासवर्ड से सुरक्षित हो सकती है: इसे बिना पासवर्ड के फिर से सहेजें, या टेक्स्ट पेस्ट करें।',
+    'errorCode.PROVIDER_BLOCKED_SAFETY': 'AI सेवा ने अपने सुरक्षा फ़िल्टर के कारण यह सामग्री अस्वीकार कर दी। जिन अंशों पर आपत्ति हो सकती है उन्हें हटाकर फिर प्रयास करें।',
+    'errorCode.RATE_LIMITED': 'बहुत अधिक अनुरोध। कृपया {retryAfter} सेकंड रुककर फिर प्रयास करें।',
+    'errorCode.QUOTA_EXCEEDED': 'आपकी API कुंजी का दैनिक कोटा समाप्त हो गया है। यह UTC आधी रात को फिर से शुरू होता है।',
+    'errorCode.PROVIDER_AUTH': 'सर्वर AI सेवा में साइन इन नहीं कर सका। इसके व्यवस्थापक से AI API कुंजी जाँचने को कहें।',
+    'errorCode.PROVIDER_ERROR': 'AI सेवा अनुरोध प्रोसेस नहीं कर सकी। कृपया फिर से प्रयास करें।',
+    'errorCode.INVALID_MODEL_OUTPUT': 'AI ने ऐसा उत्तर दिया जिसका उपयोग नहीं हो सका। कृपया फिर से प्रयास करें।',
+    'errorCode.PROVIDER_QUOTA': 'AI सेवा अभी अपनी उपयोग सीमा तक पहुँच गई है। कृपया कुछ मिनट बाद फिर प्रयास करें।',
+    'errorCode.PROVIDER_UNAVAILABLE': 'AI सेवा अभी उपलब्ध नहीं है। कृपया कुछ मिनट बाद फिर प्रयास करें।',
+    'errorCode.QUEUE_FULL': 'सर्वर अन्य अपलोड में व्यस्त है। कृपया एक मिनट बाद फिर प्रयास करें।',
+    'errorCode.TIMEOUT': 'AI को उत्तर देने में बहुत समय लगा। कृपया फिर से, या छोटी सामग्री के साथ प्रयास करें।',
+    'error.jobLost': 'आपके अपलोड की प्रोसेसिंग खो गई, शायद सर्वर दोबारा शुरू हुआ। कृपया फिर से अपलोड करें।',
+    'error.tooManyFiles': 'कृपया एक बार में अधिकतम {max} फ़ाइलें चुनें',
+    'error.unknownTypes': 'कुछ फ़ाइल प्रकार पहचाने नहीं गए। सादी टेक्स्ट फ़ाइलें फिर भी पढ़ी जाएँगी; अन्य प्रारूप अस्वीकार होंगे।',
+    'error.selectFile': 'कृपया एक फ़ाइल चुनें',
+    'error.selectFileFirst': 'कृपया पहले एक फ़ाइल चुनें',
+    'error.enterText': 'कृपया प्रोसेस करने के लिए कुछ टेक्स्ट डालें',
+    'error.textTooLong': 'टेक्स्ट बहुत लंबा है। कृपया {max} अक्षरों तक सीमित रखें।',
+    'error.unexpected': 'सर्वर से अनपेक्षित उत्तर। कृपया फिर से प्रयास करें।',
+    'error.download': '{format} डाउनलोड नहीं बन सका',
+    'error.emptyRequired': 'मुख्य विषय और सारांश खाली नहीं हो सकते।',
+    'error.saveEdits': 'आपके बदलाव सहेजे नहीं जा सके।',
+    'options.title': '⚙️ सारांश के विकल्प',
+    'options.profile': 'प्रोफ़ाइल',
+    'options.custom': 'कस्टम',
+    'options.saveProfile': 'प्रोफ़ाइल के रूप में सहेजें',
+    'options.deleteProfile': 'प्रोफ़ाइल हटाएँ',
+    'options.profilePrompt': 'इन विकल्पों को इस नाम की प्रोफ़ाइल के रूप में सहेजें:',
+    'options.deleteConfirm': 'प्रोफ़ाइल "{name}" हटाएँ?',
+    'options.saveFailed': 'प्रोफ़ाइल सहेजी नहीं जा सकी।',
+    'options.deleteFailed': 'प्रोफ़ाइल हटाई नहीं जा सकी।',
+    'options.length': 'लंबाई',
+    'options.audience': 'पाठक',
+    'options.tone': 'शैली',
+    'options.language': 'सारांश की भाषा',
+    'options.sameAsNotes': 'नोट्स की भाषा में',
+    'length.brief': 'संक्षिप्त',
+    'length.standard': 'सामान्य',
+    'length.detailed': 'विस्तृत',
+    'audience.middle-school': 'मिडिल स्कूल',
+    'audience.high-school': 'हाई स्कूल',
+    'audience.undergraduate': 'स्नातक',
+    'audience.expert': 'विशेषज्ञ',
+    'tone.friendly': 'मैत्रीपूर्ण',
+    'tone.neutral': 'तटस्थ',
+    'tone.formal': 'औपचारिक',
+    'section.mainTopics': 'मुख्य विषय',
+    'section.keyConcepts': 'प्रमुख अवधारणाएँ',
+    'section.formulas': 'सूत्र',
+    'section.importantPoints': 'महत्वपूर्ण बिंदु',
+    'section.timeline': 'समयरेखा',
+    'section.summary': 'सारांश',
+    'section.studyTips': 'अध्ययन सुझाव',
+    'quiz.title': '📝 अभ्यास प्रश्नोत्तरी',
+    'quiz.questions': 'प्रश्न',
+    'quiz.difficulty': 'कठिनाई',
+    'difficulty.easy': 'आसान',
+    'difficulty.medium': 'मध्यम',
+    'difficulty.hard': 'कठिन',
+    'quiz.type.multiple-choice': 'बहुविकल्पीय',
+    'quiz.type.true-false': 'सही / गलत',
+    'quiz.type.short-answer': 'लघु उत्तर',
+    'quiz.true': 'सही',
+    'quiz.false': 'गलत',
+    'quiz.answerPlaceholder': 'अपना उत्तर लिखें...',
+    'quiz.modelAnswer': 'आदर्श उत्तर:',
+    'quiz.selfMark': 'मेरे उत्तर में यह शामिल है',
+    'quiz.correct': '✅ सही',
+    'quiz.incorrect': '❌ गलत',
+    'quiz.answerIs': '— सही उत्तर है',
+    'quiz.new': 'नई प्रश्नोत्तरी',
+    'quiz.generate': 'प्रश्नोत्तरी बनाएँ',
+    'quiz.generating': 'बनाई जा रही है...',
+    'quiz.score': 'अंक: {score} / {total} ({percent}%)',
+    'quiz.retry': '🔄 फिर से हल करें',
+    'quiz.submit': 'उत्तर जमा करें',
+    'quiz.failed': 'प्रश्नोत्तरी नहीं बन सकी। कृपया फिर से प्रयास करें।',
+    'flashcards.title': '🃏 फ़्लैशकार्ड',
+    'flashcards.cards': 'कार्ड',
+    'flashcards.new': 'नया डेक',
+    'flashcards.generate': 'फ़्लैशकार्ड बनाएँ',
+    'flashcards.generating': 'बनाए जा रहे हैं...',
+    'flashcards.review': 'दोहराएँ ({count} बाकी)',
+    'flashcards.done': '🎉 सब हो गया! अभी दोहराने के लिए कोई कार्ड बाकी नहीं है।',
+    'flashcards.back': 'डेक पर वापस',
+    'flashcards.cardLeft': '1 कार्ड बाकी',
+    'flashcards.cardsLeft': '{count} कार्ड बाकी',
+    'flashcards.showAnswer': 'उत्तर दिखाएँ',
+    'flashcards.grade.again': 'फिर से',
+    'flashcards.grade.hard': 'कठिन',
+    'flashcards.grade.good': 'अच्छा',
+    'flashcards.grade.easy': 'आसान',
+    'flashcards.failed': 'फ़्लैशकार्ड नहीं बन सके। कृपया फिर से प्रयास करें।',
+    'flashcards.exportFailed': 'फ़्लैशकार्ड निर्यात नहीं हो सके',
+    'chat.title': '💬 इन नोट्स के बारे में पूछें',
+    'chat.clear': 'चैट साफ़ करें',
+    'chat.empty': 'किसी शब्द का अर्थ या किसी बिंदु पर अधिक जानकारी पूछें। उत्तर केवल आपके नोट्स से दिए जाते हैं।',
+    'chat.thinking': 'सोच रहा है...',
+    'chat.placeholder': 'जैसे "परासरण का क्या अर्थ है?"',
+    'chat.answering': 'उत्तर दिया जा रहा है...',
+    'chat.ask': 'पूछें',
+    'chat.failed': 'आपके प्रश्न का उत्तर नहीं दिया जा सका। कृपया फिर से प्रयास करें।',
+    'chat.clearFailed': 'चैट साफ़ नहीं हो सकी।',
+    'library.count': '{count} सहेजे गए',
+    'library.search': 'शीर्षक, सारांश और मूल टेक्स्ट में खोजें...',
+    'library.noMatches': 'आपकी खोज से कोई नोट्स मेल नहीं खाते।',
+    'library.empty': 'अभी कुछ सहेजा नहीं गया है। सरल किए गए नोट्स यहाँ अपने आप सहेजे जाते हैं।',
+    'library.characters': '{count} अक्षर',
+    'library.open': 'खोलें',
+    'library.delete': 'हटाएँ',
+    'library.loading': 'लोड हो रहा है...',
+    'library.loadMore': 'और दिखाएँ',
+    'library.deleteConfirm': '"{title}" हटाएँ? इसे वापस नहीं लाया जा सकता।',
+    'library.loadFailed': 'आपके सहेजे गए नोट्स लोड नहीं हो सके।',
+    'library.openFailed': 'नोट नहीं खुल सका।',
+    'library.deleteFailed': 'नोट हटाया नहीं जा सका।',
+    'compare.file': '📄 फ़ाइल',
+    'compare.text': '✏️ टेक्स्ट',
+    'compare.original': 'मूल संस्करण',
+    'compare.revised': 'संशोधित संस्करण',
+    'compare.originalPlaceholder': 'मूल संस्करण यहाँ पेस्ट करें...',
+    'compare.revisedPlaceholder': 'संशोधित संस्करण यहाँ पेस्ट करें...',
+    'compare.skippedOne': '… 1 अपरिवर्तित अनुच्छेद',
+    'compare.skipped': '… {count} अपरिवर्तित अनुच्छेद',
+    'compare.comparing': 'तुलना हो रही है...',
+    'compare.button': 'संस्करणों की तुलना करें',
+    'compare.title': '🔀 क्या बदला',
+    'compare.added': '{count} जोड़े गए',
+    'compare.removed': '{count} हटाए गए',
+    'compare.changed': '{count} बदले गए',
+    'compare.unchanged': '{count} अपरिवर्तित',
+    'compare.addedTopics': 'नया',
+    'compare.changedTopics': 'बदला गया',
+    'compare.removedTopics': 'हटाया गया',
+    'compare.differences': '📄 अंतर',
+    'compare.showUnchanged': 'अपरिवर्तित भी दिखाएँ',
+    'compare.failed': 'दस्तावेज़ों की तुलना नहीं हो सकी। कृपया फिर से प्रयास करें।',
+    'conceptMap.title': '🕸️ अवधारणा मानचित्र',
+    'conceptMap.concepts': 'अवधारणाएँ',
+    'conceptMap.new': 'नया मानचित्र',
+    'conceptMap.generate': 'अवधारणा मानचित्र बनाएँ',
+    'conceptMap.generating': 'बनाया जा रहा है...',
+    'conceptMap.resetLayout': 'लेआउट रीसेट करें',
+    'conceptMap.hint': 'किसी अवधारणा के संबंध देखने के लिए उस पर माउस ले जाएँ। मानचित्र को व्यवस्थित करने के लिए अवधारणाओं को खींचें।',
+    'conceptMap.failed': 'अवधारणा मानचित्र नहीं बन सका। कृपया फिर से प्रयास करें।',
+    'conceptMap.exportFailed': 'अवधारणा मानचित्र निर्यात नहीं हो सका',
+    'editor.instruction': 'निर्देश (वैकल्पिक), जैसे इसे और सरल बनाएँ',
+    'editor.regenerating': 'फिर से बनाया जा रहा है...',
+    'editor.regenerate': '🔄 फिर से बनाएँ',
+    'editor.add': '+ जोड़ें',
+    'editor.removePoint': 'बिंदु हटाएँ',
+    'editor.removeItem': 'प्रविष्टि हटाएँ',
+    'source.title': '📖 स्रोत',
+    'source.close': 'स्रोत बंद करें',
+    'source.pageLabel': 'पृ. {page} ¶{paragraph}',
+    'source.paragraphLabel': '¶{paragraph}',
+    'source.page': 'पृष्ठ {page}, अनुच्छेद {paragraph}',
+    'source.paragraph': 'अनुच्छेद {paragraph}',
+    'apiKey.title': '🔑 API कुंजी',
+    'apiKey.key': 'कुंजी',
+    'apiKey.save': 'कुंजी सहेजें',
+    'apiKey.remove': 'कुंजी हटाएँ',
+    'apiKey.saved': 'इस ब्राउज़र में सहेजी गई'
+  },
+  kn: {
+    'app.title': '📚 ಟಿಪ್ಪಣಿ ಸರಳೀಕರಣ',
+    'app.tagline': 'ಯಾವುದೇ ದಾಖಲೆಯನ್ನು (PDF, Word, ಪಠ್ಯ, ಟಿಪ್ಪಣಿಗಳ ಫೋಟೋ) ಅಪ್‌ಲೋಡ್ ಮಾಡಿ ಅಥವಾ ವಿಷಯವನ್ನು ನೇರವಾಗಿ ಅಂಟಿಸಿ, AI ಸಾರಾಂಶ ಪಡೆಯಿರಿ',
+    'app.language': 'ಇಂಟರ್ಫೇಸ್ ಭಾಷೆ',
+    'view.simplify': '✨ ಸರಳಗೊಳಿಸಿ',
+    'view.library': '🗂️ ನನ್ನ ಟಿಪ್ಪಣಿಗಳು',
+    'view.compare': '🔀 ಹೋಲಿಸಿ',
+    'input.file': '📄 ಫೈಲ್ ಅಪ್‌ಲೋಡ್',
+    'input.text': '✏️ ಪಠ್ಯ ಅಂಟಿಸಿ',
+    'upload.drop': '📄 ನಿಮ್ಮ ಫೈಲ್‌ಗಳನ್ನು ಇಲ್ಲಿ ಬಿಡಿ ಅಥವಾ ಆಯ್ಕೆ ಮಾಡಲು ಕ್ಲಿಕ್ ಮಾಡಿ',
+    'upload.supports': 'ಬೆಂಬಲಿತ: PDF (ಸ್ಕ್ಯಾನ್ ಸೇರಿ), Word (.docx, .doc), PowerPoint (.pptx), OpenDocument (.odt), EPUB, RTF, HTML, ಪಠ್ಯ (.txt, .md, .csv), ಚಿತ್ರಗಳು (.png, .jpg) • ಗರಿಷ್ಠ: ಪ್ರತಿ ಫೈಲ್‌ಗೆ 10MB, {max} ಫೈಲ್‌ಗಳು',
+    'upload.hint': '💡 ಹೆಚ್ಚಿನ ದಾಖಲೆ ಸ್ವರೂಪಗಳು ಬೆಂಬಲಿತ - ಯಾವುದೇ ಫೈಲ್‌ನಿಂದ ಪಠ್ಯ ತೆಗೆಯಲು ಪ್ರಯತ್ನಿಸುತ್ತೇವೆ!',
+    'upload.selected': 'ಆಯ್ಕೆ:',
+    'upload.batch': 'ಪ್ರತಿ ಫೈಲ್‌ಗೆ ತನ್ನದೇ ಸಾರಾಂಶ, ಜೊತೆಗೆ ಎಲ್ಲದರ ಸಂಯೋಜಿತ ಟಿಪ್ಪಣಿಗಳು.',
+    'upload.uploading': 'ಅಪ್‌ಲೋಡ್ ಆಗುತ್ತಿದೆ...',
+    'text.placeholder': 'ನಿಮ್ಮ ಟಿಪ್ಪಣಿಗಳನ್ನು ಇಲ್ಲಿ ಅಂಟಿಸಿ...',
+    'text.count': '{count} / {max} ಅಕ್ಷರಗಳು',
+    'text.overLimit': ' (ಮಿತಿ ಮೀರಿದೆ!)',
+    'extractive.toggle': '✂️ ಎಕ್ಸ್‌ಟ್ರ್ಯಾಕ್ಟಿವ್ ಮೋಡ್ (ಆಫ್‌ಲೈನ್, AI ಇಲ್ಲದೆ)',
+    'extractive.hint': 'AI ಮಾದರಿ ಇಲ್ಲದೆ ಟಿಪ್ಪಣಿಗಳ ಮುಖ್ಯ ವಾಕ್ಯಗಳು ಮತ್ತು ವ್ಯಾಖ್ಯಾನಗಳನ್ನು ಆರಿಸುತ್ತದೆ. ಮಾದರಿ ಲಭ್ಯವಿಲ್ಲದಾಗ ತಾನಾಗಿಯೇ ಬಳಸಲಾಗುತ್ತದೆ.',
+    'process.button': 'ಟಿಪ್ಪಣಿಗಳನ್ನು ಸರಳಗೊಳಿಸಿ',
+    'process.busy': 'ಪ್ರಕ್ರಿಯೆಗೊಳ್ಳುತ್ತಿದೆ...',
+    'loading.default': 'AI ನಿಮ್ಮ ಟಿಪ್ಪಣಿಗಳನ್ನು ಪ್ರಕ್ರಿಯೆಗೊಳಿಸುತ್ತಿದೆ...',
+    'loading.reload': 'ನೀವು ಈ ಪುಟವನ್ನು ಮರುಲೋಡ್ ಮಾಡಬಹುದು; ಪ್ರಕ್ರಿಯೆ ಸರ್ವರ್‌ನಲ್ಲಿ ಮುಂದುವರಿಯುತ್ತದೆ.',
+    'loading.cancel': 'ರದ್ದುಮಾಡಿ',
+    'results.combined': '✨ ಸಂಯೋಜಿತ ಟಿಪ್ಪಣಿಗಳು',
+    'results.simplified': '✨ ಸರಳೀಕೃತ ಟಿಪ್ಪಣಿಗಳು',
+    'results.edit': '✏️ ಸಂಪಾದಿಸಿ',
+    'results.doneEditing': '✓ ಸಂಪಾದನೆ ಮುಗಿದಿದೆ',
+    'results.format': 'ಡೌನ್‌ಲೋಡ್ ಸ್ವರೂಪ',
+    'results.download': '📥 ಟಿಪ್ಪಣಿಗಳನ್ನು ಡೌನ್‌ಲೋಡ್ ಮಾಡಿ',
+    'results.allDocuments': '📚 ಎಲ್ಲಾ ದಾಖಲೆಗಳು',
+    'results.fileFailed': 'ಈ ಫೈಲ್ ಅನ್ನು ಪ್ರಕ್ರಿಯೆಗೊಳಿಸಲು ಸಾಧ್ಯವಾಗಲಿಲ್ಲ: {error}',
+    'results.showPassage': 'ಮೂಲ ಭಾಗವನ್ನು ತೋರಿಸಿ',
+    'stats.original': 'ಮೂಲ: {count} ಅಕ್ಷರಗಳು',
+    'stats.simplified': 'ಸರಳೀಕೃತ: {count} ಅಕ್ಷರಗಳು',
+    'stats.parts': '{count} ಭಾಗಗಳಲ್ಲಿ ಪ್ರಕ್ರಿಯೆಗೊಳಿಸಲಾಗಿದೆ',
+    'stats.ocrPage': 'ಪುಟ {pages} ರಲ್ಲಿ OCR ({confidence}% ವಿಶ್ವಾಸ)',
+    'stats.ocrPages': 'ಪುಟಗಳು {pages} ರಲ್ಲಿ OCR ({confidence}% ವಿಶ್ವಾಸ)',
+    'stats.ocrHint': 'ಈ ಪುಟಗಳ ಪಠ್ಯವನ್ನು ಚಿತ್ರಗಳಿಂದ ಗುರುತಿಸಲಾಗಿದೆ, ತಪ್ಪುಗಳಿರಬಹುದು',
+    'stats.saved': 'ನನ್ನ ಟಿಪ್ಪಣಿಗಳಲ್ಲಿ ಉಳಿಸಲಾಗಿದೆ',
+    'stats.language': '🌐 {source}',
+    'stats.translated': '🌐 {source} → {target}',
+    'stats.languageHint': 'ಟಿಪ್ಪಣಿಗಳಲ್ಲಿ ಗುರುತಿಸಿದ ಭಾಷೆ, ಮತ್ತು ಸಾರಾಂಶದ ಭಾಷೆ',
+    'stats.extractive': '✂️ ಎಕ್ಸ್‌ಟ್ರ್ಯಾಕ್ಟಿವ್ ಸಾರಾಂಶ',
+    'stats.aiUnavailable': ' (AI ಲಭ್ಯವಿಲ್ಲ)',
+    'stats.extractiveHint': 'AI ಮಾದರಿ ಇಲ್ಲದೆ, ಟಿಪ್ಪಣಿಗಳಿಂದ ತೆಗೆದ ವಾಕ್ಯಗಳಿಂದ ಮಾಡಲಾಗಿದೆ',
+    'stats.tryAgain': 'AI ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ',
+    'stats.cached': '⚡ ಕ್ಯಾಶ್‌ನಿಂದ',
+    'stats.cachedHint': 'ಈ ಟಿಪ್ಪಣಿಗಳನ್ನು ಇದೇ ಆಯ್ಕೆಗಳೊಂದಿಗೆ ಹಿಂದೆ ಪ್ರಕ್ರಿಯೆಗೊಳಿಸಲಾಗಿತ್ತು',
+    'stats.regenerate': 'ಮತ್ತೆ ರಚಿಸಿ',
+    'error.timeout': 'ವಿನಂತಿಯ ಸಮಯ ಮೀರಿದೆ. AI ಗೆ ತುಂಬಾ ಸಮಯ ಬೇಕಾಗುತ್ತಿದೆ. ದಯವಿಟ್ಟು ಕಡಿಮೆ ವಿಷಯದೊಂದಿಗೆ ಪ್ರಯತ್ನಿಸಿ.',
+    'error.apiKey': 'ಈ ಸರ್ವರ್‌ಗೆ ಮಾನ್ಯ API ಕೀ ಅಗತ್ಯವಿದೆ. ಕೆಳಗೆ "API key" ನಲ್ಲಿ ನಿಮ್ಮ ಕೀ ನಮೂದಿಸಿ ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+    'error.network': 'ನೆಟ್‌ವರ್ಕ್ ದೋಷ. ಸರ್ವರ್ ಚಾಲನೆಯಲ್ಲಿದೆಯೇ ಎಂದು ಪರಿಶೀಲಿಸಿ ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+    'error.generic': 'ವಿಷಯವನ್ನು ಪ್ರಕ್ರಿಯೆಗೊಳಿಸಲು ವಿಫಲವಾಗಿದೆ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+    'errorCode.FILE_TOO_LARGE': 'ಫೈಲ್ ತುಂಬಾ ದೊಡ್ಡದಾಗಿದೆ. ಫೈಲ್‌ಗಳು ಗರಿಷ್ಠ 10MB ಇರಬಹುದು, ಆದ್ದರಿಂದ ಅದನ್ನು ವಿಭಜಿಸಿ ಅಥವಾ ಕುಗ್ಗಿಸಿ ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+    'errorCode.UNSUPPORTED_TYPE': 'ಈ ಫೈಲ್ ಪ್ರಕಾರವನ್ನು ಬೆಂಬಲಿಸಲಾಗುವುದಿಲ್ಲ. PDF, Word, PowerPoint, OpenDocument, EPUB, RTF, HTML, ಚಿತ್ರ ಅಥವಾ ಪಠ್ಯ ಫೈಲ್ ಅಪ್‌ಲೋಡ್ ಮಾಡಿ.',
+    'errorCode.NO_TEXT_FOUND': 'ಓದಬಹುದಾದ ಪಠ್ಯ ಸಿಗಲಿಲ್ಲ. ಸ್ಕ್ಯಾನ್ ಮತ್ತು ಫೋಟೋಗಳಲ್ಲಿ ಪುಟಗಳು ಸ್ಪಷ್ಟವಾಗಿ ಮತ್ತು ಚೆನ್ನಾಗಿ ಬೆಳಕಿನಲ್ಲಿ ಇರುವಂತೆ ನೋಡಿಕೊಳ್ಳಿ, ಅಥವಾ ಪಠ್ಯವನ್ನು ಅಂಟಿಸಿ.',
+    'errorCode.EXTRACTION_FAILED': 'ಫೈಲ್ ಓದಲಾಗಲಿಲ್ಲ. ಅದು ಹಾಳಾಗಿರಬಹುದು ಅಥವಾ ಪಾಸ್‌ವರ್ಡ್‌ನಿಂದ ರಕ್ಷಿತವಾಗಿರಬಹುದು: ಪಾಸ್‌ವರ್ಡ್ ಇಲ್ಲದೆ ಮತ್ತೆ ಉಳಿಸಿ, ಅಥವಾ ಪಠ್ಯವನ್ನು ಅಂಟಿಸಿ.',
+    'errorCode.PROVIDER_BLOCKED_SAFETY': 'AI ಸೇವೆ ತನ್ನ ಸುರಕ್ಷತಾ ಫಿಲ್ಟರ್‌ಗಳ ಕಾರಣ ಈ ವಿಷಯವನ್ನು ನಿರಾಕರಿಸಿತು. ಆಕ್ಷೇಪಿಸಬಹುದಾದ ಭಾಗಗಳನ್ನು ತೆಗೆದು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+    'errorCode.RATE_LIMITED': 'ತುಂಬಾ ಹೆಚ್ಚು ವಿನಂತಿಗಳು. ದಯವಿಟ್ಟು {retryAfter} ಸೆಕೆಂಡುಗಳು ಕಾದು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+    'errorCode.QUOTA_EXCEEDED': 'ನಿಮ್ಮ API ಕೀಲಿಯ ದೈನಂದಿನ ಮಿತಿ ಮುಗಿದಿದೆ. ಇದು UTC ಮಧ್ಯರಾತ್ರಿ ಮರುಹೊಂದಿಸಲ್ಪಡುತ್ತದೆ.',
+    'errorCode.PROVIDER_AUTH': 'ಸರ್ವರ್ AI ಸೇವೆಗೆ ಸೈನ್ ಇನ್ ಆಗಲಿಲ್ಲ. AI API ಕೀಲಿಯನ್ನು ಪರಿಶೀಲಿಸಲು ಅದರ ನಿರ್ವಾಹಕರನ್ನು ಕೇಳಿ.',
+    'errorCode.PROVIDER_ERROR': 'AI ಸೇವೆ ವಿನಂತಿಯನ್ನು ಸಂಸ್ಕರಿಸಲಾಗಲಿಲ್ಲ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+    'errorCode.INVALID_MODEL_OUTPUT': 'AI ಬಳಸಲಾಗದ ಉತ್ತರ ನೀಡಿತು. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+    'errorCode.PROVIDER_QUOTA': 'AI ಸೇವೆ ಸದ್ಯಕ್ಕೆ ತನ್ನ ಬಳಕೆಯ ಮಿತಿಯನ್ನು ತಲುಪಿದೆ. ದಯವಿಟ್ಟು ಕೆಲವು ನಿಮಿಷಗಳ ನಂತರ ಪ್ರಯತ್ನಿಸಿ.',
+    'errorCode.PROVIDER_UNAVAILABLE': 'AI ಸೇವೆ ಈಗ ಲಭ್ಯವಿಲ್ಲ. ದಯವಿಟ್ಟು ಕೆಲವು ನಿಮಿಷಗಳ ನಂತರ ಪ್ರಯತ್ನಿಸಿ.',
+    'errorCode.QUEUE_FULL': 'ಸರ್ವರ್ ಇತರ ಅಪ್‌ಲೋಡ್‌ಗಳಲ್ಲಿ ನಿರತವಾಗಿದೆ. ದಯವಿಟ್ಟು ಒಂದು ನಿಮಿಷದ ನಂತರ ಪ್ರಯತ್ನಿಸಿ.',
+    'errorCode.TIMEOUT': 'AI ಉತ್ತರಿಸಲು ತುಂಬಾ ಸಮಯ ತೆಗೆದುಕೊಂಡಿತು. ದಯವಿಟ್ಟು ಮತ್ತೆ, ಅಥವಾ ಚಿಕ್ಕ ವಿಷಯದೊಂದಿಗೆ ಪ್ರಯತ್ನಿಸಿ.',
+    'error.jobLost': 'ನಿಮ್ಮ ಅಪ್‌ಲೋಡ್‌ನ ಪ್ರಕ್ರಿಯೆ ಕಳೆದುಹೋಗಿದೆ, ಬಹುಶಃ ಸರ್ವರ್ ಮರುಪ್ರಾರಂಭವಾಗಿದೆ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಅಪ್‌ಲೋಡ್ ಮಾಡಿ.',
+    'error.tooManyFiles': 'ದಯವಿಟ್ಟು ಒಮ್ಮೆಗೆ ಗರಿಷ್ಠ {max} ಫೈಲ್‌ಗಳನ್ನು ಆಯ್ಕೆಮಾಡಿ',
+    'error.unknownTypes': 'ಕೆಲವು ಫೈಲ್ ಪ್ರಕಾರಗಳು ಗುರುತಿಸಲ್ಪಟ್ಟಿಲ್ಲ. ಸಾದಾ ಪಠ್ಯ ಫೈಲ್‌ಗಳನ್ನು ಓದಲಾಗುತ್ತದೆ; ಇತರ ಸ್ವರೂಪಗಳನ್ನು ತಿರಸ್ಕರಿಸಲಾಗುತ್ತದೆ.',
+    'error.selectFile': 'ದಯವಿಟ್ಟು ಒಂದು ಫೈಲ್ ಆಯ್ಕೆಮಾಡಿ',
+    'error.selectFileFirst': 'ದಯವಿಟ್ಟು ಮೊದಲು ಒಂದು ಫೈಲ್ ಆಯ್ಕೆಮಾಡಿ',
+    'error.enterText': 'ದಯವಿಟ್ಟು ಪ್ರಕ್ರಿಯೆಗೊಳಿಸಲು ಸ್ವಲ್ಪ ಪಠ್ಯ ನಮೂದಿಸಿ',
+    'error.textTooLong': 'ಪಠ್ಯ ತುಂಬಾ ಉದ್ದವಾಗಿದೆ. ದಯವಿಟ್ಟು {max} ಅಕ್ಷರಗಳಿಗೆ ಮಿತಿಗೊಳಿಸಿ.',
+    'error.unexpected': 'ಸರ್ವರ್‌ನಿಂದ ಅನಿರೀಕ್ಷಿತ ಪ್ರತಿಕ್ರಿಯೆ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+    'error.download': '{format} ಡೌನ್‌ಲೋಡ್ ರಚಿಸಲು ವಿಫಲವಾಗಿದೆ',
+    'error.emptyRequired': 'ಮುಖ್ಯ ವಿಷಯಗಳು ಮತ್ತು ಸಾರಾಂಶ ಖಾಲಿ ಇರಬಾರದು.',
+    'error.saveEdits': 'ನಿಮ್ಮ ಬದಲಾವಣೆಗಳನ್ನು ಉಳಿಸಲು ವಿಫಲವಾಗಿದೆ.',
+    'options.title': '⚙️ ಸಾರಾಂಶ ಆಯ್ಕೆಗಳು',
+    'options.profile': 'ಪ್ರೊಫೈಲ್',
+    'options.custom': 'ಕಸ್ಟಮ್',
+    'options.saveProfile': 'ಪ್ರೊಫೈಲ್ ಆಗಿ ಉಳಿಸಿ',
+    'options.deleteProfile': 'ಪ್ರೊಫೈಲ್ ಅಳಿಸಿ',
+    'options.profilePrompt': 'ಈ ಆಯ್ಕೆಗಳನ್ನು ಈ ಹೆಸರಿನ ಪ್ರೊಫೈಲ್ ಆಗಿ ಉಳಿಸಿ:',
+    'options.deleteConfirm': '"{name}" ಪ್ರೊಫೈಲ್ ಅಳಿಸಬೇಕೆ?',
+    'options.saveFailed': 'ಪ್ರೊಫೈಲ್ ಉಳಿಸಲು ವಿಫಲವಾಗಿದೆ.',
+    'options.deleteFailed': 'ಪ್ರೊಫೈಲ್ ಅಳಿಸಲು ವಿಫಲವಾಗಿದೆ.',
+    'options.length': 'ಉದ್ದ',
+    'options.audience': 'ಓದುಗರು',
+    'options.tone': 'ಧಾಟಿ',
+    'options.language': 'ಸಾರಾಂಶದ ಭಾಷೆ',
+    'options.sameAsNotes': 'ಟಿಪ್ಪಣಿಗಳ ಭಾಷೆಯಲ್ಲೇ',
+    'length.brief': 'ಸಂಕ್ಷಿಪ್ತ',
+    'length.standard': 'ಸಾಮಾನ್ಯ',
+    'length.detailed': 'ವಿವರವಾದ',
+    'audience.middle-school': 'ಮಾಧ್ಯಮಿಕ ಶಾಲೆ',
+    'audience.high-school': 'ಪ್ರೌಢಶಾಲೆ',
+    'audience.undergraduate': 'ಪದವಿ',
+    'audience.expert': 'ತಜ್ಞ',
+    'tone.friendly': 'ಸ್ನೇಹಪರ',
+    'tone.neutral': 'ತಟಸ್ಥ',
+    'tone.formal': 'ಔಪಚಾರಿಕ',
+    'section.mainTopics': 'ಮುಖ್ಯ ವಿಷಯಗಳು',
+    'section.keyConcepts': 'ಪ್ರಮುಖ ಪರಿಕಲ್ಪನೆಗಳು',
+    'section.formulas': 'ಸೂತ್ರಗಳು',
+    'section.importantPoints': 'ಮುಖ್ಯ ಅಂಶಗಳು',
+    'section.timeline': 'ಕಾಲಾನುಕ್ರಮ',
+    'section.summary': 'ಸಾರಾಂಶ',
+    'section.studyTips': 'ಅಧ್ಯಯನ ಸಲಹೆಗಳು',
+    'quiz.title': '📝 ಅಭ್ಯಾಸ ರಸಪ್ರಶ್ನೆ',
+    'quiz.questions': 'ಪ್ರಶ್ನೆಗಳು',
+    'quiz.difficulty': 'ಕಠಿಣತೆ',
+    'difficulty.easy': 'ಸುಲಭ',
+    'difficulty.medium': 'ಮಧ್ಯಮ',
+    'difficulty.hard': 'ಕಠಿಣ',
+    'quiz.type.multiple-choice': 'ಬಹು ಆಯ್ಕೆ',
+    'quiz.type.true-false': 'ಸರಿ / ತಪ್ಪು',
+    'quiz.type.short-answer': 'ಸಣ್ಣ ಉತ್ತರ',
+    'quiz.true': 'ಸರಿ',
+    'quiz.false': 'ತಪ್ಪು',
+    'quiz.answerPlaceholder': 'ನಿಮ್ಮ ಉತ್ತರವನ್ನು ಬರೆಯಿರಿ...',
+    'quiz.modelAnswer': 'ಮಾದರಿ ಉತ್ತರ:',
+    'quiz.selfMark': 'ನನ್ನ ಉತ್ತರದಲ್ಲಿ ಇದು ಇದೆ',
+    'quiz.correct': '✅ ಸರಿ',
+    'quiz.incorrect': '❌ ತಪ್ಪು',
+    'quiz.answerIs': '— ಸರಿಯಾದ ಉತ್ತರ:',
+    'quiz.new': 'ಹೊಸ ರಸಪ್ರಶ್ನೆ',
+    'quiz.generate': 'ರಸಪ್ರಶ್ನೆ ರಚಿಸಿ',
+    'quiz.generating': 'ರಚಿಸಲಾಗುತ್ತಿದೆ...',
+    'quiz.score': 'ಅಂಕ: {score} / {total} ({percent}%)',
+    'quiz.retry': '🔄 ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ',
+    'quiz.submit': 'ಉತ್ತರಗಳನ್ನು ಸಲ್ಲಿಸಿ',
+    'quiz.failed': 'ರಸಪ್ರಶ್ನೆ ರಚಿಸಲು ವಿಫಲವಾಗಿದೆ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+    'flashcards.title': '🃏 ಫ್ಲ್ಯಾಶ್‌ಕಾರ್ಡ್‌ಗಳು',
+    'flashcards.cards': 'ಕಾರ್ಡ್‌ಗಳು',
+    'flashcards.new': 'ಹೊಸ ಡೆಕ್',
+    'flashcards.generate': 'ಫ್ಲ್ಯಾಶ್‌ಕಾರ್ಡ್‌ಗಳನ್ನು ರಚಿಸಿ',
+    'flashcards.generating': 'ರಚಿಸಲಾಗುತ್ತಿದೆ...',
+    'flashcards.review': 'ಪುನರಾವರ್ತಿಸಿ ({count} ಬಾಕಿ)',
+    'flashcards.done': '🎉 ಎಲ್ಲವೂ ಮುಗಿದಿದೆ! ಈಗ ಯಾವುದೇ ಕಾರ್ಡ್ ಬಾಕಿ ಇಲ್ಲ.',
+    'flashcards.back': 'ಡೆಕ್‌ಗೆ ಹಿಂತಿರುಗಿ',
+    'flashcards.cardLeft': '1 ಕಾರ್ಡ್ ಉಳಿದಿದೆ',
+    'flashcards.cardsLeft': '{count} ಕಾರ್ಡ್‌ಗಳು ಉಳಿದಿವೆ',
+    'flashcards.showAnswer': 'ಉತ್ತರ ತೋರಿಸಿ',
+    'flashcards.grade.again': 'ಮತ್ತೆ',
+    'flashcards.grade.hard': 'ಕಠಿಣ',
+    'flashcards.grade.good': 'ಒಳ್ಳೆಯದು',
+    'flashcards.grade.easy': 'ಸುಲಭ',
+    'flashcards.failed': 'ಫ್ಲ್ಯಾಶ್‌ಕಾರ್ಡ್‌ಗಳನ್ನು ರಚಿಸಲು ವಿಫಲವಾಗಿದೆ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+    'flashcards.exportFailed': 'ಫ್ಲ್ಯಾಶ್‌ಕಾರ್ಡ್‌ಗಳನ್ನು ರಫ್ತು ಮಾಡಲು ವಿಫಲವಾಗಿದೆ',
+    'chat.title': '💬 ಈ ಟಿಪ್ಪಣಿಗಳ ಬಗ್ಗೆ ಕೇಳಿ',
+    'chat.clear': 'ಚಾಟ್ ಅಳಿಸಿ',
+    'chat.empty': 'ಒಂದು ಪದದ ಅರ್ಥ ಅಥವಾ ಯಾವುದೇ ಅಂಶದ ಬಗ್ಗೆ ಹೆಚ್ಚಿನ ವಿವರ ಕೇಳಿ. ಉತ್ತರಗಳು ನಿಮ್ಮ ಟಿಪ್ಪಣಿಗಳನ್ನು ಮಾತ್ರ ಬಳಸುತ್ತವೆ.',
+    'chat.thinking': 'ಯೋಚಿಸುತ್ತಿದೆ...',
+    'chat.placeholder': 'ಉದಾ. "ಆಸ್ಮೋಸಿಸ್ ಎಂದರೇನು?"',
+    'chat.answering': 'ಉತ್ತರಿಸುತ್ತಿದೆ...',
+    'chat.ask': 'ಕೇಳಿ',
+    'chat.failed': 'ನಿಮ್ಮ ಪ್ರಶ್ನೆಗೆ ಉತ್ತರಿಸಲು ವಿಫಲವಾಗಿದೆ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+    'chat.clearFailed': 'ಚಾಟ್ ಅಳಿಸಲು ವಿಫಲವಾಗಿದೆ.',
+    'library.count': '{count} ಉಳಿಸಲಾಗಿದೆ',
+    'library.search': 'ಶೀರ್ಷಿಕೆಗಳು, ಸಾರಾಂಶಗಳು ಮತ್ತು ಮೂಲ ಪಠ್ಯದಲ್ಲಿ ಹುಡುಕಿ...',
+    'library.noMatches': 'ನಿಮ್ಮ ಹುಡುಕಾಟಕ್ಕೆ ಯಾವುದೇ ಟಿಪ್ಪಣಿಗಳು ಹೊಂದಿಕೆಯಾಗುವುದಿಲ್ಲ.',
+    'library.empty': 'ಇನ್ನೂ ಏನನ್ನೂ ಉಳಿಸಿಲ್ಲ. ಸರಳೀಕೃತ ಟಿಪ್ಪಣಿಗಳನ್ನು ಇಲ್ಲಿ ತಾನಾಗಿಯೇ ಉಳಿಸಲಾಗುತ್ತದೆ.',
+    'library.characters': '{count} ಅಕ್ಷರಗಳು',
+    'library.open': 'ತೆರೆಯಿರಿ',
+    'library.delete': 'ಅಳಿಸಿ',
+    'library.loading': 'ಲೋಡ್ ಆಗುತ್ತಿದೆ...',
+    'library.loadMore': 'ಇನ್ನಷ್ಟು ತೋರಿಸಿ',
+    'library.deleteConfirm': '"{title}" ಅಳಿಸಬೇಕೆ? ಇದನ್ನು ರದ್ದುಗೊಳಿಸಲಾಗುವುದಿಲ್ಲ.',
+    'library.loadFailed': 'ನಿಮ್ಮ ಉಳಿಸಿದ ಟಿಪ್ಪಣಿಗಳನ್ನು ಲೋಡ್ ಮಾಡಲು ವಿಫಲವಾಗಿದೆ.',
+    'library.openFailed': 'ಟಿಪ್ಪಣಿಯನ್ನು ತೆರೆಯಲು ವಿಫಲವಾಗಿದೆ.',
+    'library.deleteFailed': 'ಟಿಪ್ಪಣಿಯನ್ನು ಅಳಿಸಲು ವಿಫಲವಾಗಿದೆ.',
+    'compare.file': '📄 ಫೈಲ್',
+    'compare.text': '✏️ ಪಠ್ಯ',
+    'compare.original': 'ಮೂಲ ಆವೃತ್ತಿ',
+    'compare.revised': 'ಪರಿಷ್ಕೃತ ಆವೃತ್ತಿ',
+    'compare.originalPlaceholder': 'ಮೂಲ ಆವೃತ್ತಿಯನ್ನು ಇಲ್ಲಿ ಅಂಟಿಸಿ...',
+    'compare.revisedPlaceholder': 'ಪರಿಷ್ಕೃತ ಆವೃತ್ತಿಯನ್ನು ಇಲ್ಲಿ ಅಂಟಿಸಿ...',
+    'compare.skippedOne': '… 1 ಬದಲಾಗದ ಪ್ಯಾರಾಗ್ರಾಫ್',
+    'compare.skipped': '… {count} ಬದಲಾಗದ ಪ್ಯಾರಾಗ್ರಾಫ್‌ಗಳು',
+    'compare.comparing': 'ಹೋಲಿಸಲಾಗುತ್ತಿದೆ...',
+    'compare.button': 'ಆವೃತ್ತಿಗಳನ್ನು ಹೋಲಿಸಿ',
+    'compare.title': '🔀 ಏನು ಬದಲಾಗಿದೆ',
+    'compare.added': '{count} ಸೇರಿಸಲಾಗಿದೆ',
+    'compare.removed': '{count} ತೆಗೆದುಹಾಕಲಾಗಿದೆ',
+    'compare.changed': '{count} ಬದಲಾಗಿದೆ',
+    'compare.unchanged': '{count} ಬದಲಾಗಿಲ್ಲ',
+    'compare.addedTopics': 'ಹೊಸದು',
+    'compare.changedTopics': 'ಬದಲಾದವು',
+    'compare.removedTopics': 'ತೆಗೆದುಹಾಕಿದವು',
+    'compare.differences': '📄 ವ್ಯತ್ಯಾಸಗಳು',
+    'compare.showUnchanged': 'ಬದಲಾಗದವನ್ನೂ ತೋರಿಸಿ',
+    'compare.failed': 'ದಾಖಲೆಗಳನ್ನು ಹೋಲಿಸಲು ವಿಫಲವಾಗಿದೆ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+    'conceptMap.title': '🕸️ ಪರಿಕಲ್ಪನಾ ನಕ್ಷೆ',
+    'conceptMap.concepts': 'ಪರಿಕಲ್ಪನೆಗಳು',
+    'conceptMap.new': 'ಹೊಸ ನಕ್ಷೆ',
+    'conceptMap.generate': 'ಪರಿಕಲ್ಪನಾ ನಕ್ಷೆ ರಚಿಸಿ',
+    'conceptMap.generating': 'ರಚಿಸಲಾಗುತ್ತಿದೆ...',
+    'conceptMap.resetLayout': 'ವಿನ್ಯಾಸವನ್ನು ಮರುಹೊಂದಿಸಿ',
+    'conceptMap.hint': 'ಒಂದು ಪರಿಕಲ್ಪನೆಯ ಸಂಬಂಧಗಳನ್ನು ನೋಡಲು ಅದರ ಮೇಲೆ ಮೌಸ್ ಇಡಿ. ನಕ್ಷೆಯನ್ನು ಮರುಜೋಡಿಸಲು ಪರಿಕಲ್ಪನೆಗಳನ್ನು ಎಳೆಯಿರಿ.',
+    'conceptMap.failed': 'ಪರಿಕಲ್ಪನಾ ನಕ್ಷೆ ರಚಿಸಲು ವಿಫಲವಾಗಿದೆ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+    'conceptMap.exportFailed': 'ಪರಿಕಲ್ಪನಾ ನಕ್ಷೆಯನ್ನು ರಫ್ತು ಮಾಡಲು ವಿಫಲವಾಗಿದೆ',
+    'editor.instruction': 'ಸೂಚನೆ (ಐಚ್ಛಿಕ), ಉದಾ. ಇನ್ನಷ್ಟು ಸರಳಗೊಳಿಸಿ',
+    'editor.regenerating': 'ಮತ್ತೆ ರಚಿಸಲಾಗುತ್ತಿದೆ...',
+    'editor.regenerate': '🔄 ಮತ್ತೆ ರಚಿಸಿ',
+    'editor.add': '+ ಸೇರಿಸಿ',
+    'editor.removePoint': 'ಅಂಶವನ್ನು ತೆಗೆದುಹಾಕಿ',
+    'editor.removeItem': 'ನಮೂದನ್ನು ತೆಗೆದುಹಾಕಿ',
+    'source.title': '📖 ಮೂಲ',
+    'source.close': 'ಮೂಲವನ್ನು ಮುಚ್ಚಿ',
+    'source.pageLabel': 'ಪು. {page} ¶{paragraph}',
+    'source.paragraphLabel': '¶{paragraph}',
+    'source.page': 'ಪುಟ {page}, ಪ್ಯಾರಾಗ್ರಾಫ್ {paragraph}',
+    'source.paragraph': 'ಪ್ಯಾರಾಗ್ರಾಫ್ {paragraph}',
+    'apiKey.title': '🔑 API ಕೀ',
+    'apiKey.key': 'ಕೀ',
+    'apiKey.save': 'ಕೀ ಉಳಿಸಿ',
+    'apiKey.remove': 'ಕೀ ತೆಗೆದುಹಾಕಿ',
+    'apiKey.saved': 'ಈ ಬ್ರೌಸರ್‌ನಲ್ಲಿ ಉಳಿಸಲಾಗಿದೆ'
+  },
+  es: {
+    'app.title': '📚 Simplificador de apuntes',
+    'app.tagline': 'Sube cualquier documento (PDF, Word, texto, fotos de apuntes) o pega el contenido directamente para obtener resúmenes con IA',
+    'app.language': 'Idioma de la interfaz',
+    'view.simplify': '✨ Simplificar',
+    'view.library': '🗂️ Mis apuntes',
+    'view.compare': '🔀 Comparar',
+    'input.file': '📄 Subir archivo',
+    'input.text': '✏️ Pegar texto',
+    'upload.drop': '📄 Suelta tus archivos aquí o haz clic para buscarlos',
+    'upload.supports': 'Formatos: PDF (también escaneados), Word (.docx, .doc), PowerPoint (.pptx), OpenDocument (.odt), EPUB, RTF, HTML, texto (.txt, .md, .csv), imágenes (.png, .jpg) • Máx.: 10 MB por archivo, {max} archivos',
+    'upload.hint': '💡 Se admiten la mayoría de formatos: ¡intentaremos extraer el texto de cualquier archivo!',
+    'upload.selected': 'Seleccionado:',
+    'upload.batch': 'Cada archivo tiene su propio resumen, además de apuntes combinados de todos ellos.',
+    'upload.uploading': 'Subiendo...',
+    'text.placeholder': 'Pega tus apuntes aquí...',
+    'text.count': '{count} / {max} caracteres',
+    'text.overLimit': ' (¡Supera el límite!)',
+    'extractive.toggle': '✂️ Modo extractivo (sin conexión, sin IA)',
+    'extractive.hint': 'Selecciona las frases y definiciones clave de los apuntes sin el modelo de IA. Se usa automáticamente cuando el modelo no está disponible.',
+    'process.button': 'Simplificar apuntes',
+    'process.busy': 'Procesando...',
+    'loading.default': 'Procesando tus apuntes con IA...',
+    'loading.reload': 'Puedes recargar esta página; el procesamiento continúa en el servidor.',
+    'loading.cancel': 'Cancelar',
+    'results.combined': '✨ Apuntes combinados',
+    'results.simplified': '✨ Apuntes simplificados',
+    'results.edit': '✏️ Editar',
+    'results.doneEditing': '✓ Terminar edición',
+    'results.format': 'Formato de descarga',
+    'results.download': '📥 Descargar apuntes',
+    'results.allDocuments': '📚 Todos los documentos',
+    'results.fileFailed': 'No se pudo procesar este archivo: {error}',
+    'results.showPassage': 'Mostrar el fragmento original',
+    'stats.original': 'Original: {count} caracteres',
+    'stats.simplified': 'Simplificado: {count} caracteres',
+    'stats.parts': 'Procesado en {count} partes',
+    'stats.ocrPage': 'OCR en la página {pages} ({confidence}% de confianza)',
+    'stats.ocrPages': 'OCR en las páginas {pages} ({confidence}% de confianza)',
+    'stats.ocrHint': 'El texto de estas páginas se reconoció a partir de imágenes y puede contener errores',
+    'stats.saved': 'Guardado en Mis apuntes',
+    'stats.language': '🌐 {source}',
+    'stats.translated': '🌐 {source} → {target}',
+    'stats.languageHint': 'Idioma detectado en los apuntes e idioma del resumen',
+    'stats.extractive': '✂️ Resumen extractivo',
+    'stats.aiUnavailable': ' (IA no disponible)',
+    'stats.extractiveHint': 'Hecho con frases tomadas de los apuntes, sin el modelo de IA',
+    'stats.tryAgain': 'Reintentar con IA',
+    'stats.cached': '⚡ De la caché',
+    'stats.cachedHint': 'Estos apuntes ya se procesaron antes con las mismas opciones',
+    'stats.regenerate': 'Regenerar',
+    'error.timeout': 'Se agotó el tiempo de espera. La IA está tardando demasiado. Prueba con un contenido más corto.',
+    'error.apiKey': 'Este servidor requiere una clave de API válida. Introdúcela en "API key" más abajo y vuelve a intentarlo.',
+    'error.network': 'Error de red. Comprueba que el servidor esté en marcha y vuelve a intentarlo.',
+    'error.generic': 'No se pudo procesar el contenido. Inténtalo de nuevo.',
+    'errorCode.FILE_TOO_LARGE': 'El archivo es demasiado grande. Los archivos pueden ocupar como máximo 10MB: divídelo o comprímelo e inténtalo de nuevo.',
+    'errorCode.UNSUPPORTED_TYPE': 'Este tipo de archivo no es compatible. Sube un archivo PDF, Word, PowerPoint, OpenDocument, EPUB, RTF, HTML, de imagen o de texto.',
+    'errorCode.NO_TEXT_FOUND': 'No se encontró texto legible. En escaneos y fotos, asegúrate de que las páginas sean nítidas y estén bien iluminadas, o pega el texto.',
+    'errorCode.EXTRACTION_FAILED': 'No se pudo leer el archivo. Puede estar dañado o protegido con contraseña: guárdalo de nuevo sin contraseña, o pega el texto.',
+    'errorCode.PROVIDER_BLOCKED_SAFETY': 'El servicio de IA rechazó este contenido por sus filtros de seguridad. Quita los pasajes que pueda haber marcado e inténtalo de nuevo.',
+    'errorCode.RATE_LIMITED': 'Demasiadas solicitudes. Espera {retryAfter} segundos e inténtalo de nuevo.',
+    'errorCode.QUOTA_EXCEEDED': 'Se agotó la cuota diaria de tu clave de API. Se restablece a medianoche UTC.',
+    'errorCode.PROVIDER_AUTH': 'El servidor no pudo iniciar sesión en el servicio de IA. Pide a su administrador que revise la clave de API de la IA.',
+    'errorCode.PROVIDER_ERROR': 'El servicio de IA no pudo procesar la solicitud. Inténtalo de nuevo.',
+    'errorCode.INVALID_MODEL_OUTPUT': 'La IA devolvió una respuesta que no se pudo usar. Inténtalo de nuevo.',
+    'errorCode.PROVIDER_QUOTA': 'El servicio de IA alcanzó su límite de uso por ahora. Inténtalo de nuevo en unos minutos.',
+    'errorCode.PROVIDER_UNAVAILABLE': 'El servicio de IA no está disponible ahora mismo. Inténtalo de nuevo en unos minutos.',
+    'errorCode.QUEUE_FULL': 'El servidor está ocupado con otras subidas. Inténtalo de nuevo en un minuto.',
+    'errorCode.TIMEOUT': 'La IA tardó demasiado en responder. Inténtalo de nuevo, o con un contenido más corto.',
+    'error.jobLost': 'Se perdió el procesamiento de tu archivo, probablemente porque el servidor se reinició. Vuelve a subirlo.',
+    'error.tooManyFiles': 'Selecciona como máximo {max} archivos a la vez',
+    'error.unknownTypes': 'Algunos tipos de archivo no se reconocen. Los archivos de texto plano se leerán igualmente; otros formatos se rechazarán.',
+    'error.selectFile': 'Selecciona un archivo',
+    'error.selectFileFirst': 'Primero selecciona un archivo',
+    'error.enterText': 'Introduce algún texto para procesar',
+    'error.textTooLong': 'El texto es demasiado largo. Límite: {max} caracteres.',
+    'error.unexpected': 'Respuesta inesperada del servidor. Inténtalo de nuevo.',
+    'error.download': 'No se pudo generar la descarga en {format}',
+    'error.emptyRequired': 'Los temas principales y el resumen no pueden estar vacíos.',
+    'error.saveEdits': 'No se pudieron guardar tus cambios.',
+    'options.title': '⚙️ Opciones del resumen',
+    'options.profile': 'Perfil',
+    'options.custom': 'Personalizado',
+    'options.saveProfile': 'Guardar como perfil',
+    'options.deleteProfile': 'Eliminar perfil',
+    'options.profilePrompt': 'Guardar estas opciones como el perfil:',
+    'options.deleteConfirm': '¿Eliminar el perfil "{name}"?',
+    'options.saveFailed': 'No se pudo guardar el perfil.',
+    'options.deleteFailed': 'No se pudo eliminar el perfil.',
+    'options.length': 'Extensión',
+    'options.audience': 'Público',
+    'options.tone': 'Tono',
+    'options.language': 'Idioma del resumen',
+    'options.sameAsNotes': 'El de los apuntes',
+    'length.brief': 'Breve',
+    'length.standard': 'Normal',
+    'length.detailed': 'Detallado',
+    'audience.middle-school': 'Secundaria',
+    'audience.high-school': 'Bachillerato',
+    'audience.undergraduate': 'Universidad',
+    'audience.expert': 'Experto',
+    'tone.friendly': 'Cercano',
+    'tone.neutral': 'Neutro',
+    'tone.formal': 'Formal',
+    'section.mainTopics': 'Temas principales',
+    'section.keyConcepts': 'Conceptos clave',
+    'section.formulas': 'Fórmulas',
+    'section.importantPoints': 'Puntos importantes',
+    'section.timeline': 'Cronología',
+    'section.summary': 'Resumen',
+    'section.studyTips': 'Consejos de estudio',
+    'quiz.title': '📝 Cuestionario de práctica',
+    'quiz.questions': 'Preguntas',
+    'quiz.difficulty': 'Dificultad',
+    'difficulty.easy': 'Fácil',
+    'difficulty.medium': 'Media',
+    'difficulty.hard': 'Difícil',
+    'quiz.type.multiple-choice': 'Opción múltiple',
+    'quiz.type.true-false': 'Verdadero / falso',
+    'quiz.type.short-answer': 'Respuesta corta',
+    'quiz.true': 'Verdadero',
+    'quiz.false': 'Falso',
+    'quiz.answerPlaceholder': 'Escribe tu respuesta...',
+    'quiz.modelAnswer': 'Respuesta modelo:',
+    'quiz.selfMark': 'Mi respuesta cubre esto',
+    'quiz.correct': '✅ Correcto',
+    'quiz.incorrect': '❌ Incorrecto',
+    'quiz.answerIs': '— la respuesta es',
+    'quiz.new': 'Nuevo cuestionario',
+    'quiz.generate': 'Generar cuestionario',
+    'quiz.generating': 'Generando...',
+    'quiz.score': 'Puntuación: {score} / {total} ({percent}%)',
+    'quiz.retry': '🔄 Repetir cuestionario',
+    'quiz.submit': 'Enviar respuestas',
+    'quiz.failed': 'No se pudo generar el cuestionario. Inténtalo de nuevo.',
+    'flashcards.title': '🃏 Tarjetas de estudio',
+    'flashcards.cards': 'Tarjetas',
+    'flashcards.new': 'Nuevo mazo',
+    'flashcards.generate': 'Generar tarjetas',
+    'flashcards.generating': 'Generando...',
+    'flashcards.review': 'Repasar ({count} pendientes)',
+    'flashcards.done': '🎉 ¡Todo al día! No quedan tarjetas pendientes por ahora.',
+    'flashcards.back': 'Volver al mazo',
+    'flashcards.cardLeft': 'Queda 1 tarjeta',
+    'flashcards.cardsLeft': 'Quedan {count} tarjetas',
+    'flashcards.showAnswer': 'Mostrar respuesta',
+    'flashcards.grade.again': 'Otra vez',
+    'flashcards.grade.hard': 'Difícil',
+    'flashcards.grade.good': 'Bien',
+    'flashcards.grade.easy': 'Fácil',
+    'flashcards.failed': 'No se pudieron generar las tarjetas. Inténtalo de nuevo.',
+    'flashcards.exportFailed': 'No se pudieron exportar las tarjetas',
+    'chat.title': '💬 Pregunta sobre estos apuntes',
+    'chat.clear': 'Borrar chat',
+    'chat.empty': 'Pregunta qué significa un término o pide más detalle sobre cualquier punto. Las respuestas solo usan tus apuntes.',
+    'chat.thinking': 'Pensando...',
+    'chat.placeholder': 'p. ej. "¿Qué significa ósmosis?"',
+    'chat.answering': 'Respondiendo...',
+    'chat.ask': 'Preguntar',
+    'chat.failed': 'No se pudo responder a tu pregunta. Inténtalo de nuevo.',
+    'chat.clearFailed': 'No se pudo borrar el chat.',
+    'library.count': '{count} guardados',
+    'library.search': 'Buscar en títulos, resúmenes y texto original...',
+    'library.noMatches': 'Ningún apunte coincide con tu búsqueda.',
+    'library.empty': 'Aún no hay nada guardado. Los apuntes simplificados se guardan aquí automáticamente.',
+    'library.characters': '{count} caracteres',
+    'library.open': 'Abrir',
+    'library.delete': 'Eliminar',
+    'library.loading': 'Cargando...',
+    'library.loadMore': 'Cargar más',
+    'library.deleteConfirm': '¿Eliminar "{title}"? No se puede deshacer.',
+    'library.loadFailed': 'No se pudieron cargar tus apuntes guardados.',
+    'library.openFailed': 'No se pudo abrir el apunte.',
+    'library.deleteFailed': 'No se pudo eliminar el apunte.',
+    'compare.file': '📄 Archivo',
+    'compare.text': '✏️ Texto',
+    'compare.original': 'Versión original',
+    'compare.revised': 'Versión revisada',
+    'compare.originalPlaceholder': 'Pega aquí la versión original...',
+    'compare.revisedPlaceholder': 'Pega aquí la versión revisada...',
+    'compare.skippedOne': '… 1 párrafo sin cambios',
+    'compare.skipped': '… {count} párrafos sin cambios',
+    'compare.comparing': 'Comparando...',
+    'compare.button': 'Comparar versiones',
+    'compare.title': '🔀 Qué ha cambiado',
+    'compare.added': '{count} añadidos',
+    'compare.removed': '{count} eliminados',
+    'compare.changed': '{count} modificados',
+    'compare.unchanged': '{count} sin cambios',
+    'compare.addedTopics': 'Nuevo',
+    'compare.changedTopics': 'Modificado',
+    'compare.removedTopics': 'Eliminado',
+    'compare.differences': '📄 Diferencias',
+    'compare.showUnchanged': 'Mostrar sin cambios',
+    'compare.failed': 'No se pudieron comparar los documentos. Inténtalo de nuevo.',
+    'conceptMap.title': '🕸️ Mapa conceptual',
+    'conceptMap.concepts': 'Conceptos',
+    'conceptMap.new': 'Nuevo mapa',
+    'conceptMap.generate': 'Generar mapa conceptual',
+    'conceptMap.generating': 'Generando...',
+    'conceptMap.resetLayout': 'Restablecer disposición',
+    'conceptMap.hint': 'Pasa el cursor sobre un concepto para resaltar sus relaciones. Arrastra los conceptos para reorganizar el mapa.',
+    'conceptMap.failed': 'No se pudo generar el mapa conceptual. Inténtalo de nuevo.',
+    'conceptMap.exportFailed': 'No se pudo exportar el mapa conceptual',
+    'editor.instruction': 'Instrucción (opcional), p. ej. hazlo más sencillo',
+    'editor.regenerating': 'Regenerando...',
+    'editor.regenerate': '🔄 Regenerar',
+    'editor.add': '+ Añadir',
+    'editor.removePoint': 'Quitar punto',
+    'editor.removeItem': 'Quitar elemento',
+    'source.title': '📖 Fuente',
+    'source.close': 'Cerrar fuente',
+    'source.pageLabel': 'p. {page} ¶{paragraph}',
+    'source.paragraphLabel': '¶{paragraph}',
+    'source.page': 'Página {page}, párrafo {paragraph}',
+    'source.paragraph': 'Párrafo {paragraph}',
+    'apiKey.title': '🔑 Clave de API',
+    'apiKey.key': 'Clave',
+    'apiKey.save': 'Guardar clave',
+    'apiKey.remove': 'Quitar clave',
+    'apiKey.saved': 'Guardada en este navegador'
+  },
+  de: {
+    'app.title': '📚 Notizen-Vereinfacher',
+    'app.tagline': 'Lade ein beliebiges Dokument hoch (PDF, Word, Text, Fotos von Notizen) oder füge Inhalte direkt ein und erhalte KI-Zusammenfassungen',
+    'app.language': 'Sprache der Oberfläche',
+    'view.simplify': '✨ Vereinfachen',
+    'view.library': '🗂️ Meine Notizen',
+    'view.compare': '🔀 Vergleichen',
+    'input.file': '📄 Datei hochladen',
+    'input.text': '✏️ Text einfügen',
+    'upload.drop': '📄 Dateien hier ablegen oder zum Auswählen klicken',
+    'upload.supports': 'Unterstützt: PDF (auch Scans), Word (.docx, .doc), PowerPoint (.pptx), OpenDocument (.odt), EPUB, RTF, HTML, Text (.txt, .md, .csv), Bilder (.png, .jpg) • Max.: 10 MB pro Datei, {max} Dateien',
+    'upload.hint': '💡 Die meisten Dokumentformate werden unterstützt – wir versuchen, aus jeder Datei Text zu gewinnen!',
+    'upload.selected': 'Ausgewählt:',
+    'upload.batch': 'Jede Datei bekommt eine eigene Zusammenfassung, dazu gemeinsame Notizen über alle.',
+    'upload.uploading': 'Wird hochgeladen...',
+    'text.placeholder': 'Notizen hier einfügen...',
+    'text.count': '{count} / {max} Zeichen',
+    'text.overLimit': ' (Über dem Limit!)',
+    'extractive.toggle': '✂️ Extraktiver Modus (offline, ohne KI)',
+    'extractive.hint': 'Wählt die wichtigsten Sätze und Definitionen der Notizen ohne das KI-Modell aus. Wird automatisch genutzt, wenn das Modell nicht verfügbar ist.',
+    'process.button': 'Notizen vereinfachen',
+    'process.busy': 'Wird verarbeitet...',
+    'loading.default': 'Deine Notizen werden mit KI verarbeitet...',
+    'loading.reload': 'Du kannst diese Seite neu laden; die Verarbeitung läuft auf dem Server weiter.',
+    'loading.cancel': 'Abbrechen',
+    'results.combined': '✨ Gemeinsame Notizen',
+    'results.simplified': '✨ Vereinfachte Notizen',
+    'results.edit': '✏️ Bearbeiten',
+    'results.doneEditing': '✓ Bearbeitung beenden',
+    'results.format': 'Download-Format',
+    'results.download': '📥 Notizen herunterladen',
+    'results.allDocuments': '📚 Alle Dokumente',
+    'results.fileFailed': 'Diese Datei konnte nicht verarbeitet werden: {error}',
+    'results.showPassage': 'Originalstelle anzeigen',
+    'stats.original': 'Original: {count} Zeichen',
+    'stats.simplified': 'Vereinfacht: {count} Zeichen',
+    'stats.parts': 'In {count} Teilen verarbeitet',
+    'stats.ocrPage': 'OCR auf Seite {pages} ({confidence} % Sicherheit)',
+    'stats.ocrPages': 'OCR auf den Seiten {pages} ({confidence} % Sicherheit)',
+    'stats.ocrHint': 'Der Text dieser Seiten wurde aus Bildern erkannt und kann Fehler enthalten',
+    'stats.saved': 'In Meine Notizen gespeichert',
+    'stats.language': '🌐 {source}',
+    'stats.translated': '🌐 {source} → {target}',
+    'stats.languageHint': 'In den Notizen erkannte Sprache und Sprache der Zusammenfassung',
+    'stats.extractive': '✂️ Extraktive Zusammenfassung',
+    'stats.aiUnavailable': ' (KI nicht verfügbar)',
+    'stats.extractiveHint': 'Aus Sätzen der Notizen zusammengestellt, ohne das KI-Modell',
+    'stats.tryAgain': 'KI erneut versuchen',
+    'stats.cached': '⚡ Aus dem Cache',
+    'stats.cachedHint': 'Diese Notizen wurden schon einmal mit denselben Optionen verarbeitet',
+    'stats.regenerate': 'Neu erstellen',
+    'error.timeout': 'Zeitüberschreitung. Die KI braucht zu lange. Bitte versuche es mit kürzerem Inhalt.',
+    'error.apiKey': 'Dieser Server benötigt einen gültigen API-Schlüssel. Gib ihn unten unter "API key" ein und versuche es erneut.',
+    'error.network': 'Netzwerkfehler. Bitte prüfe, ob der Server läuft, und versuche es erneut.',
+    'error.generic': 'Der Inhalt konnte nicht verarbeitet werden. Bitte versuche es erneut.',
+    'errorCode.FILE_TOO_LARGE': 'Die Datei ist zu groß. Dateien dürfen höchstens 10MB groß sein – teile oder komprimiere sie und versuche es erneut.',
+    'errorCode.UNSUPPORTED_TYPE': 'Dieser Dateityp wird nicht unterstützt. Lade eine PDF-, Word-, PowerPoint-, OpenDocument-, EPUB-, RTF-, HTML-, Bild- oder Textdatei hoch.',
+    'errorCode.NO_TEXT_FOUND': 'Es wurde kein lesbarer Text gefunden. Achte bei Scans und Fotos auf scharfe, gut beleuchtete Seiten, oder füge den Text ein.',
+    'errorCode.EXTRACTION_FAILED': 'Die Datei konnte nicht gelesen werden. Sie ist vielleicht beschädigt oder passwortgeschützt: Speichere sie ohne Passwort neu, oder füge den Text ein.',
+    'errorCode.PROVIDER_BLOCKED_SAFETY': 'Der KI-Dienst hat diesen Inhalt wegen seiner Sicherheitsfilter abgelehnt. Entferne die Stellen, die er beanstandet haben könnte, und versuche es erneut.',
+    'errorCode.RATE_LIMITED': 'Zu viele Anfragen. Bitte warte {retryAfter} Sekunden und versuche es erneut.',
+    'errorCode.QUOTA_EXCEEDED': 'Das Tageskontingent deines API-Schlüssels ist aufgebraucht. Es wird um Mitternacht UTC zurückgesetzt.',
+    'errorCode.PROVIDER_AUTH': 'Der Server konnte sich nicht beim KI-Dienst anmelden. Bitte den Administrator, den KI-API-Schlüssel zu prüfen.',
+    'errorCode.PROVIDER_ERROR': 'Der KI-Dienst konnte die Anfrage nicht verarbeiten. Bitte versuche es erneut.',
+    'errorCode.INVALID_MODEL_OUTPUT': 'Die KI hat eine unbrauchbare Antwort geliefert. Bitte versuche es erneut.',
+    'errorCode.PROVIDER_QUOTA': 'Der KI-Dienst hat sein Nutzungslimit vorerst erreicht. Bitte versuche es in ein paar Minuten erneut.',
+    'errorCode.PROVIDER_UNAVAILABLE': 'Der KI-Dienst ist gerade nicht erreichbar. Bitte versuche es in ein paar Minuten erneut.',
+    'errorCode.QUEUE_FULL': 'Der Server ist mit anderen Uploads beschäftigt. Bitte versuche es in einer Minute erneut.',
+    'errorCode.TIMEOUT': 'Die KI hat zu lange für eine Antwort gebraucht. Bitte versuche es erneut oder mit kürzerem Inhalt.',
+    'error.jobLost': 'Die Verarbeitung deines Uploads ging verloren, vermutlich wurde der Server neu gestartet. Bitte lade erneut hoch.',
+    'error.tooManyFiles': 'Bitte wähle höchstens {max} Dateien auf einmal',
+    'error.unknownTypes': 'Einige Dateitypen werden nicht erkannt. Reine Textdateien werden trotzdem gelesen, andere Formate abgelehnt.',
+    'error.selectFile': 'Bitte wähle eine Datei',
+    'error.selectFileFirst': 'Bitte wähle zuerst eine Datei',
+    'error.enterText': 'Bitte gib einen Text zum Verarbeiten ein',
+    'error.textTooLong': 'Der Text ist zu lang. Bitte höchstens {max} Zeichen.',
+    'error.unexpected': 'Unerwartete Antwort vom Server. Bitte versuche es erneut.',
+    'error.download': '{format}-Download konnte nicht erstellt werden',
+    'error.emptyRequired': 'Hauptthemen und Zusammenfassung dürfen nicht leer sein.',
+    'error.saveEdits': 'Deine Änderungen konnten nicht gespeichert werden.',
+    'options.title': '⚙️ Optionen der Zusammenfassung',
+    'options.profile': 'Profil',
+    'options.custom': 'Benutzerdefiniert',
+    'options.saveProfile': 'Als Profil speichern',
+    'options.deleteProfile': 'Profil löschen',
+    'options.profilePrompt': 'Diese Optionen als Profil speichern unter dem Namen:',
+    'options.deleteConfirm': 'Profil "{name}" löschen?',
+    'options.saveFailed': 'Profil konnte nicht gespeichert werden.',
+    'options.deleteFailed': 'Profil konnte nicht gelöscht werden.',
+    'options.length': 'Länge',
+    'options.audience': 'Zielgruppe',
+    'options.tone': 'Ton',
+    'options.language': 'Sprache der Zusammenfassung',
+    'options.sameAsNotes': 'Wie die Notizen',
+    'length.brief': 'Kurz',
+    'length.standard': 'Standard',
+    'length.detailed': 'Ausführlich',
+    'audience.middle-school': 'Mittelstufe',
+    'audience.high-school': 'Oberstufe',
+    'audience.undergraduate': 'Studium',
+    'audience.expert': 'Fachleute',
+    'tone.friendly': 'Freundlich',
+    'tone.neutral': 'Sachlich',
+    'tone.formal': 'Förmlich',
+    'section.mainTopics': 'Hauptthemen',
+    'section.keyConcepts': 'Schlüsselbegriffe',
+    'section.formulas': 'Formeln',
+    'section.importantPoints': 'Wichtige Punkte',
+    'section.timeline': 'Zeitleiste',
+    'section.summary': 'Zusammenfassung',
+    'section.studyTips': 'Lerntipps',
+    'quiz.title': '📝 Übungsquiz',
+    'quiz.questions': 'Fragen',
+    'quiz.difficulty': 'Schwierigkeit',
+    'difficulty.easy': 'Leicht',
+    'difficulty.medium': 'Mittel',
+    'difficulty.hard': 'Schwer',
+    'quiz.type.multiple-choice': 'Multiple Choice',
+    'quiz.type.true-false': 'Wahr / falsch',
+    'quiz.type.short-answer': 'Kurze Antwort',
+    'quiz.true': 'Wahr',
+    'quiz.false': 'Falsch',
+    'quiz.answerPlaceholder': 'Deine Antwort eingeben...',
+    'quiz.modelAnswer': 'Musterantwort:',
+    'quiz.selfMark': 'Meine Antwort deckt das ab',
+    'quiz.correct': '✅ Richtig',
+    'quiz.incorrect': '❌ Falsch',
+    'quiz.answerIs': '— die Antwort ist',
+    'quiz.new': 'Neues Quiz',
+    'quiz.generate': 'Quiz erstellen',
+    'quiz.generating': 'Wird erstellt...',
+    'quiz.score': 'Punkte: {score} / {total} ({percent} %)',
+    'quiz.retry': '🔄 Quiz wiederholen',
+    'quiz.submit': 'Antworten abgeben',
+    'quiz.failed': 'Das Quiz konnte nicht erstellt werden. Bitte versuche es erneut.',
+    'flashcards.title': '🃏 Lernkarten',
+    'flashcards.cards': 'Karten',
+    'flashcards.new': 'Neuer Stapel',
+    'flashcards.generate': 'Lernkarten erstellen',
+    'flashcards.generating': 'Wird erstellt...',
+    'flashcards.review': 'Wiederholen ({count} fällig)',
+    'flashcards.done': '🎉 Alles erledigt! Gerade sind keine Karten mehr fällig.',
+    'flashcards.back': 'Zurück zum Stapel',
+    'flashcards.cardLeft': 'Noch 1 Karte',
+    'flashcards.cardsLeft': 'Noch {count} Karten',
+    'flashcards.showAnswer': 'Antwort zeigen',
+    'flashcards.grade.again': 'Nochmal',
+    'flashcards.grade.hard': 'Schwer',
+    'flashcards.grade.good': 'Gut',
+    'flashcards.grade.easy': 'Leicht',
+    'flashcards.failed': 'Die Lernkarten konnten nicht erstellt werden. Bitte versuche es erneut.',
+    'flashcards.exportFailed': 'Die Lernkarten konnten nicht exportiert werden',
+    'chat.title': '💬 Fragen zu diesen Notizen',
+    'chat.clear': 'Chat leeren',
+    'chat.empty': 'Frag, was ein Begriff bedeutet, oder nach mehr Details zu einem Punkt. Die Antworten stützen sich nur auf deine Notizen.',
+    'chat.thinking': 'Denkt nach...',
+    'chat.placeholder': 'z. B. „Was bedeutet Osmose?“',
+    'chat.answering': 'Antwortet...',
+    'chat.ask': 'Fragen',
+    'chat.failed': 'Deine Frage konnte nicht beantwortet werden. Bitte versuche es erneut.',
+    'chat.clearFailed': 'Der Chat konnte nicht geleert werden.',
+    'library.count': '{count} gespeichert',
+    'library.search': 'Titel, Zusammenfassungen und Ausgangstext durchsuchen...',
+    'library.noMatches': 'Keine Notizen passen zu deiner Suche.',
+    'library.empty': 'Noch nichts gespeichert. Vereinfachte Notizen werden hier automatisch gespeichert.',
+    'library.characters': '{count} Zeichen',
+    'library.open': 'Öffnen',
+    'library.delete': 'Löschen',
+    'library.loading': 'Wird geladen...',
+    'library.loadMore': 'Mehr laden',
+    'library.deleteConfirm': '„{title}“ löschen? Das kann nicht rückgängig gemacht werden.',
+    'library.loadFailed': 'Deine gespeicherten Notizen konnten nicht geladen werden.',
+    'library.openFailed': 'Die Notiz konnte nicht geöffnet werden.',
+    'library.deleteFailed': 'Die Notiz konnte nicht gelöscht werden.',
+    'compare.file': '📄 Datei',
+    'compare.text': '✏️ Text',
+    'compare.original': 'Ursprüngliche Version',
+    'compare.revised': 'Überarbeitete Version',
+    'compare.originalPlaceholder': 'Ursprüngliche Version hier einfügen...',
+    'compare.revisedPlaceholder': 'Überarbeitete Version hier einfügen...',
+    'compare.skippedOne': '… 1 unveränderter Absatz',
+    'compare.skipped': '… {count} unveränderte Absätze',
+    'compare.comparing': 'Wird verglichen...',
+    'compare.button': 'Versionen vergleichen',
+    'compare.title': '🔀 Was sich geändert hat',
+    'compare.added': '{count} hinzugefügt',
+    'compare.removed': '{count} entfernt',
+    'compare.changed': '{count} geändert',
+    'compare.unchanged': '{count} unverändert',
+    'compare.addedTopics': 'Neu',
+    'compare.changedTopics': 'Geändert',
+    'compare.removedTopics': 'Entfernt',
+    'compare.differences': '📄 Unterschiede',
+    'compare.showUnchanged': 'Unverändertes zeigen',
+    'compare.failed': 'Die Dokumente konnten nicht verglichen werden. Bitte versuche es erneut.',
+    'conceptMap.title': '🕸️ Begriffslandkarte',
+    'conceptMap.concepts': 'Begriffe',
+    'conceptMap.new': 'Neue Karte',
+    'conceptMap.generate': 'Begriffslandkarte erstellen',
+    'conceptMap.generating': 'Wird erstellt...',
+    'conceptMap.resetLayout': 'Anordnung zurücksetzen',
+    'conceptMap.hint': 'Fahre mit der Maus über einen Begriff, um seine Beziehungen hervorzuheben. Ziehe Begriffe, um die Karte neu anzuordnen.',
+    'conceptMap.failed': 'Die Begriffslandkarte konnte nicht erstellt werden. Bitte versuche es erneut.',
+    'conceptMap.exportFailed': 'Die Begriffslandkarte konnte nicht exportiert werden',
+    'editor.instruction': 'Anweisung (optional), z. B. einfacher formulieren',
+    'editor.regenerating': 'Wird neu erstellt...',
+    'editor.regenerate': '🔄 Neu erstellen',
+    'editor.add': '+ Hinzufügen',
+    'editor.removePoint': 'Punkt entfernen',
+    'editor.removeItem': 'Eintrag entfernen',
+    'source.title': '📖 Quelle',
+    'source.close': 'Quelle schließen',
+    'source.pageLabel': 'S. {page} ¶{paragraph}',
+    'source.paragraphLabel': '¶{paragraph}',
+    'source.page': 'Seite {page}, Absatz {paragraph}',
+    'source.paragraph': 'Absatz {paragraph}',
+    'apiKey.title': '🔑 API-Schlüssel',
+    'apiKey.key': 'Schlüssel',
+    'apiKey.save': 'Schlüssel speichern',
+    'apiKey.remove': 'Schlüssel entfernen',
+    'apiKey.saved': 'In diesem Browser gespeichert'
+  },
+  fr: {
+    'app.title': '📚 Simplificateur de notes',
+    'app.tagline': "Importez n'importe quel document (PDF, Word, texte, photos de notes) ou collez directement du contenu pour obtenir des résumés par IA",
+    'app.language': "Langue de l'interface",
+    'view.simplify': '✨ Simplifier',
+    'view.library': '🗂️ Mes notes',
+    'view.compare': '🔀 Comparer',
+    'input.file': '📄 Importer un fichier',
+    'input.text': '✏️ Coller du texte',
+    'upload.drop': '📄 Déposez vos fichiers ici ou cliquez pour parcourir',
+    'upload.supports': 'Formats : PDF (scans compris), Word (.docx, .doc), PowerPoint (.pptx), OpenDocument (.odt), EPUB, RTF, HTML, texte (.txt, .md, .csv), images (.png, .jpg) • Max. : 10 Mo par fichier, {max} fichiers',
+    'upload.hint': "💡 La plupart des formats sont pris en charge : nous essaierons d'extraire le texte de n'importe quel fichier !",
+    'upload.selected': 'Sélection :',
+    'upload.batch': 'Chaque fichier a son propre résumé, plus des notes combinées de tous les fichiers.',
+    'upload.uploading': 'Importation...',
+    'text.placeholder': 'Collez vos notes ici...',
+    'text.count': '{count} / {max} caractères',
+    'text.overLimit': ' (Limite dépassée !)',
+    'extractive.toggle': '✂️ Mode extractif (hors ligne, sans IA)',
+    'extractive.hint': "Sélectionne les phrases et définitions clés des notes sans le modèle d'IA. Utilisé automatiquement quand le modèle est indisponible.",
+    'process.button': 'Simplifier les notes',
+    'process.busy': 'Traitement...',
+    'loading.default': "Traitement de vos notes par l'IA...",
+    'loading.reload': 'Vous pouvez recharger cette page ; le traitement continue sur le serveur.',
+    'loading.cancel': 'Annuler',
+    'results.combined': '✨ Notes combinées',
+    'results.simplified': '✨ Notes simplifiées',
+    'results.edit': '✏️ Modifier',
+    'results.doneEditing': '✓ Terminer',
+    'results.format': 'Format de téléchargement',
+    'results.download': '📥 Télécharger les notes',
+    'results.allDocuments': '📚 Tous les documents',
+    'results.fileFailed': "Ce fichier n'a pas pu être traité : {error}",
+    'results.showPassage': 'Afficher le passage original',
+    'stats.original': 'Original : {count} caractères',
+    'stats.simplified': 'Simplifié : {count} caractères',
+    'stats.parts': 'Traité en {count} parties',
+    'stats.ocrPage': 'OCR sur la page {pages} (confiance {confidence} %)',
+    'stats.ocrPages': 'OCR sur les pages {pages} (confiance {confidence} %)',
+    'stats.ocrHint': 'Le texte de ces pages a été reconnu à partir d’images et peut contenir des erreurs',
+    'stats.saved': 'Enregistré dans Mes notes',
+    'stats.language': '🌐 {source}',
+    'stats.translated': '🌐 {source} → {target}',
+    'stats.languageHint': 'Langue détectée dans les notes, et langue du résumé',
+    'stats.extractive': '✂️ Résumé extractif',
+    'stats.aiUnavailable': ' (IA indisponible)',
+    'stats.extractiveHint': "Composé de phrases tirées des notes, sans le modèle d'IA",
+    'stats.tryAgain': "Réessayer avec l'IA",
+    'stats.cached': '⚡ Depuis le cache',
+    'stats.cachedHint': 'Ces notes ont déjà été traitées avec les mêmes options',
+    'stats.regenerate': 'Régénérer',
+    'error.timeout': "Délai dépassé. L'IA met trop de temps. Essayez avec un contenu plus court.",
+    'error.apiKey': 'Ce serveur exige une clé d’API valide. Saisissez-la sous "API key" ci-dessous et réessayez.',
+    'error.network': 'Erreur réseau. Vérifiez que le serveur fonctionne et réessayez.',
+    'error.generic': "Le contenu n'a pas pu être traité. Réessayez.",
+    'errorCode.FILE_TOO_LARGE': 'Le fichier est trop volumineux. Les fichiers peuvent faire au plus 10 Mo : divisez-le ou compressez-le, puis réessayez.',
+    'errorCode.UNSUPPORTED_TYPE': "Ce type de fichier n'est pas pris en charge. Importez un fichier PDF, Word, PowerPoint, OpenDocument, EPUB, RTF, HTML, image ou texte.",
+    'errorCode.NO_TEXT_FOUND': "Aucun texte lisible n'a été trouvé. Pour les scans et photos, vérifiez que les pages sont nettes et bien éclairées, ou collez le texte.",
+    'errorCode.EXTRACTION_FAILED': "Le fichier n'a pas pu être lu. Il est peut-être endommagé ou protégé par un mot de passe : enregistrez-le sans mot de passe, ou collez le texte.",
+    'errorCode.PROVIDER_BLOCKED_SAFETY': "Le service d'IA a refusé ce contenu à cause de ses filtres de sécurité. Retirez les passages qu'il a pu signaler et réessayez.",
+    'errorCode.RATE_LIMITED': 'Trop de requêtes. Veuillez patienter {retryAfter} secondes et réessayer.',
+    'errorCode.QUOTA_EXCEEDED': 'Le quota quotidien de votre clé API est épuisé. Il est réinitialisé à minuit UTC.',
+    'errorCode.PROVIDER_AUTH': "Le serveur n'a pas pu se connecter au service d'IA. Demandez à son administrateur de vérifier la clé API de l'IA.",
+    'errorCode.PROVIDER_ERROR': "Le service d'IA n'a pas pu traiter la requête. Veuillez réessayer.",
+    'errorCode.INVALID_MODEL_OUTPUT': "L'IA a renvoyé une réponse inutilisable. Veuillez réessayer.",
+    'errorCode.PROVIDER_QUOTA': "Le service d'IA a atteint sa limite d'utilisation pour le moment. Réessayez dans quelques minutes.",
+    'errorCode.PROVIDER_UNAVAILABLE': "Le service d'IA est indisponible pour le moment. Réessayez dans quelques minutes.",
+    'errorCode.QUEUE_FULL': "Le serveur est occupé par d'autres imports. Réessayez dans une minute.",
+    'errorCode.TIMEOUT': "L'IA a mis trop de temps à répondre. Réessayez, ou avec un contenu plus court.",
+    'error.jobLost': 'Le traitement de votre fichier a été perdu, sans doute parce que le serveur a redémarré. Importez-le à nouveau.',
+    'error.tooManyFiles': 'Sélectionnez au plus {max} fichiers à la fois',
+    'error.unknownTypes': 'Certains types de fichiers ne sont pas reconnus. Les fichiers texte seront tout de même lus ; les autres formats seront refusés.',
+    'error.selectFile': 'Sélectionnez un fichier',
+    'error.selectFileFirst': "Sélectionnez d'abord un fichier",
+    'error.enterText': 'Saisissez du texte à traiter',
+    'error.textTooLong': 'Le texte est trop long. Limite : {max} caractères.',
+    'error.unexpected': 'Réponse inattendue du serveur. Réessayez.',
+    'error.download': 'Impossible de générer le téléchargement {format}',
+    'error.emptyRequired': 'Les thèmes principaux et le résumé ne peuvent pas être vides.',
+    'error.saveEdits': "Vos modifications n'ont pas pu être enregistrées.",
+    'options.title': '⚙️ Options du résumé',
+    'options.profile': 'Profil',
+    'options.custom': 'Personnalisé',
+    'options.saveProfile': 'Enregistrer comme profil',
+    'options.deleteProfile': 'Supprimer le profil',
+    'options.profilePrompt': 'Enregistrer ces options sous le nom de profil :',
+    'options.deleteConfirm': 'Supprimer le profil "{name}" ?',
+    'options.saveFailed': "Le profil n'a pas pu être enregistré.",
+    'options.deleteFailed': "Le profil n'a pas pu être supprimé.",
+    'options.length': 'Longueur',
+    'options.audience': 'Public',
+    'options.tone': 'Ton',
+    'options.language': 'Langue du résumé',
+    'options.sameAsNotes': 'Celle des notes',
+    'length.brief': 'Court',
+    'length.standard': 'Standard',
+    'length.detailed': 'Détaillé',
+    'audience.middle-school': 'Collège',
+    'audience.high-school': 'Lycée',
+    'audience.undergraduate': 'Licence',
+    'audience.expert': 'Expert',
+    'tone.friendly': 'Amical',
+    'tone.neutral': 'Neutre',
+    'tone.formal': 'Soutenu',
+    'section.mainTopics': 'Thèmes principaux',
+    'section.keyConcepts': 'Concepts clés',
+    'section.formulas': 'Formules',
+    'section.importantPoints': 'Points importants',
+    'section.timeline': 'Chronologie',
+    'section.summary': 'Résumé',
+    'section.studyTips': "Conseils d'étude",
+    'quiz.title': "📝 Quiz d'entraînement",
+    'quiz.questions': 'Questions',
+    'quiz.difficulty': 'Difficulté',
+    'difficulty.easy': 'Facile',
+    'difficulty.medium': 'Moyenne',
+    'difficulty.hard': 'Difficile',
+    'quiz.type.multiple-choice': 'Choix multiple',
+    'quiz.type.true-false': 'Vrai / faux',
+    'quiz.type.short-answer': 'Réponse courte',
+    'quiz.true': 'Vrai',
+    'quiz.false': 'Faux',
+    'quiz.answerPlaceholder': 'Tapez votre réponse...',
+    'quiz.modelAnswer': 'Réponse modèle :',
+    'quiz.selfMark': 'Ma réponse couvre ce point',
+    'quiz.correct': '✅ Correct',
+    'quiz.incorrect': '❌ Incorrect',
+    'quiz.answerIs': '— la réponse est',
+    'quiz.new': 'Nouveau quiz',
+    'quiz.generate': 'Générer un quiz',
+    'quiz.generating': 'Génération...',
+    'quiz.score': 'Score : {score} / {total} ({percent} %)',
+    'quiz.retry': '🔄 Refaire le quiz',
+    'quiz.submit': 'Valider les réponses',
+    'quiz.failed': "Le quiz n'a pas pu être généré. Réessayez.",
+    'flashcards.title': '🃏 Cartes mémoire',
+    'flashcards.cards': 'Cartes',
+    'flashcards.new': 'Nouveau paquet',
+    'flashcards.generate': 'Générer des cartes',
+    'flashcards.generating': 'Génération...',
+    'flashcards.review': 'Réviser ({count} à revoir)',
+    'flashcards.done': '🎉 Tout est à jour ! Aucune carte à revoir pour le moment.',
+    'flashcards.back': 'Retour au paquet',
+    'flashcards.cardLeft': 'Encore 1 carte',
+    'flashcards.cardsLeft': 'Encore {count} cartes',
+    'flashcards.showAnswer': 'Afficher la réponse',
+    'flashcards.grade.again': 'À revoir',
+    'flashcards.grade.hard': 'Difficile',
+    'flashcards.grade.good': 'Bien',
+    'flashcards.grade.easy': 'Facile',
+    'flashcards.failed': "Les cartes n'ont pas pu être générées. Réessayez.",
+    'flashcards.exportFailed': "Les cartes n'ont pas pu être exportées",
+    'chat.title': '💬 Questions sur ces notes',
+    'chat.clear': 'Effacer la discussion',
+    'chat.empty': "Demandez ce que signifie un terme, ou plus de détails sur un point. Les réponses s'appuient uniquement sur vos notes.",
+    'chat.thinking': 'Réflexion...',
+    'chat.placeholder': 'ex. « Que signifie osmose ? »',
+    'chat.answering': 'Réponse en cours...',
+    'chat.ask': 'Demander',
+    'chat.failed': "Votre question n'a pas pu recevoir de réponse. Réessayez.",
+    'chat.clearFailed': "La discussion n'a pas pu être effacée.",
+    'library.count': '{count} enregistrées',
+    'library.search': 'Rechercher dans les titres, résumés et textes sources...',
+    'library.noMatches': 'Aucune note ne correspond à votre recherche.',
+    'library.empty': "Rien n'est encore enregistré. Les notes simplifiées sont enregistrées ici automatiquement.",
+    'library.characters': '{count} caractères',
+    'library.open': 'Ouvrir',
+    'library.delete': 'Supprimer',
+    'library.loading': 'Chargement...',
+    'library.loadMore': 'Afficher plus',
+    'library.deleteConfirm': 'Supprimer « {title} » ? Cette action est irréversible.',
+    'library.loadFailed': "Vos notes enregistrées n'ont pas pu être chargées.",
+    'library.openFailed': "La note n'a pas pu être ouverte.",
+    'library.deleteFailed': "La note n'a pas pu être supprimée.",
+    'compare.file': '📄 Fichier',
+    'compare.text': '✏️ Texte',
+    'compare.original': 'Version originale',
+    'compare.revised': 'Version révisée',
+    'compare.originalPlaceholder': 'Collez la version originale ici...',
+    'compare.revisedPlaceholder': 'Collez la version révisée ici...',
+    'compare.skippedOne': '… 1 paragraphe inchangé',
+    'compare.skipped': '… {count} paragraphes inchangés',
+    'compare.comparing': 'Comparaison...',
+    'compare.button': 'Comparer les versions',
+    'compare.title': '🔀 Ce qui a changé',
+    'compare.added': '{count} ajoutés',
+    'compare.removed': '{count} supprimés',
+    'compare.changed': '{count} modifiés',
+    'compare.unchanged': '{count} inchangés',
+    'compare.addedTopics': 'Nouveau',
+    'compare.changedTopics': 'Modifié',
+    'compare.removedTopics': 'Supprimé',
+    'compare.differences': '📄 Différences',
+    'compare.showUnchanged': 'Afficher les passages inchangés',
+    'compare.failed': "Les documents n'ont pas pu être comparés. Réessayez.",
+    'conceptMap.title': '🕸️ Carte conceptuelle',
+    'conceptMap.concepts': 'Concepts',
+    'conceptMap.new': 'Nouvelle carte',
+    'conceptMap.generate': 'Générer une carte conceptuelle',
+    'conceptMap.generating': 'Génération...',
+    'conceptMap.resetLayout': 'Réinitialiser la disposition',
+    'conceptMap.hint': 'Survolez un concept pour mettre en évidence ses relations. Faites glisser les concepts pour réorganiser la carte.',
+    'conceptMap.failed': "La carte conceptuelle n'a pas pu être générée. Réessayez.",
+    'conceptMap.exportFailed': "La carte conceptuelle n'a pas pu être exportée",
+    'editor.instruction': 'Consigne (facultative), ex. rends-le plus simple',
+    'editor.regenerating': 'Régénération...',
+    'editor.regenerate': '🔄 Régénérer',
+    'editor.add': '+ Ajouter',
+    'editor.removePoint': 'Retirer le point',
+    'editor.removeItem': "Retirer l'élément",
+    'source.title': '📖 Source',
+    'source.close': 'Fermer la source',
+    'source.pageLabel': 'p. {page} ¶{paragraph}',
+    'source.paragraphLabel': '¶{paragraph}',
+    'source.page': 'Page {page}, paragraphe {paragraph}',
+    'source.paragraph': 'Paragraphe {paragraph}',
+    'apiKey.title': "🔑 Clé d'API",
+    'apiKey.key': 'Clé',
+    'apiKey.save': 'Enregistrer la clé',
+    'apiKey.remove': 'Supprimer la clé',
+    'apiKey.saved': 'Enregistrée dans ce navigateur'
+  }
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+// The interface language is remembered between visits; the first visit
+// follows the browser's language when it is one of ours
+const LANGUAGE_KEY = 'notes-simplifier.language';
+
+const loadLanguage = () => {
+  try {
+    const saved = localStorage.getItem(LANGUAGE_KEY);
+    if (MESSAGES[saved]) {
+      return saved;
+    }
+  } catch (err) {
+    // Storage unavailable: fall through to the browser's language
+  }
+  const browser = (navigator.language || '').slice(0, 2).toLowerCase();
+  return MESSAGES[browser] ? browser : DEFAULT_LANGUAGE;
+};
+
+// Message `key` in `language`, with {placeholders} filled in from `values`
+export const translate = (language, key, values = {}) => {
+  const message = MESSAGES[language]?.[key] ?? MESSAGES[DEFAULT_LANGUAGE][key] ?? key;
+  return message.replace(/\{(\w+)\}/g, (match, name) => (values[name] !== undefined ? values[name] : match));
+};
+
+// Name of a language (ISO 639 code) in another, e.g. 'hi' in Spanish is
+// "hindi"; falls back to the code
+export const languageName = (code, inLanguage) => {
+  try {
+    return new Intl.DisplayNames([inLanguage], { type: 'language' }).of(code) || code;
+  } catch (err) {
+    return code;
+  }
+};
+
+const LanguageContext = createContext({
+  language: DEFAULT_LANGUAGE,
+  setLanguage: () => {},
+  t: (key, values) => translate(DEFAULT_LANGUAGE, key, values)
+});
+
+export const LanguageProvider = ({ children }) => {
+  const [language, setLanguageState] = useState(loadLanguage);
+
+  useEffect(() => {
+    document.documentElement.lang = language;
+  }, [language]);
+
+  const setLanguage = useCallback((next) => {
+    setLanguageState(next);
+    try {
+      localStorage.setItem(LANGUAGE_KEY, next);
+    } catch (err) {
+      console.error('Failed to remember the language:', err);
+    }
+  }, []);
+
+  const value = useMemo(() => ({
+    language,
+    setLanguage,
+    t: (key, values) => translate(language, key, values)
+  }), [language, setLanguage]);
+
+  return <LanguageContext.Provider value={value}>{children}</LanguageContext.Provider>;
+};
+
+// { language, setLanguage, t(key, values) } of the interface
+export const useTranslation = () => useContext(LanguageContext);
+
+// Interface language picker, listing each language by its own name
+export const LanguageSwitcher = () => {
+  const { language, setLanguage, t } = useTranslation();
+  return (
+    <select
+      value={language}
+      onChange={(e) => setLanguage(e.target.value)}
+      className="format-select language-switcher"
+      aria-label={t('app.language')}
+    >
+      {LANGUAGES.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+    </select>
+  );
+};
@@ -0,0 +1,82 @@
+import axios from 'axios';
+
+// Client for the background upload jobs. The id of the job in progress is
+// kept in localStorage so a reloaded page can pick it up again.
+
+const ACTIVE_JOB_KEY = 'notes-simplifier.activeJob';
+const POLL_INTERVAL = 1500; // ms between status requests
+
+export const loadActiveJob = () => {
+  try {
+    return JSON.parse(localStorage.getItem(ACTIVE_JOB_KEY));
+  } catch (err) {
+    return null;
+  }
+};
+
+export const saveActiveJob = (job) => {
+  try {
+    localStorage.setItem(ACTIVE_JOB_KEY, JSON.stringify(job));
+  } catch (err) {
+    console.error('Failed to remember upload job:', err);
+  }
+};
+
+export const clearActiveJob = () => {
+  localStorage.removeItem(ACTIVE_JOB_KEY);
+};
+
+// Upload files and return the id of the job processing them. Summary
+// options are sent as form fields, sections comma-separated.
+export const submitUploadJob = async (files, { sections, ...options } = {}) => {
+  const formData = new FormData();
+  files.forEach(file => formData.append('pdf', file));
+  Object.entries(options).forEach(([name, value]) => formData.append(name, value));
+  if (sections) {
+    formData.append('sections', sections.join(','));
+  }
+  const response = await axios.post('/api/upload', formData, {
+    headers: { 'Content-Type': 'multipart/form-data' },
+    timeout: 90000 // 90 second timeout for the upload itself
+  });
+  return response.data.jobId;
+};
+
+export const cancelJob = (jobId) => axios.delete(`/api/jobs/${jobId}`);
+
+const wait = (ms, signal) => new Promise(resolve => {
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    resolve();
+  }, { once: true });
+});
+
+// Poll a job until it finishes, passing its progress to onProgress. Resolves
+// to the result, or null if `signal` aborts the polling. A failed job rejects
+// with an axios-style error; a cancelled one with error.cancelled set.
+export const waitForJob = async (jobId, onProgress, { signal } = {}) => {
+  for (;;) {
+    const { data: job } = await axios.get(`/api/jobs/${jobId}`, { signal });
+
+    if (job.status === 'completed') {
+      return job.result;
+    }
+    if (job.status === 'failed') {
+      const error = new Error(job.error);
+      error.response = { status: 500, data: { error: job.error, code: job.code } };
+      throw error;
+    }
+    if (job.status === 'cancelled') {
+      const error = new Error('Job cancelled');
+      error.cancelled = true;
+      throw error;
+    }
+
+    onProgress(job.progress);
+    await wait(POLL_INTERVAL, signal);
+    if (signal?.aborted) {
+      return null;
+    }
+  }
+};
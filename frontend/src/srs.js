@@ -0,0 +1,81 @@
+// SM-2 spaced repetition scheduling with progress kept in localStorage
+
+const STORAGE_PREFIX = 'notes-simplifier.deck.';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Review grades offered to the student, on SM-2's 0-5 quality scale; each
+// is labelled in the interface language as `flashcards.grade.<name>`
+export const GRADES = [
+  { quality: 1, name: 'again' },
+  { quality: 3, name: 'hard' },
+  { quality: 4, name: 'good' },
+  { quality: 5, name: 'easy' }
+];
+
+const newSchedule = () => ({ repetitions: 0, interval: 0, easeFactor: 2.5, due: Date.now() });
+
+// Apply one review to a card's schedule (SM-2). Failed reviews (quality < 3)
+// restart the card at a one day interval without changing the ease factor.
+export const reviewCard = (schedule, quality, now = Date.now()) => {
+  let { repetitions, interval, easeFactor } = schedule;
+
+  if (quality < 3) {
+    repetitions = 0;
+    interval = 1;
+  } else {
+    if (repetitions === 0) {
+      interval = 1;
+    } else if (repetitions === 1) {
+      interval = 6;
+    } else {
+      interval = Math.round(interval * easeFactor);
+    }
+    repetitions += 1;
+    easeFactor = Math.max(1.3, easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+  }
+
+  return { repetitions, interval, easeFactor, due: now + interval * DAY_MS };
+};
+
+// Stable id for a deck, derived from its cards so regenerating the same deck
+// keeps its progress
+export const deckId = (cards) => {
+  const text = cards.map(card => `${card.front}\u0000${card.back}`).join('\u0001');
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash * 33) ^ text.charCodeAt(i)) >>> 0;
+  }
+  return hash.toString(36);
+};
+
+// Load a deck's saved schedules, adding fresh ones for cards never reviewed
+export const loadDeck = (cards) => {
+  const id = deckId(cards);
+  let saved = {};
+  try {
+    saved = JSON.parse(localStorage.getItem(STORAGE_PREFIX + id)) || {};
+  } catch (err) {
+    console.error('Failed to load flashcard progress:', err);
+  }
+
+  const schedules = {};
+  cards.forEach(card => {
+    schedules[card.id] = saved.schedules?.[card.id] || newSchedule();
+  });
+  return { id, cards, schedules };
+};
+
+export const saveDeck = (deck) => {
+  try {
+    localStorage.setItem(STORAGE_PREFIX + deck.id, JSON.stringify({
+      cards: deck.cards,
+      schedules: deck.schedules,
+      updatedAt: Date.now()
+    }));
+  } catch (err) {
+    console.error('Failed to save flashcard progress:', err);
+  }
+};
+
+export const dueCards = (deck, now = Date.now()) =>
+  deck.cards.filter(card => deck.schedules[card.id].due <= now);
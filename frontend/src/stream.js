@@ -0,0 +1,119 @@
+import { authHeaders } from './apiKey';
+
+// Client for the Server-Sent Events endpoints. EventSource only supports GET,
+// so the stream is read from a fetch() POST and parsed here.
+
+// Build an error shaped like an axios error so callers can handle both the same way
+const requestError = (message, status, data) => {
+  const error = new Error(message);
+  error.response = { status, data };
+  return error;
+};
+
+// POST `body` (FormData or a plain object sent as JSON) and call
+// onEvent(event, data) for each event in the response stream. An `error`
+// event rejects with an axios-style error instead.
+export const postEventStream = async (url, body, onEvent, { signal } = {}) => {
+  const isForm = body instanceof FormData;
+
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { ...authHeaders(), ...(!isForm && { 'Content-Type': 'application/json' }) },
+      body: isForm ? body : JSON.stringify(body),
+      signal
+    });
+  } catch (err) {
+    if (err.name === 'AbortError') throw err;
+    const error = new Error('Network error');
+    error.code = 'ERR_NETWORK';
+    throw error;
+  }
+
+  // Validation errors come back as plain JSON before the stream starts
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw requestError(data.error || `Request failed with status ${response.status}`, response.status, data);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffered = '';
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffered += decoder.decode(value, { stream: true });
+    const messages = buffered.split('\n\n');
+    buffered = messages.pop();
+
+    for (const message of messages) {
+      let event = 'message';
+      let data = '';
+      message.split('\n').forEach(line => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data += line.slice(5).trim();
+      });
+      const payload = data ? JSON.parse(data) : null;
+      if (event === 'error') {
+        throw requestError(payload?.error || 'Processing failed', 500, payload);
+      }
+      onEvent(event, payload);
+    }
+  }
+};
+
+// Close any open strings, arrays and objects in truncated JSON
+const closeJson = (text) => {
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+
+  for (const char of text) {
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      stack.push(char === '{' ? '}' : ']');
+    } else if (char === '}' || char === ']') {
+      stack.pop();
+    }
+  }
+
+  let closed = text;
+  if (inString) {
+    closed = (escaped ? closed.slice(0, -1) : closed) + '"';
+  }
+  closed = closed.replace(/[\s,]+$/, '');
+  if (closed.endsWith(':')) {
+    closed += 'null';
+  }
+  return closed + stack.reverse().join('');
+};
+
+// Parse as much as possible of a JSON object that is still streaming in.
+// Returns null until there is something parseable.
+export const parsePartialJson = (text) => {
+  const start = text.indexOf('{');
+  if (start === -1) {
+    return null;
+  }
+
+  let input = text.slice(start);
+  for (let attempt = 0; attempt < 10 && input; attempt++) {
+    try {
+      return JSON.parse(closeJson(input));
+    } catch (err) {
+      // Drop the last incomplete value or key and try again
+      const cut = Math.max(input.lastIndexOf(','), input.lastIndexOf('{'), input.lastIndexOf('['));
+      if (cut <= 0) return null;
+      input = input.slice(0, input[cut] === ',' ? cut : cut + 1);
+    }
+  }
+  return null;
+};
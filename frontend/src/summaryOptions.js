@@ -0,0 +1,71 @@
+// Sections of the structured summary returned by the backend, in display
+// order. Must match SUMMARY_SECTIONS in backend/summarySchema.js. Required
+// sections are always included; optional ones only when chosen. Their
+// headings are translated in i18n.js as `section.<key>`.
+export const SUMMARY_SECTIONS = [
+  { key: 'mainTopics', emoji: '🎯', kind: 'list', required: true },
+  { key: 'keyConcepts', emoji: '💡', kind: 'concepts' },
+  { key: 'formulas', emoji: '🧮', kind: 'concepts', optional: true },
+  { key: 'importantPoints', emoji: '⭐', kind: 'list' },
+  { key: 'timeline', emoji: '📅', kind: 'concepts', optional: true },
+  { key: 'summary', emoji: '📝', kind: 'paragraph', required: true },
+  { key: 'studyTips', emoji: '🔍', kind: 'list' }
+];
+
+// Choices offered for each option. Values must match backend/summaryOptions.js
+export const LENGTHS = [
+  { value: 'brief', label: 'Brief' },
+  { value: 'standard', label: 'Standard' },
+  { value: 'detailed', label: 'Detailed' }
+];
+
+export const AUDIENCES = [
+  { value: 'middle-school', label: 'Middle school' },
+  { value: 'high-school', label: 'High school' },
+  { value: 'undergraduate', label: 'Undergraduate' },
+  { value: 'expert', label: 'Expert' }
+];
+
+export const TONES = [
+  { value: 'friendly', label: 'Friendly' },
+  { value: 'neutral', label: 'Neutral' },
+  { value: 'formal', label: 'Formal' }
+];
+
+// Languages summaries can be written in, by their own names. Values must
+// match LANGUAGES in backend/languages.js; 'auto' keeps the language of the notes.
+export const LANGUAGES = [
+  { value: 'en', label: 'English' },
+  { value: 'hi', label: 'हिन्दी' },
+  { value: 'kn', label: 'ಕನ್ನಡ' },
+  { value: 'es', label: 'Español' },
+  { value: 'de', label: 'Deutsch' },
+  { value: 'fr', label: 'Français' }
+];
+
+export const DEFAULT_SUMMARY_OPTIONS = {
+  length: 'standard',
+  audience: 'high-school',
+  tone: 'friendly',
+  language: 'auto',
+  sections: SUMMARY_SECTIONS.filter(section => !section.optional).map(section => section.key)
+};
+
+// The options last used are remembered between visits
+const OPTIONS_KEY = 'notes-simplifier.summaryOptions';
+
+export const loadSummaryOptions = () => {
+  try {
+    return { ...DEFAULT_SUMMARY_OPTIONS, ...JSON.parse(localStorage.getItem(OPTIONS_KEY)) };
+  } catch (err) {
+    return DEFAULT_SUMMARY_OPTIONS;
+  }
+};
+
+export const saveSummaryOptions = (options) => {
+  try {
+    localStorage.setItem(OPTIONS_KEY, JSON.stringify(options));
+  } catch (err) {
+    console.error('Failed to remember summary options:', err);
+  }
+};